@@ -9,6 +9,21 @@ import {notifyNewUser} from "../services/adminNotification.service.js";
  * Supports Google and GitHub OAuth 2.0
  */
 
+// Linking to a signed-in account (OAuth state set): the callback route checks
+// the state and links the identity instead of signing in
+const toLinkProfile = (provider, profile) => ({
+  linkProfile: {
+    provider,
+    providerId: profile.id,
+    profilePicture: profile.photos?.[0]?.value,
+  },
+});
+
+// An account with the identity's email exists but the identity isn't linked
+// to it. Accounts are only linked explicitly (POST /api/auth/link/:provider),
+// so the callback route sends the user to sign in first.
+const toExistingAccount = (provider) => ({existingAccount: {provider}});
+
 // ==========================================
 // SERIALIZE/DESERIALIZE USER
 // ==========================================
@@ -44,9 +59,14 @@ if (
         clientID: process.env.GOOGLE_CLIENT_ID,
         clientSecret: process.env.GOOGLE_CLIENT_SECRET,
         callbackURL: `${process.env.SERVER_URL}/api/auth/google/callback`,
+        passReqToCallback: true,
       },
-      async (accessToken, refreshToken, profile, done) => {
+      async (req, accessToken, refreshToken, profile, done) => {
         try {
+          if (req.query.state) {
+            return done(null, toLinkProfile("google", profile));
+          }
+
           // Check if user already exists with this Google ID
           let user = await User.findOne({googleId: profile.id});
 
@@ -57,18 +77,8 @@ if (
             return done(null, user);
           }
 
-          // Check if user exists with same email (link accounts)
-          user = await User.findOne({email: profile.emails[0].value});
-
-          if (user) {
-            // Link Google account to existing user
-            user.googleId = profile.id;
-            user.provider = "google";
-            user.profilePicture =
-              user.profilePicture || profile.photos[0]?.value;
-            user.lastLogin = new Date();
-            await user.save();
-            return done(null, user);
+          if (await User.exists({email: profile.emails[0].value})) {
+            return done(null, toExistingAccount("google"));
           }
 
           // Create new user
@@ -79,6 +89,8 @@ if (
             provider: "google",
             profilePicture: profile.photos[0]?.value,
             lastLogin: new Date(),
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
           });
           notifyNewUser(user, "google");
 
@@ -114,9 +126,16 @@ if (
         clientSecret: process.env.GITHUB_CLIENT_SECRET,
         callbackURL: `${process.env.SERVER_URL}/api/auth/github/callback`,
         scope: ["user:email"],
+        // Keeps the verified flag of each address
+        allRawEmails: true,
+        passReqToCallback: true,
       },
-      async (accessToken, refreshToken, profile, done) => {
+      async (req, accessToken, refreshToken, profile, done) => {
         try {
+          if (req.query.state) {
+            return done(null, toLinkProfile("github", profile));
+          }
+
           // Check if user already exists with this GitHub ID
           let user = await User.findOne({githubId: profile.id});
 
@@ -128,21 +147,16 @@ if (
           }
 
           // GitHub may not return email in profile, get primary email
+          const primaryEmail =
+            profile.emails?.find((entry) => entry.primary) ||
+            profile.emails?.[0];
           const email =
-            profile.emails?.[0]?.value || `${profile.username}@github.local`;
-
-          // Check if user exists with same email (link accounts)
-          user = await User.findOne({email});
+            primaryEmail?.value || `${profile.username}@github.local`;
+          // GitHub lists addresses its user hasn't confirmed
+          const emailVerified = primaryEmail?.verified === true;
 
-          if (user) {
-            // Link GitHub account to existing user
-            user.githubId = profile.id;
-            user.provider = "github";
-            user.profilePicture =
-              user.profilePicture || profile.photos[0]?.value;
-            user.lastLogin = new Date();
-            await user.save();
-            return done(null, user);
+          if (await User.exists({email})) {
+            return done(null, toExistingAccount("github"));
           }
 
           // Create new user
@@ -153,6 +167,8 @@ if (
             provider: "github",
             profilePicture: profile.photos[0]?.value,
             lastLogin: new Date(),
+            emailVerified,
+            emailVerifiedAt: emailVerified ? new Date() : undefined,
           });
           notifyNewUser(user, "github");
 
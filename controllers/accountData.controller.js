@@ -0,0 +1,108 @@
+import User from "../models/User.model.js";
+import {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  buildDataExport,
+  cancelAccountDeletion,
+  scheduleAccountDeletion,
+} from "../services/accountData.service.js";
+
+/**
+ * Account Data Controller
+ * Personal data export and self-service account deletion
+ */
+
+/**
+ * Download everything stored about the current user as JSON
+ * GET /api/auth/me/export
+ */
+export const exportMyData = async (req, res) => {
+  try {
+    const bundle = await buildDataExport(req.user.userId);
+    if (!bundle) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    const date = bundle.exportedAt.toISOString().slice(0, 10);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="smartnshine-data-export-${date}.json"`
+    );
+    res.json(bundle);
+  } catch (error) {
+    console.error("Export user data error:", error);
+    res.status(500).json({error: "Failed to export your data"});
+  }
+};
+
+/**
+ * Schedule deletion of the current account after the grace period
+ * POST /api/auth/me/deletion
+ * Body: { password } or, for accounts without a password, { confirmEmail }
+ */
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const {password, confirmEmail} = req.body;
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    if (user.password) {
+      if (!(await user.comparePassword(password || ""))) {
+        return res.status(401).json({error: "Invalid password"});
+      }
+    } else if (confirmEmail?.toLowerCase() !== user.email) {
+      return res.status(400).json({
+        error: "Type your account email to confirm deletion",
+        code: "EMAIL_CONFIRMATION_MISMATCH",
+      });
+    }
+
+    const result = await scheduleAccountDeletion(user);
+    if (result.error) {
+      return res.status(400).json({error: result.error, code: result.code});
+    }
+
+    console.log(`🗑️  Account deletion scheduled: ${user._id}`);
+
+    res.json({
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Sign in and cancel before then to keep it.`,
+      scheduledFor: user.deletion.scheduledFor,
+      graceDays: ACCOUNT_DELETION_GRACE_DAYS,
+    });
+  } catch (error) {
+    console.error("Request account deletion error:", error);
+    res.status(500).json({error: "Failed to schedule account deletion"});
+  }
+};
+
+/**
+ * Cancel a scheduled deletion of the current account
+ * DELETE /api/auth/me/deletion
+ */
+export const cancelMyAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    const result = await cancelAccountDeletion(user);
+    if (result.error) {
+      return res.status(400).json({error: result.error, code: result.code});
+    }
+
+    console.log(`🗑️  Account deletion cancelled: ${user._id}`);
+
+    res.json({message: "Account deletion cancelled"});
+  } catch (error) {
+    console.error("Cancel account deletion error:", error);
+    res.status(500).json({error: "Failed to cancel account deletion"});
+  }
+};
+
+export default {
+  exportMyData,
+  requestAccountDeletion,
+  cancelMyAccountDeletion,
+};
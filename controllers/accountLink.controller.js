@@ -0,0 +1,196 @@
+import User from "../models/User.model.js";
+import {
+  LINK_STATE_EXPIRES_MINUTES,
+  createLinkNonce,
+  createLinkState,
+  getAccountHistory,
+  getLoginMethods,
+  linkProvider,
+  setAccountPassword,
+  unlinkProvider,
+  verifyLinkState,
+} from "../services/accountLink.service.js";
+
+/**
+ * Account Link Controller
+ * Linking Google/GitHub to the signed-in account, unlinking them, and
+ * setting a password on OAuth-only accounts
+ */
+
+const buildLinkRedirect = (params) =>
+  `${process.env.CLIENT_URL}/account/linked-accounts?${new URLSearchParams(
+    params
+  )}`;
+
+/**
+ * Sign-in methods of the current user
+ * GET /api/auth/linked-accounts
+ */
+export const getLinkedAccounts = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    res.json({
+      methods: getLoginMethods(user),
+      primaryProvider: user.provider,
+    });
+  } catch (error) {
+    console.error("Get linked accounts error:", error);
+    res.status(500).json({error: "Failed to get linked accounts"});
+  }
+};
+
+/**
+ * Audit trail of sign-in method changes
+ * GET /api/auth/linked-accounts/history
+ */
+export const getLinkedAccountHistory = async (req, res) => {
+  try {
+    const events = await getAccountHistory(req.user.userId);
+
+    res.json({events});
+  } catch (error) {
+    console.error("Get linked account history error:", error);
+    res.status(500).json({error: "Failed to get account history"});
+  }
+};
+
+/**
+ * Start linking Google or GitHub. The client navigates to the returned URL
+ * in the same browser; the request must carry cookies (credentials) so the
+ * link nonce lands in its session.
+ * POST /api/auth/link/:provider
+ */
+export const startAccountLink = async (req, res) => {
+  try {
+    const {provider} = req.params;
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    if (getLoginMethods(user)[provider]) {
+      return res.status(400).json({
+        error: "This provider is already linked",
+        code: "ALREADY_LINKED",
+      });
+    }
+
+    const nonce = createLinkNonce();
+    req.session.accountLink = {provider, nonce};
+    const state = createLinkState(user, provider, nonce);
+    res.json({
+      url: `${process.env.SERVER_URL}/api/auth/${provider}?link=${encodeURIComponent(
+        state
+      )}`,
+      expiresInMinutes: LINK_STATE_EXPIRES_MINUTES,
+    });
+  } catch (error) {
+    console.error("Start account link error:", error);
+    res.status(500).json({error: "Failed to start account linking"});
+  }
+};
+
+/**
+ * Finish linking after the provider redirects back. Called from the OAuth
+ * callback routes when the strategy returns a link profile.
+ */
+export const completeAccountLink = async (req, res) => {
+  const {provider, providerId, profilePicture} = req.user.linkProfile;
+
+  try {
+    // The nonce works once, whatever the outcome
+    const {nonce} = req.session?.accountLink || {};
+    if (req.session) delete req.session.accountLink;
+
+    const userId = verifyLinkState(req.query.state, provider, nonce);
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      return res.redirect(buildLinkRedirect({provider, error: "link_expired"}));
+    }
+
+    const result = await linkProvider(user, provider, providerId, {
+      req,
+      profilePicture,
+    });
+    if (result.error) {
+      return res.redirect(
+        buildLinkRedirect({provider, error: result.code.toLowerCase()})
+      );
+    }
+
+    console.log(`🔗 ${provider} account linked: ${user._id}`);
+    res.redirect(buildLinkRedirect({provider, linked: "true"}));
+  } catch (error) {
+    console.error("Complete account link error:", error);
+    res.redirect(buildLinkRedirect({provider, error: "link_failed"}));
+  }
+};
+
+/**
+ * Unlink Google or GitHub
+ * DELETE /api/auth/link/:provider
+ */
+export const unlinkAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    const result = await unlinkProvider(user, req.params.provider, {req});
+    if (result.error) {
+      return res.status(400).json({error: result.error, code: result.code});
+    }
+
+    console.log(`🔗 ${req.params.provider} account unlinked: ${user._id}`);
+
+    res.json({
+      message: "Account unlinked",
+      methods: getLoginMethods(user),
+      primaryProvider: user.provider,
+    });
+  } catch (error) {
+    console.error("Unlink account error:", error);
+    res.status(500).json({error: "Failed to unlink account"});
+  }
+};
+
+/**
+ * Set a password on an OAuth-only account
+ * POST /api/auth/password
+ * Body: { password }
+ */
+export const setPassword = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    const result = await setAccountPassword(user, req.body.password, {req});
+    if (result.error) {
+      return res.status(400).json({error: result.error, code: result.code});
+    }
+
+    res.json({
+      message: "Password set. You can now also sign in with your email.",
+      methods: getLoginMethods(user),
+    });
+  } catch (error) {
+    console.error("Set password error:", error);
+    res.status(500).json({error: "Failed to set password"});
+  }
+};
+
+export default {
+  getLinkedAccounts,
+  getLinkedAccountHistory,
+  startAccountLink,
+  completeAccountLink,
+  unlinkAccount,
+  setPassword,
+};
@@ -9,6 +9,22 @@ import Settings from "../models/Settings.model.js";
 import Subscription from "../models/Subscription.model.js";
 import InterviewSession from "../models/InterviewSession.model.js";
 import {getPlanAmount, PLAN_DURATIONS} from "../services/payment.service.js";
+import {
+  getProvider,
+  listProviders,
+} from "../services/aiProviderRegistry.service.js";
+import {
+  getBreakerConfig,
+  getBreakerState,
+  resetBreaker,
+} from "../services/aiCircuitBreaker.service.js";
+import {
+  getProviderStats,
+  invalidateRoutingPolicyCache,
+  validateRoutingPolicy,
+} from "../services/aiRoutingPolicy.service.js";
+import {revokeAllSessions} from "../services/authSession.service.js";
+import {deleteUserAccount} from "../services/accountData.service.js";
 
 const ACTIVE_SUBSCRIPTION_TIERS = ["free", "one-time", "pro"];
 const MANAGEABLE_SUBSCRIPTION_TIERS = ["one-time", "pro"];
@@ -738,6 +754,11 @@ export const updateUserStatus = async (req, res) => {
       });
     }
 
+    // Sign the user out everywhere
+    if (status === "disabled") {
+      await revokeAllSessions(userId, "account_disabled");
+    }
+
     // Log admin action
     await AdminLog.create({
       adminId: req.user.userId,
@@ -1180,14 +1201,8 @@ export const deleteUser = async (req, res) => {
       });
     }
 
-    // Delete user's resumes
-    await Resume.deleteMany({userId});
-
-    // Delete user's AI usage records
-    await AIUsage.deleteMany({userId});
-
-    // Delete user
-    await User.findByIdAndDelete(userId);
+    // Delete the user and everything tied to the account
+    await deleteUserAccount(user);
 
     // Log admin action
     await AdminLog.create({
@@ -1553,6 +1568,63 @@ export const getAIAnalytics = async (req, res) => {
   }
 };
 
+// Get AI provider circuit breaker state
+export const getAIProviderHealth = async (req, res) => {
+  try {
+    const providers = listProviders().map((provider) => ({
+      name: provider.name,
+      aiProvider: provider.aiProvider,
+      aiModel: provider.aiModel,
+      available: provider.isAvailable(),
+      breaker: getBreakerState(provider.name),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        config: getBreakerConfig(),
+        providers,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching AI provider health:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch AI provider health",
+      error: error.message,
+    });
+  }
+};
+
+// Manually close an AI provider's circuit breaker
+export const resetAIProviderBreaker = async (req, res) => {
+  try {
+    const {provider} = req.params;
+
+    if (!getProvider(provider)) {
+      return res.status(404).json({
+        success: false,
+        message: "AI provider not found",
+      });
+    }
+
+    resetBreaker(provider);
+
+    res.json({
+      success: true,
+      message: `Circuit breaker reset for ${provider}`,
+      data: getBreakerState(provider),
+    });
+  } catch (error) {
+    console.error("Error resetting AI provider breaker:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reset circuit breaker",
+      error: error.message,
+    });
+  }
+};
+
 // Get All Contact Messages
 export const getContactMessages = async (req, res) => {
   try {
@@ -2597,6 +2669,7 @@ export const updateSettings = async (req, res) => {
 
     settings.lastUpdatedBy = adminId;
     await settings.save();
+    invalidateRoutingPolicyCache();
 
     res.json({
       message: "Settings updated successfully",
@@ -2621,6 +2694,7 @@ export const resetSettings = async (req, res) => {
 
     // Create new default settings
     const settings = await Settings.create({lastUpdatedBy: adminId});
+    invalidateRoutingPolicyCache();
 
     res.json({
       message: "Settings reset to defaults successfully",
@@ -2735,7 +2809,7 @@ export const updateAIQuotaLimits = async (req, res) => {
     }
     settings.aiQuota[tier].daily = daily;
     settings.aiQuota[tier].monthly = monthly;
-    settings.lastUpdatedBy = req.user.id;
+    settings.lastUpdatedBy = req.user.userId;
     await settings.save();
 
     res.json({
@@ -2764,7 +2838,7 @@ export const toggleFeature = async (req, res) => {
     }
 
     settings.features[feature] = enabled;
-    settings.lastUpdatedBy = req.user.id;
+    settings.lastUpdatedBy = req.user.userId;
     await settings.save();
 
     res.json({
@@ -2798,7 +2872,7 @@ export const updateRateLimits = async (req, res) => {
     const settings = await Settings.getSettings();
     settings.rateLimits[category].windowMs = windowMs;
     settings.rateLimits[category].max = max;
-    settings.lastUpdatedBy = req.user.id;
+    settings.lastUpdatedBy = req.user.userId;
     await settings.save();
 
     res.json({
@@ -2811,6 +2885,67 @@ export const updateRateLimits = async (req, res) => {
   }
 };
 
+/**
+ * Get AI routing policy with provider availability and recent stats
+ * GET /api/admin/settings/ai-routing
+ */
+export const getAIRoutingPolicy = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const aiRouting = settings.aiRouting;
+    const stats = await getProviderStats(aiRouting.latency?.windowMinutes);
+
+    const providers = listProviders().map((provider) => ({
+      name: provider.name,
+      aiModel: provider.aiModel,
+      available: provider.isAvailable(),
+      estimatedCostPerRequestUSD: provider.estimatedCostPerRequestUSD,
+      stats: stats[provider.name] || null,
+    }));
+
+    res.json({aiRouting, providers});
+  } catch (error) {
+    console.error("Get AI routing policy error:", error);
+    res.status(500).json({error: "Failed to fetch AI routing policy"});
+  }
+};
+
+/**
+ * Update AI routing policy
+ * PATCH /api/admin/settings/ai-routing
+ */
+export const updateAIRoutingPolicy = async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const validationError = validateRoutingPolicy(updates);
+    if (validationError) {
+      return res.status(400).json({error: validationError});
+    }
+
+    const settings = await Settings.getSettings();
+    const current = settings.toObject().aiRouting || {};
+
+    settings.aiRouting = {
+      ...current,
+      ...updates,
+      costCeilings: {...current.costCeilings, ...updates.costCeilings},
+      latency: {...current.latency, ...updates.latency},
+    };
+    settings.markModified("aiRouting");
+    settings.lastUpdatedBy = req.user.userId;
+    await settings.save();
+    invalidateRoutingPolicyCache();
+
+    res.json({
+      message: "AI routing policy updated",
+      aiRouting: settings.aiRouting,
+    });
+  } catch (error) {
+    console.error("Update AI routing policy error:", error);
+    res.status(500).json({error: "Failed to update AI routing policy"});
+  }
+};
+
 /**
  * Get AI Resume Extraction Usage Overview
  * GET /api/admin/ai-extraction-usage
@@ -1,22 +1,39 @@
+import mongoose from "mongoose";
 import PDFParser from "pdf-parse/lib/pdf-parse.js";
 import mammoth from "mammoth";
 import * as aiRouter from "../services/aiRouter.service.js";
 import Resume from "../models/Resume.model.js";
+import {convertResumeDataToText} from "../utils/resumeText.js";
+import {scoreResume} from "../services/atsScoring.service.js";
+import {getScoreTrend, recordAtsScan} from "../services/atsScan.service.js";
+import AtsScan from "../models/AtsScan.model.js";
+
+// "ai" uses the AI router (offline engine as fallback), "offline" only the
+// deterministic scoring engine
+const ANALYSIS_MODES = ["ai", "offline"];
 
 /**
  * Analyze resume against job description
- * POST /api/resume/analyze-resume
+ * POST /api/ats/analyze-resume?mode=ai|offline
  */
 export const analyzeResume = async (req, res) => {
   try {
     const {jobDescription, resumeId} = req.body;
     const resumeFile = req.file;
+    const mode = req.body.mode || req.query.mode || "ai";
 
     if (!jobDescription || !jobDescription.trim()) {
       return res.status(400).json({error: "Job description is required"});
     }
 
+    if (!ANALYSIS_MODES.includes(mode)) {
+      return res
+        .status(400)
+        .json({error: `Mode must be one of: ${ANALYSIS_MODES.join(", ")}`});
+    }
+
     let resumeText = "";
+    let resumeData = null;
 
     // Extract resume text from uploaded file or database
     if (resumeFile) {
@@ -36,14 +53,18 @@ export const analyzeResume = async (req, res) => {
         return res.status(400).json({error: "Unsupported file format"});
       }
     } else if (resumeId) {
-      // Get resume from database
-      const resume = await Resume.findById(resumeId);
+      // Get the user's own resume from database
+      const resume = await Resume.findOne({
+        _id: resumeId,
+        userId: req.user.userId,
+      });
       if (!resume) {
         return res.status(404).json({error: "Resume not found"});
       }
 
       // Convert resume data to text
-      resumeText = convertResumeDataToText(resume);
+      resumeData = resume.toObject();
+      resumeText = convertResumeDataToText(resumeData);
     } else {
       return res
         .status(400)
@@ -56,33 +77,64 @@ export const analyzeResume = async (req, res) => {
         .json({error: "Could not extract text from resume"});
     }
 
-    // Get user object for AI routing
-    const User = (await import("../models/User.model.js")).default;
-    const user = await User.findById(req.user.userId);
+    let analysis;
+    let aiModel = null;
 
-    if (!user) {
-      return res.status(401).json({error: "User not found"});
-    }
+    if (mode === "offline") {
+      console.log("📐 Scoring resume with the offline ATS engine...");
+      analysis = scoreResume(resumeText, jobDescription, {resumeData});
+    } else {
+      // Get user object for AI routing
+      const User = (await import("../models/User.model.js")).default;
+      const user = await User.findById(req.user.userId);
 
-    // Analyze resume vs job description using AI Router (Gemini or GPT-4o based on tier)
-    console.log(
-      `🤖 Analyzing resume against job description with AI Router (User tier: ${
-        user.subscription?.tier || "free"
-      })...`
-    );
-    const startTime = Date.now();
-    const {
-      data: analysis,
-      tokenUsage,
-      aiModel,
-    } = await aiRouter.analyzeJobMatch(resumeText, jobDescription, user);
-    const responseTime = Date.now() - startTime;
+      if (!user) {
+        return res.status(401).json({error: "User not found"});
+      }
+
+      // Analyze resume vs job description using AI Router (Gemini or GPT-4o based on tier)
+      console.log(
+        `🤖 Analyzing resume against job description with AI Router (User tier: ${
+          user.subscription?.tier || "free"
+        })...`
+      );
+
+      try {
+        const result = await aiRouter.analyzeJobMatch(
+          resumeText,
+          jobDescription,
+          user
+        );
+        analysis = result.data;
+        aiModel = result.aiModel;
+        console.log(`✅ ATS analysis completed using ${aiModel} model`);
+      } catch (aiError) {
+        // Every provider failed - answer with the offline engine instead of an error
+        console.warn(
+          `⚠️  AI analysis failed, using offline ATS engine: ${aiError.message}`
+        );
+        analysis = {
+          ...scoreResume(resumeText, jobDescription, {resumeData}),
+          fallback: true,
+          fallbackReason: aiError.message,
+        };
+      }
 
-    console.log(`✅ ATS analysis completed using ${aiModel} model`);
+      // AI usage is already tracked by aiRouter.analyzeJobMatch
+    }
 
-    // AI usage is already tracked by aiRouter.analyzeJobMatch
+    const scan = await recordAtsScan({
+      userId: req.user.userId,
+      resumeId: resumeData?._id || null,
+      source: "analyze-resume",
+      jobDescription,
+      jobTitle: req.body.jobTitle,
+      fileName: resumeFile?.originalname || null,
+      analysis,
+      aiModel,
+    });
 
-    res.json(analysis);
+    res.json({...analysis, ...(scan && {scanId: scan._id})});
   } catch (error) {
     console.error("❌ Resume analysis error:", error);
 
@@ -94,90 +146,6 @@ export const analyzeResume = async (req, res) => {
   }
 };
 
-/**
- * Helper function to convert resume data object to readable text
- */
-function convertResumeDataToText(resumeData) {
-  let text = "";
-
-  // Contact info
-  if (resumeData.contact) {
-    text += `${resumeData.contact.name || ""}\n`;
-    text += `${resumeData.contact.email || ""}\n`;
-    text += `${resumeData.contact.phone || ""}\n`;
-    text += `${resumeData.contact.location || ""}\n\n`;
-  }
-
-  // Summary
-  if (resumeData.summary) {
-    text += `SUMMARY\n${resumeData.summary}\n\n`;
-  }
-
-  // Skills
-  if (resumeData.skills && resumeData.skills.length > 0) {
-    text += "SKILLS\n";
-    resumeData.skills.forEach((skillGroup) => {
-      text += `${skillGroup.category}: ${skillGroup.items.join(", ")}\n`;
-    });
-    text += "\n";
-  }
-
-  // Experience
-  if (resumeData.experience && resumeData.experience.length > 0) {
-    text += "EXPERIENCE\n";
-    resumeData.experience.forEach((exp) => {
-      text += `${exp.title} at ${exp.company}\n`;
-      text += `${exp.startDate} - ${exp.current ? "Present" : exp.endDate}\n`;
-      if (exp.bullets && exp.bullets.length > 0) {
-        exp.bullets.forEach((bullet) => {
-          text += `• ${bullet}\n`;
-        });
-      }
-      text += "\n";
-    });
-  }
-
-  // Projects
-  if (resumeData.projects && resumeData.projects.length > 0) {
-    text += "PROJECTS\n";
-    resumeData.projects.forEach((project) => {
-      text += `${project.name}\n`;
-      if (project.description) {
-        text += `${project.description}\n`;
-      }
-      if (project.technologies && project.technologies.length > 0) {
-        text += `Technologies: ${project.technologies.join(", ")}\n`;
-      }
-      if (project.bullets && project.bullets.length > 0) {
-        project.bullets.forEach((bullet) => {
-          text += `• ${bullet}\n`;
-        });
-      }
-      text += "\n";
-    });
-  }
-
-  // Education
-  if (resumeData.education && resumeData.education.length > 0) {
-    text += "EDUCATION\n";
-    resumeData.education.forEach((edu) => {
-      text += `${edu.degree} in ${edu.field}\n`;
-      text += `${edu.institution}\n`;
-      text += `${edu.startDate} - ${edu.endDate}\n\n`;
-    });
-  }
-
-  // Certifications
-  if (resumeData.certifications && resumeData.certifications.length > 0) {
-    text += "CERTIFICATIONS\n";
-    resumeData.certifications.forEach((cert) => {
-      text += `${cert.name} - ${cert.issuer} (${cert.date})\n`;
-    });
-  }
-
-  return text;
-}
-
 /**
  * Calculate match score between resume data and job description
  * POST /api/ats/match-score
@@ -229,6 +197,22 @@ export const calculateMatchScore = async (req, res) => {
 
     console.log(`✅ Match score calculated using ${aiModel}`);
 
+    // Only link the scan to a resume the user owns
+    const linkedResumeId = req.body.resumeId || resumeData._id;
+    const ownsResume =
+      mongoose.isValidObjectId(linkedResumeId) &&
+      (await Resume.exists({_id: linkedResumeId, userId: user._id}));
+
+    const scan = await recordAtsScan({
+      userId: user._id,
+      resumeId: ownsResume ? linkedResumeId : null,
+      source: "match-score",
+      jobDescription,
+      jobTitle: req.body.jobTitle,
+      analysis,
+      aiModel,
+    });
+
     res.json({
       success: true,
       data: {
@@ -244,6 +228,7 @@ export const calculateMatchScore = async (req, res) => {
         improvements: analysis.improvements || [],
         categoryScores: analysis.categoryScores || {},
         aiModel,
+        ...(scan && {scanId: scan._id}),
       },
     });
   } catch (error) {
@@ -314,3 +299,101 @@ export const analyzeSkills = async (req, res) => {
     });
   }
 };
+
+/**
+ * List ATS scans of a resume (newest first)
+ * GET /api/ats/resumes/:resumeId/scans
+ */
+export const getResumeScans = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {resumeId} = req.params;
+    const {jobDescriptionHash, page = 1, limit = 20} = req.query;
+
+    if (!(await Resume.exists({_id: resumeId, userId}))) {
+      return res.status(404).json({error: "Resume not found"});
+    }
+
+    const filter = {userId, resumeId};
+    if (jobDescriptionHash) {
+      filter.jobDescriptionHash = jobDescriptionHash;
+    }
+
+    const pageNumber = Math.max(1, parseInt(page));
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const [scans, total] = await Promise.all([
+      AtsScan.find(filter)
+        .select("-breakdown")
+        .sort({createdAt: -1})
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      AtsScan.countDocuments(filter),
+    ]);
+
+    res.json({
+      scans,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error("Get resume scans error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch ATS scans",
+    });
+  }
+};
+
+/**
+ * Score changes across resume revisions, one series per job description
+ * GET /api/ats/resumes/:resumeId/score-trend?jobDescriptionHash=
+ */
+export const getResumeScoreTrend = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {resumeId} = req.params;
+
+    if (!(await Resume.exists({_id: resumeId, userId}))) {
+      return res.status(404).json({error: "Resume not found"});
+    }
+
+    const series = await getScoreTrend(
+      userId,
+      resumeId,
+      req.query.jobDescriptionHash
+    );
+
+    res.json({resumeId, series});
+  } catch (error) {
+    console.error("Get score trend error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch score trend",
+    });
+  }
+};
+
+/**
+ * Get a single ATS scan with its full breakdown
+ * GET /api/ats/scans/:id
+ */
+export const getAtsScanById = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const scan = await AtsScan.findOne({_id: req.params.id, userId});
+
+    if (!scan) {
+      return res.status(404).json({error: "ATS scan not found"});
+    }
+
+    res.json({scan});
+  } catch (error) {
+    console.error("Get ATS scan error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch ATS scan",
+    });
+  }
+};
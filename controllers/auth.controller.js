@@ -1,11 +1,68 @@
 import User from "../models/User.model.js";
-import {generateToken} from "../middleware/auth.middleware.js";
+import Settings from "../models/Settings.model.js";
 import crypto from "crypto";
 import {
   sendPasswordResetEmail,
   sendPasswordChangeConfirmation,
+  sendVerificationEmail,
 } from "../services/email.service.js";
 import {notifyNewUser} from "../services/adminNotification.service.js";
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  createLoginChallenge,
+  isTwoFactorEnforced,
+  verifyLoginChallenge,
+  verifySecondFactor,
+} from "../services/twoFactor.service.js";
+import {
+  EMAIL_VERIFICATION_CONFIG,
+  createEmailVerificationToken,
+  isEmailUnverified,
+  verifyEmailVerificationToken,
+} from "../services/emailVerification.service.js";
+import {
+  revokeAllSessions,
+  startAuthSession,
+} from "../services/authSession.service.js";
+
+const sendLoginSuccess = async (
+  req,
+  res,
+  user,
+  {twoFactorVerified = false} = {}
+) => {
+  // New session for this device
+  const {token, refreshToken, expiresIn} = await startAuthSession(user, req, {
+    twoFactorVerified,
+  });
+
+  res.json({
+    message: "Login successful",
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role || "user",
+      status: user.status || "active",
+      emailVerified: !isEmailUnverified(user),
+      deletionScheduledFor: user.deletion?.scheduledFor || null,
+    },
+    token,
+    refreshToken,
+    expiresIn,
+  });
+};
+
+// Send a fresh verification link and remember when, for the resend cooldown
+const deliverVerificationEmail = async (user) => {
+  await sendVerificationEmail(
+    user.email,
+    createEmailVerificationToken(user),
+    user.name
+  );
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+};
 
 /**
  * Register new user
@@ -29,12 +86,19 @@ export const register = async (req, res) => {
     }
 
     // Create new user
-    const user = new User({email, password, name});
+    const user = new User({email, password, name, emailVerified: false});
     await user.save();
     notifyNewUser(user, "local");
 
-    // Generate token
-    const token = generateToken(user._id, user.email);
+    // Send verification email (non-blocking)
+    deliverVerificationEmail(user).catch((err) =>
+      console.error("Failed to send verification email:", err)
+    );
+
+    const settings = await Settings.getSettings();
+
+    // New session for this device
+    const {token, refreshToken, expiresIn} = await startAuthSession(user, req);
 
     res.status(201).json({
       message: "User registered successfully",
@@ -43,8 +107,14 @@ export const register = async (req, res) => {
         email: user.email,
         name: user.name,
         role: user.role || "user",
+        emailVerified: false,
       },
+      emailVerificationRequired: Boolean(
+        settings.security?.requireEmailVerification
+      ),
       token,
+      refreshToken,
+      expiresIn,
     });
   } catch (error) {
     console.error("Register error:", error);
@@ -77,26 +147,66 @@ export const login = async (req, res) => {
       return res.status(401).json({error: "Invalid credentials"});
     }
 
-    // Generate token
-    const token = generateToken(user._id, user.email);
+    if (user.status === "disabled") {
+      return res.status(403).json({error: "Your account has been disabled."});
+    }
 
-    res.json({
-      message: "Login successful",
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role || "user",
-        status: user.status || "active",
-      },
-      token,
-    });
+    // Second step: the token is only issued after the TOTP check
+    if (isTwoFactorEnforced(user)) {
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user),
+      });
+    }
+
+    await sendLoginSuccess(req, res, user);
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({error: "Login failed"});
   }
 };
 
+/**
+ * Complete a login with a TOTP or recovery code
+ * POST /api/auth/login/2fa
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const {challengeToken, code, recoveryCode} = req.body;
+
+    const userId = verifyLoginChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        error:
+          "Login challenge is invalid or has expired. Please log in again.",
+        code: "CHALLENGE_EXPIRED",
+      });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || user.status === "disabled") {
+      return res.status(401).json({error: "Invalid credentials"});
+    }
+
+    const method = verifySecondFactor(user, {code, recoveryCode});
+    if (!method) {
+      return res.status(401).json({error: "Invalid authentication code"});
+    }
+    await user.save();
+
+    if (method === "recovery-code") {
+      console.log(`🔐 Recovery code used to log in: ${user._id}`);
+    }
+
+    await sendLoginSuccess(req, res, user, {twoFactorVerified: true});
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({error: "Login failed"});
+  }
+};
+
 /**
  * Get current user profile
  * GET /api/auth/me
@@ -116,6 +226,93 @@ export const getCurrentUser = async (req, res) => {
   }
 };
 
+/**
+ * Verify email address with the token from the verification email
+ * GET /api/auth/verify-email?token=...
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const payload = verifyEmailVerificationToken(req.query.token);
+    if (!payload) {
+      return res.status(400).json({
+        error: "Invalid or expired verification link",
+        code: "INVALID_VERIFICATION_TOKEN",
+      });
+    }
+
+    const user = await User.findById(payload.userId);
+    // Links sent to a previous address no longer count
+    if (!user || user.email !== payload.email) {
+      return res.status(400).json({
+        error: "Invalid or expired verification link",
+        code: "INVALID_VERIFICATION_TOKEN",
+      });
+    }
+
+    if (!isEmailUnverified(user)) {
+      return res.json({message: "Email already verified", emailVerified: true});
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    console.log(`✅ Email verified: ${user.email}`);
+
+    res.json({message: "Email verified successfully", emailVerified: true});
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({error: "Failed to verify email"});
+  }
+};
+
+/**
+ * Resend the verification email
+ * POST /api/auth/verify-email/resend
+ */
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    if (!isEmailUnverified(user)) {
+      return res
+        .status(400)
+        .json({error: "Email already verified", emailVerified: true});
+    }
+
+    const cooldownMs = EMAIL_VERIFICATION_CONFIG.resendCooldownSeconds * 1000;
+    const elapsedMs = user.emailVerificationSentAt
+      ? Date.now() - user.emailVerificationSentAt.getTime()
+      : Infinity;
+    if (elapsedMs < cooldownMs) {
+      return res.status(429).json({
+        error: "Verification email was just sent. Please wait before retrying.",
+        retryAfterSeconds: Math.ceil((cooldownMs - elapsedMs) / 1000),
+      });
+    }
+
+    try {
+      await deliverVerificationEmail(user);
+    } catch (emailError) {
+      console.error("Failed to send verification email:", emailError);
+      return res.status(500).json({
+        error: "Failed to send verification email. Please try again later.",
+      });
+    }
+
+    res.json({
+      message: "Verification email sent",
+      expiresInHours: EMAIL_VERIFICATION_CONFIG.expiresInHours,
+    });
+  } catch (error) {
+    console.error("Resend verification email error:", error);
+    res.status(500).json({error: "Failed to resend verification email"});
+  }
+};
+
 /**
  * Forgot Password - Send reset email
  * POST /api/auth/forgot-password
@@ -211,6 +408,9 @@ export const resetPassword = async (req, res) => {
     user.resetPasswordExpires = undefined;
     await user.save();
 
+    // Sign out every device that used the old password
+    await revokeAllSessions(user._id, "password_reset");
+
     // Send confirmation email (non-blocking)
     sendPasswordChangeConfirmation(user.email, user.name).catch((err) =>
       console.error("Failed to send confirmation email:", err)
@@ -0,0 +1,149 @@
+import {
+  exchangeLoginCode as exchangeAuthLoginCode,
+  listActiveSessions,
+  revokeAllSessions,
+  revokeRefreshToken,
+  revokeSession as revokeAuthSession,
+  rotateRefreshToken,
+  summarizeSession,
+} from "../services/authSession.service.js";
+
+/**
+ * Auth Session Controller
+ * Token refresh, logout and the signed-in devices of the current user
+ */
+
+/**
+ * Exchange a refresh token for new tokens
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (result.error) {
+      return res
+        .status(result.code === "ACCOUNT_DISABLED" ? 403 : 401)
+        .json({error: result.error, code: result.code});
+    }
+
+    res.json({
+      message: "Token refreshed",
+      token: result.tokens.token,
+      refreshToken: result.tokens.refreshToken,
+      expiresIn: result.tokens.expiresIn,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({error: "Failed to refresh token"});
+  }
+};
+
+/**
+ * Exchange the one-time code from an OAuth redirect for tokens
+ * POST /api/auth/oauth/exchange
+ * Body: { code }
+ */
+export const exchangeLoginCode = async (req, res) => {
+  try {
+    const result = await exchangeAuthLoginCode(req.body.code, req);
+    if (result.error) {
+      return res
+        .status(result.code === "ACCOUNT_DISABLED" ? 403 : 401)
+        .json({error: result.error, code: result.code});
+    }
+
+    res.json({
+      message: "Login successful",
+      token: result.tokens.token,
+      refreshToken: result.tokens.refreshToken,
+      expiresIn: result.tokens.expiresIn,
+    });
+  } catch (error) {
+    console.error("Exchange login code error:", error);
+    res.status(500).json({error: "Failed to complete sign-in"});
+  }
+};
+
+/**
+ * Log out this device
+ * POST /api/auth/logout
+ * Body: { refreshToken }
+ */
+export const logout = async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+
+    // Same answer for unknown tokens; the client is logged out either way
+    res.json({message: "Logged out"});
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({error: "Logout failed"});
+  }
+};
+
+/**
+ * List active sessions (signed-in devices)
+ * GET /api/auth/sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.userId);
+
+    res.json({
+      sessions: sessions.map((session) =>
+        summarizeSession(session, req.user.sid)
+      ),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({error: "Failed to get sessions"});
+  }
+};
+
+/**
+ * Revoke one session
+ * DELETE /api/auth/sessions/:sessionId
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const revoked = await revokeAuthSession(
+      req.user.userId,
+      req.params.sessionId
+    );
+    if (!revoked) {
+      return res.status(404).json({error: "Session not found"});
+    }
+
+    res.json({message: "Session revoked"});
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({error: "Failed to revoke session"});
+  }
+};
+
+/**
+ * Revoke all sessions except the current one
+ * DELETE /api/auth/sessions
+ */
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.userId, "revoked", {
+      exceptSessionId: req.user.sid,
+    });
+
+    res.json({message: "Other sessions revoked", revokedCount});
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({error: "Failed to revoke sessions"});
+  }
+};
+
+export default {
+  refreshToken,
+  exchangeLoginCode,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+};
@@ -0,0 +1,278 @@
+import mongoose from "mongoose";
+import CoverLetter from "../models/CoverLetter.model.js";
+import * as aiRouter from "../services/aiRouter.service.js";
+import {
+  buildParagraphPrompts,
+  cleanParagraph,
+  getGenerationOptions,
+  splitParagraphs,
+} from "../services/coverLetter.service.js";
+
+const EDITABLE_FIELDS = [
+  "title",
+  "companyName",
+  "jobTitle",
+  "jobDescription",
+  "tone",
+  "length",
+];
+
+/**
+ * Generate and save a cover letter for a resume
+ * POST /api/cover-letter
+ */
+export const createCoverLetter = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {jobDescription, companyName, jobTitle, title, tone, length} =
+      req.body;
+    const resume = req.resume; // Set by checkResumeActionAccess
+
+    const options = getGenerationOptions({tone, length, jobTitle});
+
+    console.log(
+      `✉️  Generating ${length || "medium"} ${options.tone} cover letter for resume ${resume._id}`
+    );
+
+    const {data, aiModel, fallback} = await aiRouter.generateCoverLetter(
+      resume.toObject(),
+      jobDescription,
+      companyName || "the company",
+      req.user,
+      options
+    );
+
+    const paragraphs = splitParagraphs(data);
+    if (paragraphs.length === 0) {
+      return res
+        .status(502)
+        .json({error: "AI returned an empty cover letter. Please try again."});
+    }
+
+    const coverLetter = await CoverLetter.create({
+      userId,
+      resumeId: resume._id,
+      // Both parts can be 100 characters; the title can't
+      title:
+        title ||
+        [jobTitle, companyName].filter(Boolean).join(" at ").slice(0, 100) ||
+        "Cover Letter",
+      companyName: companyName || "",
+      jobTitle: jobTitle || "",
+      jobDescription,
+      tone: options.tone,
+      length: length || "medium",
+      paragraphs,
+      aiModel,
+      generationCount: 1,
+      lastGeneratedAt: new Date(),
+    });
+
+    await req.user.incrementUsage("coverLetter");
+
+    res.status(201).json({
+      message: "Cover letter generated successfully",
+      coverLetter,
+      ...(fallback && {fallback: true}),
+    });
+  } catch (error) {
+    console.error("❌ Create cover letter error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to generate cover letter",
+    });
+  }
+};
+
+/**
+ * Get all cover letters for logged-in user
+ * GET /api/cover-letter
+ */
+export const getCoverLetters = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const filter = {userId};
+
+    if (req.query.resumeId) {
+      if (!mongoose.isValidObjectId(req.query.resumeId)) {
+        return res.status(400).json({error: "Invalid resume ID"});
+      }
+      filter.resumeId = req.query.resumeId;
+    }
+
+    const coverLetters = await CoverLetter.find(filter)
+      .select("-jobDescription")
+      .sort({updatedAt: -1});
+
+    res.json({coverLetters});
+  } catch (error) {
+    console.error("Get cover letters error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch cover letters",
+    });
+  }
+};
+
+/**
+ * Get single cover letter by ID
+ * GET /api/cover-letter/:id
+ */
+export const getCoverLetterById = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const coverLetter = await CoverLetter.findOne({
+      _id: req.params.id,
+      userId,
+    });
+
+    if (!coverLetter) {
+      return res.status(404).json({error: "Cover letter not found"});
+    }
+
+    res.json({coverLetter});
+  } catch (error) {
+    console.error("Get cover letter error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch cover letter",
+    });
+  }
+};
+
+/**
+ * Update cover letter details or text (manual edits, no AI)
+ * PUT /api/cover-letter/:id
+ */
+export const updateCoverLetter = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const coverLetter = await CoverLetter.findOne({
+      _id: req.params.id,
+      userId,
+    });
+
+    if (!coverLetter) {
+      return res.status(404).json({error: "Cover letter not found"});
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        coverLetter[field] = req.body[field];
+      }
+    });
+
+    if (Array.isArray(req.body.paragraphs)) {
+      coverLetter.paragraphs = req.body.paragraphs
+        .map((paragraph) => paragraph.trim())
+        .filter(Boolean);
+    } else if (typeof req.body.content === "string") {
+      coverLetter.paragraphs = splitParagraphs(req.body.content);
+    }
+
+    await coverLetter.save();
+
+    res.json({
+      message: "Cover letter updated successfully",
+      coverLetter,
+    });
+  } catch (error) {
+    console.error("Update cover letter error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to update cover letter",
+    });
+  }
+};
+
+/**
+ * Delete cover letter
+ * DELETE /api/cover-letter/:id
+ */
+export const deleteCoverLetter = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const coverLetter = await CoverLetter.findOneAndDelete({
+      _id: req.params.id,
+      userId,
+    });
+
+    if (!coverLetter) {
+      return res.status(404).json({error: "Cover letter not found"});
+    }
+
+    res.json({message: "Cover letter deleted successfully"});
+  } catch (error) {
+    console.error("Delete cover letter error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to delete cover letter",
+    });
+  }
+};
+
+/**
+ * Regenerate a single paragraph, keeping the rest of the letter
+ * POST /api/cover-letter/:id/paragraphs/:index/regenerate
+ */
+export const regenerateParagraph = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const index = Number(req.params.index);
+    const {instructions, tone} = req.body;
+
+    const coverLetter = await CoverLetter.findOne({
+      _id: req.params.id,
+      userId,
+    });
+
+    if (!coverLetter) {
+      return res.status(404).json({error: "Cover letter not found"});
+    }
+
+    if (index >= coverLetter.paragraphs.length) {
+      return res.status(400).json({
+        error: `Paragraph index out of range (0-${
+          coverLetter.paragraphs.length - 1
+        })`,
+      });
+    }
+
+    if (tone) {
+      coverLetter.tone = tone;
+    }
+
+    const {systemPrompt, userPrompt} = buildParagraphPrompts(
+      coverLetter,
+      index,
+      instructions
+    );
+    const {text, aiModel} = await aiRouter.rewriteCoverLetterParagraph(
+      systemPrompt,
+      userPrompt,
+      req.user
+    );
+
+    const paragraph = cleanParagraph(text);
+    if (!paragraph) {
+      return res
+        .status(502)
+        .json({error: "AI returned an empty paragraph. Please try again."});
+    }
+
+    coverLetter.paragraphs.set(index, paragraph);
+    coverLetter.aiModel = aiModel;
+    coverLetter.generationCount += 1;
+    coverLetter.lastGeneratedAt = new Date();
+    await coverLetter.save();
+
+    await req.user.incrementUsage("aiGeneration");
+
+    res.json({
+      message: "Paragraph regenerated successfully",
+      index,
+      paragraph,
+      coverLetter,
+    });
+  } catch (error) {
+    console.error("❌ Regenerate paragraph error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to regenerate paragraph",
+    });
+  }
+};
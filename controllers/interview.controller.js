@@ -3,8 +3,37 @@ import InterviewResult from "../models/InterviewResult.model.js";
 import Resume from "../models/Resume.model.js";
 import * as interviewService from "../services/interview.service.js";
 import * as interviewStateManager from "../services/interview-state.service.js";
-import axios from "axios";
-import FormData from "form-data";
+import {
+  resolveSessionBanks,
+  hideUnresolvedAnswerKeys,
+} from "../services/questionBank.service.js";
+import {checkRoleAvailability} from "../services/interviewRole.service.js";
+import {transcribeAudio} from "../services/transcription.service.js";
+import {storeAnswerAudio} from "../services/interviewAudio.service.js";
+import {analyzeDelivery} from "../services/speechDelivery.service.js";
+import {
+  formatDesignAnswer,
+  normalizeDesignAnswer,
+} from "../services/systemDesign.service.js";
+import {
+  CODING_LANGUAGES,
+  MAX_CODE_LENGTH,
+  getPublicCodingDetails,
+  getPublicTestResults,
+  runSampleTests,
+  runSubmissionTests,
+  validateCodeSubmission,
+} from "../services/codingQuestion.service.js";
+import {
+  TIMING_LIMITS,
+  buildTimingPolicy,
+  getTimingStatus,
+  resolveTimeouts,
+} from "../services/interviewTiming.service.js";
+import {
+  PROGRESS_LIMITS,
+  getInterviewProgress,
+} from "../services/interviewProgress.service.js";
 
 /**
  * Interview Controller
@@ -44,8 +73,21 @@ export const getInterviewConfig = async (req, res) => {
           name: "Mixed Interview",
           description: "Combination of technical and behavioral",
         },
+        {
+          id: "coding",
+          name: "Coding Interview",
+          description: "Programming problems checked against test cases",
+          modes: ["text", "mixed"],
+        },
+        {
+          id: "system-design",
+          name: "System Design Interview",
+          description:
+            "Design a system with requirements, components, data flow and trade-offs",
+          modes: ["text", "mixed"],
+        },
       ],
-      roles: interviewService.getAvailableRoles(),
+      roles: await interviewService.getAvailableRoles(),
       experienceLevels: interviewService.getExperienceLevels(),
       limits: interviewService.getInterviewLimits(),
       modes: [
@@ -61,8 +103,38 @@ export const getInterviewConfig = async (req, res) => {
           description:
             "Real-time conversation with AI interviewer (voice-to-voice)",
           requiresTTS: true,
+          socketPath: "/api/interview/sessions/:sessionId/live",
         },
       ],
+      questionSources: [
+        {id: "ai", name: "AI Generated", description: "Fresh AI questions"},
+        {
+          id: "bank",
+          name: "Question Bank",
+          description: "Questions from your selected question banks",
+        },
+        {
+          id: "mixed",
+          name: "Bank + AI",
+          description: "Alternate between bank and AI questions",
+        },
+      ],
+      timingPolicies: [
+        {id: "none", name: "Untimed", description: "No time limits"},
+        {
+          id: "per-question",
+          name: "Per Question",
+          description: "Each question has its own time limit",
+          limits: TIMING_LIMITS.questionTimeLimitSeconds,
+        },
+        {
+          id: "total",
+          name: "Whole Interview",
+          description: "One time limit for the entire interview",
+          limits: TIMING_LIMITS.totalTimeLimitSeconds,
+        },
+      ],
+      codingLanguages: CODING_LANGUAGES,
       ttsAvailable: true, // Always true - Browser TTS (Web Speech API) is always available as fallback
     };
 
@@ -91,6 +163,10 @@ export const createSession = async (req, res) => {
       jobDescription,
       targetSkills = [],
       totalQuestions = 10,
+      questionSource = "ai",
+      questionBankIds = [],
+      timing: timingInput,
+      codingLanguage = "javascript",
     } = req.body;
 
     // Validate required fields
@@ -108,6 +184,8 @@ export const createSession = async (req, res) => {
       "technical",
       "behavioral",
       "mixed",
+      "coding",
+      "system-design",
     ];
     if (!validTypes.includes(interviewType)) {
       return res.status(400).json({
@@ -118,6 +196,34 @@ export const createSession = async (req, res) => {
       });
     }
 
+    // Code and design answers are typed, so spoken-only modes can't be used
+    if (
+      ["coding", "system-design"].includes(interviewType) &&
+      ["voice", "live"].includes(mode)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `${
+          interviewType === "coding" ? "Coding" : "System design"
+        } interviews are only available in text or mixed mode`,
+      });
+    }
+
+    if (!CODING_LANGUAGES.includes(codingLanguage)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid coding language. Must be one of: ${CODING_LANGUAGES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    // Admins can disable roles or individual levels of a role
+    const roleError = await checkRoleAvailability(role, experienceLevel);
+    if (roleError) {
+      return res.status(400).json({success: false, error: roleError});
+    }
+
     // Get resume text if resume-based interview
     let resumeText = "";
     if (resumeId || interviewType === "resume-based") {
@@ -147,6 +253,40 @@ export const createSession = async (req, res) => {
       });
     }
 
+    // Validate question bank selection
+    const validSources = ["ai", "bank", "mixed"];
+    if (!validSources.includes(questionSource)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid question source. Must be one of: ${validSources.join(
+          ", "
+        )}`,
+      });
+    }
+
+    if (questionSource !== "ai") {
+      if (!Array.isArray(questionBankIds) || questionBankIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Select at least one question bank",
+        });
+      }
+
+      const {error: bankError} = await resolveSessionBanks(
+        userId,
+        questionBankIds
+      );
+      if (bankError) {
+        return res.status(400).json({success: false, error: bankError});
+      }
+    }
+
+    // Validate time limits
+    const {timing, error: timingError} = buildTimingPolicy(timingInput);
+    if (timingError) {
+      return res.status(400).json({success: false, error: timingError});
+    }
+
     // Create session
     const session = new InterviewSession({
       userId,
@@ -154,11 +294,15 @@ export const createSession = async (req, res) => {
       role,
       experienceLevel,
       mode,
+      codingLanguage,
       resumeId,
       resumeText,
       jobDescription,
       targetSkills,
       totalQuestions: Math.min(Math.max(totalQuestions, 5), 15), // Clamp between 5-15
+      questionSource,
+      questionBankIds: questionSource === "ai" ? [] : questionBankIds,
+      timing,
       status: "created",
       aiModel: selectAIModel(req.user),
       metadata: {
@@ -181,7 +325,13 @@ export const createSession = async (req, res) => {
         role: session.role,
         experienceLevel: session.experienceLevel,
         mode: session.mode,
+        codingLanguage:
+          session.interviewType === "coding"
+            ? session.codingLanguage
+            : undefined,
         totalQuestions: session.totalQuestions,
+        questionSource: session.questionSource,
+        timing: session.timing,
         status: session.status,
       },
     });
@@ -230,18 +380,14 @@ export const startSession = async (req, res) => {
       questionNumber: 1,
     };
 
-    const questionData = await interviewService.generateQuestion(
+    const questionData = await interviewService.getNextQuestion(
+      session,
       questionConfig,
       req.user
     );
 
     // Add question to session
-    session.addQuestion({
-      questionText: questionData.question,
-      questionType: questionData.questionType,
-      category: questionData.category,
-      difficulty: questionData.difficulty,
-    });
+    const firstQuestion = session.addQuestion(questionData);
 
     await session.save();
 
@@ -257,9 +403,11 @@ export const startSession = async (req, res) => {
         mode: session.mode,
         currentQuestion: {
           number: 1,
-          text: questionData.question,
-          type: questionData.questionType,
-          category: questionData.category,
+          text: firstQuestion.questionText,
+          type: firstQuestion.questionType,
+          category: firstQuestion.category,
+          deadlineAt: firstQuestion.deadlineAt,
+          coding: getPublicCodingDetails(firstQuestion),
           audio: null,
         },
         progress: {
@@ -267,6 +415,7 @@ export const startSession = async (req, res) => {
           total: session.totalQuestions,
           percentage: Math.round((1 / session.totalQuestions) * 100),
         },
+        timing: getTimingStatus(session),
       },
     });
   } catch (error) {
@@ -284,10 +433,11 @@ export const startSession = async (req, res) => {
 export const submitAnswer = async (req, res) => {
   try {
     const {sessionId} = req.params;
-    const {answer, questionNumber, answerMode = "text"} = req.body;
+    const {answer, design, questionNumber, answerMode = "text"} = req.body;
     const userId = req.user.userId || req.user._id;
 
-    if (!answer || answer.trim().length < 10) {
+    // System design questions send a structured design instead of text
+    if (!design && (!answer || answer.trim().length < 10)) {
       return res.status(400).json({
         success: false,
         error: "Please provide a more detailed answer (at least 10 characters)",
@@ -306,6 +456,8 @@ export const submitAnswer = async (req, res) => {
       });
     }
 
+    const timeouts = await resolveTimeouts(session, req.user);
+
     // Get current question
     const currentQuestion = session.questions.find(
       (q) => q.questionNumber === questionNumber
@@ -316,25 +468,66 @@ export const submitAnswer = async (req, res) => {
         .json({success: false, error: "Question not found"});
     }
 
+    if (currentQuestion.timedOut) {
+      return sendTimeLimitReached(res, session, timeouts);
+    }
+
     if (currentQuestion.userAnswer) {
       return res
         .status(400)
         .json({success: false, error: "Question already answered"});
     }
 
+    if (currentQuestion.questionType === "coding") {
+      return res.status(400).json({
+        success: false,
+        error: "Coding questions take a code submission",
+      });
+    }
+
+    let answerText = answer?.trim();
+    if (currentQuestion.questionType === "system-design") {
+      if (!design) {
+        return res.status(400).json({
+          success: false,
+          error: "System design questions take a structured design answer",
+        });
+      }
+
+      const {design: normalizedDesign, error: designError} =
+        normalizeDesignAnswer(design);
+      if (designError) {
+        return res.status(400).json({success: false, error: designError});
+      }
+
+      currentQuestion.design = normalizedDesign;
+      answerText = formatDesignAnswer(normalizedDesign);
+    } else if (design) {
+      return res.status(400).json({
+        success: false,
+        error: "Only system design questions take a design answer",
+      });
+    }
+
     // Submit the answer
-    session.submitAnswer(questionNumber, answer.trim(), answerMode);
+    session.submitAnswer(
+      questionNumber,
+      answerText,
+      design ? "design" : answerMode
+    );
 
     // Evaluate the answer
     const evaluation = await interviewService.evaluateAnswer(
       {
         question: currentQuestion.questionText,
-        answer: answer.trim(),
+        answer: answerText,
         questionType: currentQuestion.questionType,
         category: currentQuestion.category,
         expectedKeywords: currentQuestion.expectedKeywords,
         role: session.role,
         experienceLevel: session.experienceLevel,
+        referenceAnswer: currentQuestion.referenceAnswer,
+        rubric: currentQuestion.rubric,
       },
       req.user
     );
@@ -353,6 +546,8 @@ export const submitAnswer = async (req, res) => {
       suggestedAnswer: evaluation.suggestedAnswer,
       improvementTips: evaluation.improvementTips,
       feedback: evaluation.feedback,
+      rubricScores: evaluation.rubricScores,
+      designScores: evaluation.designScores,
     });
 
     // Check if interview is complete
@@ -371,7 +566,7 @@ export const submitAnswer = async (req, res) => {
         const followUpData = await interviewService.generateFollowUp(
           {
             previousQuestion: currentQuestion.questionText,
-            previousAnswer: answer.trim(),
+            previousAnswer: answerText,
             followUpReason: evaluation.followUpReason,
             role: session.role,
             experienceLevel: session.experienceLevel,
@@ -379,7 +574,7 @@ export const submitAnswer = async (req, res) => {
           req.user
         );
 
-        session.addQuestion({
+        const followUp = session.addQuestion({
           questionText: followUpData.question,
           questionType: "follow-up",
           category: currentQuestion.category,
@@ -394,6 +589,7 @@ export const submitAnswer = async (req, res) => {
           type: "follow-up",
           category: currentQuestion.category,
           isFollowUp: true,
+          deadlineAt: followUp.deadlineAt,
         };
       } else if (answeredCount < session.totalQuestions) {
         // Generate next regular question
@@ -427,23 +623,21 @@ export const submitAnswer = async (req, res) => {
           questionNumber: session.questions.length + 1,
         };
 
-        const questionData = await interviewService.generateQuestion(
+        const questionData = await interviewService.getNextQuestion(
+          session,
           questionConfig,
           req.user
         );
 
-        session.addQuestion({
-          questionText: questionData.question,
-          questionType: questionData.questionType,
-          category: questionData.category,
-          difficulty: questionData.difficulty,
-        });
+        const question = session.addQuestion(questionData);
 
         nextQuestion = {
-          number: session.questions.length,
-          text: questionData.question,
-          type: questionData.questionType,
-          category: questionData.category,
+          number: question.questionNumber,
+          text: question.questionText,
+          type: question.questionType,
+          category: question.category,
+          deadlineAt: question.deadlineAt,
+          coding: getPublicCodingDetails(question),
         };
       }
     }
@@ -461,6 +655,8 @@ export const submitAnswer = async (req, res) => {
           strengths: evaluation.strengths,
           weaknesses: evaluation.weaknesses,
           improvementTips: evaluation.improvementTips,
+          rubricScores: evaluation.rubricScores,
+          designScores: evaluation.designScores,
         },
         progress: {
           current: answeredCount,
@@ -471,6 +667,7 @@ export const submitAnswer = async (req, res) => {
         },
         isComplete,
         mode: session.mode,
+        timing: getTimingStatus(session),
       },
     };
 
@@ -506,21 +703,15 @@ export const skipQuestion = async (req, res) => {
       return res.status(404).json({success: false, error: "Session not found"});
     }
 
-    const question = session.questions.find(
-      (q) => q.questionNumber === questionNumber
-    );
-    if (!question) {
-      return res
-        .status(400)
-        .json({success: false, error: "Question not found"});
-    }
+    const timeouts = await resolveTimeouts(session, req.user);
 
-    question.skipped = true;
-    question.answeredAt = new Date();
-    question.evaluation = {
-      score: 0,
-      feedback: "Question was skipped",
-    };
+    const skip = interviewService.skipQuestion(session, questionNumber);
+    if (skip.code === "QUESTION_TIMED_OUT") {
+      return sendTimeLimitReached(res, session, timeouts);
+    }
+    if (skip.error) {
+      return res.status(400).json({success: false, error: skip.error});
+    }
 
     // Check if complete
     const answeredCount = session.questions.filter(
@@ -550,23 +741,21 @@ export const skipQuestion = async (req, res) => {
         questionNumber: session.questions.length + 1,
       };
 
-      const questionData = await interviewService.generateQuestion(
+      const questionData = await interviewService.getNextQuestion(
+        session,
         questionConfig,
         req.user
       );
 
-      session.addQuestion({
-        questionText: questionData.question,
-        questionType: questionData.questionType,
-        category: questionData.category,
-        difficulty: questionData.difficulty,
-      });
+      const question = session.addQuestion(questionData);
 
       nextQuestion = {
-        number: session.questions.length,
-        text: questionData.question,
-        type: questionData.questionType,
-        category: questionData.category,
+        number: question.questionNumber,
+        text: question.questionText,
+        type: question.questionType,
+        category: question.category,
+        deadlineAt: question.deadlineAt,
+        coding: getPublicCodingDetails(question),
         audio: null,
       };
     }
@@ -587,6 +776,7 @@ export const skipQuestion = async (req, res) => {
         },
         nextQuestion,
         isComplete,
+        timing: getTimingStatus(session),
       },
     });
   } catch (error) {
@@ -595,6 +785,328 @@ export const skipQuestion = async (req, res) => {
   }
 };
 
+/**
+ * Run code against the sample tests of a coding question (not graded)
+ * POST /api/interview/sessions/:sessionId/code/run
+ */
+export const runCode = async (req, res) => {
+  try {
+    const {sessionId} = req.params;
+    const {questionNumber, code} = req.body;
+    const userId = req.user.userId || req.user._id;
+
+    const session = await InterviewSession.findOne({_id: sessionId, userId});
+    if (!session) {
+      return res.status(404).json({success: false, error: "Session not found"});
+    }
+
+    if (session.status !== interviewStateManager.STATES.IN_PROGRESS) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot run code for session with status: ${session.status}`,
+      });
+    }
+
+    const timeouts = await resolveTimeouts(session, req.user);
+
+    const question = session.questions.find(
+      (q) => q.questionNumber === questionNumber
+    );
+    if (!question) {
+      return res
+        .status(400)
+        .json({success: false, error: "Question not found"});
+    }
+
+    if (question.timedOut) {
+      return sendTimeLimitReached(res, session, timeouts);
+    }
+
+    const codeError = validateCodeSubmission(question, code);
+    if (codeError) {
+      return res.status(400).json({success: false, error: codeError});
+    }
+
+    const {testResults, output} = await runSampleTests(question, code, {
+      userId,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        questionNumber,
+        testResults: testResults || null,
+        output: output || null,
+        timing: getTimingStatus(session),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Run code error:", error);
+    res.status(500).json({success: false, error: "Failed to run code"});
+  }
+};
+
+/**
+ * Submit code for a coding question: runs every test case (including hidden
+ * ones), evaluates the code and returns the next question
+ * POST /api/interview/sessions/:sessionId/code
+ */
+export const submitCodeAnswer = async (req, res) => {
+  try {
+    const {sessionId} = req.params;
+    const {questionNumber, code} = req.body;
+    const userId = req.user.userId || req.user._id;
+
+    const session = await InterviewSession.findOne({_id: sessionId, userId});
+    if (!session) {
+      return res.status(404).json({success: false, error: "Session not found"});
+    }
+
+    if (session.status !== interviewStateManager.STATES.IN_PROGRESS) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot submit answer for session with status: ${session.status}`,
+      });
+    }
+
+    const timeouts = await resolveTimeouts(session, req.user);
+
+    const currentQuestion = session.questions.find(
+      (q) => q.questionNumber === questionNumber
+    );
+    if (!currentQuestion) {
+      return res
+        .status(400)
+        .json({success: false, error: "Question not found"});
+    }
+
+    if (currentQuestion.timedOut) {
+      return sendTimeLimitReached(res, session, timeouts);
+    }
+
+    if (currentQuestion.userAnswer || currentQuestion.skipped) {
+      return res
+        .status(400)
+        .json({success: false, error: "Question already answered"});
+    }
+
+    const codeError = validateCodeSubmission(currentQuestion, code);
+    if (codeError) {
+      return res.status(400).json({success: false, error: codeError});
+    }
+
+    // Run the tests before recording the answer so the time spent includes them
+    const testResults = await runSubmissionTests(currentQuestion, code, {
+      userId,
+    });
+    session.submitAnswer(questionNumber, code, "code");
+
+    const evaluation = await interviewService.evaluateAnswer(
+      {
+        question: currentQuestion.questionText,
+        answer: code,
+        questionType: currentQuestion.questionType,
+        category: currentQuestion.category,
+        expectedKeywords: currentQuestion.expectedKeywords,
+        role: session.role,
+        experienceLevel: session.experienceLevel,
+        referenceAnswer: currentQuestion.referenceAnswer,
+        rubric: currentQuestion.rubric,
+        language: currentQuestion.coding.language,
+        codeExecution: testResults,
+        testCases: currentQuestion.coding.testCases,
+      },
+      req.user
+    );
+
+    session.addEvaluation(questionNumber, {
+      score: evaluation.score,
+      relevance: evaluation.relevance,
+      technicalAccuracy: evaluation.technicalAccuracy,
+      clarity: evaluation.clarity,
+      confidence: evaluation.confidence,
+      roleFit: evaluation.roleFit,
+      strengths: evaluation.strengths,
+      weaknesses: evaluation.weaknesses,
+      missingKeywords: evaluation.missingKeywords,
+      suggestedAnswer: evaluation.suggestedAnswer,
+      improvementTips: evaluation.improvementTips,
+      feedback: evaluation.feedback,
+      rubricScores: evaluation.rubricScores,
+      testPassRate: evaluation.testPassRate,
+      codeQualityScore: evaluation.codeQualityScore,
+    });
+
+    const answeredCount = session.questions.filter(
+      (q) => q.userAnswer || q.skipped
+    ).length;
+    const isComplete = answeredCount >= session.totalQuestions;
+
+    let nextQuestion = null;
+
+    if (!isComplete) {
+      const recentScores = session.questions
+        .slice(-3)
+        .map((q) => q.evaluation?.score || 50);
+      const avgRecentScore =
+        recentScores.reduce((a, b) => a + b, 0) / recentScores.length;
+      let currentDifficulty = "medium";
+      if (avgRecentScore >= 80) currentDifficulty = "hard";
+      else if (avgRecentScore <= 40) currentDifficulty = "easy";
+
+      const questionConfig = {
+        interviewType: session.interviewType,
+        role: session.role,
+        experienceLevel: session.experienceLevel,
+        resumeText: session.resumeText,
+        jobDescription: session.jobDescription,
+        targetSkills: session.targetSkills,
+        previousQuestions: session.questions.map((q) => q.questionText),
+        previousAnswers: session.questions.map((q) => q.userAnswer || ""),
+        currentDifficulty,
+        questionNumber: session.questions.length + 1,
+      };
+
+      const questionData = await interviewService.getNextQuestion(
+        session,
+        questionConfig,
+        req.user
+      );
+
+      const question = session.addQuestion(questionData);
+
+      nextQuestion = {
+        number: question.questionNumber,
+        text: question.questionText,
+        type: question.questionType,
+        category: question.category,
+        deadlineAt: question.deadlineAt,
+        coding: getPublicCodingDetails(question),
+      };
+    }
+
+    await interviewStateManager.checkAutoComplete(session);
+    await session.save();
+
+    console.log(
+      `💻 Code answer for ${session._id} Q${questionNumber}: ${
+        testResults ? `${testResults.passed}/${testResults.total}` : "no"
+      } tests passed`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        testResults: getPublicTestResults(testResults),
+        evaluation: {
+          score: evaluation.score,
+          testPassRate: evaluation.testPassRate,
+          codeQualityScore: evaluation.codeQualityScore,
+          feedback: evaluation.feedback,
+          strengths: evaluation.strengths,
+          weaknesses: evaluation.weaknesses,
+          improvementTips: evaluation.improvementTips,
+          rubricScores: evaluation.rubricScores,
+        },
+        progress: {
+          current: answeredCount,
+          total: session.totalQuestions,
+          percentage: Math.round(
+            (answeredCount / session.totalQuestions) * 100
+          ),
+        },
+        nextQuestion,
+        isComplete,
+        timing: getTimingStatus(session),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Submit code answer error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to process your code"});
+  }
+};
+
+/**
+ * Save the in-progress answer of a timed question so it can be auto-submitted
+ * when time runs out
+ * PUT /api/interview/sessions/:sessionId/draft
+ */
+export const saveDraftAnswer = async (req, res) => {
+  try {
+    const {sessionId} = req.params;
+    const {questionNumber, draftAnswer = ""} = req.body;
+    const userId = req.user.userId || req.user._id;
+
+    // Code drafts may be as long as a code submission
+    if (
+      typeof draftAnswer !== "string" ||
+      draftAnswer.length > MAX_CODE_LENGTH
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `Draft answer must be text of at most ${MAX_CODE_LENGTH.toLocaleString()} characters`,
+      });
+    }
+
+    const session = await InterviewSession.findOne({_id: sessionId, userId});
+    if (!session) {
+      return res.status(404).json({success: false, error: "Session not found"});
+    }
+
+    if (session.status !== interviewStateManager.STATES.IN_PROGRESS) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot save a draft for session with status: ${session.status}`,
+      });
+    }
+
+    const timeouts = await resolveTimeouts(session, req.user);
+
+    const question = session.questions.find(
+      (q) => q.questionNumber === questionNumber
+    );
+    if (!question) {
+      return res
+        .status(400)
+        .json({success: false, error: "Question not found"});
+    }
+
+    if (question.timedOut) {
+      return sendTimeLimitReached(res, session, timeouts);
+    }
+
+    if (question.userAnswer || question.skipped) {
+      return res
+        .status(400)
+        .json({success: false, error: "Question already answered"});
+    }
+
+    if (question.questionType !== "coding" && draftAnswer.length > 10000) {
+      return res.status(400).json({
+        success: false,
+        error: "Draft answer must be text of at most 10,000 characters",
+      });
+    }
+
+    question.draftAnswer = draftAnswer;
+    await session.save();
+
+    res.json({
+      success: true,
+      data: {
+        questionNumber,
+        savedAt: new Date(),
+        timing: getTimingStatus(session),
+      },
+    });
+  } catch (error) {
+    console.error("❌ Save draft answer error:", error);
+    res.status(500).json({success: false, error: "Failed to save draft"});
+  }
+};
+
 /**
  * Complete interview and generate report
  * POST /api/interview/sessions/:sessionId/complete
@@ -677,7 +1189,9 @@ export const completeSession = async (req, res) => {
         averageTimePerQuestion: avgTimePerQuestion,
         totalDuration: session.totalDurationSeconds,
         questionsAboveThreshold,
+        delivery: reportData.delivery || undefined,
       },
+      timeManagement: reportData.timeManagement,
       comparisonData: {
         previousScore: previousResult?.overallScore,
         scoreChange: previousResult
@@ -734,7 +1248,20 @@ export const getSession = async (req, res) => {
       return res.status(404).json({success: false, error: "Session not found"});
     }
 
-    res.json({success: true, data: session});
+    // Polling clients pick up questions that timed out in the meantime
+    await resolveTimeouts(session, req.user);
+
+    const data = session.toObject();
+    // Hidden tests and answer keys stay private
+    data.questions.forEach((q) => {
+      hideUnresolvedAnswerKeys(q);
+      if (q.questionType === "coding") q.coding = getPublicCodingDetails(q);
+    });
+
+    res.json({
+      success: true,
+      data: {...data, timingStatus: getTimingStatus(session)},
+    });
   } catch (error) {
     console.error("❌ Get session error:", error);
     res.status(500).json({success: false, error: "Failed to get session"});
@@ -846,6 +1373,71 @@ export const getStats = async (req, res) => {
   }
 };
 
+// Clamp a numeric query parameter to PROGRESS_LIMITS
+const parseProgressLimit = (value, {min, max, default: fallback}) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+};
+
+/**
+ * Get score trends per skill and topic, weakest topics and a suggested next
+ * session
+ * GET /api/interview/progress
+ */
+export const getProgress = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user._id;
+    const {role, limit, window} = req.query;
+
+    const progress = await getInterviewProgress(userId, {
+      role,
+      limit: parseProgressLimit(limit, PROGRESS_LIMITS.sessions),
+      window: parseProgressLimit(window, PROGRESS_LIMITS.window),
+    });
+
+    res.json({success: true, data: progress});
+  } catch (error) {
+    console.error("❌ Get progress error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to get interview progress"});
+  }
+};
+
+/**
+ * Create a session from the suggested next-session configuration
+ * POST /api/interview/progress/next-session
+ * Body: { role?, mode?, totalQuestions?, timing? } (overrides)
+ */
+export const createSuggestedSession = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user._id;
+    const {role, mode, totalQuestions, timing} = req.body;
+
+    const {suggestedSession} = await getInterviewProgress(userId, {role});
+    if (!suggestedSession) {
+      return res.status(400).json({
+        success: false,
+        error: "Complete an interview first to get a suggested session",
+      });
+    }
+
+    req.body = {
+      ...suggestedSession,
+      ...(mode && {mode}),
+      ...(totalQuestions && {totalQuestions}),
+      ...(timing && {timing}),
+    };
+
+    return createSession(req, res);
+  } catch (error) {
+    console.error("❌ Create suggested session error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to create suggested session"});
+  }
+};
+
 /**
  * Abandon/cancel an interview session
  * POST /api/interview/sessions/:sessionId/abandon
@@ -927,6 +1519,31 @@ export const abandonSession = async (req, res) => {
 
 // Helper functions
 
+// Answers, skips and drafts that arrive after the question's time ran out
+function sendTimeLimitReached(res, session, timeouts) {
+  const next = timeouts.nextQuestion;
+
+  return res.status(409).json({
+    success: false,
+    error: "Time limit reached for this question",
+    data: {
+      timedOut: timeouts.timedOut,
+      nextQuestion: next
+        ? {
+            number: next.questionNumber,
+            text: next.questionText,
+            type: next.questionType,
+            category: next.category,
+            deadlineAt: next.deadlineAt,
+            coding: getPublicCodingDetails(next),
+          }
+        : null,
+      isComplete: timeouts.isComplete,
+      timing: getTimingStatus(session),
+    },
+  });
+}
+
 function convertResumeToText(resume) {
   const parts = [];
 
@@ -1036,59 +1653,52 @@ export const submitVoiceAnswer = async (req, res) => {
       });
     }
 
-    // Transcribe the audio using ML service
-    const mlServiceUrl = process.env.ML_SERVICE_URL || "http://localhost:5001";
+    // The deadline applies to when the recording arrived, not to transcription
+    const timeouts = await resolveTimeouts(session, req.user);
+    const timedOutQuestion = session.questions.find(
+      (q) => q.questionNumber === parseInt(questionNumber) && q.timedOut
+    );
+    if (timedOutQuestion) {
+      return sendTimeLimitReached(res, session, timeouts);
+    }
+
+    const typedQuestion = session.questions.find(
+      (q) =>
+        q.questionNumber === parseInt(questionNumber) &&
+        ["coding", "system-design"].includes(q.questionType)
+    );
+    if (typedQuestion) {
+      return res.status(400).json({
+        success: false,
+        error: "This question can't be answered by voice",
+      });
+    }
 
+    // Transcribe the audio using ML service
     console.log("📡 Sending to voice service:");
-    console.log("  - URL:", `${mlServiceUrl}/transcribe`);
     console.log("  - Buffer length:", audioFile.buffer.length);
     console.log("  - Original name:", audioFile.originalname);
     console.log("  - Mimetype:", audioFile.mimetype);
 
-    const formData = new FormData();
-    formData.append("audio", audioFile.buffer, {
-      filename: audioFile.originalname,
-      contentType: audioFile.mimetype,
-    });
-
-    console.log("  - FormData headers:", formData.getHeaders());
-
     let transcriptionResult;
     try {
-      const transcriptionResponse = await axios.post(
-        `${mlServiceUrl}/transcribe`,
-        formData,
-        {
-          headers: {
-            ...formData.getHeaders(),
-          },
-          timeout: 60000, // 60 second timeout for transcription
-        }
-      );
-      transcriptionResult = transcriptionResponse.data;
+      transcriptionResult = await transcribeAudio(audioFile.buffer, {
+        fileName: audioFile.originalname,
+        mimeType: audioFile.mimetype,
+      });
       console.log("✅ Transcription response:", transcriptionResult);
-    } catch (axiosError) {
-      console.error("❌ Voice service error:", axiosError.message);
-      if (axiosError.response) {
-        console.error("  - Status:", axiosError.response.status);
-        console.error("  - Data:", axiosError.response.data);
-        return res.status(axiosError.response.status).json({
+    } catch (transcriptionError) {
+      console.error("❌ Voice service error:", transcriptionError.message);
+      if (transcriptionError.status) {
+        return res.status(transcriptionError.status).json({
           success: false,
-          error:
-            axiosError.response.data?.error || "Failed to transcribe audio",
+          error: transcriptionError.message,
         });
       }
-      throw axiosError;
-    }
-
-    if (!transcriptionResult.success) {
-      return res.status(400).json({
-        success: false,
-        error: transcriptionResult.error || "Failed to transcribe audio",
-      });
+      throw transcriptionError;
     }
 
-    const transcribedText = transcriptionResult.data.text;
+    const transcribedText = transcriptionResult.text;
 
     if (!transcribedText || transcribedText.trim().length < 10) {
       return res.status(400).json({
@@ -1122,6 +1732,18 @@ export const submitVoiceAnswer = async (req, res) => {
       "voice"
     );
     currentQuestion.transcribedText = transcribedText;
+    await storeAnswerAudio(session, currentQuestion, audioFile.buffer, {
+      mimeType: audioFile.mimetype,
+      fileName: audioFile.originalname,
+      user: req.user,
+    });
+
+    const delivery = analyzeDelivery({
+      text: transcribedText,
+      durationSeconds: transcriptionResult.duration,
+      segments: transcriptionResult.segments,
+      timeSpentSeconds: currentQuestion.timeSpentSeconds,
+    });
 
     // Evaluate the answer
     const evaluation = await interviewService.evaluateAnswer(
@@ -1133,6 +1755,8 @@ export const submitVoiceAnswer = async (req, res) => {
         expectedKeywords: currentQuestion.expectedKeywords,
         role: session.role,
         experienceLevel: session.experienceLevel,
+        referenceAnswer: currentQuestion.referenceAnswer,
+        rubric: currentQuestion.rubric,
       },
       req.user
     );
@@ -1151,6 +1775,8 @@ export const submitVoiceAnswer = async (req, res) => {
       suggestedAnswer: evaluation.suggestedAnswer,
       improvementTips: evaluation.improvementTips,
       feedback: evaluation.feedback,
+      rubricScores: evaluation.rubricScores,
+      delivery,
     });
 
     // Check if interview is complete
@@ -1188,23 +1814,21 @@ export const submitVoiceAnswer = async (req, res) => {
         questionNumber: session.questions.length + 1,
       };
 
-      const questionData = await interviewService.generateQuestion(
+      const questionData = await interviewService.getNextQuestion(
+        session,
         questionConfig,
         req.user
       );
 
-      session.addQuestion({
-        questionText: questionData.question,
-        questionType: questionData.questionType,
-        category: questionData.category,
-        difficulty: questionData.difficulty,
-      });
+      const question = session.addQuestion(questionData);
 
       nextQuestion = {
-        number: session.questions.length,
-        text: questionData.question,
-        type: questionData.questionType,
-        category: questionData.category,
+        number: question.questionNumber,
+        text: question.questionText,
+        type: question.questionType,
+        category: question.category,
+        deadlineAt: question.deadlineAt,
+        coding: getPublicCodingDetails(question),
         audio: null,
       };
     }
@@ -1216,8 +1840,8 @@ export const submitVoiceAnswer = async (req, res) => {
       data: {
         transcription: {
           text: transcribedText,
-          duration: transcriptionResult.data.duration,
-          wordCount: transcriptionResult.data.wordCount,
+          duration: transcriptionResult.duration,
+          wordCount: transcriptionResult.wordCount,
         },
         evaluation: {
           score: evaluation.score,
@@ -1225,6 +1849,8 @@ export const submitVoiceAnswer = async (req, res) => {
           strengths: evaluation.strengths,
           weaknesses: evaluation.weaknesses,
           improvementTips: evaluation.improvementTips,
+          rubricScores: evaluation.rubricScores,
+          delivery,
         },
         progress: {
           current: answeredCount,
@@ -1235,6 +1861,7 @@ export const submitVoiceAnswer = async (req, res) => {
         },
         nextQuestion,
         isComplete,
+        timing: getTimingStatus(session),
       },
     });
   } catch (error) {
@@ -1251,11 +1878,16 @@ export default {
   startSession,
   submitAnswer,
   submitVoiceAnswer,
+  runCode,
+  submitCodeAnswer,
   skipQuestion,
+  saveDraftAnswer,
   completeSession,
   getSession,
   getResult,
   getHistory,
   getStats,
+  getProgress,
+  createSuggestedSession,
   abandonSession,
 };
@@ -0,0 +1,72 @@
+import InterviewSession from "../models/InterviewSession.model.js";
+import {
+  buildReplayTimeline,
+  getAnswerAudio,
+} from "../services/interviewAudio.service.js";
+
+/**
+ * Interview Replay Controller
+ * Timeline of a past interview with the recorded audio of each answer
+ */
+
+const findOwnSession = (req) =>
+  InterviewSession.findOne({
+    _id: req.params.sessionId,
+    userId: req.user.userId || req.user._id,
+  }).select("-resumeText -jobDescription -questions.coding.testCases");
+
+/**
+ * Get the replay timeline of a session
+ * GET /api/interview/sessions/:sessionId/replay
+ */
+export const getSessionReplay = async (req, res) => {
+  try {
+    const session = await findOwnSession(req);
+    if (!session) {
+      return res.status(404).json({success: false, error: "Session not found"});
+    }
+
+    res.json({success: true, data: buildReplayTimeline(session)});
+  } catch (error) {
+    console.error("❌ Get session replay error:", error);
+    res.status(500).json({success: false, error: "Failed to load replay"});
+  }
+};
+
+/**
+ * Stream the recorded audio of an answer
+ * GET /api/interview/sessions/:sessionId/replay/audio/:questionNumber
+ */
+export const getAnswerAudioFile = async (req, res) => {
+  try {
+    const session = await findOwnSession(req);
+    if (!session) {
+      return res.status(404).json({success: false, error: "Session not found"});
+    }
+
+    const question = session.questions.find(
+      (q) => q.questionNumber === parseInt(req.params.questionNumber)
+    );
+    const audio = question && (await getAnswerAudio(question));
+
+    if (!audio) {
+      return res.status(404).json({
+        success: false,
+        error: "No recording is available for this answer",
+      });
+    }
+
+    res.setHeader("Content-Type", audio.contentType);
+    res.setHeader("Content-Length", audio.body.length);
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    res.send(audio.body);
+  } catch (error) {
+    console.error("❌ Get answer audio error:", error);
+    res.status(500).json({success: false, error: "Failed to load audio"});
+  }
+};
+
+export default {
+  getSessionReplay,
+  getAnswerAudioFile,
+};
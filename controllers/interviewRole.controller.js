@@ -0,0 +1,207 @@
+import InterviewRole from "../models/InterviewRole.model.js";
+import {
+  buildDefaultLevels,
+  getInterviewRoles,
+} from "../services/interviewRole.service.js";
+
+/**
+ * Interview Role Controller
+ * Admin CRUD for the roles, topic weights and level settings served by
+ * GET /api/interview/config
+ */
+
+const ROLE_FIELDS = ["name", "description", "topics", "sortOrder", "isEnabled"];
+
+const applyRoleFields = (role, body) => {
+  ROLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      role[field] = body[field];
+    }
+  });
+
+  // Levels are merged so a partial update keeps the other levels
+  if (Array.isArray(body.levels)) {
+    const levels = role.levels?.length
+      ? role.levels.map((level) => level.toObject?.() || level)
+      : buildDefaultLevels();
+
+    body.levels.forEach((update) => {
+      const index = levels.findIndex((level) => level.level === update.level);
+      if (index === -1) {
+        levels.push(update);
+      } else {
+        levels[index] = {...levels[index], ...update};
+      }
+    });
+
+    role.levels = levels;
+  }
+};
+
+/**
+ * List all interview roles, including disabled ones
+ * GET /api/admin/interview-roles
+ */
+export const getInterviewRolesAdmin = async (req, res) => {
+  try {
+    const roles = await getInterviewRoles({includeDisabled: true});
+
+    res.json({success: true, data: {roles}});
+  } catch (error) {
+    console.error("Get interview roles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch interview roles",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an interview role
+ * GET /api/admin/interview-roles/:id
+ */
+export const getInterviewRoleAdmin = async (req, res) => {
+  try {
+    const role = await InterviewRole.findById(req.params.id);
+    if (!role) {
+      return res
+        .status(404)
+        .json({success: false, message: "Interview role not found"});
+    }
+
+    res.json({success: true, data: role});
+  } catch (error) {
+    console.error("Get interview role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch interview role",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create an interview role
+ * POST /api/admin/interview-roles
+ */
+export const createInterviewRole = async (req, res) => {
+  try {
+    const key = req.body.key.trim().toLowerCase();
+
+    if (await InterviewRole.exists({key})) {
+      return res.status(409).json({
+        success: false,
+        message: `An interview role with key '${key}' already exists`,
+      });
+    }
+
+    const role = new InterviewRole({
+      key,
+      levels: buildDefaultLevels(),
+      updatedBy: req.adminUser._id,
+    });
+    applyRoleFields(role, req.body);
+    await role.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Interview role created",
+      data: role,
+    });
+  } catch (error) {
+    console.error("Create interview role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create interview role",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update an interview role (the key cannot change; sessions store it)
+ * PUT /api/admin/interview-roles/:id
+ */
+export const updateInterviewRole = async (req, res) => {
+  try {
+    const role = await InterviewRole.findById(req.params.id);
+    if (!role) {
+      return res
+        .status(404)
+        .json({success: false, message: "Interview role not found"});
+    }
+
+    applyRoleFields(role, req.body);
+    role.updatedBy = req.adminUser._id;
+    await role.save();
+
+    res.json({success: true, message: "Interview role updated", data: role});
+  } catch (error) {
+    console.error("Update interview role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update interview role",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Enable or disable an interview role
+ * PATCH /api/admin/interview-roles/:id/status
+ */
+export const updateInterviewRoleStatus = async (req, res) => {
+  try {
+    const {isEnabled} = req.body;
+
+    const role = await InterviewRole.findByIdAndUpdate(
+      req.params.id,
+      {isEnabled, updatedBy: req.adminUser._id},
+      {new: true}
+    );
+    if (!role) {
+      return res
+        .status(404)
+        .json({success: false, message: "Interview role not found"});
+    }
+
+    res.json({
+      success: true,
+      message: `Interview role ${isEnabled ? "enabled" : "disabled"}`,
+      data: role,
+    });
+  } catch (error) {
+    console.error("Update interview role status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update interview role status",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete an interview role. Past sessions keep their role string; new
+ * sessions with this role fall back to the default topics.
+ * DELETE /api/admin/interview-roles/:id
+ */
+export const deleteInterviewRole = async (req, res) => {
+  try {
+    const role = await InterviewRole.findByIdAndDelete(req.params.id);
+    if (!role) {
+      return res
+        .status(404)
+        .json({success: false, message: "Interview role not found"});
+    }
+
+    res.json({success: true, message: "Interview role deleted"});
+  } catch (error) {
+    console.error("Delete interview role error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete interview role",
+      error: error.message,
+    });
+  }
+};
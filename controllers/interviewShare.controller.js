@@ -0,0 +1,272 @@
+import InterviewResult from "../models/InterviewResult.model.js";
+import InterviewShareLink from "../models/InterviewShareLink.model.js";
+import {
+  buildPublicReport,
+  buildShareUrl,
+  createShareLink,
+  findActiveShareLink,
+  recordShareView,
+  summarizeShareLink,
+} from "../services/interviewReportShare.service.js";
+import {
+  createPdfExportSession,
+  deletePdfExportSession,
+  getPdfExportSession,
+} from "../services/pdfExportSession.service.js";
+import {renderInterviewReportPdf} from "../services/pdfExport.service.js";
+
+/**
+ * Interview Share Controller
+ * Share links and PDF export for interview reports. Owner endpoints live
+ * under /api/interview/results/:sessionId; shared reports are public.
+ */
+
+const getDownloadFileName = (report) => {
+  const role = (report.role || "interview")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  const date = new Date(report.createdAt || Date.now())
+    .toISOString()
+    .slice(0, 10);
+  return `interview-report-${role || "interview"}-${date}.pdf`;
+};
+
+// Render the report through the Puppeteer pipeline and send it as a download.
+// baseUrl is only a fallback for the configured client URL; public routes
+// must not pass one, or anonymous callers could point the browser anywhere.
+const sendReportPdf = async (res, report, baseUrl) => {
+  let token = null;
+
+  try {
+    token = createPdfExportSession({report});
+    const pdfBuffer = await renderInterviewReportPdf(token, baseUrl);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${getDownloadFileName(report)}"`
+    );
+    res.setHeader("Content-Length", pdfBuffer.length);
+    res.send(pdfBuffer);
+  } finally {
+    if (token) {
+      deletePdfExportSession(token);
+    }
+  }
+};
+
+const findOwnResult = (req) =>
+  InterviewResult.findOne({
+    sessionId: req.params.sessionId,
+    userId: req.user.userId || req.user._id,
+  });
+
+// =====================
+// OWNER ENDPOINTS
+// =====================
+
+/**
+ * Create a share link for an interview report
+ * POST /api/interview/results/:sessionId/share
+ */
+export const createReportShareLink = async (req, res) => {
+  try {
+    const {expiresInDays, label} = req.body;
+
+    const result = await findOwnResult(req);
+    if (!result) {
+      return res.status(404).json({success: false, error: "Result not found"});
+    }
+
+    const {link, token, error} = await createShareLink(result, {
+      expiresInDays,
+      label,
+    });
+    if (error) {
+      return res.status(400).json({success: false, error});
+    }
+
+    console.log(`🔗 Share link created for interview result ${result._id}`);
+
+    // The token is only returned here; it is stored hashed
+    res.status(201).json({
+      success: true,
+      data: {
+        ...summarizeShareLink(link),
+        url: buildShareUrl(token),
+        token,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Create share link error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to create share link"});
+  }
+};
+
+/**
+ * List share links of an interview report
+ * GET /api/interview/results/:sessionId/share
+ */
+export const getReportShareLinks = async (req, res) => {
+  try {
+    const result = await findOwnResult(req);
+    if (!result) {
+      return res.status(404).json({success: false, error: "Result not found"});
+    }
+
+    const links = await InterviewShareLink.find({resultId: result._id}).sort({
+      createdAt: -1,
+    });
+
+    res.json({success: true, data: links.map(summarizeShareLink)});
+  } catch (error) {
+    console.error("❌ Get share links error:", error);
+    res.status(500).json({success: false, error: "Failed to get share links"});
+  }
+};
+
+/**
+ * Revoke a share link
+ * DELETE /api/interview/results/:sessionId/share/:linkId
+ */
+export const revokeReportShareLink = async (req, res) => {
+  try {
+    const result = await findOwnResult(req);
+    if (!result) {
+      return res.status(404).json({success: false, error: "Result not found"});
+    }
+
+    const link = await InterviewShareLink.findOne({
+      _id: req.params.linkId,
+      resultId: result._id,
+    });
+    if (!link) {
+      return res
+        .status(404)
+        .json({success: false, error: "Share link not found"});
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json({success: true, data: summarizeShareLink(link)});
+  } catch (error) {
+    console.error("❌ Revoke share link error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to revoke share link"});
+  }
+};
+
+/**
+ * Download an interview report as PDF
+ * GET /api/interview/results/:sessionId/pdf
+ */
+export const exportReportPdf = async (req, res) => {
+  try {
+    const result = await findOwnResult(req);
+    if (!result) {
+      return res.status(404).json({success: false, error: "Result not found"});
+    }
+
+    await sendReportPdf(res, buildPublicReport(result), req.get("origin"));
+  } catch (error) {
+    console.error("❌ Interview report PDF export error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to export interview report"});
+  }
+};
+
+// =====================
+// PUBLIC ENDPOINTS
+// =====================
+
+/**
+ * View a shared interview report (no login)
+ * GET /api/interview/shared/:token
+ */
+export const getSharedReport = async (req, res) => {
+  try {
+    const link = await findActiveShareLink(req.params.token);
+    const result = link && (await InterviewResult.findById(link.resultId));
+
+    // Revoked, expired and unknown links look the same
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "This report link is invalid or has expired",
+      });
+    }
+
+    await recordShareView(link);
+
+    res.json({
+      success: true,
+      data: {
+        report: buildPublicReport(result),
+        expiresAt: link.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Get shared report error:", error);
+    res.status(500).json({success: false, error: "Failed to load report"});
+  }
+};
+
+/**
+ * Download a shared interview report as PDF (no login)
+ * GET /api/interview/shared/:token/pdf
+ */
+export const exportSharedReportPdf = async (req, res) => {
+  try {
+    const link = await findActiveShareLink(req.params.token);
+    const result = link && (await InterviewResult.findById(link.resultId));
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "This report link is invalid or has expired",
+      });
+    }
+
+    await sendReportPdf(res, buildPublicReport(result));
+  } catch (error) {
+    console.error("❌ Shared report PDF export error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to export interview report"});
+  }
+};
+
+/**
+ * Get short-lived report data for Puppeteer PDF rendering
+ * GET /api/interview/report-pdf-session/:token
+ */
+export const getReportPdfSession = async (req, res) => {
+  const session = getPdfExportSession(req.params.token);
+
+  if (!session?.report) {
+    return res.status(404).json({
+      success: false,
+      error: "PDF export session expired or not found",
+    });
+  }
+
+  res.json({success: true, report: session.report});
+};
+
+export default {
+  createReportShareLink,
+  getReportShareLinks,
+  revokeReportShareLink,
+  exportReportPdf,
+  getSharedReport,
+  exportSharedReportPdf,
+  getReportPdfSession,
+};
@@ -0,0 +1,526 @@
+import mongoose from "mongoose";
+import JobApplication from "../models/JobApplication.model.js";
+import Resume from "../models/Resume.model.js";
+import CoverLetter from "../models/CoverLetter.model.js";
+import AtsScan from "../models/AtsScan.model.js";
+import {
+  STATUSES,
+  getAllowedTransitions,
+  getFunnelStats,
+  transitionTo,
+} from "../services/jobApplication.service.js";
+
+const EDITABLE_FIELDS = [
+  "company",
+  "role",
+  "jobDescription",
+  "jobUrl",
+  "location",
+  "resumeId",
+  "coverLetterId",
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Make sure a linked resume / cover letter belongs to the user
+ * @returns {Promise<string|null>} Error message or null
+ */
+const verifyLinkedDocuments = async (userId, {resumeId, coverLetterId}) => {
+  if (resumeId && !(await Resume.exists({_id: resumeId, userId}))) {
+    return "Resume not found";
+  }
+  if (
+    coverLetterId &&
+    !(await CoverLetter.exists({_id: coverLetterId, userId}))
+  ) {
+    return "Cover letter not found";
+  }
+  return null;
+};
+
+/**
+ * ATS score to store on an application, taken from one of the user's scans
+ * rather than from the request
+ * @returns {Promise<Object>} {atsScore} (undefined to clear) or {error}
+ */
+const resolveAtsScore = async (userId, atsScanId) => {
+  if (!atsScanId) return {atsScore: undefined};
+
+  const scan = await AtsScan.findOne({_id: atsScanId, userId}).select(
+    "score source createdAt"
+  );
+  if (!scan) return {error: "ATS scan not found"};
+
+  return {
+    atsScore: {
+      score: scan.score,
+      scanId: scan._id,
+      source: scan.source,
+      recordedAt: scan.createdAt,
+    },
+  };
+};
+
+const findUserApplication = (req) =>
+  JobApplication.findOne({
+    _id: req.params.id,
+    userId: req.user._id || req.user.userId,
+  });
+
+/**
+ * Create a job application
+ * POST /api/applications
+ */
+export const createApplication = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {status = STATUSES.SAVED, note, atsScanId} = req.body;
+
+    const linkError = await verifyLinkedDocuments(userId, req.body);
+    if (linkError) {
+      return res.status(404).json({error: linkError});
+    }
+
+    const {atsScore, error: scanError} = await resolveAtsScore(
+      userId,
+      atsScanId
+    );
+    if (scanError) {
+      return res.status(404).json({error: scanError});
+    }
+
+    const application = new JobApplication({userId});
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        application[field] = req.body[field];
+      }
+    });
+    application.atsScore = atsScore;
+
+    if (note) {
+      application.notes.push({text: note});
+    }
+
+    if (status !== STATUSES.SAVED) {
+      transitionTo(application, status, note);
+    }
+
+    await application.save();
+
+    res.status(201).json({
+      message: "Application saved successfully",
+      application,
+    });
+  } catch (error) {
+    console.error("Create application error:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.message || "Failed to save application",
+    });
+  }
+};
+
+/**
+ * Get job applications for logged-in user
+ * GET /api/applications
+ */
+export const getApplications = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {status, search, page = 1, limit = 20} = req.query;
+
+    const filter = {userId};
+    if (status) {
+      filter.status = status;
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), "i");
+      filter.$or = [{company: pattern}, {role: pattern}];
+    }
+
+    const pageNumber = Math.max(1, parseInt(page));
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit)));
+
+    const [applications, total] = await Promise.all([
+      JobApplication.find(filter)
+        .select("-jobDescription -statusHistory")
+        .populate("resumeId", "resumeTitle")
+        .populate("coverLetterId", "title")
+        .sort({updatedAt: -1})
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      JobApplication.countDocuments(filter),
+    ]);
+
+    res.json({
+      applications,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error("Get applications error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch applications",
+    });
+  }
+};
+
+/**
+ * Get funnel statistics for logged-in user
+ * GET /api/applications/stats
+ */
+export const getApplicationStats = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const stats = await getFunnelStats(userId);
+
+    res.json({stats});
+  } catch (error) {
+    console.error("Get application stats error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch application statistics",
+    });
+  }
+};
+
+/**
+ * Get open follow-up reminders due within the next N days (default 7),
+ * including overdue ones
+ * GET /api/applications/reminders?days=7
+ */
+export const getUpcomingReminders = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const days = Math.min(90, Math.max(0, parseInt(req.query.days ?? 7)));
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const reminders = await JobApplication.aggregate([
+      {$match: {userId: new mongoose.Types.ObjectId(String(userId))}},
+      {$unwind: "$reminders"},
+      {
+        $match: {
+          "reminders.done": false,
+          "reminders.dueAt": {$lte: until},
+        },
+      },
+      {$sort: {"reminders.dueAt": 1}},
+      {
+        $project: {
+          _id: "$reminders._id",
+          applicationId: "$_id",
+          company: 1,
+          role: 1,
+          status: 1,
+          dueAt: "$reminders.dueAt",
+          message: "$reminders.message",
+          overdue: {$lt: ["$reminders.dueAt", new Date()]},
+        },
+      },
+    ]);
+
+    res.json({reminders});
+  } catch (error) {
+    console.error("Get reminders error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch reminders",
+    });
+  }
+};
+
+/**
+ * Get single job application
+ * GET /api/applications/:id
+ */
+export const getApplicationById = async (req, res) => {
+  try {
+    const application = await findUserApplication(req)
+      .populate("resumeId", "resumeTitle")
+      .populate("coverLetterId", "title");
+
+    if (!application) {
+      return res.status(404).json({error: "Application not found"});
+    }
+
+    res.json({
+      application,
+      allowedTransitions: getAllowedTransitions(application.status),
+    });
+  } catch (error) {
+    console.error("Get application error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch application",
+    });
+  }
+};
+
+/**
+ * Update job application details (status changes use PATCH /:id/status)
+ * PUT /api/applications/:id
+ */
+export const updateApplication = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const application = await findUserApplication(req);
+
+    if (!application) {
+      return res.status(404).json({error: "Application not found"});
+    }
+
+    const linkError = await verifyLinkedDocuments(userId, req.body);
+    if (linkError) {
+      return res.status(404).json({error: linkError});
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        application[field] = req.body[field];
+      }
+    });
+
+    if (req.body.atsScanId !== undefined) {
+      const {atsScore, error: scanError} = await resolveAtsScore(
+        userId,
+        req.body.atsScanId
+      );
+      if (scanError) {
+        return res.status(404).json({error: scanError});
+      }
+      application.atsScore = atsScore;
+    }
+
+    await application.save();
+
+    res.json({
+      message: "Application updated successfully",
+      application,
+    });
+  } catch (error) {
+    console.error("Update application error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to update application",
+    });
+  }
+};
+
+/**
+ * Move application along the status pipeline
+ * PATCH /api/applications/:id/status
+ */
+export const updateApplicationStatus = async (req, res) => {
+  try {
+    const {status, note, atsScanId} = req.body;
+    const application = await findUserApplication(req);
+
+    if (!application) {
+      return res.status(404).json({error: "Application not found"});
+    }
+
+    transitionTo(application, status, note);
+
+    // Capture the ATS score of the resume at the time of applying
+    if (status === STATUSES.APPLIED && atsScanId) {
+      const {atsScore, error: scanError} = await resolveAtsScore(
+        application.userId,
+        atsScanId
+      );
+      if (scanError) {
+        return res.status(404).json({error: scanError});
+      }
+      application.atsScore = atsScore;
+    }
+
+    await application.save();
+
+    res.json({
+      message: `Application moved to ${status}`,
+      application,
+      allowedTransitions: getAllowedTransitions(application.status),
+    });
+  } catch (error) {
+    console.error("Update application status error:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.message || "Failed to update application status",
+    });
+  }
+};
+
+/**
+ * Delete job application
+ * DELETE /api/applications/:id
+ */
+export const deleteApplication = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const application = await JobApplication.findOneAndDelete({
+      _id: req.params.id,
+      userId,
+    });
+
+    if (!application) {
+      return res.status(404).json({error: "Application not found"});
+    }
+
+    res.json({message: "Application deleted successfully"});
+  } catch (error) {
+    console.error("Delete application error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to delete application",
+    });
+  }
+};
+
+/**
+ * Add a dated note
+ * POST /api/applications/:id/notes
+ */
+export const addApplicationNote = async (req, res) => {
+  try {
+    const application = await findUserApplication(req);
+
+    if (!application) {
+      return res.status(404).json({error: "Application not found"});
+    }
+
+    application.notes.push({text: req.body.text});
+    await application.save();
+
+    res.status(201).json({
+      message: "Note added successfully",
+      note: application.notes[application.notes.length - 1],
+    });
+  } catch (error) {
+    console.error("Add application note error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to add note",
+    });
+  }
+};
+
+/**
+ * Delete a note
+ * DELETE /api/applications/:id/notes/:noteId
+ */
+export const deleteApplicationNote = async (req, res) => {
+  try {
+    const application = await findUserApplication(req);
+
+    if (!application) {
+      return res.status(404).json({error: "Application not found"});
+    }
+
+    const note = application.notes.id(req.params.noteId);
+    if (!note) {
+      return res.status(404).json({error: "Note not found"});
+    }
+
+    note.deleteOne();
+    await application.save();
+
+    res.json({message: "Note deleted successfully"});
+  } catch (error) {
+    console.error("Delete application note error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to delete note",
+    });
+  }
+};
+
+/**
+ * Add a follow-up reminder
+ * POST /api/applications/:id/reminders
+ */
+export const addApplicationReminder = async (req, res) => {
+  try {
+    const {dueAt, message} = req.body;
+    const application = await findUserApplication(req);
+
+    if (!application) {
+      return res.status(404).json({error: "Application not found"});
+    }
+
+    application.reminders.push({dueAt, ...(message && {message})});
+    await application.save();
+
+    res.status(201).json({
+      message: "Reminder added successfully",
+      reminder: application.reminders[application.reminders.length - 1],
+    });
+  } catch (error) {
+    console.error("Add application reminder error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to add reminder",
+    });
+  }
+};
+
+/**
+ * Update a reminder (reschedule, edit message or mark done)
+ * PATCH /api/applications/:id/reminders/:reminderId
+ */
+export const updateApplicationReminder = async (req, res) => {
+  try {
+    const {dueAt, message, done} = req.body;
+    const application = await findUserApplication(req);
+
+    if (!application) {
+      return res.status(404).json({error: "Application not found"});
+    }
+
+    const reminder = application.reminders.id(req.params.reminderId);
+    if (!reminder) {
+      return res.status(404).json({error: "Reminder not found"});
+    }
+
+    if (dueAt !== undefined) {
+      reminder.dueAt = dueAt;
+      reminder.notifiedAt = null; // Rescheduled reminders are sent again
+    }
+    if (message !== undefined) reminder.message = message;
+    if (done !== undefined) reminder.done = done;
+
+    await application.save();
+
+    res.json({
+      message: "Reminder updated successfully",
+      reminder,
+    });
+  } catch (error) {
+    console.error("Update application reminder error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to update reminder",
+    });
+  }
+};
+
+/**
+ * Delete a reminder
+ * DELETE /api/applications/:id/reminders/:reminderId
+ */
+export const deleteApplicationReminder = async (req, res) => {
+  try {
+    const application = await findUserApplication(req);
+
+    if (!application) {
+      return res.status(404).json({error: "Application not found"});
+    }
+
+    const reminder = application.reminders.id(req.params.reminderId);
+    if (!reminder) {
+      return res.status(404).json({error: "Reminder not found"});
+    }
+
+    reminder.deleteOne();
+    await application.save();
+
+    res.json({message: "Reminder deleted successfully"});
+  } catch (error) {
+    console.error("Delete application reminder error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to delete reminder",
+    });
+  }
+};
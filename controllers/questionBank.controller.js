@@ -0,0 +1,406 @@
+import QuestionBank from "../models/QuestionBank.model.js";
+
+/**
+ * Question Bank Controller
+ * Private banks for users (under /api/interview) and global banks managed by
+ * admins (under /api/admin)
+ */
+
+const BANK_FIELDS = ["name", "description", "questions"];
+
+const applyBankFields = (bank, body) => {
+  BANK_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      bank[field] = body[field];
+    }
+  });
+};
+
+// List view: counts and tags instead of full questions
+const summarizeBank = (bank) => ({
+  _id: bank._id,
+  name: bank.name,
+  description: bank.description,
+  visibility: bank.visibility,
+  isPublished: bank.isPublished,
+  questionCount: bank.questions.length,
+  roles: [...new Set(bank.questions.map((q) => q.role).filter(Boolean))],
+  topics: [...new Set(bank.questions.map((q) => q.topic).filter(Boolean))],
+  createdAt: bank.createdAt,
+  updatedAt: bank.updatedAt,
+});
+
+// Reference answers and hidden test cases of global banks are for grading
+// only; candidates see the sample tests, as in the interview
+const hideAnswerKeys = (bank) => ({
+  ...bank,
+  questions: bank.questions.map(({referenceAnswer, ...question}) =>
+    question.testCases
+      ? {
+          ...question,
+          testCases: question.testCases.filter(
+            (testCase) => !testCase.isHidden
+          ),
+        }
+      : question
+  ),
+});
+
+// =====================
+// USER BANKS
+// =====================
+
+/**
+ * List question banks available to the user (own + published global)
+ * GET /api/interview/question-banks
+ */
+export const getQuestionBanks = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user._id;
+    const {visibility} = req.query;
+
+    const filter = QuestionBank.accessibleBy(userId);
+    if (visibility) {
+      filter.visibility = visibility;
+    }
+
+    const banks = await QuestionBank.find(filter)
+      .sort({visibility: 1, updatedAt: -1})
+      .lean();
+
+    res.json({success: true, data: banks.map(summarizeBank)});
+  } catch (error) {
+    console.error("❌ Get question banks error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to get question banks"});
+  }
+};
+
+/**
+ * Get a question bank with its questions
+ * GET /api/interview/question-banks/:id
+ */
+export const getQuestionBank = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user._id;
+
+    const bank = await QuestionBank.findOne({
+      _id: req.params.id,
+      ...QuestionBank.accessibleBy(userId),
+    }).lean();
+
+    if (!bank) {
+      return res
+        .status(404)
+        .json({success: false, error: "Question bank not found"});
+    }
+
+    res.json({
+      success: true,
+      data: bank.visibility === "global" ? hideAnswerKeys(bank) : bank,
+    });
+  } catch (error) {
+    console.error("❌ Get question bank error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to get question bank"});
+  }
+};
+
+/**
+ * Create a private question bank
+ * POST /api/interview/question-banks
+ */
+export const createQuestionBank = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user._id;
+
+    const bank = new QuestionBank({
+      visibility: "private",
+      ownerId: userId,
+      createdBy: userId,
+    });
+    applyBankFields(bank, req.body);
+    await bank.save();
+
+    console.log(`✅ Question bank created: ${bank._id} for user ${userId}`);
+
+    res.status(201).json({success: true, data: bank});
+  } catch (error) {
+    console.error("❌ Create question bank error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to create question bank"});
+  }
+};
+
+/**
+ * Update a private question bank (questions are replaced as a whole)
+ * PUT /api/interview/question-banks/:id
+ */
+export const updateQuestionBank = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user._id;
+
+    const bank = await QuestionBank.findOne({
+      _id: req.params.id,
+      ownerId: userId,
+    });
+    if (!bank) {
+      return res
+        .status(404)
+        .json({success: false, error: "Question bank not found"});
+    }
+
+    applyBankFields(bank, req.body);
+    await bank.save();
+
+    res.json({success: true, data: bank});
+  } catch (error) {
+    console.error("❌ Update question bank error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to update question bank"});
+  }
+};
+
+/**
+ * Delete a private question bank
+ * DELETE /api/interview/question-banks/:id
+ */
+export const deleteQuestionBank = async (req, res) => {
+  try {
+    const userId = req.user.userId || req.user._id;
+
+    const bank = await QuestionBank.findOneAndDelete({
+      _id: req.params.id,
+      ownerId: userId,
+    });
+    if (!bank) {
+      return res
+        .status(404)
+        .json({success: false, error: "Question bank not found"});
+    }
+
+    res.json({success: true, message: "Question bank deleted"});
+  } catch (error) {
+    console.error("❌ Delete question bank error:", error);
+    res
+      .status(500)
+      .json({success: false, error: "Failed to delete question bank"});
+  }
+};
+
+// =====================
+// ADMIN (GLOBAL) BANKS
+// =====================
+
+/**
+ * List global question banks, including unpublished ones
+ * GET /api/admin/question-banks
+ */
+export const getGlobalQuestionBanks = async (req, res) => {
+  try {
+    const {page = 1, limit = 20, isPublished = ""} = req.query;
+
+    const filter = {visibility: "global"};
+    if (isPublished !== "") filter.isPublished = isPublished === "true";
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [banks, total] = await Promise.all([
+      QuestionBank.find(filter)
+        .populate("createdBy", "name email")
+        .sort({updatedAt: -1})
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      QuestionBank.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        banks: banks.map((bank) => ({
+          ...summarizeBank(bank),
+          createdBy: bank.createdBy,
+        })),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get global question banks error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch question banks",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a global question bank with reference answers
+ * GET /api/admin/question-banks/:id
+ */
+export const getGlobalQuestionBank = async (req, res) => {
+  try {
+    const bank = await QuestionBank.findOne({
+      _id: req.params.id,
+      visibility: "global",
+    }).populate("createdBy", "name email");
+
+    if (!bank) {
+      return res
+        .status(404)
+        .json({success: false, message: "Question bank not found"});
+    }
+
+    res.json({success: true, data: bank});
+  } catch (error) {
+    console.error("Get global question bank error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch question bank",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a global question bank (unpublished unless isPublished is set)
+ * POST /api/admin/question-banks
+ */
+export const createGlobalQuestionBank = async (req, res) => {
+  try {
+    const bank = new QuestionBank({
+      visibility: "global",
+      ownerId: null,
+      createdBy: req.adminUser._id,
+      isPublished: Boolean(req.body.isPublished),
+    });
+    applyBankFields(bank, req.body);
+    await bank.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Question bank created",
+      data: bank,
+    });
+  } catch (error) {
+    console.error("Create global question bank error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create question bank",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a global question bank
+ * PUT /api/admin/question-banks/:id
+ */
+export const updateGlobalQuestionBank = async (req, res) => {
+  try {
+    const bank = await QuestionBank.findOne({
+      _id: req.params.id,
+      visibility: "global",
+    });
+    if (!bank) {
+      return res
+        .status(404)
+        .json({success: false, message: "Question bank not found"});
+    }
+
+    applyBankFields(bank, req.body);
+    if (req.body.isPublished !== undefined) {
+      bank.isPublished = req.body.isPublished;
+    }
+    await bank.save();
+
+    res.json({success: true, message: "Question bank updated", data: bank});
+  } catch (error) {
+    console.error("Update global question bank error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update question bank",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Publish or unpublish a global question bank
+ * PATCH /api/admin/question-banks/:id/publish
+ */
+export const publishGlobalQuestionBank = async (req, res) => {
+  try {
+    const {isPublished} = req.body;
+
+    const bank = await QuestionBank.findOne({
+      _id: req.params.id,
+      visibility: "global",
+    });
+    if (!bank) {
+      return res
+        .status(404)
+        .json({success: false, message: "Question bank not found"});
+    }
+
+    if (isPublished && bank.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Add at least one question before publishing",
+      });
+    }
+
+    bank.isPublished = isPublished;
+    await bank.save();
+
+    res.json({
+      success: true,
+      message: `Question bank ${isPublished ? "published" : "unpublished"}`,
+      data: summarizeBank(bank),
+    });
+  } catch (error) {
+    console.error("Publish question bank error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update question bank",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a global question bank
+ * DELETE /api/admin/question-banks/:id
+ */
+export const deleteGlobalQuestionBank = async (req, res) => {
+  try {
+    const bank = await QuestionBank.findOneAndDelete({
+      _id: req.params.id,
+      visibility: "global",
+    });
+    if (!bank) {
+      return res
+        .status(404)
+        .json({success: false, message: "Question bank not found"});
+    }
+
+    res.json({success: true, message: "Question bank deleted"});
+  } catch (error) {
+    console.error("Delete global question bank error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete question bank",
+      error: error.message,
+    });
+  }
+};
@@ -8,6 +8,15 @@ import {
   getPdfExportSession,
 } from "../services/pdfExportSession.service.js";
 import {renderResumePdf} from "../services/pdfExport.service.js";
+import {renderResumeDocx} from "../services/docxExport.service.js";
+import ResumeRevision from "../models/ResumeRevision.model.js";
+import AtsScan from "../models/AtsScan.model.js";
+import {
+  TRACKED_FIELDS,
+  buildSnapshot,
+  diffSnapshots,
+  recordRevision,
+} from "../services/resumeRevision.service.js";
 // Import ALL AI functions from OpenAI (Gemini has quota limits)
 import {
   parseResumeWithAI as parseResumeWithOpenAI,
@@ -17,6 +26,14 @@ import {
   segregateAchievementsWithAI,
   processCustomSectionWithAI,
 } from "../services/openai.service.js";
+import * as aiRouter from "../services/aiRouter.service.js";
+import {
+  applyTailoring,
+  buildTailorPrompts,
+  getJobDescriptionExcerpt,
+  parseTailorResponse,
+} from "../services/resumeTailor.service.js";
+import {convertResumeDataToText} from "../utils/resumeText.js";
 import {trackAIUsage} from "../middleware/aiUsageTracker.middleware.js";
 import {getResumeAccess} from "../middleware/subscription.middleware.js";
 
@@ -318,6 +335,49 @@ export const generateSummary = async (req, res) => {
   }
 };
 
+/**
+ * Subscription linkage for a newly created resume. Paid resumes are linked to
+ * the user's latest active subscription (one-time plans only while their
+ * slot is still unassigned).
+ * @param {Object} user - Full user document from checkSubscription
+ * @returns {Promise<Object>} subscriptionInfo
+ */
+const getSubscriptionLink = async (user) => {
+  const userTier = user.subscription?.tier || "free";
+  const userStatus = user.subscription?.status || "expired";
+  const unlinked = {
+    subscriptionId: null,
+    createdWithTier: userTier,
+    createdWithSubscription: false,
+    linkedAt: null,
+  };
+
+  if (!["one-time", "pro"].includes(userTier) || userStatus !== "active") {
+    return unlinked;
+  }
+
+  const activeSubscription = await Subscription.findOne({
+    userId: user._id,
+    tier: userTier,
+    status: "active",
+    ...(userTier === "one-time" && {assignmentStatus: "pending"}),
+  }).sort({createdAt: -1}); // Get the latest active subscription
+
+  if (!activeSubscription) {
+    return unlinked;
+  }
+
+  console.log(
+    `🔗 Linking resume to subscription: ${activeSubscription._id} (${userTier})`
+  );
+  return {
+    subscriptionId: activeSubscription._id,
+    createdWithTier: userTier,
+    createdWithSubscription: true,
+    linkedAt: new Date(),
+  };
+};
+
 /**
  * Save resume to database
  * POST /api/resume/save
@@ -341,38 +401,7 @@ export const saveResume = async (req, res) => {
     }
 
     // Get user's subscription info for linking
-    const user = req.user; // Full user object from checkSubscription middleware
-    const userTier = user.subscription?.tier || "free";
-    const userStatus = user.subscription?.status || "expired";
-
-    // Find active subscription if user has a paid tier
-    let subscriptionInfo = {
-      subscriptionId: null,
-      createdWithTier: userTier,
-      createdWithSubscription: false,
-      linkedAt: null,
-    };
-
-    if (["one-time", "pro"].includes(userTier) && userStatus === "active") {
-      const activeSubscription = await Subscription.findOne({
-        userId: user._id,
-        tier: userTier,
-        status: "active",
-        ...(userTier === "one-time" && {assignmentStatus: "pending"}),
-      }).sort({createdAt: -1}); // Get the latest active subscription
-
-      if (activeSubscription) {
-        subscriptionInfo = {
-          subscriptionId: activeSubscription._id,
-          createdWithTier: userTier,
-          createdWithSubscription: true,
-          linkedAt: new Date(),
-        };
-        console.log(
-          `🔗 Linking resume to subscription: ${activeSubscription._id} (${userTier})`
-        );
-      }
-    }
+    const subscriptionInfo = await getSubscriptionLink(req.user);
 
     // Create new resume document with subscription info
     const resume = new Resume({
@@ -382,6 +411,7 @@ export const saveResume = async (req, res) => {
     });
 
     await resume.save();
+    await recordRevision(resume, {userId, source: "create"});
     console.log(
       `💾 Resume saved to database: ID ${resume._id}, Title: "${resume.resumeTitle}", Tier: ${subscriptionInfo.createdWithTier}`
     );
@@ -413,7 +443,8 @@ export const updateResume = async (req, res) => {
   try {
     const userId = req.user._id || req.user.userId;
     const {id} = req.params;
-    const resumeData = req.body;
+    // Revision metadata is not part of the resume document
+    const {aiFeature, revisionNote, ...resumeData} = req.body;
 
     // Find resume and verify ownership
     const resume = await Resume.findOne({_id: id, userId});
@@ -422,6 +453,8 @@ export const updateResume = async (req, res) => {
       return res.status(404).json({error: "Resume not found"});
     }
 
+    const previousSnapshot = buildSnapshot(resume);
+
     // Map 'title' to 'resumeTitle' if provided
     if (resumeData.title) {
       resumeData.resumeTitle = resumeData.title;
@@ -443,6 +476,15 @@ export const updateResume = async (req, res) => {
 
     await resume.save();
 
+    // Record an immutable revision of the saved state
+    await recordRevision(resume, {
+      userId,
+      source: aiFeature ? "ai" : "manual",
+      aiFeature,
+      note: revisionNote,
+      previousSnapshot,
+    });
+
     // Return the full resume object
     res.json(resume);
   } catch (error) {
@@ -463,7 +505,7 @@ export const getResumes = async (req, res) => {
 
     const resumes = await Resume.find({userId})
       .select(
-        "name resumeTitle description templateId createdAt updatedAt subscriptionInfo"
+        "name resumeTitle description templateId parentResumeId createdAt updatedAt subscriptionInfo"
       )
       .sort({updatedAt: -1});
 
@@ -529,6 +571,9 @@ export const deleteResume = async (req, res) => {
       return res.status(404).json({error: "Resume not found"});
     }
 
+    await ResumeRevision.deleteMany({resumeId: resume._id});
+    await AtsScan.deleteMany({resumeId: resume._id});
+
     res.json({
       message: "Resume deleted successfully",
     });
@@ -540,6 +585,311 @@ export const deleteResume = async (req, res) => {
   }
 };
 
+/**
+ * Create a job-specific variant of a resume: reordered skills, bullets
+ * rewritten around missing keywords and a tailored summary
+ * POST /api/resume/:id/tailor
+ */
+export const tailorResume = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {jobDescription, jobTitle, companyName, resumeTitle} = req.body;
+    const baseResume = req.resume.toObject(); // Set by checkResumeActionAccess
+
+    // Reuse keywords from an earlier job match analysis when provided
+    let {missingKeywords} = req.body;
+    if (!Array.isArray(missingKeywords)) {
+      const {data: analysis} = await aiRouter.analyzeJobMatch(
+        convertResumeDataToText(baseResume),
+        jobDescription,
+        req.user
+      );
+      missingKeywords = analysis?.missing_keywords || [];
+    }
+
+    console.log(
+      `🎯 Tailoring resume ${baseResume._id} for ${
+        jobTitle || companyName || "job"
+      } (${missingKeywords.length} missing keywords)`
+    );
+
+    const {systemPrompt, userPrompt} = buildTailorPrompts(baseResume, {
+      jobDescription,
+      jobTitle,
+      companyName,
+      missingKeywords,
+    });
+    const {text, aiModel, fallback} = await aiRouter.tailorResume(
+      systemPrompt,
+      userPrompt,
+      req.user
+    );
+
+    const {resumeData, changes, summaryChanged, skillsReordered} =
+      applyTailoring(baseResume, parseTailorResponse(text), missingKeywords);
+
+    const variant = new Resume({
+      ...resumeData,
+      resumeTitle:
+        resumeTitle ||
+        `${baseResume.resumeTitle} - ${
+          [jobTitle, companyName].filter(Boolean).join(" at ") || "Tailored"
+        }`,
+      userId,
+      subscriptionInfo: await getSubscriptionLink(req.user),
+      parentResumeId: baseResume._id,
+      tailoring: {
+        jobTitle: jobTitle || "",
+        companyName: companyName || "",
+        jobDescription: getJobDescriptionExcerpt(jobDescription),
+        missingKeywords,
+        summaryChanged,
+        skillsReordered,
+        changes,
+        aiModel,
+        tailoredAt: new Date(),
+      },
+    });
+
+    await variant.save();
+    await recordRevision(variant, {
+      userId,
+      source: "create",
+      aiFeature: "resume_tailoring",
+      note: `Tailored from "${baseResume.resumeTitle}"`,
+    });
+
+    // A variant counts as a new resume and as an AI generation
+    await User.findByIdAndUpdate(userId, {
+      $inc: {
+        "usage.resumesCreated": 1,
+        "usage.resumesThisMonth": 1,
+      },
+    });
+    await req.user.incrementUsage("aiGeneration");
+
+    console.log(
+      `✅ Tailored variant ${variant._id} created: ${changes.length} bullet(s) changed`
+    );
+
+    res.status(201).json({
+      message: "Tailored resume created successfully",
+      resume: variant,
+      changes,
+      summaryChanged,
+      skillsReordered,
+      missingKeywords,
+      ...(fallback && {fallback: true}),
+    });
+  } catch (error) {
+    console.error("❌ Tailor resume error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to tailor resume",
+    });
+  }
+};
+
+/**
+ * List job-specific variants created from a resume
+ * GET /api/resume/:id/variants
+ */
+export const getResumeVariants = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+
+    const variants = await Resume.find({parentResumeId: req.params.id, userId})
+      .select(
+        "resumeTitle parentResumeId tailoring.jobTitle tailoring.companyName tailoring.tailoredAt createdAt updatedAt"
+      )
+      .sort({createdAt: -1});
+
+    res.json({variants});
+  } catch (error) {
+    console.error("Get resume variants error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to fetch resume variants",
+    });
+  }
+};
+
+/**
+ * List revisions of a resume (newest first, without snapshots)
+ * GET /api/resume/:id/revisions
+ */
+export const getResumeRevisions = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {id} = req.params;
+
+    const resume = await Resume.findOne({_id: id, userId}).select("_id");
+
+    if (!resume) {
+      return res.status(404).json({error: "Resume not found"});
+    }
+
+    const revisions = await ResumeRevision.find({resumeId: resume._id})
+      .select("-snapshot")
+      .populate("userId", "name email")
+      .sort({revisionNumber: -1});
+
+    res.json({
+      message: "Resume revisions retrieved successfully",
+      revisions,
+    });
+  } catch (error) {
+    console.error("Get resume revisions error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to retrieve resume revisions",
+    });
+  }
+};
+
+/**
+ * Get a single revision with its full snapshot
+ * GET /api/resume/:id/revisions/:revisionNumber
+ */
+export const getResumeRevision = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {id, revisionNumber} = req.params;
+
+    const resume = await Resume.findOne({_id: id, userId}).select("_id");
+
+    if (!resume) {
+      return res.status(404).json({error: "Resume not found"});
+    }
+
+    const revision = await ResumeRevision.findOne({
+      resumeId: resume._id,
+      revisionNumber: Number(revisionNumber),
+    }).populate("userId", "name email");
+
+    if (!revision) {
+      return res.status(404).json({error: "Revision not found"});
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error("Get resume revision error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to retrieve resume revision",
+    });
+  }
+};
+
+/**
+ * Field-level diff between two revisions
+ * GET /api/resume/:id/revisions/diff?from=1&to=3
+ * Defaults to comparing the latest revision with the one before it.
+ */
+export const diffResumeRevisions = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {id} = req.params;
+
+    const resume = await Resume.findOne({_id: id, userId}).select("_id");
+
+    if (!resume) {
+      return res.status(404).json({error: "Resume not found"});
+    }
+
+    let to = req.query.to ? Number(req.query.to) : null;
+    if (!to) {
+      const latest = await ResumeRevision.findOne({resumeId: resume._id})
+        .select("revisionNumber")
+        .sort({revisionNumber: -1});
+      to = latest?.revisionNumber || 0;
+    }
+    const from = req.query.from ? Number(req.query.from) : to - 1;
+
+    const revisions = await ResumeRevision.find({
+      resumeId: resume._id,
+      revisionNumber: {$in: [from, to]},
+    });
+    const fromRevision = revisions.find((rev) => rev.revisionNumber === from);
+    const toRevision = revisions.find((rev) => rev.revisionNumber === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({error: "Revision not found"});
+    }
+
+    const changes = diffSnapshots(fromRevision.snapshot, toRevision.snapshot);
+
+    res.json({
+      from,
+      to,
+      changedFields: [...new Set(changes.map((c) => c.path.split(/[.[]/)[0]))],
+      changes,
+    });
+  } catch (error) {
+    console.error("Diff resume revisions error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to diff resume revisions",
+    });
+  }
+};
+
+/**
+ * Restore a revision as the current resume state.
+ * The restore itself is recorded as a new revision, so it can be undone.
+ * POST /api/resume/:id/revisions/:revisionNumber/restore
+ */
+export const restoreResumeRevision = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.userId;
+    const {id, revisionNumber} = req.params;
+
+    const resume = await Resume.findOne({_id: id, userId});
+
+    if (!resume) {
+      return res.status(404).json({error: "Resume not found"});
+    }
+
+    const revision = await ResumeRevision.findOne({
+      resumeId: resume._id,
+      revisionNumber: Number(revisionNumber),
+    });
+
+    if (!revision) {
+      return res.status(404).json({error: "Revision not found"});
+    }
+
+    const previousSnapshot = buildSnapshot(resume);
+
+    TRACKED_FIELDS.forEach((field) => {
+      if (revision.snapshot[field] !== undefined) {
+        resume[field] = revision.snapshot[field];
+      }
+    });
+    resume.markModified("contact");
+
+    await resume.save();
+
+    const restoredRevision = await recordRevision(resume, {
+      userId,
+      source: "restore",
+      restoredFromRevision: revision.revisionNumber,
+      previousSnapshot,
+      force: true,
+    });
+
+    console.log(
+      `⏪ Resume ${resume._id} restored to revision ${revision.revisionNumber}`
+    );
+
+    res.json({
+      message: `Resume restored to revision ${revision.revisionNumber}`,
+      resume,
+      revision: restoredRevision,
+    });
+  } catch (error) {
+    console.error("Restore resume revision error:", error);
+    res.status(500).json({
+      error: error.message || "Failed to restore resume revision",
+    });
+  }
+};
+
 /**
  * Categorize skills using AI
  * POST /api/resume/categorize-skills
@@ -751,6 +1101,33 @@ export const processCustomSection = async (req, res) => {
   }
 };
 
+/**
+ * Count a resume download against the user's monthly limit
+ * @param {string} userId - User ID
+ */
+const recordDownload = (userId) =>
+  User.findByIdAndUpdate(userId, {
+    $inc: {
+      "usage.resumesDownloaded": 1,
+      "usage.resumesDownloadedThisMonth": 1,
+    },
+  });
+
+/**
+ * "Jane_Doe_Resume.pdf" style attachment name
+ * @param {string} name - Name on the resume
+ * @param {string} extension - File extension
+ * @returns {string}
+ */
+const getDownloadFileName = (name, extension) => {
+  const safeName = (name || "Resume")
+    .replace(/[^a-z0-9]+/gi, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 80);
+
+  return `${safeName || "Resume"}_Resume.${extension}`;
+};
+
 /**
  * Track resume download
  * POST /api/resume/track-download
@@ -761,12 +1138,7 @@ export const trackDownload = async (req, res) => {
     const user = req.user;
 
     // Increment download counter
-    await User.findByIdAndUpdate(userId, {
-      $inc: {
-        "usage.resumesDownloaded": 1,
-        "usage.resumesDownloadedThisMonth": 1,
-      },
-    });
+    await recordDownload(userId);
 
     console.log(`📥 Download tracked for user ${userId}`);
 
@@ -828,23 +1200,12 @@ export const exportResumePdf = async (req, res) => {
     token = createPdfExportSession({resumeData, template});
     const pdfBuffer = await renderResumePdf(token, req.get("origin"));
 
-    const userId = req.user._id || req.user.userId;
-    await User.findByIdAndUpdate(userId, {
-      $inc: {
-        "usage.resumesDownloaded": 1,
-        "usage.resumesDownloadedThisMonth": 1,
-      },
-    });
-
-    const safeName = (resumeData.name || "Resume")
-      .replace(/[^a-z0-9]+/gi, "_")
-      .replace(/^_+|_+$/g, "")
-      .slice(0, 80);
+    await recordDownload(req.user._id || req.user.userId);
 
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="${safeName || "Resume"}_Resume.pdf"`
+      `attachment; filename="${getDownloadFileName(resumeData.name, "pdf")}"`
     );
     res.setHeader("Content-Length", pdfBuffer.length);
     res.send(pdfBuffer);
@@ -860,3 +1221,36 @@ export const exportResumePdf = async (req, res) => {
     }
   }
 };
+
+/**
+ * Export a saved resume as a Word document (no browser needed)
+ * POST /api/resume/export-docx
+ */
+export const exportResumeDocx = async (req, res) => {
+  try {
+    const {templateId, colorTheme} = req.body;
+    const resume = req.resume; // Set by checkResumeActionAccess
+
+    const docxBuffer = await renderResumeDocx(resume, {templateId, colorTheme});
+
+    await recordDownload(req.user._id || req.user.userId);
+    console.log(`📄 DOCX exported for resume ${resume._id}`);
+
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${getDownloadFileName(resume.name, "docx")}"`
+    );
+    res.setHeader("Content-Length", docxBuffer.length);
+    res.send(docxBuffer);
+  } catch (error) {
+    console.error("DOCX export error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to export resume DOCX",
+    });
+  }
+};
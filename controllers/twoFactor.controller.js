@@ -0,0 +1,258 @@
+import User from "../models/User.model.js";
+import Settings from "../models/Settings.model.js";
+import {
+  TWO_FACTOR_CONFIG,
+  TWO_FACTOR_SECRET_FIELDS,
+  buildOtpauthUri,
+  countRemainingRecoveryCodes,
+  decryptSecret,
+  encryptSecret,
+  generateRecoveryCodes,
+  generateSecret,
+  isTwoFactorAvailable,
+  isTwoFactorRequired,
+  verifySecondFactor,
+  verifyTotp,
+} from "../services/twoFactor.service.js";
+import {markSessionTwoFactorVerified} from "../services/authSession.service.js";
+
+/**
+ * Two-Factor Controller
+ * TOTP enrollment and recovery codes for the signed-in user. The login
+ * step itself is verifyTwoFactorLogin in auth.controller.
+ */
+
+const loadUser = (req) =>
+  User.findById(req.user.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+/**
+ * Get 2FA status
+ * GET /api/auth/2fa
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const [user, settings] = await Promise.all([
+      loadUser(req),
+      Settings.getSettings(),
+    ]);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    res.json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      available: isTwoFactorAvailable(user, settings),
+      required: isTwoFactorRequired(user, settings),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.enabled
+        ? countRemainingRecoveryCodes(user)
+        : 0,
+    });
+  } catch (error) {
+    console.error("Get 2FA status error:", error);
+    res.status(500).json({error: "Failed to get two-factor status"});
+  }
+};
+
+/**
+ * Start 2FA enrollment: new secret and otpauth URI for the authenticator app
+ * POST /api/auth/2fa/setup
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const [user, settings] = await Promise.all([
+      loadUser(req),
+      Settings.getSettings(),
+    ]);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    if (!isTwoFactorAvailable(user, settings)) {
+      return res
+        .status(403)
+        .json({error: "Two-factor authentication is not enabled"});
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({error: "Two-factor authentication is already enabled"});
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    user.twoFactor.pendingCreatedAt = new Date();
+    await user.save();
+
+    res.json({
+      message: "Scan the code with your authenticator app, then confirm it",
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: settings.siteName,
+      }),
+      expiresInMinutes: TWO_FACTOR_CONFIG.setupExpiresMinutes,
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({error: "Failed to start two-factor setup"});
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the app and get recovery codes
+ * POST /api/auth/2fa/enable
+ * Body: { code }
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await loadUser(req);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({error: "Two-factor authentication is already enabled"});
+    }
+
+    const {pendingSecret, pendingCreatedAt} = user.twoFactor || {};
+    const setupExpired =
+      !pendingCreatedAt ||
+      Date.now() - pendingCreatedAt.getTime() >
+        TWO_FACTOR_CONFIG.setupExpiresMinutes * 60 * 1000;
+    if (!pendingSecret || setupExpired) {
+      return res
+        .status(400)
+        .json({error: "Two-factor setup has expired. Please start again."});
+    }
+
+    const step = verifyTotp(decryptSecret(pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({error: "Invalid authentication code"});
+    }
+
+    const {codes, hashed} = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.pendingCreatedAt = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashed;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    // The code just entered counts as this session's second factor
+    await markSessionTwoFactorVerified(user._id, req.user.sid);
+
+    console.log(`🔐 Two-factor authentication enabled: ${user._id}`);
+
+    // Recovery codes are only shown here
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("2FA enable error:", error);
+    res.status(500).json({error: "Failed to enable two-factor authentication"});
+  }
+};
+
+/**
+ * Turn off 2FA
+ * POST /api/auth/2fa/disable
+ * Body: { password, code } or { password, recoveryCode }
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const {password, code, recoveryCode} = req.body;
+
+    const [user, settings] = await Promise.all([
+      loadUser(req),
+      Settings.getSettings(),
+    ]);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({error: "Two-factor authentication is not enabled"});
+    }
+
+    if (isTwoFactorRequired(user, settings)) {
+      return res.status(403).json({
+        error: "Two-factor authentication is required for admin accounts",
+      });
+    }
+
+    // OAuth-only accounts have no password; the code alone proves possession
+    if (user.password && !(await user.comparePassword(password || ""))) {
+      return res.status(401).json({error: "Invalid password"});
+    }
+
+    if (!verifySecondFactor(user, {code, recoveryCode})) {
+      return res.status(401).json({error: "Invalid authentication code"});
+    }
+
+    user.twoFactor = {enabled: false};
+    await user.save();
+
+    console.log(`🔐 Two-factor authentication disabled: ${user._id}`);
+
+    res.json({message: "Two-factor authentication disabled"});
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res
+      .status(500)
+      .json({error: "Failed to disable two-factor authentication"});
+  }
+};
+
+/**
+ * Replace all recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ * Body: { code }
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await loadUser(req);
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({error: "Two-factor authentication is not enabled"});
+    }
+
+    if (!verifySecondFactor(user, {code: req.body.code})) {
+      return res.status(401).json({error: "Invalid authentication code"});
+    }
+
+    const {codes, hashed} = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save();
+
+    res.json({
+      message: "New recovery codes generated. Previous codes no longer work.",
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({error: "Failed to generate recovery codes"});
+  }
+};
+
+export default {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
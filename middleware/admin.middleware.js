@@ -1,4 +1,7 @@
 import User from "../models/User.model.js";
+import Settings from "../models/Settings.model.js";
+import {isTwoFactorRequired} from "../services/twoFactor.service.js";
+import {isSessionTwoFactorVerified} from "../services/authSession.service.js";
 
 // Middleware to check if user is admin
 export const isAdmin = async (req, res, next) => {
@@ -27,6 +30,30 @@ export const isAdmin = async (req, res, next) => {
       });
     }
 
+    const settings = await Settings.getSettings();
+    if (isTwoFactorRequired(user, settings) && !user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Two-factor authentication is required for admin accounts. Enable it in your account security settings.",
+        code: "TWO_FACTOR_REQUIRED",
+      });
+    }
+
+    // Enrolled admins must have entered a code in this session, not just
+    // hold a password or OAuth login
+    if (
+      user.twoFactor?.enabled &&
+      !(await isSessionTwoFactorVerified(req.user))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Sign in again with your two-factor code to use admin features.",
+        code: "TWO_FACTOR_SESSION_REQUIRED",
+      });
+    }
+
     // Add user details to request
     req.adminUser = user;
     next();
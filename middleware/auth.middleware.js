@@ -1,4 +1,8 @@
 import jwt from "jsonwebtoken";
+import User from "../models/User.model.js";
+import Settings from "../models/Settings.model.js";
+import {isEmailUnverified} from "../services/emailVerification.service.js";
+import {isSessionActive} from "../services/authSession.service.js";
 
 /**
  * Middleware to verify JWT token and authenticate user
@@ -14,7 +18,7 @@ export const authenticateToken = (req, res, next) => {
       return res.status(401).json({error: "Access token required"});
     }
     // Verify token
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
       if (err) {
         console.error("🔒 Auth failed: Token verification error:", err.message);
         console.error("  - Error type:", err.name);
@@ -38,6 +42,19 @@ export const authenticateToken = (req, res, next) => {
         return res.status(403).json({error: "Invalid or expired token"});
       }
 
+      // Logout, password reset and disabling the account revoke the session
+      try {
+        if (!(await isSessionActive(user))) {
+          return res.status(401).json({
+            error: "Session has expired or was revoked",
+            code: "SESSION_REVOKED",
+          });
+        }
+      } catch (sessionError) {
+        console.error("❌ Auth session check error:", sessionError);
+        return res.status(500).json({error: "Authentication failed"});
+      }
+
       // console.log("✅ Auth successful for user:", user.userId, user.email);
       req.user = user;
       next();
@@ -49,8 +66,33 @@ export const authenticateToken = (req, res, next) => {
 };
 
 /**
- * Generate JWT token for user
+ * Block unverified accounts when Settings.security.requireEmailVerification
+ * is on. Use after authenticateToken on AI and export routes.
  */
-export const generateToken = (userId, email) => {
-  return jwt.sign({userId, email}, process.env.JWT_SECRET, {expiresIn: "7d"});
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+    if (!settings.security?.requireEmailVerification) {
+      return next();
+    }
+
+    const user = await User.findById(req.user.userId || req.user._id).select(
+      "emailVerified"
+    );
+    if (!user) {
+      return res.status(404).json({error: "User not found"});
+    }
+
+    if (isEmailUnverified(user)) {
+      return res.status(403).json({
+        error: "Please verify your email address to use this feature",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("❌ Email verification check error:", error);
+    res.status(500).json({error: "Failed to check email verification"});
+  }
 };
@@ -1,5 +1,6 @@
 import rateLimit from "express-rate-limit";
 import InterviewSession from "../models/InterviewSession.model.js";
+import {hasActiveRun} from "../services/codeSandbox.service.js";
 
 /**
  * Interview Middleware
@@ -39,6 +40,62 @@ export const interviewLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Rate limiter for running candidate code
+ * Each request can run every test case of a question through the shared
+ * sandbox, so it is limited per user
+ */
+export const codeRunLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute window
+  max: 10,
+  keyGenerator: (req) => `user_${req.user.userId}_code_run`,
+  message: {
+    success: false,
+    error: "Too many code runs. Please wait a moment before running again.",
+    retryAfter: 60,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Code runs in flight per user; the sandbox queue is shared by everyone
+const MAX_CODE_RUNS_PER_USER = 1;
+const activeCodeRuns = new Map();
+
+/**
+ * Allow one code run or submission per user at a time, so a single user
+ * can't fill the sandbox queue. The request holds the slot until it ends;
+ * after that the sandbox keeps counting the run until its processes are
+ * gone, so aborting a request doesn't free the slot early.
+ */
+export function limitConcurrentCodeRuns(req, res, next) {
+  const key = String(req.user.userId);
+  const active = activeCodeRuns.get(key) || 0;
+
+  if (active >= MAX_CODE_RUNS_PER_USER || hasActiveRun(key)) {
+    return res.status(429).json({
+      success: false,
+      error: "Your previous code run is still in progress.",
+      code: "CODE_RUN_IN_PROGRESS",
+    });
+  }
+
+  activeCodeRuns.set(key, active + 1);
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    const remaining = (activeCodeRuns.get(key) || 1) - 1;
+    if (remaining > 0) activeCodeRuns.set(key, remaining);
+    else activeCodeRuns.delete(key);
+  };
+  res.on("finish", release);
+  res.on("close", release);
+
+  next();
+}
+
 /**
  * Check if user has exceeded their daily interview limit
  */
@@ -237,6 +294,8 @@ export async function getInterviewUsage(userId) {
 
 export default {
   interviewLimiter,
+  codeRunLimiter,
+  limitConcurrentCodeRuns,
   checkInterviewLimit,
   checkVoiceAccess,
   validateSessionOwnership,
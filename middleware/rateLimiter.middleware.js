@@ -31,6 +31,29 @@ export const authLimiter = rateLimit({
   },
 });
 
+/**
+ * Token Rate Limiter
+ * Applied to: /api/auth/refresh, /api/auth/logout, /api/auth/oauth/exchange
+ * Purpose: Stop refresh tokens and login codes from being guessed, while
+ * leaving room for several devices behind one IP refreshing routinely
+ */
+export const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // Limit each IP to 60 token requests per 15 minutes
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    console.warn(
+      `⚠️  Token rate limit exceeded for IP: ${req.ip} on ${req.path}`
+    );
+    res.status(429).json({
+      error: "Too many token requests. Please try again after 15 minutes.",
+      retryAfter: "15 minutes",
+      type: "TOKEN_RATE_LIMIT_EXCEEDED",
+    });
+  },
+});
+
 /**
  * AI Operations Rate Limiter (Per User)
  * Applied to: AI-powered endpoints (enhance, generate-summary, categorize-skills, etc.)
@@ -265,9 +288,98 @@ export const portfolioAnalyticsLimiter = rateLimit({
   },
 });
 
+/**
+ * Shared Interview Report Rate Limiter
+ * Applied to: /api/interview/shared/:token routes
+ * Purpose: Slow down token guessing and PDF rendering on public report links
+ */
+export const sharedReportLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: process.env.NODE_ENV === "development" ? 60 : 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    console.warn(
+      `⚠️  Shared report rate limit exceeded for IP: ${req.ip} on ${req.path}`
+    );
+    res.status(429).json({
+      error: "Too many report requests. Please try again shortly.",
+      retryAfter: "1 minute",
+      type: "SHARED_REPORT_RATE_LIMIT_EXCEEDED",
+      limit: process.env.NODE_ENV === "development" ? 60 : 20,
+      window: "1 minute",
+    });
+  },
+});
+
+/**
+ * Verification Email Rate Limiter
+ * Applied to: /api/auth/verify-email/resend
+ * Purpose: Stop the resend button from being used to flood an inbox
+ */
+export const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each user to 5 verification emails per hour
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    if (req.user && req.user.userId) {
+      return `user_${req.user.userId}_verification_email`;
+    }
+    return undefined;
+  },
+  handler: (req, res) => {
+    const identifier = req.user?.userId || req.ip;
+    console.warn(
+      `⚠️  Verification email rate limit exceeded for: ${identifier} on ${req.path}`
+    );
+    res.status(429).json({
+      error:
+        "Too many verification emails. You can request 5 per hour. Please try again later.",
+      retryAfter: "1 hour",
+      type: "VERIFICATION_EMAIL_RATE_LIMIT_EXCEEDED",
+      limit: 5,
+      window: "1 hour",
+    });
+  },
+});
+
+/**
+ * Data Export Rate Limiter
+ * Applied to: /api/auth/me/export
+ * Purpose: Exports read every collection of a user; a few per hour is plenty
+ */
+export const dataExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // Limit each user to 3 exports per hour
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    if (req.user && req.user.userId) {
+      return `user_${req.user.userId}_data_export`;
+    }
+    return undefined;
+  },
+  handler: (req, res) => {
+    const identifier = req.user?.userId || req.ip;
+    console.warn(
+      `⚠️  Data export rate limit exceeded for: ${identifier} on ${req.path}`
+    );
+    res.status(429).json({
+      error:
+        "Too many data exports. You can request 3 per hour. Please try again later.",
+      retryAfter: "1 hour",
+      type: "DATA_EXPORT_RATE_LIMIT_EXCEEDED",
+      limit: 3,
+      window: "1 hour",
+    });
+  },
+});
+
 // Export all rate limiters
 export default {
   authLimiter,
+  tokenLimiter,
   aiLimiter,
   uploadLimiter,
   apiLimiter,
@@ -275,4 +387,7 @@ export default {
   feedbackLimiter,
   adminLimiter,
   portfolioAnalyticsLimiter,
+  sharedReportLimiter,
+  verificationEmailLimiter,
+  dataExportLimiter,
 };
@@ -156,6 +156,164 @@ export const validateChangePassword = [
   handleValidationErrors,
 ];
 
+/**
+ * Validation rules for email verification links
+ */
+export const validateVerifyEmail = [
+  query("token")
+    .isString()
+    .withMessage("Verification token is required")
+    .isLength({min: 20, max: 2000})
+    .withMessage("Invalid verification token"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for token refresh and logout
+ */
+export const validateRefreshToken = [
+  body("refreshToken")
+    .isString()
+    .withMessage("Refresh token is required")
+    .isLength({min: 20, max: 200})
+    .withMessage("Invalid refresh token"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for exchanging an OAuth login code
+ */
+export const validateLoginCode = [
+  body("code")
+    .isString()
+    .withMessage("Login code is required")
+    .isLength({min: 20, max: 200})
+    .withMessage("Invalid login code"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for revoking a session
+ */
+export const validateSessionId = [
+  param("sessionId").isMongoId().withMessage("Invalid session ID"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for linking or unlinking an OAuth provider
+ */
+export const validateLinkProvider = [
+  param("provider")
+    .isIn(["google", "github"])
+    .withMessage("Provider must be google or github"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for setting a password on an OAuth-only account
+ */
+export const validateSetPassword = [
+  body("password")
+    .notEmpty()
+    .withMessage("Password is required")
+    .isLength({min: 8, max: 128})
+    .withMessage("Password must be between 8 and 128 characters")
+    .matches(
+      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&#])[A-Za-z\d@$!%*?&#]/
+    )
+    .withMessage(
+      "Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character"
+    ),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for requesting account deletion
+ */
+export const validateAccountDeletion = [
+  body("password")
+    .optional()
+    .isString()
+    .withMessage("Password must be a string")
+    .isLength({max: 128})
+    .withMessage("Password is too long"),
+
+  body("confirmEmail")
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email address"),
+
+  handleValidationErrors,
+];
+
+const totpCode = (field, message = "Authentication code must be 6 digits") =>
+  body(field)
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage(message);
+
+const recoveryCode = () =>
+  body("recoveryCode")
+    .trim()
+    .isLength({min: 10, max: 20})
+    .withMessage("Invalid recovery code");
+
+// Either a TOTP code or a recovery code
+const secondFactor = () =>
+  body("code").custom((value, {req}) => {
+    if (!value && !req.body.recoveryCode) {
+      throw new Error("An authentication code or recovery code is required");
+    }
+    return true;
+  });
+
+/**
+ * Validation rules for the second login step
+ */
+export const validateTwoFactorLogin = [
+  body("challengeToken")
+    .isString()
+    .withMessage("Login challenge is required")
+    .isLength({min: 1, max: 2000})
+    .withMessage("Login challenge is required"),
+
+  secondFactor(),
+  totpCode("code").optional({values: "falsy"}),
+  recoveryCode().optional({values: "falsy"}),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for confirming 2FA setup or regenerating recovery codes
+ */
+export const validateTwoFactorCode = [totpCode("code"), handleValidationErrors];
+
+/**
+ * Validation rules for turning 2FA off
+ */
+export const validateTwoFactorDisable = [
+  body("password")
+    .optional()
+    .isString()
+    .isLength({max: 128})
+    .withMessage("Invalid password"),
+
+  secondFactor(),
+  totpCode("code").optional({values: "falsy"}),
+  recoveryCode().optional({values: "falsy"}),
+
+  handleValidationErrors,
+];
+
 // ============================================================================
 // RESUME VALIDATION RULES
 // ============================================================================
@@ -506,6 +664,24 @@ export const validateResumeUpdate = [
     .isArray()
     .withMessage("Custom section items must be an array"),
 
+  body("aiFeature")
+    .optional()
+    .isIn([
+      "resume_enhancement",
+      "ai_suggestions",
+      "summary_generation",
+      "skills_categorization",
+      "achievements_segregation",
+      "custom_section",
+    ])
+    .withMessage("Invalid AI feature"),
+
+  body("revisionNote")
+    .optional()
+    .trim()
+    .isLength({max: 200})
+    .withMessage("Revision note must not exceed 200 characters"),
+
   handleValidationErrors,
 ];
 
@@ -518,6 +694,109 @@ export const validateResumeId = [
   handleValidationErrors,
 ];
 
+/**
+ * Validation rules for resume revision parameters
+ */
+export const validateResumeRevision = [
+  param("id").isMongoId().withMessage("Invalid resume ID"),
+
+  param("revisionNumber")
+    .optional()
+    .isInt({min: 1})
+    .withMessage("Revision number must be a positive integer"),
+
+  query("from")
+    .optional()
+    .isInt({min: 1})
+    .withMessage("'from' must be a positive revision number"),
+
+  query("to")
+    .optional()
+    .isInt({min: 1})
+    .withMessage("'to' must be a positive revision number"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for DOCX export
+ */
+export const validateResumeDocxExport = [
+  body("resumeId")
+    .notEmpty()
+    .withMessage("Resume ID is required")
+    .isMongoId()
+    .withMessage("Invalid resume ID"),
+
+  body("templateId")
+    .optional()
+    .isIn([
+      "classic",
+      "modern",
+      "minimal",
+      "professional",
+      "professional-v2",
+      "executive",
+      "tech",
+      "creative",
+      "academic",
+    ])
+    .withMessage("Invalid template ID"),
+
+  body("colorTheme")
+    .optional({values: "null"})
+    .trim()
+    .isLength({max: 20})
+    .withMessage("Color theme must not exceed 20 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for tailoring a resume to a job
+ */
+export const validateResumeTailor = [
+  param("id").isMongoId().withMessage("Invalid resume ID"),
+
+  body("jobDescription")
+    .trim()
+    .notEmpty()
+    .withMessage("Job description is required")
+    .isLength({min: 50, max: 10000})
+    .withMessage("Job description must be between 50 and 10,000 characters"),
+
+  body("jobTitle")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Job title must not exceed 100 characters"),
+
+  body("companyName")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Company name must not exceed 100 characters"),
+
+  body("resumeTitle")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Resume title must not exceed 100 characters"),
+
+  body("missingKeywords")
+    .optional()
+    .isArray({max: 50})
+    .withMessage("Missing keywords must be an array of up to 50 items"),
+
+  body("missingKeywords.*")
+    .isString()
+    .trim()
+    .isLength({min: 1, max: 50})
+    .withMessage("Each keyword must be between 1 and 50 characters"),
+
+  handleValidationErrors,
+];
+
 /**
  * Validation rules for content enhancement
  */
@@ -816,6 +1095,32 @@ export const validateATSAnalysis = [
   handleValidationErrors,
 ];
 
+/**
+ * Validation rules for ATS scan history
+ */
+export const validateAtsScanQuery = [
+  param("resumeId").optional().isMongoId().withMessage("Invalid resume ID"),
+
+  param("id").optional().isMongoId().withMessage("Invalid scan ID"),
+
+  query("jobDescriptionHash")
+    .optional()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage("Invalid job description hash"),
+
+  query("page")
+    .optional()
+    .isInt({min: 1})
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({min: 1, max: 100})
+    .withMessage("Limit must be between 1 and 100"),
+
+  handleValidationErrors,
+];
+
 /**
  * Validation rules for custom job description ATS analysis
  */
@@ -842,6 +1147,700 @@ export const validateCustomJobATS = [
   handleValidationErrors,
 ];
 
+// ============================================================================
+// COVER LETTER VALIDATION RULES
+// ============================================================================
+
+const COVER_LETTER_TONES = [
+  "professional",
+  "enthusiastic",
+  "confident",
+  "friendly",
+  "formal",
+];
+const COVER_LETTER_LENGTHS = ["short", "medium", "long"];
+
+/**
+ * Validation rules for cover letter generation
+ */
+export const validateCoverLetterCreate = [
+  body("resumeId")
+    .notEmpty()
+    .withMessage("Resume ID is required")
+    .isMongoId()
+    .withMessage("Invalid resume ID"),
+
+  body("jobDescription")
+    .trim()
+    .notEmpty()
+    .withMessage("Job description is required")
+    .isLength({min: 50, max: 10000})
+    .withMessage("Job description must be between 50 and 10,000 characters"),
+
+  body("companyName")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Company name must not exceed 100 characters"),
+
+  body("jobTitle")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Job title must not exceed 100 characters"),
+
+  body("title")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Title must not exceed 100 characters"),
+
+  body("tone")
+    .optional()
+    .isIn(COVER_LETTER_TONES)
+    .withMessage(`Tone must be one of: ${COVER_LETTER_TONES.join(", ")}`),
+
+  body("length")
+    .optional()
+    .isIn(COVER_LETTER_LENGTHS)
+    .withMessage(`Length must be one of: ${COVER_LETTER_LENGTHS.join(", ")}`),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for cover letter update
+ */
+export const validateCoverLetterUpdate = [
+  param("id").isMongoId().withMessage("Invalid cover letter ID"),
+
+  body("title")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Title must not exceed 100 characters"),
+
+  body("companyName")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Company name must not exceed 100 characters"),
+
+  body("jobTitle")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Job title must not exceed 100 characters"),
+
+  body("jobDescription")
+    .optional()
+    .trim()
+    .isLength({min: 50, max: 10000})
+    .withMessage("Job description must be between 50 and 10,000 characters"),
+
+  body("tone")
+    .optional()
+    .isIn(COVER_LETTER_TONES)
+    .withMessage(`Tone must be one of: ${COVER_LETTER_TONES.join(", ")}`),
+
+  body("length")
+    .optional()
+    .isIn(COVER_LETTER_LENGTHS)
+    .withMessage(`Length must be one of: ${COVER_LETTER_LENGTHS.join(", ")}`),
+
+  body("paragraphs")
+    .optional()
+    .isArray({max: 20})
+    .withMessage("Paragraphs must be an array with at most 20 items"),
+
+  body("paragraphs.*")
+    .isString()
+    .withMessage("Each paragraph must be a string")
+    .isLength({max: 3000})
+    .withMessage("Each paragraph must not exceed 3,000 characters"),
+
+  body("content")
+    .optional()
+    .isString()
+    .withMessage("Content must be a string")
+    .isLength({max: 10000})
+    .withMessage("Content must not exceed 10,000 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for cover letter ID parameter
+ */
+export const validateCoverLetterId = [
+  param("id").isMongoId().withMessage("Invalid cover letter ID"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for single paragraph regeneration
+ */
+export const validateParagraphRegenerate = [
+  param("id").isMongoId().withMessage("Invalid cover letter ID"),
+
+  param("index")
+    .isInt({min: 0})
+    .withMessage("Paragraph index must be a non-negative integer"),
+
+  body("instructions")
+    .optional()
+    .trim()
+    .isLength({max: 500})
+    .withMessage("Instructions must not exceed 500 characters"),
+
+  body("tone")
+    .optional()
+    .isIn(COVER_LETTER_TONES)
+    .withMessage(`Tone must be one of: ${COVER_LETTER_TONES.join(", ")}`),
+
+  handleValidationErrors,
+];
+
+// ============================================================================
+// JOB APPLICATION VALIDATION RULES
+// ============================================================================
+
+const APPLICATION_STATUSES = [
+  "saved",
+  "applied",
+  "interviewing",
+  "offer",
+  "rejected",
+];
+
+const applicationDetailRules = (optional) => [
+  (optional ? body("company").optional() : body("company"))
+    .trim()
+    .notEmpty()
+    .withMessage("Company is required")
+    .isLength({max: 100})
+    .withMessage("Company must not exceed 100 characters"),
+
+  (optional ? body("role").optional() : body("role"))
+    .trim()
+    .notEmpty()
+    .withMessage("Role is required")
+    .isLength({max: 100})
+    .withMessage("Role must not exceed 100 characters"),
+
+  body("jobDescription")
+    .optional()
+    .trim()
+    .isLength({max: 10000})
+    .withMessage("Job description must not exceed 10,000 characters"),
+
+  body("jobUrl")
+    .optional({values: "falsy"})
+    .trim()
+    .isURL({protocols: ["http", "https"], require_protocol: true})
+    .withMessage("Job URL must be a valid http(s) URL"),
+
+  body("location")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Location must not exceed 100 characters"),
+
+  body("resumeId")
+    .optional({values: "null"})
+    .isMongoId()
+    .withMessage("Invalid resume ID"),
+
+  body("coverLetterId")
+    .optional({values: "null"})
+    .isMongoId()
+    .withMessage("Invalid cover letter ID"),
+
+  body("atsScanId")
+    .optional({values: "null"})
+    .isMongoId()
+    .withMessage("Invalid ATS scan ID"),
+];
+
+/**
+ * Validation rules for creating a job application
+ */
+export const validateApplicationCreate = [
+  ...applicationDetailRules(false),
+
+  body("status")
+    .optional()
+    .isIn(["saved", "applied"])
+    .withMessage("New applications must be 'saved' or 'applied'"),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({max: 2000})
+    .withMessage("Note must not exceed 2,000 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating a job application
+ */
+export const validateApplicationUpdate = [
+  param("id").isMongoId().withMessage("Invalid application ID"),
+  ...applicationDetailRules(true),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for application status change
+ */
+export const validateApplicationStatus = [
+  param("id").isMongoId().withMessage("Invalid application ID"),
+
+  body("status")
+    .isIn(APPLICATION_STATUSES)
+    .withMessage(`Status must be one of: ${APPLICATION_STATUSES.join(", ")}`),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({max: 500})
+    .withMessage("Note must not exceed 500 characters"),
+
+  body("atsScanId")
+    .optional({values: "null"})
+    .isMongoId()
+    .withMessage("Invalid ATS scan ID"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for application list filters
+ */
+export const validateApplicationQuery = [
+  query("status")
+    .optional()
+    .isIn(APPLICATION_STATUSES)
+    .withMessage(`Status must be one of: ${APPLICATION_STATUSES.join(", ")}`),
+
+  query("search")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Search query must not exceed 100 characters"),
+
+  query("page")
+    .optional()
+    .isInt({min: 1})
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({min: 1, max: 100})
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("days")
+    .optional()
+    .isInt({min: 0, max: 90})
+    .withMessage("Days must be between 0 and 90"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for application ID parameter
+ */
+export const validateApplicationId = [
+  param("id").isMongoId().withMessage("Invalid application ID"),
+  param("noteId").optional().isMongoId().withMessage("Invalid note ID"),
+  param("reminderId").optional().isMongoId().withMessage("Invalid reminder ID"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for application notes
+ */
+export const validateApplicationNote = [
+  param("id").isMongoId().withMessage("Invalid application ID"),
+
+  body("text")
+    .trim()
+    .notEmpty()
+    .withMessage("Note text is required")
+    .isLength({max: 2000})
+    .withMessage("Note must not exceed 2,000 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for follow-up reminders (create and update)
+ */
+export const validateApplicationReminder = [
+  param("id").isMongoId().withMessage("Invalid application ID"),
+  param("reminderId").optional().isMongoId().withMessage("Invalid reminder ID"),
+
+  body("dueAt")
+    .if((value, {req}) => !req.params.reminderId || value !== undefined)
+    .isISO8601()
+    .withMessage("Due date must be a valid ISO 8601 date")
+    .toDate(),
+
+  body("message")
+    .optional()
+    .trim()
+    .isLength({max: 500})
+    .withMessage("Message must not exceed 500 characters"),
+
+  body("done")
+    .optional()
+    .isBoolean()
+    .withMessage("Done must be a boolean")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+// ============================================================================
+// QUESTION BANK VALIDATION RULES
+// ============================================================================
+
+const BANK_DIFFICULTIES = ["easy", "medium", "hard"];
+const BANK_QUESTION_TYPES = [
+  "technical",
+  "behavioral",
+  "situational",
+  "resume-based",
+  "coding",
+  "system-design",
+];
+const BANK_CODING_LANGUAGES = ["javascript", "python"];
+
+const questionBankRules = (optional) => [
+  (optional ? body("name").optional() : body("name"))
+    .trim()
+    .notEmpty()
+    .withMessage("Bank name is required")
+    .isLength({max: 100})
+    .withMessage("Bank name must not exceed 100 characters"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({max: 1000})
+    .withMessage("Description must not exceed 1,000 characters"),
+
+  body("questions")
+    .optional()
+    .isArray({max: 200})
+    .withMessage("Questions must be an array of at most 200 items"),
+
+  body("questions.*.questionText")
+    .trim()
+    .notEmpty()
+    .withMessage("Question text is required")
+    .isLength({max: 2000})
+    .withMessage("Question text must not exceed 2,000 characters"),
+
+  body("questions.*.role")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Role must not exceed 100 characters"),
+
+  body("questions.*.topic")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Topic must not exceed 100 characters"),
+
+  body("questions.*.difficulty")
+    .optional()
+    .isIn(BANK_DIFFICULTIES)
+    .withMessage(`Difficulty must be one of: ${BANK_DIFFICULTIES.join(", ")}`),
+
+  body("questions.*.questionType")
+    .optional()
+    .isIn(BANK_QUESTION_TYPES)
+    .withMessage(
+      `Question type must be one of: ${BANK_QUESTION_TYPES.join(", ")}`
+    ),
+
+  body("questions.*.referenceAnswer")
+    .optional()
+    .trim()
+    .isLength({max: 5000})
+    .withMessage("Reference answer must not exceed 5,000 characters"),
+
+  body("questions.*.expectedKeywords")
+    .optional()
+    .isArray({max: 30})
+    .withMessage("Expected keywords must be an array of at most 30 items"),
+
+  body("questions.*.rubric")
+    .optional()
+    .isArray({max: 10})
+    .withMessage("Rubric must have at most 10 criteria"),
+
+  body("questions.*.rubric.*.criterion")
+    .trim()
+    .notEmpty()
+    .withMessage("Rubric criterion is required")
+    .isLength({max: 200})
+    .withMessage("Rubric criterion must not exceed 200 characters"),
+
+  body("questions.*.rubric.*.description")
+    .optional()
+    .trim()
+    .isLength({max: 1000})
+    .withMessage("Rubric description must not exceed 1,000 characters"),
+
+  body("questions.*.rubric.*.weight")
+    .optional()
+    .isInt({min: 1, max: 100})
+    .withMessage("Rubric weight must be between 1 and 100")
+    .toInt(),
+
+  body("questions.*.language")
+    .optional()
+    .isIn(BANK_CODING_LANGUAGES)
+    .withMessage(
+      `Language must be one of: ${BANK_CODING_LANGUAGES.join(", ")}`
+    ),
+
+  body("questions.*.starterCode")
+    .optional()
+    .isString()
+    .isLength({max: 5000})
+    .withMessage("Starter code must not exceed 5,000 characters"),
+
+  body("questions.*.testCases")
+    .optional()
+    .isArray({max: 20})
+    .withMessage("Test cases must be an array of at most 20 items"),
+
+  body("questions.*.testCases.*.input")
+    .optional()
+    .isString()
+    .isLength({max: 10000})
+    .withMessage("Test input must be a string of at most 10,000 characters"),
+
+  body("questions.*.testCases.*.expectedOutput")
+    .isString()
+    .withMessage("Test expected output is required")
+    .isLength({max: 10000})
+    .withMessage("Test expected output must not exceed 10,000 characters"),
+
+  body("questions.*.testCases.*.isHidden")
+    .optional()
+    .isBoolean()
+    .withMessage("isHidden must be a boolean")
+    .toBoolean(),
+
+  body("isPublished")
+    .optional()
+    .isBoolean()
+    .withMessage("isPublished must be a boolean")
+    .toBoolean(),
+];
+
+/**
+ * Validation rules for creating a question bank
+ */
+export const validateQuestionBankCreate = [
+  ...questionBankRules(false),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating a question bank
+ */
+export const validateQuestionBankUpdate = [
+  param("id").isMongoId().withMessage("Invalid question bank ID"),
+  ...questionBankRules(true),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for publishing a global question bank
+ */
+export const validateQuestionBankPublish = [
+  param("id").isMongoId().withMessage("Invalid question bank ID"),
+
+  body("isPublished")
+    .isBoolean()
+    .withMessage("isPublished must be a boolean")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for question bank ID parameter
+ */
+export const validateQuestionBankId = [
+  param("id").isMongoId().withMessage("Invalid question bank ID"),
+  handleValidationErrors,
+];
+
+// ============================================================================
+// INTERVIEW REPORT SHARING VALIDATION RULES
+// ============================================================================
+
+/**
+ * Validation rules for creating a report share link
+ */
+export const validateShareLinkCreate = [
+  param("sessionId").isMongoId().withMessage("Invalid session ID"),
+
+  body("expiresInDays")
+    .optional()
+    .isInt({min: 1, max: 90})
+    .withMessage("Expiry must be between 1 and 90 days")
+    .toInt(),
+
+  body("label")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Label must not exceed 100 characters"),
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for revoking a report share link
+ */
+export const validateShareLinkRevoke = [
+  param("sessionId").isMongoId().withMessage("Invalid session ID"),
+  param("linkId").isMongoId().withMessage("Invalid share link ID"),
+  handleValidationErrors,
+];
+
+// ============================================================================
+// INTERVIEW ROLE VALIDATION RULES
+// ============================================================================
+
+const ROLE_EXPERIENCE_LEVELS = ["fresher", "junior", "mid", "senior", "lead"];
+
+const interviewRoleRules = (optional) => [
+  (optional ? body("name").optional() : body("name"))
+    .trim()
+    .notEmpty()
+    .withMessage("Role name is required")
+    .isLength({max: 100})
+    .withMessage("Role name must not exceed 100 characters"),
+
+  body("description")
+    .optional()
+    .trim()
+    .isLength({max: 500})
+    .withMessage("Description must not exceed 500 characters"),
+
+  body("topics")
+    .optional()
+    .isArray({max: 50})
+    .withMessage("Topics must be an array of at most 50 items"),
+
+  body("topics.*.name")
+    .trim()
+    .notEmpty()
+    .withMessage("Topic name is required")
+    .isLength({max: 100})
+    .withMessage("Topic name must not exceed 100 characters"),
+
+  body("topics.*.weight")
+    .optional()
+    .isInt({min: 1, max: 10})
+    .withMessage("Topic weight must be between 1 and 10")
+    .toInt(),
+
+  body("levels")
+    .optional()
+    .isArray({max: ROLE_EXPERIENCE_LEVELS.length})
+    .withMessage("Levels must be an array"),
+
+  body("levels.*.level")
+    .isIn(ROLE_EXPERIENCE_LEVELS)
+    .withMessage(`Level must be one of: ${ROLE_EXPERIENCE_LEVELS.join(", ")}`),
+
+  body("levels.*.depth")
+    .optional()
+    .trim()
+    .isLength({max: 300})
+    .withMessage("Level depth must not exceed 300 characters"),
+
+  body("levels.*.complexity")
+    .optional()
+    .trim()
+    .isLength({max: 100})
+    .withMessage("Level complexity must not exceed 100 characters"),
+
+  body("levels.*.expectation")
+    .optional()
+    .trim()
+    .isLength({max: 300})
+    .withMessage("Level expectation must not exceed 300 characters"),
+
+  body("levels.*.isEnabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Level isEnabled must be a boolean")
+    .toBoolean(),
+
+  body("isEnabled")
+    .optional()
+    .isBoolean()
+    .withMessage("isEnabled must be a boolean")
+    .toBoolean(),
+
+  body("sortOrder")
+    .optional()
+    .isInt({min: 0, max: 1000})
+    .withMessage("Sort order must be between 0 and 1000")
+    .toInt(),
+];
+
+/**
+ * Validation rules for creating an interview role
+ */
+export const validateInterviewRoleCreate = [
+  body("key")
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9-]{1,50}$/)
+    .withMessage(
+      "Key must be 1-50 lowercase letters, numbers or hyphens (e.g. data-engineer)"
+    ),
+
+  ...interviewRoleRules(false),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating an interview role
+ */
+export const validateInterviewRoleUpdate = [
+  param("id").isMongoId().withMessage("Invalid interview role ID"),
+  ...interviewRoleRules(true),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for enabling/disabling an interview role
+ */
+export const validateInterviewRoleStatus = [
+  param("id").isMongoId().withMessage("Invalid interview role ID"),
+
+  body("isEnabled")
+    .isBoolean()
+    .withMessage("isEnabled must be a boolean")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
 // ============================================================================
 // ADMIN VALIDATION RULES
 // ============================================================================
@@ -9,13 +9,13 @@ const aiUsageSchema = new mongoose.Schema(
     },
     aiProvider: {
       type: String,
-      enum: ["openai", "gemini", "hybrid"],
+      enum: ["openai", "gemini", "hybrid", "local", "mock"],
       required: true,
       index: true,
     },
     aiModel: {
       type: String,
-      enum: ["gpt4o", "gemini", "hybrid"],
+      enum: ["gpt4o", "gemini", "hybrid", "local", "mock"],
       required: true,
     },
     feature: {
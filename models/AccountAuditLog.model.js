@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+/**
+ * Account Audit Log Schema
+ * Changes to how a user can sign in: linked and unlinked OAuth identities and
+ * passwords set on OAuth-only accounts.
+ */
+const accountAuditLogSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ["provider_linked", "provider_unlinked", "password_set"],
+    },
+    provider: {
+      type: String,
+      enum: ["local", "google", "github"],
+      required: true,
+    },
+    // user: explicit request; oauth_login: linked by matching email at login
+    // (older entries only; accounts are no longer linked implicitly)
+    source: {
+      type: String,
+      enum: ["user", "oauth_login"],
+      default: "user",
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountAuditLogSchema.index({userId: 1, createdAt: -1});
+
+const AccountAuditLog = mongoose.model(
+  "AccountAuditLog",
+  accountAuditLogSchema
+);
+
+export default AccountAuditLog;
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+const atsScanSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Null for scans of uploaded files that are not saved resumes
+    resumeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resume",
+      default: null,
+    },
+    // Latest ResumeRevision number of the resume when it was scanned
+    resumeRevision: {
+      type: Number,
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ["analyze-resume", "match-score"],
+      required: true,
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    // sha256 of the normalized job description; groups scans of the same job
+    jobDescriptionHash: {
+      type: String,
+      required: true,
+    },
+    jobTitle: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true,
+    },
+    eligible: {
+      type: Boolean,
+      default: null,
+    },
+    // Per-check breakdown (offline engine) or category scores (AI)
+    breakdown: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    missingKeywords: {
+      type: [String],
+      default: [],
+    },
+    presentKeywords: {
+      type: [String],
+      default: [],
+    },
+    engine: {
+      type: String,
+      enum: ["ai", "offline"],
+      required: true,
+    },
+    aiModel: {
+      type: String,
+      default: null,
+    },
+    fallback: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+atsScanSchema.index({userId: 1, resumeId: 1, createdAt: -1});
+atsScanSchema.index({resumeId: 1, jobDescriptionHash: 1, createdAt: 1});
+
+const AtsScan = mongoose.model("AtsScan", atsScanSchema);
+
+export default AtsScan;
@@ -0,0 +1,87 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+/**
+ * Auth Session Schema
+ * One signed-in device. Holds the hash of its current refresh token; access
+ * tokens carry the session id and stop working once the session is revoked.
+ */
+const authSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Refresh tokens this session has already rotated away from. Seeing one
+    // again means the token was stolen (reuse detection).
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    // Signed in with a two-factor code (required for admin routes when the
+    // account has 2FA)
+    twoFactorVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Started by an OAuth redirect and waiting for the client to exchange
+    // its one-time login code; refreshing is refused until then
+    pendingExchange: {
+      type: Boolean,
+      default: false,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ipAddress: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "revoked",
+        "password_reset",
+        "account_disabled",
+        "token_reuse",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Removed once expired
+authSessionSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+authSessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+authSessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+const AuthSession = mongoose.model("AuthSession", authSessionSchema);
+
+export default AuthSession;
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+const coverLetterSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    resumeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resume",
+      required: true,
+      index: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "Cover Letter",
+    },
+    companyName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "",
+    },
+    jobTitle: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "",
+    },
+    jobDescription: {
+      type: String,
+      required: true,
+      maxlength: 10000,
+    },
+    tone: {
+      type: String,
+      enum: ["professional", "enthusiastic", "confident", "friendly", "formal"],
+      default: "professional",
+    },
+    length: {
+      type: String,
+      enum: ["short", "medium", "long"],
+      default: "medium",
+    },
+    // Letter body, one entry per paragraph (including greeting and sign-off)
+    paragraphs: {
+      type: [String],
+      default: [],
+    },
+    aiModel: {
+      type: String,
+      default: null,
+    },
+    // Number of AI generations (full letter + paragraph rewrites)
+    generationCount: {
+      type: Number,
+      default: 0,
+    },
+    lastGeneratedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {virtuals: true},
+    toObject: {virtuals: true},
+  }
+);
+
+coverLetterSchema.index({userId: 1, updatedAt: -1});
+
+// Full letter text
+coverLetterSchema.virtual("content").get(function () {
+  return (this.paragraphs || []).join("\n\n");
+});
+
+const CoverLetter = mongoose.model("CoverLetter", coverLetterSchema);
+
+export default CoverLetter;
@@ -75,6 +75,19 @@ const interviewResultSchema = new mongoose.Schema(
         score: {type: Number, min: 0, max: 100, default: 0},
         feedback: String,
       },
+      // Only set when the interview had system design questions
+      systemDesign: {
+        score: {type: Number, min: 0, max: 100},
+        feedback: String,
+        questionsAsked: Number,
+        dimensions: {
+          requirements: Number,
+          components: Number,
+          dataFlow: Number,
+          scalability: Number,
+          tradeOffs: Number,
+        },
+      },
     },
     // Topic-wise Breakdown (e.g., JavaScript, React, System Design)
     topicBreakdown: [skillBreakdownSchema],
@@ -139,6 +152,38 @@ const interviewResultSchema = new mongoose.Schema(
       averageTimePerQuestion: {type: Number, default: 0}, // in seconds
       totalDuration: {type: Number, default: 0}, // in seconds
       questionsAboveThreshold: {type: Number, default: 0}, // questions with score >= 70
+      // Spoken answers only (see speechDelivery.service)
+      delivery: {
+        analyzedAnswers: {type: Number},
+        averageWordsPerMinute: {type: Number},
+        pace: {type: String, enum: ["slow", "conversational", "fast", null]},
+        fillerWords: {type: Number},
+        fillerWordsPer100Words: {type: Number},
+        topFillerWords: {
+          type: [{_id: false, word: String, count: Number}],
+          default: undefined,
+        },
+        hedgingPhrases: {type: Number},
+        longPauses: {type: Number},
+        longestPauseSeconds: {type: Number},
+        averageSpeakingRatio: {type: Number},
+        averageScore: {type: Number},
+      },
+    },
+    // Pacing against the session's time limits (see calculateTimeManagement)
+    timeManagement: {
+      policy: {type: String, enum: ["none", "per-question", "total"]},
+      questionTimeLimitSeconds: {type: Number},
+      totalTimeLimitSeconds: {type: Number},
+      totalTimeSpentSeconds: {type: Number, default: 0},
+      averageTimePerQuestion: {type: Number, default: 0},
+      fastestAnswerSeconds: {type: Number},
+      slowestAnswerSeconds: {type: Number},
+      timedOutQuestions: {type: Number, default: 0},
+      autoSubmittedAnswers: {type: Number, default: 0},
+      unaskedQuestions: {type: Number, default: 0},
+      limitUsedPercent: {type: Number}, // share of the time limit used
+      finishedWithinLimit: {type: Boolean},
     },
     // Comparison & Progress
     comparisonData: {
@@ -156,6 +201,8 @@ const interviewResultSchema = new mongoose.Schema(
         "technical",
         "behavioral",
         "mixed",
+        "coding",
+        "system-design",
       ],
     },
     role: {
@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+
+export const EXPERIENCE_LEVELS = ["fresher", "junior", "mid", "senior", "lead"];
+
+/**
+ * Topic Schema
+ * Weight is the relative chance of a technical question focusing on it
+ */
+const topicSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    weight: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 1,
+    },
+  },
+  {_id: false}
+);
+
+/**
+ * Level Schema
+ * Per-level complexity text used in interviewer and evaluator prompts
+ */
+const levelSchema = new mongoose.Schema(
+  {
+    level: {
+      type: String,
+      enum: EXPERIENCE_LEVELS,
+      required: true,
+    },
+    depth: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+    complexity: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    expectation: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+    isEnabled: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {_id: false}
+);
+
+/**
+ * Interview Role Schema
+ * Roles offered in the interview setup, managed by admins
+ */
+const interviewRoleSchema = new mongoose.Schema(
+  {
+    // Stable id sent by clients as the session role, e.g. "data-engineer"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9-]+$/,
+      maxlength: 50,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+    topics: {
+      type: [topicSchema],
+      default: [],
+    },
+    levels: {
+      type: [levelSchema],
+      default: [],
+    },
+    isEnabled: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const InterviewRole = mongoose.model("InterviewRole", interviewRoleSchema);
+
+export default InterviewRole;
@@ -1,5 +1,28 @@
 import mongoose from "mongoose";
 
+/**
+ * Speech delivery metrics of a spoken answer (see speechDelivery.service)
+ */
+const deliveryMetricsSchema = new mongoose.Schema(
+  {
+    wordCount: Number,
+    durationSeconds: Number,
+    wordsPerMinute: Number,
+    pace: {type: String, enum: ["slow", "conversational", "fast", null]},
+    fillerWordCount: Number,
+    fillerWordsPer100Words: Number,
+    fillerWords: [{_id: false, word: String, count: Number}],
+    hedgingCount: Number,
+    hedgingPhrases: [{_id: false, phrase: String, count: Number}],
+    longPauseCount: Number,
+    longestPauseSeconds: Number,
+    speakingRatio: Number,
+    lengthRating: {type: String, enum: ["brief", "appropriate", "long"]},
+    score: {type: Number, min: 0, max: 100},
+  },
+  {_id: false}
+);
+
 /**
  * Interview Question Schema
  * Represents a single question in an interview session
@@ -21,6 +44,8 @@ const interviewQuestionSchema = new mongoose.Schema({
       "situational",
       "resume-based",
       "follow-up",
+      "coding",
+      "system-design",
     ],
     default: "technical",
   },
@@ -32,17 +57,123 @@ const interviewQuestionSchema = new mongoose.Schema({
     enum: ["easy", "medium", "hard"],
     default: "medium",
   },
+  expectedKeywords: [
+    {
+      type: String,
+    },
+  ],
+  // Set when the question was drawn from a question bank
+  bankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "QuestionBank",
+  },
+  bankQuestionId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  // Copied from the bank so later bank edits don't change past grading
+  referenceAnswer: {
+    type: String,
+  },
+  rubric: [
+    {
+      _id: false,
+      criterion: String,
+      description: String,
+      weight: Number,
+    },
+  ],
+  // Coding questions: questionText is the problem statement
+  coding: {
+    language: {
+      type: String,
+      enum: ["javascript", "python"],
+    },
+    starterCode: {
+      type: String,
+    },
+    // Left unset so other questions don't carry empty arrays
+    testCases: {
+      type: [
+        {
+          _id: false,
+          input: String,
+          expectedOutput: String,
+          isHidden: Boolean,
+        },
+      ],
+      default: undefined,
+    },
+    // Results of the final submission against every test case
+    testResults: {
+      passed: Number,
+      total: Number,
+      results: {
+        type: [
+          {
+            _id: false,
+            index: Number,
+            isHidden: Boolean,
+            passed: Boolean,
+            actualOutput: String,
+            error: String,
+            timedOut: Boolean,
+            durationMs: Number,
+          },
+        ],
+        default: undefined,
+      },
+      ranAt: Date,
+    },
+  },
+  // System design questions: the structured answer (userAnswer holds it as text)
+  design: {
+    requirements: {
+      functional: {type: [String], default: undefined},
+      nonFunctional: {type: [String], default: undefined},
+    },
+    components: {
+      type: [
+        {
+          _id: false,
+          name: String,
+          responsibility: String,
+          technology: String,
+        },
+      ],
+      default: undefined,
+    },
+    dataFlows: {
+      type: [{_id: false, from: String, to: String, description: String}],
+      default: undefined,
+    },
+    scalingDecisions: {type: [String], default: undefined},
+    tradeOffs: {
+      type: [{_id: false, decision: String, rationale: String}],
+      default: undefined,
+    },
+  },
   userAnswer: {
     type: String,
     default: "",
   },
   answerMode: {
     type: String,
-    enum: ["text", "voice", "live"],
+    enum: ["text", "voice", "live", "code", "design"],
     default: "text",
   },
   audioUrl: {
-    type: String, // Temporary audio file URL if voice mode
+    type: String, // Replay URL of the stored answer audio
+  },
+  // Answer recording in audio storage (voice and live answers)
+  audio: {
+    storageKey: String,
+    backend: String,
+    mimeType: String,
+    size: Number,
+    storedAt: Date,
+    // Set from the subscription tier when stored; purged afterwards
+    expiresAt: {type: Date, index: true},
+    purgedAt: Date,
   },
   transcribedText: {
     type: String, // Whisper transcription for voice answers
@@ -57,6 +188,19 @@ const interviewQuestionSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Set on timed sessions; the server resolves the question once it passes
+  deadlineAt: {
+    type: Date,
+  },
+  // Latest unsubmitted answer text, auto-submitted when time runs out
+  draftAnswer: {
+    type: String,
+    default: "",
+  },
+  timedOut: {
+    type: Boolean,
+    default: false,
+  },
   evaluation: {
     score: {
       type: Number,
@@ -88,6 +232,10 @@ const interviewQuestionSchema = new mongoose.Schema({
       max: 100,
       default: 0,
     },
+    // Voice and live answers: how the answer was spoken
+    delivery: {
+      type: deliveryMetricsSchema,
+    },
     roleFit: {
       type: Number,
       min: 0,
@@ -120,6 +268,30 @@ const interviewQuestionSchema = new mongoose.Schema({
     feedback: {
       type: String,
     },
+    rubricScores: [
+      {
+        _id: false,
+        criterion: String,
+        score: Number,
+        comment: String,
+      },
+    ],
+    // Coding questions: score blends these two
+    testPassRate: {
+      type: Number,
+    },
+    codeQualityScore: {
+      type: Number,
+    },
+    // System design questions: one score per design dimension
+    designScores: [
+      {
+        _id: false,
+        dimension: String,
+        score: Number,
+        comment: String,
+      },
+    ],
   },
   isFollowUp: {
     type: Boolean,
@@ -155,6 +327,8 @@ const interviewSessionSchema = new mongoose.Schema(
         "technical",
         "behavioral",
         "mixed",
+        "coding",
+        "system-design",
       ],
       required: true,
     },
@@ -172,6 +346,12 @@ const interviewSessionSchema = new mongoose.Schema(
       enum: ["text", "voice", "mixed", "live"],
       default: "text",
     },
+    // Language for AI-generated coding questions
+    codingLanguage: {
+      type: String,
+      enum: ["javascript", "python"],
+      default: "javascript",
+    },
     // Source Data
     resumeId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -188,6 +368,18 @@ const interviewSessionSchema = new mongoose.Schema(
         type: String, // Specific skills to focus on
       },
     ],
+    // Where questions come from: AI only, question banks only, or both
+    questionSource: {
+      type: String,
+      enum: ["ai", "bank", "mixed"],
+      default: "ai",
+    },
+    questionBankIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "QuestionBank",
+      },
+    ],
     // Session State
     status: {
       type: String,
@@ -237,6 +429,34 @@ const interviewSessionSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Time limits, enforced by interviewTiming.service
+    timing: {
+      policy: {
+        type: String,
+        enum: ["none", "per-question", "total"],
+        default: "none",
+      },
+      questionTimeLimitSeconds: {
+        type: Number,
+        min: 30,
+        max: 1800,
+      },
+      totalTimeLimitSeconds: {
+        type: Number,
+        min: 300,
+        max: 10800,
+      },
+      // What happens to the open question when time runs out
+      onTimeout: {
+        type: String,
+        enum: ["skip", "submit"],
+        default: "submit",
+      },
+      // Whole-interview deadline ("total" policy), set when the session starts
+      deadlineAt: {
+        type: Date,
+      },
+    },
     // AI Configuration
     aiModel: {
       type: String,
@@ -293,14 +513,44 @@ interviewSessionSchema.virtual("averageScore").get(function () {
 // Method to add a question
 interviewSessionSchema.methods.addQuestion = function (questionData) {
   const questionNumber = this.questions.length + 1;
+  const startedAt = new Date();
   this.questions.push({
     questionNumber,
     ...questionData,
-    startedAt: new Date(),
+    startedAt,
+    deadlineAt: this.getQuestionDeadline(startedAt),
   });
   return this.questions[this.questions.length - 1];
 };
 
+// Method to get the deadline of a question asked at startedAt
+interviewSessionSchema.methods.getQuestionDeadline = function (startedAt) {
+  const {policy, questionTimeLimitSeconds, deadlineAt} = this.timing || {};
+
+  if (policy === "per-question" && questionTimeLimitSeconds) {
+    return new Date(startedAt.getTime() + questionTimeLimitSeconds * 1000);
+  }
+  if (policy === "total" && deadlineAt) {
+    return deadlineAt;
+  }
+  return undefined;
+};
+
+// Method to push deadlines back after a pause (the clock stops while paused)
+interviewSessionSchema.methods.extendDeadlines = function (milliseconds) {
+  if (this.timing?.deadlineAt) {
+    this.timing.deadlineAt = new Date(
+      this.timing.deadlineAt.getTime() + milliseconds
+    );
+  }
+
+  this.questions.forEach((q) => {
+    if (q.deadlineAt && !q.userAnswer && !q.skipped) {
+      q.deadlineAt = new Date(q.deadlineAt.getTime() + milliseconds);
+    }
+  });
+};
+
 // Method to submit an answer
 interviewSessionSchema.methods.submitAnswer = function (
   questionNumber,
@@ -363,7 +613,7 @@ interviewSessionSchema.statics.getUserHistory = async function (
     .sort({createdAt: -1})
     .skip(skip)
     .limit(limit)
-    .select("-questions.evaluation.suggestedAnswer") // Exclude detailed answers in list view
+    .select("-questions.evaluation.suggestedAnswer -questions.coding.testCases") // Exclude detailed answers and hidden tests in list view
     .lean();
 };
 
@@ -0,0 +1,79 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+/**
+ * Interview Share Link Schema
+ * A revocable, expiring public link to an interview report. Only a hash of
+ * the token is stored; the link itself is shown once when it is created.
+ */
+const interviewShareLinkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    resultId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InterviewResult",
+      required: true,
+      index: true,
+    },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InterviewSession",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired links are kept for a month so owners can still see them listed
+interviewShareLinkSchema.index(
+  {expiresAt: 1},
+  {expireAfterSeconds: 30 * 24 * 60 * 60}
+);
+
+interviewShareLinkSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+interviewShareLinkSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+const InterviewShareLink = mongoose.model(
+  "InterviewShareLink",
+  interviewShareLinkSchema
+);
+
+export default InterviewShareLink;
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+
+const noteSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {_id: true}
+);
+
+const reminderSchema = new mongoose.Schema(
+  {
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "Follow up on this application",
+    },
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    // Set by the reminder job once the email has been sent
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {_id: true}
+);
+
+const jobApplicationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    company: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    role: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    jobDescription: {
+      type: String,
+      maxlength: 10000,
+      default: "",
+    },
+    jobUrl: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "",
+    },
+    resumeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resume",
+      default: null,
+    },
+    coverLetterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CoverLetter",
+      default: null,
+    },
+    // ATS score of the resume used, captured when applying. Copied from
+    // one of the user's ATS scans; "manual" only on older records.
+    atsScore: {
+      score: {type: Number, min: 0, max: 100},
+      scanId: {type: mongoose.Schema.Types.ObjectId, ref: "AtsScan"},
+      source: {
+        type: String,
+        enum: ["analyze-resume", "match-score", "manual"],
+        default: "manual",
+      },
+      recordedAt: Date,
+    },
+    status: {
+      type: String,
+      enum: ["saved", "applied", "interviewing", "offer", "rejected"],
+      default: "saved",
+      index: true,
+    },
+    statusHistory: [
+      {
+        from: String,
+        to: String,
+        note: String,
+        changedAt: {type: Date, default: Date.now},
+      },
+    ],
+    appliedAt: {
+      type: Date,
+    },
+    notes: [noteSchema],
+    reminders: [reminderSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobApplicationSchema.index({userId: 1, status: 1, updatedAt: -1});
+jobApplicationSchema.index({
+  "reminders.dueAt": 1,
+  "reminders.done": 1,
+  "reminders.notifiedAt": 1,
+});
+
+const JobApplication = mongoose.model("JobApplication", jobApplicationSchema);
+
+export default JobApplication;
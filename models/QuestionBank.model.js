@@ -0,0 +1,196 @@
+import mongoose from "mongoose";
+
+export const BANK_QUESTION_TYPES = [
+  "technical",
+  "behavioral",
+  "situational",
+  "resume-based",
+  "coding",
+  "system-design",
+];
+export const BANK_CODING_LANGUAGES = ["javascript", "python"];
+export const BANK_DIFFICULTIES = ["easy", "medium", "hard"];
+
+/**
+ * Rubric Criterion Schema
+ * One line of the grading rubric; weights are relative within a question
+ */
+const rubricCriterionSchema = new mongoose.Schema(
+  {
+    criterion: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: "",
+    },
+    weight: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: 1,
+    },
+  },
+  {_id: false}
+);
+
+/**
+ * Test Case Schema
+ * Coding questions: the program reads input from stdin and must print the
+ * expected output. Hidden cases are never shown to the candidate.
+ */
+const testCaseSchema = new mongoose.Schema(
+  {
+    input: {
+      type: String,
+      maxlength: 10000,
+      default: "",
+    },
+    expectedOutput: {
+      type: String,
+      required: true,
+      maxlength: 10000,
+    },
+    isHidden: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {_id: false}
+);
+
+/**
+ * Bank Question Schema
+ */
+const bankQuestionSchema = new mongoose.Schema({
+  questionText: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+  // Empty means the question fits any role
+  role: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  difficulty: {
+    type: String,
+    enum: BANK_DIFFICULTIES,
+    default: "medium",
+  },
+  questionType: {
+    type: String,
+    enum: BANK_QUESTION_TYPES,
+    default: "technical",
+  },
+  referenceAnswer: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+    default: "",
+  },
+  rubric: {
+    type: [rubricCriterionSchema],
+    default: [],
+  },
+  expectedKeywords: {
+    type: [String],
+    default: [],
+  },
+  // Coding questions only
+  language: {
+    type: String,
+    enum: BANK_CODING_LANGUAGES,
+    default: "javascript",
+  },
+  starterCode: {
+    type: String,
+    maxlength: 5000,
+    default: "",
+  },
+  testCases: {
+    type: [testCaseSchema],
+    default: [],
+  },
+});
+
+/**
+ * Question Bank Schema
+ * Global banks are authored by admins and visible to everyone once
+ * published; private banks are only visible to their owner.
+ */
+const questionBankSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: "",
+    },
+    visibility: {
+      type: String,
+      enum: ["private", "global"],
+      default: "private",
+      index: true,
+    },
+    // Owner of a private bank; null for global banks
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Only published global banks are offered to users
+    isPublished: {
+      type: Boolean,
+      default: false,
+    },
+    questions: {
+      type: [bankQuestionSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+questionBankSchema.index({visibility: 1, isPublished: 1});
+
+/**
+ * Filter for banks a user may read and use in interviews
+ * @param {string} userId - User ID
+ * @returns {Object} Mongo filter
+ */
+questionBankSchema.statics.accessibleBy = function (userId) {
+  return {
+    $or: [{visibility: "global", isPublished: true}, {ownerId: userId}],
+  };
+};
+
+const QuestionBank = mongoose.model("QuestionBank", questionBankSchema);
+
+export default QuestionBank;
@@ -1,5 +1,33 @@
 import mongoose from "mongoose";
 
+// Job the variant was tailored for and what was changed
+const tailoringSchema = new mongoose.Schema(
+  {
+    jobTitle: String,
+    companyName: String,
+    jobDescription: String,
+    missingKeywords: [String],
+    summaryChanged: Boolean,
+    skillsReordered: Boolean,
+    // One entry per rewritten bullet
+    changes: [
+      {
+        _id: false,
+        section: {type: String, enum: ["experience", "projects"]},
+        itemIndex: Number,
+        bulletIndex: Number,
+        before: String,
+        after: String,
+        keywordsAdded: [String],
+        reason: String,
+      },
+    ],
+    aiModel: String,
+    tailoredAt: Date,
+  },
+  {_id: false}
+);
+
 const resumeSchema = new mongoose.Schema(
   {
     userId: {
@@ -122,6 +150,17 @@ const resumeSchema = new mongoose.Schema(
         default: null,
       },
     },
+    // Set on job-specific variants created by POST /api/resume/:id/tailor
+    parentResumeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resume",
+      default: null,
+      index: true,
+    },
+    tailoring: {
+      type: tailoringSchema,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+const resumeRevisionSchema = new mongoose.Schema(
+  {
+    resumeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Resume",
+      required: true,
+      index: true,
+      immutable: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+      immutable: true,
+    },
+    revisionNumber: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    // Full copy of the editable resume fields after this revision was applied
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      immutable: true,
+    },
+    changedFields: {
+      type: [String],
+      default: [],
+      immutable: true,
+    },
+    source: {
+      type: String,
+      enum: ["create", "baseline", "manual", "ai", "restore"],
+      default: "manual",
+      immutable: true,
+    },
+    // AI feature that produced the content (e.g. "resume_enhancement")
+    aiFeature: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+    restoredFromRevision: {
+      type: Number,
+      default: null,
+      immutable: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+      immutable: true,
+    },
+  },
+  {
+    timestamps: {createdAt: true, updatedAt: false},
+  }
+);
+
+resumeRevisionSchema.index({resumeId: 1, revisionNumber: -1}, {unique: true});
+
+// Revisions are append-only
+const rejectUpdate = function (next) {
+  next(new Error("Resume revisions are immutable"));
+};
+
+resumeRevisionSchema.pre("updateOne", rejectUpdate);
+resumeRevisionSchema.pre("updateMany", rejectUpdate);
+resumeRevisionSchema.pre("findOneAndUpdate", rejectUpdate);
+resumeRevisionSchema.pre("replaceOne", rejectUpdate);
+
+const ResumeRevision = mongoose.model("ResumeRevision", resumeRevisionSchema);
+
+export default ResumeRevision;
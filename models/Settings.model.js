@@ -92,9 +92,49 @@ const settingsSchema = new mongoose.Schema(
       passwordMinLength: {type: Number, default: 8},
       sessionTimeout: {type: Number, default: 86400000}, // 24 hours in ms
       enableTwoFactor: {type: Boolean, default: false},
+      // Admin routes are blocked for admins without 2FA
+      requireTwoFactorForAdmins: {type: Boolean, default: false},
       requireEmailVerification: {type: Boolean, default: false},
     },
 
+    // AI Routing Policy (used for hybrid-tier provider selection)
+    aiRouting: {
+      // weighted: split by actionWeights, latency: fastest provider,
+      // cost: cheapest provider
+      strategy: {
+        type: String,
+        enum: ["weighted", "latency", "cost"],
+        default: "weighted",
+      },
+      // Per-action strategy overrides, e.g. {job_match: "latency"}
+      actionStrategies: {
+        type: mongoose.Schema.Types.Mixed,
+        default: () => ({}),
+      },
+      // Per-action provider weights; actions without weights always use the
+      // tier's primary provider
+      actionWeights: {
+        type: mongoose.Schema.Types.Mixed,
+        default: () => ({
+          resume_parsed: {gemini: 0.7, gpt4o: 0.3},
+          skills_categorized: {gemini: 0.7, gpt4o: 0.3},
+          summary_generated: {gemini: 0.7, gpt4o: 0.3},
+        }),
+      },
+      // Same user + action always lands on the same provider
+      stickyAssignment: {type: Boolean, default: true},
+      // Change to reshuffle sticky assignments
+      stickySalt: {type: String, default: "v1"},
+      costCeilings: {
+        perRequestUSD: {type: Number, default: null},
+        perUserMonthlyUSD: {type: Number, default: null},
+      },
+      latency: {
+        windowMinutes: {type: Number, default: 60},
+        minSamples: {type: Number, default: 5},
+      },
+    },
+
     // Analytics Settings
     analytics: {
       enabled: {type: Boolean, default: true},
@@ -28,7 +28,7 @@ const usageLogSchema = new mongoose.Schema(
     },
     aiModel: {
       type: String,
-      enum: ["gemini", "gpt4o", "hybrid"],
+      enum: ["gemini", "gpt4o", "hybrid", "local", "mock"],
       required: true,
     },
     // Token usage
@@ -72,6 +72,15 @@ const usageLogSchema = new mongoose.Schema(
     errorMessage: {
       type: String,
     },
+    // Why the AI router picked this model
+    routing: {
+      strategy: String,
+      reason: String,
+      candidates: [String],
+      excluded: [String],
+      sticky: Boolean,
+      bucket: Number,
+    },
     // Metadata
     metadata: {
       resumeId: {
@@ -62,6 +62,63 @@ const userSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // Email verification (see emailVerification.service). No default, so
+    // accounts created before verification existed stay unrestricted.
+    emailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+    },
+
+    // TOTP two-factor authentication (see twoFactor.service)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Encrypted; only loaded when verifying codes
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Set up but not confirmed with a code yet
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      pendingCreatedAt: {
+        type: Date,
+      },
+      recoveryCodes: {
+        type: [{_id: false, hash: String, usedAt: Date}],
+        select: false,
+      },
+      // Time step of the last accepted code (replay protection)
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+
+    // Self-service deletion (see accountData.service). The account is
+    // removed at scheduledFor unless the request is cancelled first.
+    deletion: {
+      requestedAt: {
+        type: Date,
+      },
+      scheduledFor: {
+        type: Date,
+        index: true,
+      },
+    },
+
     // Subscription fields
     subscription: {
       tier: {
@@ -9,6 +9,12 @@ import {
   validateContactStatusUpdate,
   validateFeedbackStatusUpdate,
   validateUserRoleUpdate,
+  validateQuestionBankCreate,
+  validateQuestionBankUpdate,
+  validateQuestionBankPublish,
+  validateInterviewRoleCreate,
+  validateInterviewRoleUpdate,
+  validateInterviewRoleStatus,
 } from "../middleware/validation.middleware.js";
 import {
   getDashboardStats,
@@ -22,6 +28,8 @@ import {
   updateUserRole,
   deleteUser,
   getAIAnalytics,
+  getAIProviderHealth,
+  resetAIProviderBreaker,
   getContactMessages,
   updateContactStatus,
   deleteContactMessage,
@@ -45,6 +53,8 @@ import {
   updateAIQuotaLimits,
   toggleFeature,
   updateRateLimits,
+  getAIRoutingPolicy,
+  updateAIRoutingPolicy,
   getAIExtractionUsage,
   resetUserExtractionCounter,
 } from "../controllers/admin.controller.js";
@@ -56,6 +66,22 @@ import {
   markAllNotificationsRead,
   markNotificationRead,
 } from "../controllers/adminNotification.controller.js";
+import {
+  getGlobalQuestionBanks,
+  getGlobalQuestionBank,
+  createGlobalQuestionBank,
+  updateGlobalQuestionBank,
+  publishGlobalQuestionBank,
+  deleteGlobalQuestionBank,
+} from "../controllers/questionBank.controller.js";
+import {
+  getInterviewRolesAdmin,
+  getInterviewRoleAdmin,
+  createInterviewRole,
+  updateInterviewRole,
+  updateInterviewRoleStatus,
+  deleteInterviewRole,
+} from "../controllers/interviewRole.controller.js";
 
 const router = express.Router();
 
@@ -105,6 +131,11 @@ router.delete("/users/:userId", validateUserId, deleteUser);
 
 // AI Analytics
 router.get("/ai-analytics", getAIAnalytics);
+router.get("/ai-analytics/providers", getAIProviderHealth);
+router.post(
+  "/ai-analytics/providers/:provider/reset-breaker",
+  resetAIProviderBreaker
+);
 
 // Contact Messages
 router.get("/contacts", getContactMessages);
@@ -164,5 +195,47 @@ router.post("/settings/reset", resetSettings);
 router.patch("/settings/ai-quota", updateAIQuotaLimits);
 router.patch("/settings/features/:feature", toggleFeature);
 router.patch("/settings/rate-limits", updateRateLimits);
+router.get("/settings/ai-routing", getAIRoutingPolicy);
+router.patch("/settings/ai-routing", updateAIRoutingPolicy);
+
+// Interview Question Banks (global)
+router.get("/question-banks", getGlobalQuestionBanks);
+router.get("/question-banks/:id", validateMongoId, getGlobalQuestionBank);
+router.post(
+  "/question-banks",
+  validateQuestionBankCreate,
+  createGlobalQuestionBank
+);
+router.put(
+  "/question-banks/:id",
+  validateQuestionBankUpdate,
+  updateGlobalQuestionBank
+);
+router.patch(
+  "/question-banks/:id/publish",
+  validateQuestionBankPublish,
+  publishGlobalQuestionBank
+);
+router.delete("/question-banks/:id", validateMongoId, deleteGlobalQuestionBank);
+
+// Interview Roles
+router.get("/interview-roles", getInterviewRolesAdmin);
+router.get("/interview-roles/:id", validateMongoId, getInterviewRoleAdmin);
+router.post(
+  "/interview-roles",
+  validateInterviewRoleCreate,
+  createInterviewRole
+);
+router.put(
+  "/interview-roles/:id",
+  validateInterviewRoleUpdate,
+  updateInterviewRole
+);
+router.patch(
+  "/interview-roles/:id/status",
+  validateInterviewRoleStatus,
+  updateInterviewRoleStatus
+);
+router.delete("/interview-roles/:id", validateMongoId, deleteInterviewRole);
 
 export default router;
@@ -4,14 +4,23 @@ import {
   analyzeResume,
   calculateMatchScore,
   analyzeSkills,
+  getResumeScans,
+  getResumeScoreTrend,
+  getAtsScanById,
 } from "../controllers/ats.controller.js";
-import {authenticateToken} from "../middleware/auth.middleware.js";
+import {
+  authenticateToken,
+  requireVerifiedEmail,
+} from "../middleware/auth.middleware.js";
 import {
   aiLimiter,
   uploadLimiter,
 } from "../middleware/rateLimiter.middleware.js";
 import {checkAIQuota} from "../middleware/aiUsageTracker.middleware.js";
-import {validateATSAnalysis} from "../middleware/validation.middleware.js";
+import {
+  validateATSAnalysis,
+  validateAtsScanQuery,
+} from "../middleware/validation.middleware.js";
 
 const router = express.Router();
 
@@ -34,14 +43,21 @@ const upload = multer({
   },
 });
 
-// Analyze resume against job description (AI-powered + file upload + quota check)
+// Offline scoring makes no AI call, so it skips the AI rate limit and quota
+const skipInOfflineMode = (middleware) => (req, res, next) =>
+  (req.body?.mode || req.query.mode) === "offline"
+    ? next()
+    : middleware(req, res, next);
+
+// Analyze resume against job description (AI-powered or offline engine + file upload + quota check)
 router.post(
   "/analyze-resume",
   authenticateToken,
   uploadLimiter, // Limit file uploads
-  aiLimiter, // Limit AI usage
-  checkAIQuota, // Check AI quota
-  upload.single("resumeFile"),
+  upload.single("resumeFile"), // Parse multipart body first so `mode` is known
+  skipInOfflineMode(requireVerifiedEmail),
+  skipInOfflineMode(aiLimiter), // Limit AI usage
+  skipInOfflineMode(checkAIQuota), // Check AI quota
   analyzeResume
 );
 
@@ -49,6 +65,7 @@ router.post(
 router.post(
   "/match-score",
   authenticateToken,
+  requireVerifiedEmail,
   aiLimiter,
   checkAIQuota,
   calculateMatchScore
@@ -58,9 +75,30 @@ router.post(
 router.post(
   "/analyze-skills",
   authenticateToken,
+  requireVerifiedEmail,
   aiLimiter,
   checkAIQuota,
   analyzeSkills
 );
 
+// Scan history and score trends (no AI calls)
+router.get(
+  "/resumes/:resumeId/scans",
+  authenticateToken,
+  validateAtsScanQuery,
+  getResumeScans
+);
+router.get(
+  "/resumes/:resumeId/score-trend",
+  authenticateToken,
+  validateAtsScanQuery,
+  getResumeScoreTrend
+);
+router.get(
+  "/scans/:id",
+  authenticateToken,
+  validateAtsScanQuery,
+  getAtsScanById
+);
+
 export default router;
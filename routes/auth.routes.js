@@ -1,18 +1,68 @@
 import express from "express";
 import passport from "../config/passport.config.js";
-import jwt from "jsonwebtoken";
 import {
   register,
   login,
   getCurrentUser,
   forgotPassword,
   resetPassword,
+  verifyTwoFactorLogin,
+  verifyEmail,
+  resendVerificationEmail,
 } from "../controllers/auth.controller.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../controllers/twoFactor.controller.js";
+import {
+  refreshToken,
+  exchangeLoginCode,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../controllers/authSession.controller.js";
+import {
+  getLinkedAccounts,
+  getLinkedAccountHistory,
+  startAccountLink,
+  completeAccountLink,
+  unlinkAccount,
+  setPassword,
+} from "../controllers/accountLink.controller.js";
+import {
+  exportMyData,
+  requestAccountDeletion,
+  cancelMyAccountDeletion,
+} from "../controllers/accountData.controller.js";
 import {authenticateToken} from "../middleware/auth.middleware.js";
-import {authLimiter} from "../middleware/rateLimiter.middleware.js";
+import {
+  createLoginChallenge,
+  isTwoFactorEnforced,
+} from "../services/twoFactor.service.js";
+import {startPendingAuthSession} from "../services/authSession.service.js";
+import {
+  authLimiter,
+  tokenLimiter,
+  verificationEmailLimiter,
+  dataExportLimiter,
+} from "../middleware/rateLimiter.middleware.js";
 import {
   validateRegister,
   validateLogin,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateVerifyEmail,
+  validateRefreshToken,
+  validateLoginCode,
+  validateSessionId,
+  validateLinkProvider,
+  validateSetPassword,
+  validateAccountDeletion,
 } from "../middleware/validation.middleware.js";
 
 const router = express.Router();
@@ -38,11 +88,36 @@ router.get("/oauth-status", (req, res) => {
 // Public routes with rate limiting and validation for security
 router.post("/register", authLimiter, validateRegister, register);
 router.post("/login", authLimiter, validateLogin, login);
+router.post(
+  "/login/2fa",
+  authLimiter,
+  validateTwoFactorLogin,
+  verifyTwoFactorLogin
+);
+
+// Token refresh and logout (public; the refresh token is the credential)
+router.post("/refresh", tokenLimiter, validateRefreshToken, refreshToken);
+router.post("/logout", tokenLimiter, validateRefreshToken, logout);
+router.post(
+  "/oauth/exchange",
+  tokenLimiter,
+  validateLoginCode,
+  exchangeLoginCode
+);
 
 // Password reset routes (public with rate limiting)
 router.post("/forgot-password", authLimiter, forgotPassword);
 router.post("/reset-password", authLimiter, resetPassword);
 
+// Email verification
+router.get("/verify-email", authLimiter, validateVerifyEmail, verifyEmail);
+router.post(
+  "/verify-email/resend",
+  authenticateToken,
+  verificationEmailLimiter,
+  resendVerificationEmail
+);
+
 // ==========================================
 // GOOGLE OAUTH ROUTES
 // ==========================================
@@ -65,6 +140,8 @@ router.get("/google", (req, res, next) => {
   passport.authenticate("google", {
     scope: ["profile", "email"],
     session: false,
+    // Set when linking to a signed-in account (see startAccountLink)
+    state: req.query.link ? String(req.query.link) : undefined,
   })(req, res, next);
 });
 
@@ -82,22 +159,39 @@ router.get(
       failureRedirect: `${process.env.CLIENT_URL}/login?error=google_auth_failed`,
     })(req, res, next);
   },
-  (req, res) => {
-    try {
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          userId: req.user._id,
-          email: req.user.email,
-          role: req.user.role,
-        },
-        process.env.JWT_SECRET,
-        {expiresIn: "7d"}
+  async (req, res) => {
+    if (req.user.linkProfile) {
+      return completeAccountLink(req, res);
+    }
+
+    // Same email as an existing account: sign in there and link explicitly
+    if (req.user.existingAccount) {
+      return res.redirect(
+        `${process.env.CLIENT_URL}/login?error=account_exists&provider=google`
       );
+    }
 
-      // Redirect to frontend with token
+    try {
+      if (req.user.status === "disabled") {
+        return res.redirect(
+          `${process.env.CLIENT_URL}/login?error=account_disabled`
+        );
+      }
+
+      // Accounts with 2FA finish signing in with a code
+      if (isTwoFactorEnforced(req.user)) {
+        return res.redirect(
+          `${process.env.CLIENT_URL}/auth/callback?twoFactorRequired=true&challenge=${createLoginChallenge(
+            req.user
+          )}&provider=google`
+        );
+      }
+
+      // Tokens never go in the URL; the client exchanges this one-time
+      // code for them (POST /oauth/exchange)
+      const code = await startPendingAuthSession(req.user, req);
       res.redirect(
-        `${process.env.CLIENT_URL}/auth/callback?token=${token}&provider=google`
+        `${process.env.CLIENT_URL}/auth/callback?code=${code}&provider=google`
       );
     } catch (error) {
       console.error("Google callback error:", error);
@@ -130,6 +224,8 @@ router.get("/github", (req, res, next) => {
   passport.authenticate("github", {
     scope: ["user:email"],
     session: false,
+    // Set when linking to a signed-in account (see startAccountLink)
+    state: req.query.link ? String(req.query.link) : undefined,
   })(req, res, next);
 });
 
@@ -147,22 +243,39 @@ router.get(
       failureRedirect: `${process.env.CLIENT_URL}/login?error=github_auth_failed`,
     })(req, res, next);
   },
-  (req, res) => {
-    try {
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          userId: req.user._id,
-          email: req.user.email,
-          role: req.user.role,
-        },
-        process.env.JWT_SECRET,
-        {expiresIn: "7d"}
+  async (req, res) => {
+    if (req.user.linkProfile) {
+      return completeAccountLink(req, res);
+    }
+
+    // Same email as an existing account: sign in there and link explicitly
+    if (req.user.existingAccount) {
+      return res.redirect(
+        `${process.env.CLIENT_URL}/login?error=account_exists&provider=github`
       );
+    }
+
+    try {
+      if (req.user.status === "disabled") {
+        return res.redirect(
+          `${process.env.CLIENT_URL}/login?error=account_disabled`
+        );
+      }
 
-      // Redirect to frontend with token
+      // Accounts with 2FA finish signing in with a code
+      if (isTwoFactorEnforced(req.user)) {
+        return res.redirect(
+          `${process.env.CLIENT_URL}/auth/callback?twoFactorRequired=true&challenge=${createLoginChallenge(
+            req.user
+          )}&provider=github`
+        );
+      }
+
+      // Tokens never go in the URL; the client exchanges this one-time
+      // code for them (POST /oauth/exchange)
+      const code = await startPendingAuthSession(req.user, req);
       res.redirect(
-        `${process.env.CLIENT_URL}/auth/callback?token=${token}&provider=github`
+        `${process.env.CLIENT_URL}/auth/callback?code=${code}&provider=github`
       );
     } catch (error) {
       console.error("GitHub callback error:", error);
@@ -176,4 +289,77 @@ router.get(
 // Protected routes
 router.get("/me", authenticateToken, getCurrentUser);
 
+// Personal data export and account deletion
+router.get("/me/export", authenticateToken, dataExportLimiter, exportMyData);
+router.post(
+  "/me/deletion",
+  authenticateToken,
+  authLimiter,
+  validateAccountDeletion,
+  requestAccountDeletion
+);
+router.delete("/me/deletion", authenticateToken, cancelMyAccountDeletion);
+
+// Signed-in devices
+router.get("/sessions", authenticateToken, getSessions);
+router.delete("/sessions", authenticateToken, revokeOtherSessions);
+router.delete(
+  "/sessions/:sessionId",
+  authenticateToken,
+  validateSessionId,
+  revokeSession
+);
+
+// Linked sign-in methods
+router.get("/linked-accounts", authenticateToken, getLinkedAccounts);
+router.get(
+  "/linked-accounts/history",
+  authenticateToken,
+  getLinkedAccountHistory
+);
+router.post(
+  "/link/:provider",
+  authenticateToken,
+  validateLinkProvider,
+  startAccountLink
+);
+router.delete(
+  "/link/:provider",
+  authenticateToken,
+  validateLinkProvider,
+  unlinkAccount
+);
+router.post(
+  "/password",
+  authenticateToken,
+  authLimiter,
+  validateSetPassword,
+  setPassword
+);
+
+// Two-factor authentication (TOTP)
+router.get("/2fa", authenticateToken, getTwoFactorStatus);
+router.post("/2fa/setup", authenticateToken, setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  authenticateToken,
+  authLimiter,
+  validateTwoFactorCode,
+  enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  authLimiter,
+  validateTwoFactorDisable,
+  disableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  authenticateToken,
+  authLimiter,
+  validateTwoFactorCode,
+  regenerateRecoveryCodes
+);
+
 export default router;
@@ -0,0 +1,63 @@
+import express from "express";
+import {
+  authenticateToken,
+  requireVerifiedEmail,
+} from "../middleware/auth.middleware.js";
+import {aiLimiter} from "../middleware/rateLimiter.middleware.js";
+import {checkAIQuota} from "../middleware/aiUsageTracker.middleware.js";
+import {
+  checkSubscription,
+  checkUsageLimit,
+  checkResumeActionAccess,
+} from "../middleware/subscription.middleware.js";
+import {
+  validateCoverLetterCreate,
+  validateCoverLetterUpdate,
+  validateCoverLetterId,
+  validateParagraphRegenerate,
+} from "../middleware/validation.middleware.js";
+import {
+  createCoverLetter,
+  getCoverLetters,
+  getCoverLetterById,
+  updateCoverLetter,
+  deleteCoverLetter,
+  regenerateParagraph,
+} from "../controllers/coverLetter.controller.js";
+
+const router = express.Router();
+
+// All cover letter routes require authentication
+router.use(authenticateToken);
+
+// Generate a new cover letter (counts towards coverLettersPerMonth)
+router.post(
+  "/",
+  validateCoverLetterCreate,
+  requireVerifiedEmail,
+  checkSubscription,
+  checkUsageLimit("coverLettersPerMonth"),
+  checkResumeActionAccess("ai"),
+  aiLimiter,
+  checkAIQuota,
+  createCoverLetter
+);
+
+router.get("/", getCoverLetters);
+router.get("/:id", validateCoverLetterId, getCoverLetterById);
+router.put("/:id", validateCoverLetterUpdate, updateCoverLetter);
+router.delete("/:id", validateCoverLetterId, deleteCoverLetter);
+
+// Regenerate a single paragraph (counts towards aiGenerationsPerMonth)
+router.post(
+  "/:id/paragraphs/:index/regenerate",
+  validateParagraphRegenerate,
+  requireVerifiedEmail,
+  checkSubscription,
+  checkUsageLimit("aiGenerationsPerMonth"),
+  aiLimiter,
+  checkAIQuota,
+  regenerateParagraph
+);
+
+export default router;
@@ -1,13 +1,29 @@
 import express from "express";
-import {authenticateToken} from "../middleware/auth.middleware.js";
+import {
+  authenticateToken,
+  requireVerifiedEmail,
+} from "../middleware/auth.middleware.js";
 import {checkSubscription} from "../middleware/subscription.middleware.js";
 import * as interviewController from "../controllers/interview.controller.js";
+import * as questionBankController from "../controllers/questionBank.controller.js";
+import * as interviewShareController from "../controllers/interviewShare.controller.js";
+import * as interviewReplayController from "../controllers/interviewReplay.controller.js";
 import {
   interviewLimiter,
+  codeRunLimiter,
+  limitConcurrentCodeRuns,
   checkInterviewLimit,
   checkVoiceAccess,
 } from "../middleware/interview.middleware.js";
+import {sharedReportLimiter} from "../middleware/rateLimiter.middleware.js";
 import {audioUpload} from "../config/multer.config.js";
+import {
+  validateQuestionBankCreate,
+  validateQuestionBankUpdate,
+  validateQuestionBankId,
+  validateShareLinkCreate,
+  validateShareLinkRevoke,
+} from "../middleware/validation.middleware.js";
 
 const router = express.Router();
 
@@ -31,6 +47,35 @@ router.get(
   interviewController.getInterviewConfig
 );
 
+/**
+ * View a shared interview report (no login)
+ * GET /api/interview/shared/:token
+ */
+router.get(
+  "/shared/:token",
+  sharedReportLimiter,
+  interviewShareController.getSharedReport
+);
+
+/**
+ * Download a shared interview report as PDF (no login)
+ * GET /api/interview/shared/:token/pdf
+ */
+router.get(
+  "/shared/:token/pdf",
+  sharedReportLimiter,
+  interviewShareController.exportSharedReportPdf
+);
+
+/**
+ * Report data for the PDF render page (short-lived token, no login)
+ * GET /api/interview/report-pdf-session/:token
+ */
+router.get(
+  "/report-pdf-session/:token",
+  interviewShareController.getReportPdfSession
+);
+
 // =====================
 // SESSION MANAGEMENT
 // =====================
@@ -38,11 +83,12 @@ router.get(
 /**
  * Create a new interview session
  * POST /api/interview/sessions
- * Body: { interviewType, role, experienceLevel, mode, resumeId?, jobDescription?, targetSkills?, totalQuestions? }
+ * Body: { interviewType, role, experienceLevel, mode, resumeId?, jobDescription?, targetSkills?, totalQuestions?, questionSource?, questionBankIds?, timing?, codingLanguage? }
  */
 router.post(
   "/sessions",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   interviewLimiter,
   checkInterviewLimit,
@@ -63,7 +109,7 @@ router.post(
 /**
  * Submit answer to current question
  * POST /api/interview/sessions/:sessionId/answer
- * Body: { answer, questionNumber, answerMode? }
+ * Body: { answer, questionNumber, answerMode? } or { design, questionNumber } for system design questions
  */
 router.post(
   "/sessions/:sessionId/answer",
@@ -91,6 +137,34 @@ router.post(
   interviewController.submitVoiceAnswer
 );
 
+/**
+ * Run code against the sample tests of a coding question
+ * POST /api/interview/sessions/:sessionId/code/run
+ * Body: { questionNumber, code }
+ */
+router.post(
+  "/sessions/:sessionId/code/run",
+  authenticateToken,
+  checkSubscription,
+  codeRunLimiter,
+  limitConcurrentCodeRuns,
+  interviewController.runCode
+);
+
+/**
+ * Submit code for a coding question (runs all test cases, including hidden ones)
+ * POST /api/interview/sessions/:sessionId/code
+ * Body: { questionNumber, code }
+ */
+router.post(
+  "/sessions/:sessionId/code",
+  authenticateToken,
+  checkSubscription,
+  codeRunLimiter,
+  limitConcurrentCodeRuns,
+  interviewController.submitCodeAnswer
+);
+
 /**
  * Skip current question
  * POST /api/interview/sessions/:sessionId/skip
@@ -103,6 +177,18 @@ router.post(
   interviewController.skipQuestion
 );
 
+/**
+ * Save the in-progress answer for a timed question
+ * PUT /api/interview/sessions/:sessionId/draft
+ * Body: { questionNumber, draftAnswer }
+ */
+router.put(
+  "/sessions/:sessionId/draft",
+  authenticateToken,
+  checkSubscription,
+  interviewController.saveDraftAnswer
+);
+
 /**
  * Complete interview and generate report
  * POST /api/interview/sessions/:sessionId/complete
@@ -154,6 +240,26 @@ router.get(
   interviewController.getSession
 );
 
+/**
+ * Replay a session: questions, answer audio, transcripts, evaluations and timing
+ * GET /api/interview/sessions/:sessionId/replay
+ */
+router.get(
+  "/sessions/:sessionId/replay",
+  authenticateToken,
+  interviewReplayController.getSessionReplay
+);
+
+/**
+ * Recorded audio of an answer (voice and live interviews)
+ * GET /api/interview/sessions/:sessionId/replay/audio/:questionNumber
+ */
+router.get(
+  "/sessions/:sessionId/replay/audio/:questionNumber",
+  authenticateToken,
+  interviewReplayController.getAnswerAudioFile
+);
+
 // =====================
 // RESULTS & HISTORY
 // =====================
@@ -168,6 +274,50 @@ router.get(
   interviewController.getResult
 );
 
+/**
+ * Download an interview report as PDF
+ * GET /api/interview/results/:sessionId/pdf
+ */
+router.get(
+  "/results/:sessionId/pdf",
+  authenticateToken,
+  requireVerifiedEmail,
+  interviewShareController.exportReportPdf
+);
+
+/**
+ * List share links of an interview report
+ * GET /api/interview/results/:sessionId/share
+ */
+router.get(
+  "/results/:sessionId/share",
+  authenticateToken,
+  interviewShareController.getReportShareLinks
+);
+
+/**
+ * Create a public, expiring share link for an interview report
+ * POST /api/interview/results/:sessionId/share
+ * Body: { expiresInDays?, label? }
+ */
+router.post(
+  "/results/:sessionId/share",
+  authenticateToken,
+  validateShareLinkCreate,
+  interviewShareController.createReportShareLink
+);
+
+/**
+ * Revoke a share link
+ * DELETE /api/interview/results/:sessionId/share/:linkId
+ */
+router.delete(
+  "/results/:sessionId/share/:linkId",
+  authenticateToken,
+  validateShareLinkRevoke,
+  interviewShareController.revokeReportShareLink
+);
+
 /**
  * Get user's interview history
  * GET /api/interview/history
@@ -181,4 +331,86 @@ router.get("/history", authenticateToken, interviewController.getHistory);
  */
 router.get("/stats", authenticateToken, interviewController.getStats);
 
+/**
+ * Get per-skill and per-topic score trends with practice recommendations
+ * GET /api/interview/progress
+ * Query: { role?, limit?, window? }
+ */
+router.get("/progress", authenticateToken, interviewController.getProgress);
+
+/**
+ * Create a session from the suggested next-session configuration
+ * POST /api/interview/progress/next-session
+ * Body: { role?, mode?, totalQuestions?, timing? }
+ */
+router.post(
+  "/progress/next-session",
+  authenticateToken,
+  requireVerifiedEmail,
+  checkSubscription,
+  interviewLimiter,
+  checkInterviewLimit,
+  interviewController.createSuggestedSession
+);
+
+// =====================
+// QUESTION BANKS
+// =====================
+
+/**
+ * List own and published global question banks
+ * GET /api/interview/question-banks
+ * Query: { visibility? }
+ */
+router.get(
+  "/question-banks",
+  authenticateToken,
+  questionBankController.getQuestionBanks
+);
+
+/**
+ * Create a private question bank
+ * POST /api/interview/question-banks
+ * Body: { name, description?, questions? }
+ */
+router.post(
+  "/question-banks",
+  authenticateToken,
+  validateQuestionBankCreate,
+  questionBankController.createQuestionBank
+);
+
+/**
+ * Get a question bank with its questions
+ * GET /api/interview/question-banks/:id
+ */
+router.get(
+  "/question-banks/:id",
+  authenticateToken,
+  validateQuestionBankId,
+  questionBankController.getQuestionBank
+);
+
+/**
+ * Update a private question bank
+ * PUT /api/interview/question-banks/:id
+ */
+router.put(
+  "/question-banks/:id",
+  authenticateToken,
+  validateQuestionBankUpdate,
+  questionBankController.updateQuestionBank
+);
+
+/**
+ * Delete a private question bank
+ * DELETE /api/interview/question-banks/:id
+ */
+router.delete(
+  "/question-banks/:id",
+  authenticateToken,
+  validateQuestionBankId,
+  questionBankController.deleteQuestionBank
+);
+
 export default router;
@@ -0,0 +1,70 @@
+import express from "express";
+import {authenticateToken} from "../middleware/auth.middleware.js";
+import {
+  validateApplicationCreate,
+  validateApplicationUpdate,
+  validateApplicationStatus,
+  validateApplicationQuery,
+  validateApplicationId,
+  validateApplicationNote,
+  validateApplicationReminder,
+} from "../middleware/validation.middleware.js";
+import {
+  createApplication,
+  getApplications,
+  getApplicationStats,
+  getUpcomingReminders,
+  getApplicationById,
+  updateApplication,
+  updateApplicationStatus,
+  deleteApplication,
+  addApplicationNote,
+  deleteApplicationNote,
+  addApplicationReminder,
+  updateApplicationReminder,
+  deleteApplicationReminder,
+} from "../controllers/jobApplication.controller.js";
+
+const router = express.Router();
+
+// All job application routes require authentication
+router.use(authenticateToken);
+
+router.get("/stats", getApplicationStats);
+router.get("/reminders", validateApplicationQuery, getUpcomingReminders);
+
+router.post("/", validateApplicationCreate, createApplication);
+router.get("/", validateApplicationQuery, getApplications);
+router.get("/:id", validateApplicationId, getApplicationById);
+router.put("/:id", validateApplicationUpdate, updateApplication);
+router.delete("/:id", validateApplicationId, deleteApplication);
+
+// Status pipeline: saved → applied → interviewing → offer/rejected
+router.patch("/:id/status", validateApplicationStatus, updateApplicationStatus);
+
+// Dated notes
+router.post("/:id/notes", validateApplicationNote, addApplicationNote);
+router.delete(
+  "/:id/notes/:noteId",
+  validateApplicationId,
+  deleteApplicationNote
+);
+
+// Follow-up reminders
+router.post(
+  "/:id/reminders",
+  validateApplicationReminder,
+  addApplicationReminder
+);
+router.patch(
+  "/:id/reminders/:reminderId",
+  validateApplicationReminder,
+  updateApplicationReminder
+);
+router.delete(
+  "/:id/reminders/:reminderId",
+  validateApplicationId,
+  deleteApplicationReminder
+);
+
+export default router;
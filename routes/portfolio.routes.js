@@ -1,5 +1,8 @@
 import express from "express";
-import {authenticateToken} from "../middleware/auth.middleware.js";
+import {
+  authenticateToken,
+  requireVerifiedEmail,
+} from "../middleware/auth.middleware.js";
 import {
   checkSubscription,
   checkUsageLimit,
@@ -81,6 +84,7 @@ router.post(
 router.post(
   "/:id/ai/about",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkUsageLimit("aiGenerationsPerMonth"),
   aiLimiter,
@@ -90,6 +94,7 @@ router.post(
 router.post(
   "/:id/ai/project-description",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkUsageLimit("aiGenerationsPerMonth"),
   aiLimiter,
@@ -99,6 +104,7 @@ router.post(
 router.post(
   "/:id/ai/seo",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkUsageLimit("aiGenerationsPerMonth"),
   aiLimiter,
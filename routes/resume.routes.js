@@ -1,6 +1,9 @@
 import express from "express";
 import upload from "../config/multer.config.js";
-import {authenticateToken} from "../middleware/auth.middleware.js";
+import {
+  authenticateToken,
+  requireVerifiedEmail,
+} from "../middleware/auth.middleware.js";
 import {
   aiLimiter,
   uploadLimiter,
@@ -16,6 +19,9 @@ import {
   validateResumeCreate,
   validateResumeUpdate,
   validateResumeId,
+  validateResumeRevision,
+  validateResumeTailor,
+  validateResumeDocxExport,
   validateContentEnhance,
   validateSkillsCategorize,
   validateAchievementsSegregation,
@@ -36,7 +42,14 @@ import {
   processCustomSection,
   trackDownload,
   exportResumePdf,
+  exportResumeDocx,
   getPdfSession,
+  getResumeRevisions,
+  getResumeRevision,
+  diffResumeRevisions,
+  restoreResumeRevision,
+  tailorResume,
+  getResumeVariants,
 } from "../controllers/resume.controller.js";
 
 const router = express.Router();
@@ -45,6 +58,7 @@ const router = express.Router();
 router.post(
   "/upload",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkUsageLimit("aiResumeExtractionsPerDay"),
   uploadLimiter, // Rate limit file uploads
@@ -57,6 +71,7 @@ router.post(
 router.post(
   "/enhance",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkResumeSubscriptionAccess, // NEW: Check if resume's subscription is active
   checkUsageLimit("aiGenerationsPerMonth"),
@@ -70,6 +85,7 @@ router.post(
 router.post(
   "/generate-summary",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkResumeSubscriptionAccess, // NEW: Check if resume's subscription is active
   checkUsageLimit("aiGenerationsPerMonth"),
@@ -84,6 +100,7 @@ router.post(
 router.post(
   "/categorize-skills",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   // checkResumeSubscriptionAccess removed - not needed for text-only processing
   checkUsageLimit("aiGenerationsPerMonth"),
@@ -97,6 +114,7 @@ router.post(
 router.post(
   "/segregate-achievements",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkResumeSubscriptionAccess, // NEW: Check if resume's subscription is active
   checkUsageLimit("aiGenerationsPerMonth"),
@@ -110,6 +128,7 @@ router.post(
 router.post(
   "/process-custom-section",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkResumeSubscriptionAccess, // NEW: Check if resume's subscription is active
   checkUsageLimit("aiGenerationsPerMonth"),
@@ -133,6 +152,7 @@ router.post(
 router.post(
   "/track-download",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkResumeActionAccess("download"),
   checkUsageLimit("resumeDownloadsPerMonth"),
@@ -142,12 +162,24 @@ router.post(
 router.post(
   "/export-pdf",
   authenticateToken,
+  requireVerifiedEmail,
   checkSubscription,
   checkResumeActionAccess("download"),
   checkUsageLimit("resumeDownloadsPerMonth"),
   exportResumePdf
 );
 
+router.post(
+  "/export-docx",
+  authenticateToken,
+  requireVerifiedEmail,
+  checkSubscription,
+  validateResumeDocxExport,
+  checkResumeActionAccess("download"),
+  checkUsageLimit("resumeDownloadsPerMonth"),
+  exportResumeDocx
+);
+
 router.get("/pdf-session/:token", getPdfSession);
 
 router.put(
@@ -159,6 +191,56 @@ router.put(
   updateResume
 );
 router.get("/list", authenticateToken, checkSubscription, getResumes);
+
+// Revision history
+router.get(
+  "/:id/revisions",
+  authenticateToken,
+  validateResumeRevision,
+  getResumeRevisions
+);
+router.get(
+  "/:id/revisions/diff",
+  authenticateToken,
+  validateResumeRevision,
+  diffResumeRevisions
+);
+router.get(
+  "/:id/revisions/:revisionNumber",
+  authenticateToken,
+  validateResumeRevision,
+  getResumeRevision
+);
+router.post(
+  "/:id/revisions/:revisionNumber/restore",
+  authenticateToken,
+  checkSubscription,
+  checkResumeActionAccess("edit"),
+  validateResumeRevision,
+  restoreResumeRevision
+);
+
+// Job-specific variants
+router.post(
+  "/:id/tailor",
+  authenticateToken,
+  requireVerifiedEmail,
+  checkSubscription,
+  validateResumeTailor,
+  checkUsageLimit("resumesPerMonth"),
+  checkUsageLimit("aiGenerationsPerMonth"),
+  checkResumeActionAccess("ai"),
+  aiLimiter,
+  checkAIQuota,
+  tailorResume
+);
+router.get(
+  "/:id/variants",
+  authenticateToken,
+  validateResumeId,
+  getResumeVariants
+);
+
 router.get("/:id", authenticateToken, checkSubscription, validateResumeId, getResumeById);
 router.delete("/:id", authenticateToken, validateResumeId, deleteResume);
 
@@ -20,6 +20,8 @@ import subscriptionRoutes from "./routes/subscription.routes.js";
 import {handleWebhook as handleSubscriptionWebhook} from "./controllers/subscription.controller.js";
 import interviewRoutes from "./routes/interview.routes.js";
 import portfolioRoutes from "./routes/portfolio.routes.js";
+import coverLetterRoutes from "./routes/coverLetter.routes.js";
+import jobApplicationRoutes from "./routes/jobApplication.routes.js";
 import {apiLimiter} from "./middleware/rateLimiter.middleware.js";
 import {
   securityHeaders,
@@ -216,6 +218,8 @@ app.use("/api/voice", voiceRoutes); // Voice transcription routes
 app.use("/api/subscription", subscriptionRoutes); // Subscription & payment routes
 app.use("/api/interview", interviewRoutes); // AI Interview routes
 app.use("/api/portfolio", portfolioRoutes); // Portfolio builder routes
+app.use("/api/cover-letter", coverLetterRoutes); // Cover letter generation routes
+app.use("/api/applications", jobApplicationRoutes); // Job application tracker routes
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -282,17 +286,25 @@ async function checkVoiceServices() {
 }
 
 import { startCleanupJob } from "./services/interview-cleanup.service.js";
+import { startReminderJob } from "./services/jobApplication.service.js";
+import { startAccountDeletionJob } from "./services/accountData.service.js";
+import { attachInterviewSocket } from "./services/interviewSocket.service.js";
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || "development"}`);
 
   // Start background jobs
   startCleanupJob();
+  startReminderJob();
+  startAccountDeletionJob();
 
   // Check voice services after startup (non-blocking)
   checkVoiceServices();
 });
 
+// Live interview channel (WebSocket upgrade on the same port)
+attachInterviewSocket(server);
+
 export default app;
@@ -0,0 +1,261 @@
+import User from "../models/User.model.js";
+import Resume from "../models/Resume.model.js";
+import ResumeRevision from "../models/ResumeRevision.model.js";
+import CoverLetter from "../models/CoverLetter.model.js";
+import Portfolio from "../models/Portfolio.model.js";
+import PortfolioProject from "../models/PortfolioProject.model.js";
+import JobApplication from "../models/JobApplication.model.js";
+import AtsScan from "../models/AtsScan.model.js";
+import InterviewSession from "../models/InterviewSession.model.js";
+import InterviewResult from "../models/InterviewResult.model.js";
+import InterviewShareLink from "../models/InterviewShareLink.model.js";
+import QuestionBank from "../models/QuestionBank.model.js";
+import Feedback from "../models/Feedback.model.js";
+import Contact from "../models/Contact.js";
+import Subscription from "../models/Subscription.model.js";
+import UsageLog from "../models/UsageLog.model.js";
+import AIUsage from "../models/AIUsage.model.js";
+import AdminNotification from "../models/AdminNotification.model.js";
+import AccountAuditLog from "../models/AccountAuditLog.model.js";
+import AuthSession from "../models/AuthSession.model.js";
+import {getAudioStorage} from "./audioStorage.service.js";
+import {getPublicCodingDetails} from "./codingQuestion.service.js";
+import {hideUnresolvedAnswerKeys} from "./questionBank.service.js";
+
+/**
+ * Account Data Service
+ * Personal data export and account deletion. Deletion is scheduled with a
+ * grace period so it can be cancelled; a background job removes the account
+ * and everything tied to it once the period ends.
+ */
+
+export const ACCOUNT_DELETION_GRACE_DAYS = 14;
+export const DATA_EXPORT_VERSION = 1;
+
+const DELETION_BATCH_SIZE = 20;
+
+// Hidden tests and answer keys stay private, as in the session endpoints
+const hideSessionAnswerKeys = (session) => ({
+  ...session,
+  questions: (session.questions || []).map((question) => {
+    hideUnresolvedAnswerKeys(question);
+    if (question.questionType === "coding") {
+      question.coding = getPublicCodingDetails(question);
+    }
+    return question;
+  }),
+});
+
+// Collections holding a user's data. `select` hides secrets from the export
+// and `transform` whatever can't be excluded by a projection;
+// `exported: false` marks internal records that are only deleted.
+const USER_DATA = [
+  {key: "resumes", model: Resume},
+  {key: "resumeRevisions", model: ResumeRevision},
+  {key: "coverLetters", model: CoverLetter},
+  {key: "portfolios", model: Portfolio},
+  {key: "portfolioProjects", model: PortfolioProject},
+  {key: "jobApplications", model: JobApplication},
+  {key: "atsScans", model: AtsScan},
+  {
+    key: "interviewSessions",
+    model: InterviewSession,
+    transform: hideSessionAnswerKeys,
+  },
+  {key: "interviewResults", model: InterviewResult},
+  {key: "interviewShareLinks", model: InterviewShareLink, select: "-tokenHash"},
+  {
+    key: "questionBanks",
+    model: QuestionBank,
+    filter: (user) => ({ownerId: user._id}),
+  },
+  {key: "feedback", model: Feedback},
+  {
+    key: "contactMessages",
+    model: Contact,
+    filter: (user) => ({email: user.email}),
+  },
+  {key: "subscriptions", model: Subscription},
+  {key: "usageLogs", model: UsageLog},
+  {key: "aiUsage", model: AIUsage},
+  {key: "accountHistory", model: AccountAuditLog},
+  {
+    key: "sessions",
+    model: AuthSession,
+    select: "-tokenHash -previousTokenHashes",
+  },
+  {key: "adminNotifications", model: AdminNotification, exported: false},
+];
+
+const getFilter = (collection, user) =>
+  collection.filter ? collection.filter(user) : {userId: user._id};
+
+/**
+ * Everything stored about a user, as a JSON-serializable bundle
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Bundle, or null if the user doesn't exist
+ */
+export async function buildDataExport(userId) {
+  const user = await User.findById(userId)
+    .select("-password -resetPasswordToken -resetPasswordExpires")
+    .lean();
+  if (!user) return null;
+
+  const data = {};
+  for (const collection of USER_DATA) {
+    if (collection.exported === false) continue;
+
+    const docs = await collection.model
+      .find(getFilter(collection, user))
+      .select(collection.select || "")
+      .lean();
+    data[collection.key] = collection.transform
+      ? docs.map(collection.transform)
+      : docs;
+  }
+
+  return {
+    exportVersion: DATA_EXPORT_VERSION,
+    exportedAt: new Date(),
+    profile: user,
+    ...data,
+  };
+}
+
+/**
+ * Schedule deletion of an account after the grace period
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} {user} or {error, code}
+ */
+export async function scheduleAccountDeletion(user) {
+  if (user.deletion?.scheduledFor) {
+    return {
+      error: "Account deletion is already scheduled",
+      code: "DELETION_ALREADY_SCHEDULED",
+    };
+  }
+
+  const now = new Date();
+  user.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(
+      now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+    ),
+  };
+  await user.save();
+
+  return {user};
+}
+
+/**
+ * Cancel a scheduled account deletion
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} {user} or {error, code}
+ */
+export async function cancelAccountDeletion(user) {
+  if (!user.deletion?.scheduledFor) {
+    return {
+      error: "No account deletion is scheduled",
+      code: "DELETION_NOT_SCHEDULED",
+    };
+  }
+
+  user.deletion = undefined;
+  await user.save();
+
+  return {user};
+}
+
+// Recordings live outside MongoDB, so they go before their sessions
+async function removeStoredAudio(userId) {
+  const sessions = await InterviewSession.find({
+    userId,
+    "questions.audio.storageKey": {$exists: true},
+  })
+    .select("questions.audio")
+    .lean();
+
+  const storage = getAudioStorage();
+  for (const session of sessions) {
+    for (const question of session.questions) {
+      if (!question.audio?.storageKey) continue;
+      await storage.remove(question.audio.storageKey);
+    }
+  }
+}
+
+/**
+ * Delete an account and all data tied to it
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Deleted document count per collection
+ */
+export async function deleteUserAccount(user) {
+  await removeStoredAudio(user._id);
+
+  const deleted = {};
+  for (const collection of USER_DATA) {
+    const result = await collection.model.deleteMany(
+      getFilter(collection, user)
+    );
+    deleted[collection.key] = result.deletedCount;
+  }
+
+  await User.deleteOne({_id: user._id});
+
+  return deleted;
+}
+
+/**
+ * Delete accounts whose grace period has ended
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+export async function processScheduledDeletions(now = new Date()) {
+  const users = await User.find({"deletion.scheduledFor": {$lte: now}})
+    .select("email deletion")
+    .limit(DELETION_BATCH_SIZE);
+
+  let deletedCount = 0;
+
+  for (const user of users) {
+    try {
+      await deleteUserAccount(user);
+      deletedCount++;
+    } catch (error) {
+      // Retried on the next run
+      console.error(`❌ Failed to delete account ${user._id}:`, error.message);
+    }
+  }
+
+  return deletedCount;
+}
+
+/**
+ * Delete accounts past their grace period every hour
+ */
+export const startAccountDeletionJob = () => {
+  setInterval(
+    async () => {
+      try {
+        const deleted = await processScheduledDeletions();
+        if (deleted > 0) {
+          console.log(`🗑️  Deleted ${deleted} account(s) after grace period`);
+        }
+      } catch (error) {
+        console.error("❌ Error in account deletion job:", error);
+      }
+    },
+    60 * 60 * 1000
+  );
+};
+
+export default {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  DATA_EXPORT_VERSION,
+  buildDataExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  deleteUserAccount,
+  processScheduledDeletions,
+  startAccountDeletionJob,
+};
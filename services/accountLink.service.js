@@ -0,0 +1,243 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/User.model.js";
+import AccountAuditLog from "../models/AccountAuditLog.model.js";
+
+/**
+ * Account Link Service
+ * Ways to sign in to one account: a password, Google and GitHub. Users link
+ * and unlink OAuth identities explicitly; every change goes to the
+ * AccountAuditLog.
+ */
+
+export const LINKABLE_PROVIDERS = ["google", "github"];
+export const LINK_STATE_EXPIRES_MINUTES = 10;
+
+const PROVIDER_FIELDS = {google: "googleId", github: "githubId"};
+const PROVIDER_NAMES = {google: "Google", github: "GitHub"};
+const LINK_PURPOSE = "account-link";
+
+// Own key so a link state can never be used as an access token
+const getSigningKey = () =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "")
+    .update(LINK_PURPOSE)
+    .digest();
+
+/**
+ * Random value kept in the browser session of whoever starts a link. The
+ * state only works together with it, so a link URL sent to someone else
+ * can't attach their identity to the sender's account.
+ * @returns {string}
+ */
+export const createLinkNonce = () =>
+  crypto.randomBytes(24).toString("base64url");
+
+const nonceMatches = (expected, actual) =>
+  typeof expected === "string" &&
+  typeof actual === "string" &&
+  expected.length > 0 &&
+  expected.length === actual.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+
+/**
+ * OAuth `state` that ties the provider callback to the signed-in user who
+ * started the link
+ * @param {Object} user - User document
+ * @param {string} provider - "google" or "github"
+ * @param {string} nonce - Link nonce stored in the browser session
+ * @returns {string}
+ */
+export const createLinkState = (user, provider, nonce) =>
+  jwt.sign(
+    {userId: user._id, provider, nonce, purpose: LINK_PURPOSE},
+    getSigningKey(),
+    {expiresIn: `${LINK_STATE_EXPIRES_MINUTES}m`}
+  );
+
+/**
+ * User ID of a valid link state
+ * @param {string} state - OAuth state from the callback
+ * @param {string} provider - Provider of the callback
+ * @param {string} nonce - Link nonce from the browser session
+ * @returns {string|null}
+ */
+export function verifyLinkState(state, provider, nonce) {
+  try {
+    const payload = jwt.verify(state, getSigningKey());
+    const valid =
+      payload.purpose === LINK_PURPOSE &&
+      payload.provider === provider &&
+      nonceMatches(payload.nonce, nonce);
+    return valid ? payload.userId : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ways the user can currently sign in
+ * @param {Object} user - User document
+ * @returns {Object} {password, google, github}
+ */
+export const getLoginMethods = (user) => ({
+  password: Boolean(user.password),
+  google: Boolean(user.googleId),
+  github: Boolean(user.githubId),
+});
+
+/**
+ * Add an entry to the account audit trail
+ * @param {Object} user - User document
+ * @param {string} action - AccountAuditLog.action
+ * @param {string} provider - "local", "google" or "github"
+ * @param {Object} options
+ * @param {Object} options.req - Express request (IP and user agent)
+ * @param {string} options.source - "user" or "oauth_login"
+ * @param {Object} options.metadata - Extra details
+ */
+export const recordAccountEvent = (
+  user,
+  action,
+  provider,
+  {req, source = "user", metadata} = {}
+) =>
+  AccountAuditLog.create({
+    userId: user._id,
+    action,
+    provider,
+    source,
+    metadata,
+    ipAddress: req?.ip,
+    userAgent: String(req?.headers?.["user-agent"] || "").slice(0, 300),
+  });
+
+/**
+ * Link an OAuth identity to a user
+ * @param {Object} user - User document
+ * @param {string} provider - "google" or "github"
+ * @param {string} providerId - Account ID at the provider
+ * @param {Object} options
+ * @param {Object} options.req - Express request
+ * @param {string} options.profilePicture - Used if the user has none
+ * @returns {Promise<Object>} {user} or {error, code}
+ */
+export async function linkProvider(
+  user,
+  provider,
+  providerId,
+  {req, profilePicture} = {}
+) {
+  const field = PROVIDER_FIELDS[provider];
+  const name = PROVIDER_NAMES[provider];
+
+  if (user[field] === providerId) return {user};
+
+  if (user[field]) {
+    return {
+      error: `A different ${name} account is already linked. Unlink it first.`,
+      code: "PROVIDER_ALREADY_LINKED",
+    };
+  }
+
+  const owner = await User.findOne({[field]: providerId}).select("_id");
+  if (owner) {
+    return {
+      error: `This ${name} account is already linked to another user`,
+      code: "PROVIDER_IN_USE",
+    };
+  }
+
+  user[field] = providerId;
+  user.profilePicture = user.profilePicture || profilePicture;
+  await user.save();
+  await recordAccountEvent(user, "provider_linked", provider, {req});
+
+  return {user};
+}
+
+/**
+ * Unlink an OAuth identity. The last way to sign in can't be removed.
+ * @param {Object} user - User document
+ * @param {string} provider - "google" or "github"
+ * @param {Object} options
+ * @param {Object} options.req - Express request
+ * @returns {Promise<Object>} {user} or {error, code}
+ */
+export async function unlinkProvider(user, provider, {req} = {}) {
+  const field = PROVIDER_FIELDS[provider];
+  const name = PROVIDER_NAMES[provider];
+
+  if (!user[field]) {
+    return {error: `${name} is not linked`, code: "PROVIDER_NOT_LINKED"};
+  }
+
+  const methods = Object.values(getLoginMethods(user)).filter(Boolean);
+  if (methods.length <= 1) {
+    return {
+      error: `${name} is your only way to sign in. Set a password or link another account first.`,
+      code: "LAST_LOGIN_METHOD",
+    };
+  }
+
+  user[field] = undefined;
+  if (user.provider === provider) {
+    user.provider = user.password
+      ? "local"
+      : LINKABLE_PROVIDERS.find((p) => user[PROVIDER_FIELDS[p]]);
+  }
+  await user.save();
+  await recordAccountEvent(user, "provider_unlinked", provider, {req});
+
+  return {user};
+}
+
+/**
+ * Set a password on an OAuth-only account
+ * @param {Object} user - User document
+ * @param {string} password - New password (hashed by the model)
+ * @param {Object} options
+ * @param {Object} options.req - Express request
+ * @returns {Promise<Object>} {user} or {error, code}
+ */
+export async function setAccountPassword(user, password, {req} = {}) {
+  if (user.password) {
+    return {
+      error: "This account already has a password",
+      code: "PASSWORD_ALREADY_SET",
+    };
+  }
+
+  user.password = password;
+  await user.save();
+  await recordAccountEvent(user, "password_set", "local", {req});
+
+  return {user};
+}
+
+/**
+ * Latest audit entries of a user
+ * @param {string} userId - User ID
+ * @param {number} limit - Max entries
+ * @returns {Promise<Array>}
+ */
+export const getAccountHistory = (userId, limit = 50) =>
+  AccountAuditLog.find({userId})
+    .sort({createdAt: -1})
+    .limit(limit)
+    .select("action provider source ipAddress userAgent createdAt")
+    .lean();
+
+export default {
+  LINKABLE_PROVIDERS,
+  LINK_STATE_EXPIRES_MINUTES,
+  createLinkNonce,
+  createLinkState,
+  verifyLinkState,
+  getLoginMethods,
+  recordAccountEvent,
+  linkProvider,
+  unlinkProvider,
+  setAccountPassword,
+  getAccountHistory,
+};
@@ -58,6 +58,27 @@ export const notifyAIFailure = ({userId, feature, aiProvider, aiModel, error}) =
     },
   });
 
+export const notifyAICircuitOpen = ({
+  providerName,
+  consecutiveFailures,
+  cooldownMs,
+  error,
+}) =>
+  createAdminNotification({
+    type: "ai",
+    severity: "critical",
+    title: `AI provider "${providerName}" circuit opened`,
+    message: `${providerName} failed ${consecutiveFailures} times in a row and is paused for ${Math.round(
+      cooldownMs / 1000
+    )}s: ${sanitizeMessage(error)}`,
+    targetType: "ai_usage",
+    actionUrl: "/admin/ai-analytics",
+    metadata: {
+      provider: providerName,
+      consecutiveFailures,
+    },
+  });
+
 export const notifyPaymentFailure = ({user, payment, subscription}) =>
   createAdminNotification({
     type: "payment",
@@ -0,0 +1,178 @@
+import {notifyAICircuitOpen} from "./adminNotification.service.js";
+
+/**
+ * AI Circuit Breaker Service
+ * Per-provider circuit breaker kept in memory (per process).
+ *
+ *   closed    - requests flow normally
+ *   open      - provider is skipped after too many consecutive failures
+ *   half_open - cool-down elapsed, one probe request is allowed through;
+ *               success closes the breaker, failure re-opens it
+ *
+ * Configure with:
+ *   AI_BREAKER_FAILURE_THRESHOLD - consecutive failures before opening (default 5)
+ *   AI_BREAKER_COOLDOWN_MS       - time before a half-open probe (default 60000)
+ */
+
+const FAILURE_THRESHOLD = Number(process.env.AI_BREAKER_FAILURE_THRESHOLD) || 5;
+const COOLDOWN_MS = Number(process.env.AI_BREAKER_COOLDOWN_MS) || 60 * 1000;
+
+export const BREAKER_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+const breakers = new Map();
+
+const createBreaker = () => ({
+  state: BREAKER_STATES.CLOSED,
+  consecutiveFailures: 0,
+  totalFailures: 0,
+  totalTimeouts: 0,
+  totalSuccesses: 0,
+  openedAt: null,
+  lastFailureAt: null,
+  lastFailureMessage: null,
+  lastSuccessAt: null,
+  probeInFlight: false,
+});
+
+const getBreaker = (providerName) => {
+  if (!breakers.has(providerName)) {
+    breakers.set(providerName, createBreaker());
+  }
+  return breakers.get(providerName);
+};
+
+/**
+ * Check whether a request may be sent to a provider. Moves an open breaker
+ * to half-open once the cool-down has elapsed and claims the probe slot.
+ * @param {string} providerName - Registered provider name
+ * @returns {boolean}
+ */
+export function canRequest(providerName) {
+  const breaker = getBreaker(providerName);
+
+  if (breaker.state === BREAKER_STATES.CLOSED) {
+    return true;
+  }
+
+  if (
+    breaker.state === BREAKER_STATES.OPEN &&
+    Date.now() - breaker.openedAt >= COOLDOWN_MS
+  ) {
+    breaker.state = BREAKER_STATES.HALF_OPEN;
+    console.log(`🟡 AI circuit half-open for "${providerName}", probing`);
+  }
+
+  if (breaker.state === BREAKER_STATES.HALF_OPEN && !breaker.probeInFlight) {
+    breaker.probeInFlight = true;
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Record a successful provider call
+ * @param {string} providerName - Registered provider name
+ */
+export function recordSuccess(providerName) {
+  const breaker = getBreaker(providerName);
+
+  if (breaker.state !== BREAKER_STATES.CLOSED) {
+    console.log(`🟢 AI circuit closed for "${providerName}"`);
+  }
+
+  breaker.state = BREAKER_STATES.CLOSED;
+  breaker.consecutiveFailures = 0;
+  breaker.totalSuccesses += 1;
+  breaker.openedAt = null;
+  breaker.lastSuccessAt = new Date();
+  breaker.probeInFlight = false;
+}
+
+/**
+ * Record a failed provider call (errors and timeouts)
+ * @param {string} providerName - Registered provider name
+ * @param {Error} error - Failure
+ * @param {Object} options
+ * @param {boolean} options.timeout - Whether the call timed out
+ */
+export function recordFailure(providerName, error, {timeout = false} = {}) {
+  const breaker = getBreaker(providerName);
+  const wasOpen = breaker.state === BREAKER_STATES.OPEN;
+
+  breaker.consecutiveFailures += 1;
+  breaker.totalFailures += 1;
+  if (timeout) breaker.totalTimeouts += 1;
+  breaker.lastFailureAt = new Date();
+  breaker.lastFailureMessage = error?.message || "Unknown error";
+
+  const shouldOpen =
+    breaker.state === BREAKER_STATES.HALF_OPEN ||
+    breaker.consecutiveFailures >= FAILURE_THRESHOLD;
+
+  breaker.probeInFlight = false;
+
+  if (shouldOpen) {
+    breaker.state = BREAKER_STATES.OPEN;
+    breaker.openedAt = Date.now();
+
+    if (!wasOpen) {
+      console.error(
+        `🔴 AI circuit opened for "${providerName}" after ${breaker.consecutiveFailures} consecutive failures`
+      );
+      notifyAICircuitOpen({
+        providerName,
+        consecutiveFailures: breaker.consecutiveFailures,
+        cooldownMs: COOLDOWN_MS,
+        error: breaker.lastFailureMessage,
+      });
+    }
+  }
+}
+
+/**
+ * Snapshot of a provider's breaker
+ * @param {string} providerName - Registered provider name
+ * @returns {Object}
+ */
+export function getBreakerState(providerName) {
+  const {probeInFlight, openedAt, ...breaker} = getBreaker(providerName);
+
+  return {
+    ...breaker,
+    openedAt: openedAt ? new Date(openedAt) : null,
+    retryAt:
+      breaker.state === BREAKER_STATES.OPEN
+        ? new Date(openedAt + COOLDOWN_MS)
+        : null,
+  };
+}
+
+/**
+ * Breaker configuration for admin views
+ */
+export function getBreakerConfig() {
+  return {failureThreshold: FAILURE_THRESHOLD, cooldownMs: COOLDOWN_MS};
+}
+
+/**
+ * Force a provider's breaker back to closed
+ * @param {string} providerName - Registered provider name
+ */
+export function resetBreaker(providerName) {
+  breakers.set(providerName, createBreaker());
+}
+
+export default {
+  BREAKER_STATES,
+  canRequest,
+  recordSuccess,
+  recordFailure,
+  getBreakerState,
+  getBreakerConfig,
+  resetBreaker,
+};
@@ -0,0 +1,324 @@
+import * as geminiService from "./gemini.service.js";
+import * as openaiService from "./openai.service.js";
+import * as localAIService from "./localAI.service.js";
+import * as mockAIService from "./mockAI.service.js";
+
+/**
+ * AI Provider Registry
+ * Single place that knows which AI providers exist, whether they are usable,
+ * which tiers they serve and in which order they are tried. The AI router
+ * only talks to providers through this registry.
+ *
+ * Provider contract:
+ *   name        - unique key (also used in routing config)
+ *   label       - human readable name
+ *   aiProvider  - value stored in AIUsage.aiProvider
+ *   aiModel     - value stored in UsageLog.aiModel / AIUsage.aiModel
+ *   priority    - lower is tried first when falling back
+ *   estimatedCostPerRequestUSD - used by cost routing until real samples exist
+ *   isAvailable - () => boolean
+ *   parseResume, enhanceContent, generateSummary, categorizeSkills,
+ *   analyzeJobMatch, chatCompletion - async functions (required)
+ *   generateCoverLetter - async function (optional)
+ */
+
+export const PROVIDER_METHODS = [
+  "parseResume",
+  "enhanceContent",
+  "generateSummary",
+  "categorizeSkills",
+  "analyzeJobMatch",
+  "chatCompletion",
+];
+
+export const OPTIONAL_PROVIDER_METHODS = ["generateCoverLetter"];
+
+const providers = new Map();
+
+/**
+ * Adapt a service module that uses the *WithAI export naming
+ * (gemini.service.js, openai.service.js, ...) to the provider contract
+ * @param {Object} service - Imported service module
+ * @returns {Object} Provider methods
+ */
+export const fromServiceModule = (service) => ({
+  parseResume: service.parseResumeWithAI,
+  enhanceContent: service.enhanceContentWithAI,
+  generateSummary: service.generateSummaryWithAI,
+  categorizeSkills: service.categorizeSkillsWithAI,
+  analyzeJobMatch: service.analyzeResumeJobMatch,
+  chatCompletion: service.chatCompletion,
+  ...(typeof service.generateCoverLetter === "function" && {
+    generateCoverLetter: service.generateCoverLetter,
+  }),
+});
+
+/**
+ * Register (or replace) a provider
+ * @param {Object} provider - Provider implementing the contract above
+ * @returns {Object} The registered provider
+ */
+export function registerProvider(provider) {
+  if (!provider?.name) {
+    throw new Error("AI provider must have a name");
+  }
+
+  const missing = PROVIDER_METHODS.filter(
+    (method) => typeof provider[method] !== "function"
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `AI provider "${provider.name}" is missing: ${missing.join(", ")}`
+    );
+  }
+
+  const registered = {
+    label: provider.name,
+    aiProvider: provider.name,
+    aiModel: provider.name,
+    priority: 100,
+    estimatedCostPerRequestUSD: 0,
+    isAvailable: () => true,
+    ...provider,
+  };
+
+  providers.set(provider.name, registered);
+  return registered;
+}
+
+/**
+ * Remove a provider from the registry
+ * @param {string} name - Provider name
+ */
+export function unregisterProvider(name) {
+  providers.delete(name);
+}
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null}
+ */
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Whether a provider is registered and currently usable
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isProviderAvailable(name) {
+  const provider = providers.get(name);
+  if (!provider) return false;
+
+  try {
+    return Boolean(provider.isAvailable());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a provider implements a contract method
+ * @param {string} name - Provider name
+ * @param {string} method - Contract method name
+ * @returns {boolean}
+ */
+export function supportsMethod(name, method) {
+  return typeof providers.get(name)?.[method] === "function";
+}
+
+/**
+ * List providers ordered by priority
+ * @param {Object} options
+ * @param {boolean} options.availableOnly - Only include usable providers
+ * @returns {Array<Object>}
+ */
+export function listProviders({availableOnly = false} = {}) {
+  return [...providers.values()]
+    .filter((provider) => !availableOnly || isProviderAvailable(provider.name))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+// ==========================================
+// ROUTING CONFIGURATION
+// ==========================================
+
+/**
+ * Tier routing. `providers` is the preference order for the tier; in hybrid
+ * mode the first provider handles critical actions and the AI routing policy
+ * (Settings.aiRouting) decides how lighter actions are split.
+ */
+const DEFAULT_TIER_ROUTING = {
+  free: {
+    mode: "single",
+    providers: ["gemini", "gpt4o", "local"],
+  },
+  "one-time": {
+    mode: "single",
+    providers: ["gpt4o", "local"],
+  },
+  pro: {
+    mode: "hybrid",
+    providers: ["gpt4o", "gemini", "local"],
+  },
+};
+
+// Actions that must use a specific provider when it is available
+const DEFAULT_PINNED_ACTIONS = {
+  cover_letter: "gpt4o", // Premium quality
+};
+
+let tierRouting = structuredClone(DEFAULT_TIER_ROUTING);
+let pinnedActions = {...DEFAULT_PINNED_ACTIONS};
+
+/**
+ * Get the routing config for a tier (unknown tiers use "free")
+ * @param {string} tier - Subscription tier
+ * @returns {Object}
+ */
+export function getTierRouting(tier) {
+  return tierRouting[tier] || tierRouting.free;
+}
+
+/**
+ * Whether a tier has its own routing config
+ * @param {string} tier - Subscription tier
+ * @returns {boolean}
+ */
+export function hasTierRouting(tier) {
+  return Boolean(tierRouting[tier]);
+}
+
+/**
+ * Override the routing config for a tier
+ * @param {string} tier - Subscription tier
+ * @param {Object} routing - {mode, providers}
+ */
+export function setTierRouting(tier, routing) {
+  tierRouting[tier] = {...getTierRouting(tier), ...routing};
+}
+
+/**
+ * Provider pinned to an action, if any and available
+ * @param {string} action - Router action
+ * @returns {string|null}
+ */
+export function getPinnedProvider(action) {
+  // A forced provider (AI_PROVIDER) takes precedence over pins
+  if (isProviderAvailable(process.env.AI_PROVIDER?.trim())) {
+    return null;
+  }
+
+  const name = pinnedActions[action];
+  return name && isProviderAvailable(name) ? name : null;
+}
+
+/**
+ * Restore the default tier routing and pinned actions
+ */
+export function resetRouting() {
+  tierRouting = structuredClone(DEFAULT_TIER_ROUTING);
+  pinnedActions = {...DEFAULT_PINNED_ACTIONS};
+}
+
+/**
+ * Available providers for a tier, in preference order.
+ * AI_PROVIDER forces a single provider for every tier (e.g. "mock" or "local").
+ * Falls back to every available provider when none of the tier's are usable.
+ * @param {string} tier - Subscription tier
+ * @returns {Array<string>} Provider names
+ */
+export function getTierProviders(tier) {
+  const forced = process.env.AI_PROVIDER?.trim();
+  if (forced && isProviderAvailable(forced)) {
+    return [forced];
+  }
+
+  const preferred = getTierRouting(tier).providers.filter(isProviderAvailable);
+  if (preferred.length > 0) {
+    return preferred;
+  }
+
+  return listProviders({availableOnly: true}).map((provider) => provider.name);
+}
+
+/**
+ * Providers to try after `excludeName` fails, ordered by priority
+ * @param {string} excludeName - Provider that already failed
+ * @param {string} method - Contract method that must be supported
+ * @returns {Array<string>} Provider names
+ */
+export function getFallbackOrder(excludeName, method) {
+  return listProviders({availableOnly: true})
+    .map((provider) => provider.name)
+    .filter((name) => name !== excludeName && supportsMethod(name, method));
+}
+
+// ==========================================
+// BUILT-IN PROVIDERS
+// ==========================================
+
+registerProvider({
+  name: "gpt4o",
+  label: "OpenAI GPT-4o",
+  aiProvider: "openai",
+  aiModel: "gpt4o",
+  priority: 10,
+  estimatedCostPerRequestUSD: 0.01,
+  isAvailable: () => Boolean(process.env.OPENAI_API_KEY?.trim()),
+  ...fromServiceModule(openaiService),
+});
+
+registerProvider({
+  name: "gemini",
+  label: "Google Gemini",
+  aiProvider: "gemini",
+  aiModel: "gemini",
+  priority: 20,
+  estimatedCostPerRequestUSD: 0.001,
+  isAvailable: () => Boolean(process.env.GEMINI_API_KEY?.trim()),
+  ...fromServiceModule(geminiService),
+});
+
+registerProvider({
+  name: "local",
+  label: "Local OpenAI-compatible model",
+  aiProvider: "local",
+  aiModel: "local",
+  priority: 30,
+  estimatedCostPerRequestUSD: 0,
+  isAvailable: localAIService.isConfigured,
+  ...fromServiceModule(localAIService),
+});
+
+registerProvider({
+  name: "mock",
+  label: "Mock (fixtures)",
+  aiProvider: "mock",
+  aiModel: "mock",
+  priority: 90,
+  estimatedCostPerRequestUSD: 0,
+  isAvailable: () => process.env.AI_MOCK_ENABLED === "true",
+  ...fromServiceModule(mockAIService),
+});
+
+export default {
+  PROVIDER_METHODS,
+  OPTIONAL_PROVIDER_METHODS,
+  fromServiceModule,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  isProviderAvailable,
+  supportsMethod,
+  listProviders,
+  getTierRouting,
+  hasTierRouting,
+  setTierRouting,
+  getPinnedProvider,
+  resetRouting,
+  getTierProviders,
+  getFallbackOrder,
+};
@@ -1,106 +1,121 @@
-import * as geminiService from "./gemini.service.js";
-import * as openaiService from "./openai.service.js";
 import UsageLog from "../models/UsageLog.model.js";
 import AIUsage from "../models/AIUsage.model.js";
 import {notifyAIFailure} from "./adminNotification.service.js";
+import {
+  getProvider,
+  getTierRouting,
+  getTierProviders,
+  getPinnedProvider,
+  getFallbackOrder,
+  hasTierRouting,
+  supportsMethod,
+} from "./aiProviderRegistry.service.js";
+import {selectHybridProvider} from "./aiRoutingPolicy.service.js";
+import {
+  canRequest,
+  recordFailure,
+  recordSuccess,
+} from "./aiCircuitBreaker.service.js";
 
 /**
  * AI Router Service
- * Routes AI requests to appropriate service (Gemini or GPT-4o) based on user tier
- * Tracks usage and costs for analytics
- * Falls back to OpenAI if Gemini is not configured
+ * Routes AI requests to a provider from the AI provider registry based on
+ * user tier, tracks usage and costs for analytics, and fails over to the
+ * next registered provider when a call fails, times out or the provider's
+ * circuit breaker is open.
  */
 
-// Check if Gemini is available (GEMINI_API_KEY is set)
-const GEMINI_ENABLED = Boolean(process.env.GEMINI_API_KEY?.trim());
+const EMPTY_TOKEN_USAGE = {
+  promptTokens: 0,
+  candidatesTokens: 0,
+  totalTokens: 0,
+};
+const EMPTY_COST = {amount: 0, currency: "USD"};
+
+// Upper bound for a single provider call, including the provider's own retries
+const REQUEST_TIMEOUT_MS = Number(process.env.AI_REQUEST_TIMEOUT_MS) || 120000;
 
-if (!GEMINI_ENABLED) {
+if (getTierProviders("free").length === 0) {
   console.warn(
-    "⚠️  AI Router: GEMINI_API_KEY not configured — all requests will use OpenAI (GPT-4o)"
+    "⚠️  AI Router: no AI provider is configured — set OPENAI_API_KEY, GEMINI_API_KEY or LOCAL_AI_BASE_URL"
   );
 }
 
-// Tier to AI Model mapping
-const TIER_AI_MAPPING = {
-  free: GEMINI_ENABLED ? "gemini" : "gpt4o", // Fallback to OpenAI if Gemini disabled
-  "one-time": "gpt4o",
-  pro: GEMINI_ENABLED ? "hybrid" : "gpt4o", // Fallback to OpenAI if Gemini disabled
-};
-
-// Action types that support hybrid mode (can use Gemini for some operations)
-const HYBRID_COMPATIBLE_ACTIONS = [
-  "resume_parsed",
-  "skills_categorized",
-  "summary_generated",
-];
-
 /**
- * Determine which AI service to use based on user tier ONLY
+ * Determine which AI provider to use based on user tier and action.
+ * Hybrid tiers defer to the deterministic routing policy in Settings.aiRouting.
  * @param {Object} user - User object with subscription info
  * @param {string} action - Action being performed
- * @returns {string} - 'gemini' or 'gpt4o'
+ * @returns {Promise<{providerName: string, routing: Object}>} - Registered
+ *   provider name and the reason it was chosen
  */
-function selectAIService(user, action = "resume_created") {
-  // Get default model for user's tier
+async function selectAIService(user, action = "resume_created") {
+  const pinned = getPinnedProvider(action);
+  if (pinned) {
+    console.log(`🎯 AI Selection: ${action} pinned → "${pinned}"`);
+    return {
+      providerName: pinned,
+      routing: {strategy: "pinned", reason: "pinned", candidates: [pinned]},
+    };
+  }
+
   const userTier = user.subscription?.tier || "free";
-  let tierModel = TIER_AI_MAPPING[userTier] || TIER_AI_MAPPING.free;
+  const tierRouting = getTierRouting(userTier);
+  const available = getTierProviders(userTier);
+
+  if (available.length === 0) {
+    throw new Error("No AI provider is configured");
+  }
 
   console.log(
-    `🎯 AI Selection: User tier "${userTier}" → Model "${tierModel}"`
+    `🎯 AI Selection: User tier "${userTier}" → Providers [${available.join(
+      ", "
+    )}]`
   );
 
-  // Handle hybrid mode (for pro tier)
-  if (tierModel === "hybrid") {
-    // For hybrid, use Gemini for lighter tasks, GPT-4o for critical tasks
-    if (HYBRID_COMPATIBLE_ACTIONS.includes(action)) {
-      // 70% chance of Gemini for hybrid-compatible actions
-      const selectedModel = Math.random() < 0.7 ? "gemini" : "gpt4o";
-      console.log(`   Hybrid mode: ${action} → ${selectedModel}`);
-      return selectedModel;
-    }
-    // Use GPT-4o for critical actions like content enhancement
-    console.log(`   Hybrid mode: ${action} → gpt4o (critical action)`);
-    return "gpt4o";
-  }
-
-  // Safety check: if Gemini is selected but not available, use OpenAI
-  if (tierModel === "gemini" && !GEMINI_ENABLED) {
-    console.warn(
-      `   ⚠️  Gemini requested but not available, falling back to OpenAI`
+  if (tierRouting.mode === "hybrid" && available.length > 1) {
+    const selection = await selectHybridProvider({user, action, available});
+    console.log(
+      `   Hybrid mode: ${action} → ${selection.providerName} (${selection.routing.reason})`
     );
-    tierModel = "gpt4o";
+    return selection;
   }
 
-  return tierModel;
+  return {
+    providerName: available[0],
+    routing: {
+      strategy: tierRouting.mode,
+      reason: "tier_primary",
+      candidates: available,
+    },
+  };
 }
 
 /**
  * Log AI usage to database
  * @param {string} userId - User ID
  * @param {string} action - Action performed
- * @param {string} aiModel - AI model used (gemini, gpt4o, hybrid)
+ * @param {string} providerName - Registered provider name
  * @param {Object} tokenUsage - Token usage data
  * @param {Object} cost - Cost data
  * @param {boolean} success - Whether operation succeeded
  * @param {Object} metadata - Additional metadata
+ * @param {Object} routing - Routing decision from selectAIService
  */
 async function logUsage(
   userId,
   action,
-  aiModel,
+  providerName,
   tokenUsage,
   cost,
   success = true,
-  metadata = {}
+  metadata = {},
+  routing = null
 ) {
   try {
-    // Determine AI provider from model
-    const aiProvider =
-      aiModel === "gpt4o"
-        ? "openai"
-        : aiModel === "gemini"
-        ? "gemini"
-        : "hybrid";
+    const provider = getProvider(providerName);
+    const aiProvider = provider?.aiProvider || providerName;
+    const aiModel = provider?.aiModel || providerName;
 
     // Map action to feature for AIUsage
     const featureMapping = {
@@ -122,15 +137,16 @@ async function logUsage(
       action,
       aiModel,
       tokensUsed: {
-        input: tokenUsage.promptTokens || 0,
-        output: tokenUsage.candidatesTokens || 0,
-        total: tokenUsage.totalTokens || 0,
+        input: tokenUsage?.promptTokens || 0,
+        output: tokenUsage?.candidatesTokens || 0,
+        total: tokenUsage?.totalTokens || 0,
       },
       cost: {
         amount: cost?.amount || 0,
         currency: cost?.currency || "USD",
       },
       success,
+      routing,
       metadata,
     });
 
@@ -140,13 +156,15 @@ async function logUsage(
       aiProvider,
       aiModel,
       feature,
-      tokensUsed: tokenUsage.totalTokens || 0,
+      tokensUsed: tokenUsage?.totalTokens || 0,
       cost: cost?.amount || 0,
       responseTime: metadata.responseTime || 0,
       status: success ? "success" : "error",
       errorMessage: metadata.error || null,
       metadata: {
         action,
+        provider: providerName,
+        routingReason: routing?.reason,
         ...metadata,
       },
     });
@@ -167,55 +185,200 @@ async function logUsage(
 }
 
 /**
- * Parse resume with appropriate AI service
- * @param {string} resumeText - Raw resume text
- * @param {Object} user - User object
- * @returns {Promise<Object>} - Parsed resume data
+ * Reject if a provider call takes longer than REQUEST_TIMEOUT_MS. The
+ * underlying request is not cancelled, its result is simply ignored.
+ * @param {Promise} promise - Provider call
+ * @param {string} providerName - Registered provider name
+ * @returns {Promise}
  */
-export async function parseResume(resumeText, user) {
-  const aiService = selectAIService(user, "resume_parsed");
+function withTimeout(promise, providerName) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(
+        `AI provider "${providerName}" timed out after ${REQUEST_TIMEOUT_MS}ms`
+      );
+      error.code = "AI_TIMEOUT";
+      reject(error);
+    }, REQUEST_TIMEOUT_MS);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call a provider method once, log the outcome, update the provider's
+ * circuit breaker and tag the result with the model
+ * @param {Object} options
+ * @param {Object} options.user - User object
+ * @param {string} options.action - Router action (UsageLog action)
+ * @param {string} options.method - Provider contract method
+ * @param {Array} options.args - Arguments for the provider method
+ * @param {Object} options.metadata - Extra usage metadata
+ * @param {Object} options.selection - {providerName, routing} decision
+ * @returns {Promise<Object>} - Provider result with aiModel
+ */
+async function runWithProvider({
+  user,
+  action,
+  method,
+  args,
+  metadata = {},
+  selection,
+}) {
+  const {providerName, routing} = selection;
+  const provider = getProvider(providerName);
   const startTime = Date.now();
 
   try {
-    let result;
-    if (aiService === "gpt4o") {
-      result = await openaiService.parseResumeWithAI(resumeText);
-    } else {
-      result = await geminiService.parseResumeWithAI(resumeText);
-    }
-
+    const result = await withTimeout(provider[method](...args), providerName);
     const responseTime = Date.now() - startTime;
+    recordSuccess(providerName);
 
-    // Log usage
     await logUsage(
       user._id,
-      "resume_parsed",
-      aiService,
+      action,
+      providerName,
       result.tokenUsage,
-      result.cost || {amount: 0, currency: "USD"},
+      result.cost || EMPTY_COST,
       true,
-      {responseTime, textLength: resumeText.length}
+      {responseTime, ...metadata},
+      routing
     );
 
     return {
       ...result,
-      aiModel: aiService,
+      aiModel: provider.aiModel,
     };
   } catch (error) {
     const responseTime = Date.now() - startTime;
+    recordFailure(providerName, error, {
+      timeout: error.code === "AI_TIMEOUT",
+    });
+
     await logUsage(
       user._id,
-      "resume_parsed",
-      aiService,
-      {promptTokens: 0, candidatesTokens: 0, totalTokens: 0},
-      {amount: 0, currency: "USD"},
+      action,
+      providerName,
+      EMPTY_TOKEN_USAGE,
+      EMPTY_COST,
       false,
-      {responseTime, error: error.message}
+      {responseTime, ...metadata, error: error.message},
+      routing
     );
     throw error;
   }
 }
 
+/**
+ * Select a provider and run the request, failing over to the next provider
+ * in the registry's fallback order when the call fails or times out.
+ * Providers whose circuit breaker is open are skipped.
+ * @param {Object} options
+ * @param {Object} options.user - User object
+ * @param {string} options.action - Router action (UsageLog action)
+ * @param {string} options.method - Provider contract method
+ * @param {Array} options.args - Arguments for the provider method
+ * @param {Object} options.metadata - Extra usage metadata
+ * @returns {Promise<Object>} - Provider result with aiModel, plus
+ *   fallback/fallbackReason when a provider other than the selected one answered
+ */
+async function runWithFailover({user, action, method, args, metadata = {}}) {
+  const selection = await selectAIService(user, action);
+  const primary = selection.providerName;
+  const candidates = [primary, ...getFallbackOrder(primary, method)].filter(
+    (name) => supportsMethod(name, method)
+  );
+
+  if (candidates.length === 0) {
+    throw new Error(`No configured AI provider supports ${method}`);
+  }
+
+  const failures = [];
+  const skipped = [];
+
+  for (const providerName of candidates) {
+    if (!canRequest(providerName)) {
+      console.warn(`⚠️  AI circuit open for "${providerName}", skipping`);
+      skipped.push(providerName);
+      continue;
+    }
+
+    const isSelected = providerName === primary;
+    const lastFailure = failures[failures.length - 1];
+    const fallbackFrom = lastFailure?.providerName || primary;
+
+    try {
+      const result = await runWithProvider({
+        user,
+        action,
+        method,
+        args,
+        selection: isSelected
+          ? selection
+          : {
+              providerName,
+              routing: {
+                strategy: "failover",
+                reason: lastFailure
+                  ? `failover_from_${fallbackFrom}`
+                  : `circuit_open_${primary}`,
+                candidates,
+                excluded: [...skipped, ...failures.map((f) => f.providerName)],
+              },
+            },
+        metadata: isSelected
+          ? metadata
+          : {
+              ...metadata,
+              fallback: `${fallbackFrom}_${lastFailure ? "error" : "circuit_open"}`,
+              fallbackFrom,
+              fallbackError: lastFailure?.error.message,
+            },
+      });
+
+      if (isSelected) {
+        return result;
+      }
+
+      return {
+        ...result,
+        fallback: true,
+        fallbackReason: lastFailure
+          ? lastFailure.error.message
+          : `AI provider "${primary}" is temporarily unavailable`,
+      };
+    } catch (error) {
+      console.error(`❌ ${providerName} failed for ${action}:`, error.message);
+      failures.push({providerName, error});
+    }
+  }
+
+  if (failures.length > 0) {
+    throw failures[failures.length - 1].error;
+  }
+
+  throw new Error(
+    "All AI providers are temporarily unavailable. Please try again shortly."
+  );
+}
+
+/**
+ * Parse resume with appropriate AI service
+ * @param {string} resumeText - Raw resume text
+ * @param {Object} user - User object
+ * @returns {Promise<Object>} - Parsed resume data
+ */
+export async function parseResume(resumeText, user) {
+  return runWithFailover({
+    user,
+    action: "resume_parsed",
+    method: "parseResume",
+    args: [resumeText],
+    metadata: {textLength: resumeText.length},
+  });
+}
+
 /**
  * Enhance content with appropriate AI service
  * @param {string} content - Content to enhance
@@ -232,57 +395,13 @@ export async function enhanceContent(
   user,
   customPrompt = ""
 ) {
-  const aiService = selectAIService(user, "content_enhanced");
-  const startTime = Date.now();
-
-  try {
-    let result;
-    if (aiService === "gpt4o") {
-      result = await openaiService.enhanceContentWithAI(
-        content,
-        sectionType,
-        resumeData,
-        customPrompt
-      );
-    } else {
-      result = await geminiService.enhanceContentWithAI(
-        content,
-        sectionType,
-        resumeData,
-        customPrompt
-      );
-    }
-
-    const responseTime = Date.now() - startTime;
-
-    // Log usage
-    await logUsage(
-      user._id,
-      "content_enhanced",
-      aiService,
-      result.tokenUsage,
-      result.cost || {amount: 0, currency: "USD"},
-      true,
-      {responseTime, sectionType}
-    );
-
-    return {
-      ...result,
-      aiModel: aiService,
-    };
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    await logUsage(
-      user._id,
-      "content_enhanced",
-      aiService,
-      {promptTokens: 0, candidatesTokens: 0, totalTokens: 0},
-      {amount: 0, currency: "USD"},
-      false,
-      {responseTime, sectionType, error: error.message}
-    );
-    throw error;
-  }
+  return runWithFailover({
+    user,
+    action: "content_enhanced",
+    method: "enhanceContent",
+    args: [content, sectionType, resumeData, customPrompt],
+    metadata: {sectionType},
+  });
 }
 
 /**
@@ -292,47 +411,12 @@ export async function enhanceContent(
  * @returns {Promise<Object>} - Generated summary
  */
 export async function generateSummary(resumeData, user) {
-  const aiService = selectAIService(user, "summary_generated");
-  const startTime = Date.now();
-
-  try {
-    let result;
-    if (aiService === "gpt4o") {
-      result = await openaiService.generateSummaryWithAI(resumeData);
-    } else {
-      result = await geminiService.generateSummaryWithAI(resumeData);
-    }
-
-    const responseTime = Date.now() - startTime;
-
-    // Log usage
-    await logUsage(
-      user._id,
-      "summary_generated",
-      aiService,
-      result.tokenUsage,
-      result.cost || {amount: 0, currency: "USD"},
-      true,
-      {responseTime}
-    );
-
-    return {
-      ...result,
-      aiModel: aiService,
-    };
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    await logUsage(
-      user._id,
-      "summary_generated",
-      aiService,
-      {promptTokens: 0, candidatesTokens: 0, totalTokens: 0},
-      {amount: 0, currency: "USD"},
-      false,
-      {responseTime, error: error.message}
-    );
-    throw error;
-  }
+  return runWithFailover({
+    user,
+    action: "summary_generated",
+    method: "generateSummary",
+    args: [resumeData],
+  });
 }
 
 /**
@@ -342,230 +426,98 @@ export async function generateSummary(resumeData, user) {
  * @returns {Promise<Object>} - Categorized skills
  */
 export async function categorizeSkills(skillsText, user) {
-  const aiService = selectAIService(user, "skills_categorized");
-  const startTime = Date.now();
-
-  try {
-    let result;
-    if (aiService === "gpt4o") {
-      result = await openaiService.categorizeSkillsWithAI(skillsText);
-    } else {
-      result = await geminiService.categorizeSkillsWithAI(skillsText);
-    }
-
-    const responseTime = Date.now() - startTime;
-
-    // Log usage
-    await logUsage(
-      user._id,
-      "skills_categorized",
-      aiService,
-      result.tokenUsage,
-      result.cost || {amount: 0, currency: "USD"},
-      true,
-      {responseTime}
-    );
-
-    return {
-      ...result,
-      aiModel: aiService,
-    };
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    await logUsage(
-      user._id,
-      "skills_categorized",
-      aiService,
-      {promptTokens: 0, candidatesTokens: 0, totalTokens: 0},
-      {amount: 0, currency: "USD"},
-      false,
-      {responseTime, error: error.message}
-    );
-    throw error;
-  }
+  return runWithFailover({
+    user,
+    action: "skills_categorized",
+    method: "categorizeSkills",
+    args: [skillsText],
+  });
 }
 
 /**
- * Analyze ATS job match with appropriate AI service
+ * Analyze ATS job match with appropriate AI service.
+ * Fails over to the next provider in the registry's fallback order.
  * @param {string} resumeText - Resume text
  * @param {string} jobDescription - Job description
  * @param {Object} user - User object
  * @returns {Promise<Object>} - Match analysis
  */
 export async function analyzeJobMatch(resumeText, jobDescription, user) {
-  const aiService = selectAIService(user, "job_match");
-  const startTime = Date.now();
-
   // Debug logging
   console.log("🔍 [AI Router] analyzeJobMatch:");
   console.log("   User ID:", user._id);
   console.log("   User Tier:", user.subscription?.tier || "free");
-  console.log("   Selected AI Service:", aiService);
-
-  try {
-    let result;
-    if (aiService === "gpt4o") {
-      console.log("🤖 Calling OpenAI GPT-4o for resume-job match analysis...");
-
-      // Check if OpenAI is available
-      if (
-        !openaiService ||
-        typeof openaiService.analyzeResumeJobMatch !== "function"
-      ) {
-        console.warn("⚠️ OpenAI service not available, falling back to Gemini");
-        result = await geminiService.analyzeResumeJobMatch(
-          resumeText,
-          jobDescription
-        );
-        // Override aiModel to reflect actual service used
-        const responseTime = Date.now() - startTime;
-        await logUsage(
-          user._id,
-          "job_match",
-          "gemini",
-          result.tokenUsage,
-          result.cost || {amount: 0, currency: "USD"},
-          true,
-          {responseTime, fallback: "openai_unavailable"}
-        );
-        return {
-          ...result,
-          aiModel: "gemini",
-          fallback: true,
-        };
-      }
-
-      try {
-        result = await openaiService.analyzeResumeJobMatch(
-          resumeText,
-          jobDescription
-        );
-      } catch (openaiError) {
-        console.error(
-          "❌ OpenAI GPT-4o failed, falling back to Gemini:",
-          openaiError.message
-        );
-        result = await geminiService.analyzeResumeJobMatch(
-          resumeText,
-          jobDescription
-        );
-        // Override aiModel to reflect actual service used
-        const responseTime = Date.now() - startTime;
-        await logUsage(
-          user._id,
-          "job_match",
-          "gemini",
-          result.tokenUsage,
-          result.cost || {amount: 0, currency: "USD"},
-          true,
-          {
-            responseTime,
-            fallback: "openai_error",
-            openaiError: openaiError.message,
-          }
-        );
-        return {
-          ...result,
-          aiModel: "gemini",
-          fallback: true,
-          fallbackReason: openaiError.message,
-        };
-      }
-    } else {
-      console.log("🤖 Calling Gemini API for resume-job match analysis...");
-      result = await geminiService.analyzeResumeJobMatch(
-        resumeText,
-        jobDescription
-      );
-    }
 
-    const responseTime = Date.now() - startTime;
-
-    // Log usage
-    await logUsage(
-      user._id,
-      "job_match",
-      aiService,
-      result.tokenUsage,
-      result.cost || {amount: 0, currency: "USD"},
-      true,
-      {responseTime}
-    );
-
-    return {
-      ...result,
-      aiModel: aiService,
-    };
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    await logUsage(
-      user._id,
-      "job_match",
-      aiService,
-      {promptTokens: 0, candidatesTokens: 0, totalTokens: 0},
-      {amount: 0, currency: "USD"},
-      false,
-      {responseTime, error: error.message}
-    );
-    throw error;
-  }
+  return runWithFailover({
+    user,
+    action: "job_match",
+    method: "analyzeJobMatch",
+    args: [resumeText, jobDescription],
+  });
 }
 
 /**
- * Generate cover letter with appropriate AI service (Premium feature - always GPT-4o)
+ * Generate cover letter with appropriate AI service (Premium feature - pinned
+ * to GPT-4o in the registry when it is available)
  * @param {Object} resumeData - Resume data
  * @param {string} jobDescription - Job description
  * @param {string} companyName - Company name
  * @param {Object} user - User object
+ * @param {Object} options - {tone, minWords, maxWords, jobTitle}
  * @returns {Promise<Object>} - Generated cover letter
  */
 export async function generateCoverLetter(
   resumeData,
   jobDescription,
   companyName,
-  user
+  user,
+  options = {}
 ) {
-  // Cover letters always use GPT-4o for premium quality
-  const aiService = "gpt4o";
-  const startTime = Date.now();
-
-  try {
-    const result = await openaiService.generateCoverLetter(
-      resumeData,
-      jobDescription,
-      companyName
-    );
-
-    const responseTime = Date.now() - startTime;
+  return runWithFailover({
+    user,
+    action: "cover_letter",
+    method: "generateCoverLetter",
+    args: [resumeData, jobDescription, companyName, options],
+    metadata: {companyName},
+  });
+}
 
-    // Log usage
-    await logUsage(
-      user._id,
-      "cover_letter",
-      aiService,
-      result.tokenUsage,
-      result.cost,
-      true,
-      {responseTime, companyName}
-    );
+/**
+ * Rewrite a single cover letter paragraph
+ * @param {string} systemPrompt - System instructions
+ * @param {string} userPrompt - Paragraph rewrite prompt
+ * @param {Object} user - User object
+ * @returns {Promise<Object>} - {text, tokenUsage, cost, aiModel}
+ */
+export async function rewriteCoverLetterParagraph(
+  systemPrompt,
+  userPrompt,
+  user
+) {
+  return runWithFailover({
+    user,
+    action: "cover_letter",
+    method: "chatCompletion",
+    args: [systemPrompt, userPrompt, {temperature: 0.8, maxTokens: 600}],
+    metadata: {feature: "paragraph_regeneration"},
+  });
+}
 
-    return {
-      ...result,
-      aiModel: aiService,
-    };
-  } catch (error) {
-    const responseTime = Date.now() - startTime;
-    await logUsage(
-      user._id,
-      "cover_letter",
-      aiService,
-      {promptTokens: 0, candidatesTokens: 0, totalTokens: 0},
-      {amount: 0, currency: "USD"},
-      false,
-      {responseTime, companyName, error: error.message}
-    );
-    throw error;
-  }
+/**
+ * Propose job-specific resume changes (summary, skill order, bullet rewrites)
+ * @param {string} systemPrompt - System instructions
+ * @param {string} userPrompt - Tailoring prompt with resume and job details
+ * @param {Object} user - User object
+ * @returns {Promise<Object>} - {text, tokenUsage, cost, aiModel}
+ */
+export async function tailorResume(systemPrompt, userPrompt, user) {
+  return runWithFailover({
+    user,
+    action: "resume_enhanced",
+    method: "chatCompletion",
+    args: [systemPrompt, userPrompt, {temperature: 0.4, maxTokens: 2500}],
+    metadata: {feature: "resume_tailoring"},
+  });
 }
 
 /**
@@ -574,13 +526,18 @@ export async function generateCoverLetter(
  * @returns {Object} - AI service configuration
  */
 export function getAIServiceInfo(user) {
-  const tier = user.subscription?.tier || "free";
-  const aiModel = TIER_AI_MAPPING[tier] || TIER_AI_MAPPING.free;
+  const requestedTier = user.subscription?.tier || "free";
+  const tier = hasTierRouting(requestedTier) ? requestedTier : "free";
+  const routing = getTierRouting(tier);
+  const available = getTierProviders(tier);
+  const isHybrid = routing.mode === "hybrid" && available.length > 1;
+  const primary = getProvider(available[0]);
 
   return {
-    tier: TIER_AI_MAPPING[tier] ? tier : "free",
-    aiModel,
-    isHybrid: aiModel === "hybrid",
+    tier,
+    aiModel: isHybrid ? "hybrid" : primary?.aiModel || null,
+    isHybrid,
+    providers: available,
   };
 }
 
@@ -591,5 +548,7 @@ export default {
   categorizeSkills,
   analyzeJobMatch,
   generateCoverLetter,
+  rewriteCoverLetterParagraph,
+  tailorResume,
   getAIServiceInfo,
 };
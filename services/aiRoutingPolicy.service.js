@@ -0,0 +1,419 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Settings from "../models/Settings.model.js";
+import AIUsage from "../models/AIUsage.model.js";
+import UsageLog from "../models/UsageLog.model.js";
+import {getProvider} from "./aiProviderRegistry.service.js";
+
+/**
+ * AI Routing Policy Service
+ * Deterministic provider selection for hybrid tiers, driven by
+ * Settings.aiRouting. Every decision returns a `routing` explanation that
+ * is stored on the UsageLog entry.
+ */
+
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+const STATS_CACHE_TTL_MS = 60 * 1000;
+
+export const ROUTING_STRATEGIES = ["weighted", "latency", "cost"];
+
+let policyCache = {policy: null, expiresAt: 0};
+let statsCache = {stats: null, windowMinutes: null, expiresAt: 0};
+
+// Smooth weighted round-robin state per action (used when not sticky)
+const roundRobinState = new Map();
+
+const toPlain = (value) =>
+  typeof value?.toObject === "function" ? value.toObject() : value;
+
+/**
+ * Schema defaults, used when settings cannot be loaded
+ */
+const getDefaultPolicy = () => toPlain(new Settings().aiRouting);
+
+/**
+ * Current routing policy (cached for a minute)
+ * @returns {Promise<Object>}
+ */
+export async function getRoutingPolicy() {
+  if (policyCache.policy && policyCache.expiresAt > Date.now()) {
+    return policyCache.policy;
+  }
+
+  let policy;
+  try {
+    const settings = await Settings.getSettings();
+    policy = toPlain(settings.aiRouting) || getDefaultPolicy();
+  } catch (error) {
+    console.error("❌ Failed to load AI routing policy:", error.message);
+    policy = getDefaultPolicy();
+  }
+
+  policyCache = {policy, expiresAt: Date.now() + POLICY_CACHE_TTL_MS};
+  return policy;
+}
+
+/**
+ * Drop cached policy and round-robin state (call after settings change)
+ */
+export function invalidateRoutingPolicyCache() {
+  policyCache = {policy: null, expiresAt: 0};
+  roundRobinState.clear();
+}
+
+/**
+ * Validate a partial aiRouting update
+ * @param {Object} updates - Partial Settings.aiRouting
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateRoutingPolicy(updates = {}) {
+  const {strategy, actionStrategies, actionWeights, costCeilings, latency} =
+    updates;
+
+  if (strategy !== undefined && !ROUTING_STRATEGIES.includes(strategy)) {
+    return `Strategy must be one of: ${ROUTING_STRATEGIES.join(", ")}`;
+  }
+
+  if (actionStrategies !== undefined) {
+    if (typeof actionStrategies !== "object" || actionStrategies === null) {
+      return "actionStrategies must be an object";
+    }
+    const invalid = Object.values(actionStrategies).find(
+      (value) => !ROUTING_STRATEGIES.includes(value)
+    );
+    if (invalid !== undefined) {
+      return `Invalid action strategy: ${invalid}`;
+    }
+  }
+
+  if (actionWeights !== undefined) {
+    if (typeof actionWeights !== "object" || actionWeights === null) {
+      return "actionWeights must be an object";
+    }
+    for (const [action, weights] of Object.entries(actionWeights)) {
+      if (typeof weights !== "object" || weights === null) {
+        return `Weights for ${action} must be an object`;
+      }
+      for (const [providerName, weight] of Object.entries(weights)) {
+        if (!getProvider(providerName)) {
+          return `Unknown AI provider: ${providerName}`;
+        }
+        if (typeof weight !== "number" || weight < 0) {
+          return `Weight for ${action}.${providerName} must be a non-negative number`;
+        }
+      }
+    }
+  }
+
+  for (const key of ["perRequestUSD", "perUserMonthlyUSD"]) {
+    const value = costCeilings?.[key];
+    if (value !== undefined && value !== null) {
+      if (typeof value !== "number" || value < 0) {
+        return `costCeilings.${key} must be a non-negative number or null`;
+      }
+    }
+  }
+
+  if (latency?.windowMinutes !== undefined && !(latency.windowMinutes >= 1)) {
+    return "latency.windowMinutes must be at least 1";
+  }
+  if (latency?.minSamples !== undefined && !(latency.minSamples >= 1)) {
+    return "latency.minSamples must be at least 1";
+  }
+
+  return null;
+}
+
+/**
+ * Recent average latency and cost per provider (cached for a minute)
+ * @param {number} windowMinutes - Look-back window
+ * @returns {Promise<Object>} {providerName: {avgResponseTime, avgCost, samples}}
+ */
+export async function getProviderStats(windowMinutes = 60) {
+  if (
+    statsCache.stats &&
+    statsCache.windowMinutes === windowMinutes &&
+    statsCache.expiresAt > Date.now()
+  ) {
+    return statsCache.stats;
+  }
+
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+  let stats = {};
+
+  try {
+    const rows = await AIUsage.aggregate([
+      {
+        $match: {
+          createdAt: {$gte: since},
+          status: "success",
+          "metadata.provider": {$exists: true},
+        },
+      },
+      {
+        $group: {
+          _id: "$metadata.provider",
+          avgResponseTime: {$avg: "$responseTime"},
+          avgCost: {$avg: "$cost"},
+          samples: {$sum: 1},
+        },
+      },
+    ]);
+
+    stats = Object.fromEntries(
+      rows.map((row) => [
+        row._id,
+        {
+          avgResponseTime: Math.round(row.avgResponseTime || 0),
+          avgCost: row.avgCost || 0,
+          samples: row.samples,
+        },
+      ])
+    );
+  } catch (error) {
+    console.error("❌ Failed to load AI provider stats:", error.message);
+  }
+
+  statsCache = {
+    stats,
+    windowMinutes,
+    expiresAt: Date.now() + STATS_CACHE_TTL_MS,
+  };
+  return stats;
+}
+
+/**
+ * User's AI spend (USD) since the start of the current month
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function getUserMonthlySpend(userId) {
+  const monthStart = new Date();
+  monthStart.setDate(1);
+  monthStart.setHours(0, 0, 0, 0);
+
+  const [row] = await UsageLog.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        timestamp: {$gte: monthStart},
+      },
+    },
+    {$group: {_id: null, total: {$sum: "$cost.amount"}}},
+  ]);
+
+  return row?.total || 0;
+}
+
+/**
+ * Expected cost of one request: observed average when there are enough
+ * samples, otherwise the provider's registered estimate
+ */
+const getExpectedCost = (providerName, stats, minSamples) => {
+  const observed = stats[providerName];
+  if (observed && observed.samples >= minSamples) {
+    return observed.avgCost;
+  }
+  return getProvider(providerName)?.estimatedCostPerRequestUSD || 0;
+};
+
+/**
+ * Map a stable key to a bucket in [0, 1)
+ */
+const hashToBucket = (key) =>
+  crypto.createHash("sha256").update(key).digest().readUInt32BE(0) /
+  0x100000000;
+
+/**
+ * Pick from weights using a bucket in [0, 1). Providers are sorted by name
+ * so the same bucket always maps to the same provider.
+ */
+const pickByBucket = (weights, bucket) => {
+  const entries = Object.entries(weights).sort(([a], [b]) =>
+    a.localeCompare(b)
+  );
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  let cumulative = 0;
+  for (const [name, weight] of entries) {
+    cumulative += weight / total;
+    if (bucket < cumulative) return name;
+  }
+  return entries[entries.length - 1][0];
+};
+
+/**
+ * Smooth weighted round-robin (nginx style) - deterministic sequence that
+ * honours the weights over any window of requests
+ */
+const pickRoundRobin = (action, weights) => {
+  const state = roundRobinState.get(action) || {};
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+  let selected = null;
+  Object.keys(weights)
+    .sort()
+    .forEach((name) => {
+      state[name] = (state[name] || 0) + weights[name];
+      if (selected === null || state[name] > state[selected]) {
+        selected = name;
+      }
+    });
+
+  state[selected] -= total;
+  roundRobinState.set(action, state);
+  return selected;
+};
+
+// "latency_insufficient_samples;weighted_round_robin" when latency routing
+// had to fall back
+const joinReasons = (...reasons) => reasons.filter(Boolean).join(";");
+
+/**
+ * Select a provider for a hybrid-tier request
+ * @param {Object} options
+ * @param {Object} options.user - User object
+ * @param {string} options.action - Router action
+ * @param {Array<string>} options.available - Available tier providers, primary first
+ * @returns {Promise<{providerName: string, routing: Object}>}
+ */
+export async function selectHybridProvider({user, action, available}) {
+  const policy = await getRoutingPolicy();
+  const strategy = policy.actionStrategies?.[action] || policy.strategy;
+  const minSamples = policy.latency?.minSamples || 5;
+
+  const weights = Object.fromEntries(
+    Object.entries(policy.actionWeights?.[action] || {}).filter(
+      ([name, weight]) => available.includes(name) && weight > 0
+    )
+  );
+  let candidates = Object.keys(weights);
+  const routing = {strategy, candidates: [...candidates], excluded: []};
+
+  // Actions without weights are critical and stay on the primary provider
+  if (candidates.length === 0) {
+    return {
+      providerName: available[0],
+      routing: {
+        ...routing,
+        candidates: [available[0]],
+        reason: "critical_action",
+      },
+    };
+  }
+
+  const stats = await getProviderStats(policy.latency?.windowMinutes || 60);
+  const byCost = (a, b) =>
+    getExpectedCost(a, stats, minSamples) -
+    getExpectedCost(b, stats, minSamples);
+
+  // Cost ceilings
+  const {perRequestUSD, perUserMonthlyUSD} = policy.costCeilings || {};
+
+  if (perRequestUSD !== null && perRequestUSD !== undefined) {
+    const withinCeiling = candidates.filter(
+      (name) => getExpectedCost(name, stats, minSamples) <= perRequestUSD
+    );
+    routing.excluded = candidates.filter(
+      (name) => !withinCeiling.includes(name)
+    );
+    candidates = withinCeiling.length
+      ? withinCeiling
+      : [[...candidates].sort(byCost)[0]];
+  }
+
+  if (perUserMonthlyUSD !== null && perUserMonthlyUSD !== undefined) {
+    const spend = await getUserMonthlySpend(user._id).catch(() => 0);
+    if (spend >= perUserMonthlyUSD) {
+      const cheapest = [...candidates].sort(byCost)[0];
+      return {
+        providerName: cheapest,
+        routing: {
+          ...routing,
+          excluded: candidates.filter((name) => name !== cheapest),
+          reason: `user_monthly_cost_ceiling (${spend.toFixed(
+            4
+          )} >= ${perUserMonthlyUSD} USD)`,
+        },
+      };
+    }
+  }
+
+  if (candidates.length === 1) {
+    return {
+      providerName: candidates[0],
+      routing: {...routing, reason: "only_candidate_within_cost_ceiling"},
+    };
+  }
+
+  if (strategy === "cost") {
+    const cheapest = [...candidates].sort(byCost)[0];
+    return {
+      providerName: cheapest,
+      routing: {
+        ...routing,
+        reason: `lowest_expected_cost (${getExpectedCost(
+          cheapest,
+          stats,
+          minSamples
+        )} USD)`,
+      },
+    };
+  }
+
+  if (strategy === "latency") {
+    const measured = candidates.filter(
+      (name) => (stats[name]?.samples || 0) >= minSamples
+    );
+    if (measured.length > 0) {
+      const fastest = measured.sort(
+        (a, b) => stats[a].avgResponseTime - stats[b].avgResponseTime
+      )[0];
+      return {
+        providerName: fastest,
+        routing: {
+          ...routing,
+          reason: `lowest_latency (${stats[fastest].avgResponseTime}ms avg)`,
+        },
+      };
+    }
+    routing.reason = "latency_insufficient_samples";
+  }
+
+  const candidateWeights = Object.fromEntries(
+    candidates.map((name) => [name, weights[name]])
+  );
+
+  if (policy.stickyAssignment !== false && user?._id) {
+    const bucket = hashToBucket(
+      `${policy.stickySalt || ""}:${user._id}:${action}`
+    );
+    return {
+      providerName: pickByBucket(candidateWeights, bucket),
+      routing: {
+        ...routing,
+        sticky: true,
+        bucket: Number(bucket.toFixed(6)),
+        reason: joinReasons(routing.reason, "sticky_weighted"),
+      },
+    };
+  }
+
+  return {
+    providerName: pickRoundRobin(action, candidateWeights),
+    routing: {
+      ...routing,
+      sticky: false,
+      reason: joinReasons(routing.reason, "weighted_round_robin"),
+    },
+  };
+}
+
+export default {
+  ROUTING_STRATEGIES,
+  getRoutingPolicy,
+  invalidateRoutingPolicyCache,
+  validateRoutingPolicy,
+  getProviderStats,
+  selectHybridProvider,
+};
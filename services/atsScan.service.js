@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import AtsScan from "../models/AtsScan.model.js";
+import ResumeRevision from "../models/ResumeRevision.model.js";
+
+/**
+ * ATS Scan Service
+ * Persists ATS analysis results and builds per-resume score trends across
+ * resume revisions for the same job description.
+ */
+
+/**
+ * Hash a job description so reformatted copies of the same posting match
+ * @param {string} jobDescription
+ * @returns {string} sha256 hex digest
+ */
+export const hashJobDescription = (jobDescription = "") =>
+  crypto
+    .createHash("sha256")
+    .update(String(jobDescription).toLowerCase().replace(/\s+/g, " ").trim())
+    .digest("hex");
+
+/**
+ * Use the given title or fall back to the first line of the job description
+ */
+const getJobTitle = (jobTitle, jobDescription = "") =>
+  (
+    jobTitle ||
+    String(jobDescription)
+      .split("\n")
+      .find((line) => line.trim()) ||
+    ""
+  )
+    .trim()
+    .slice(0, 200);
+
+/**
+ * Pull a 0-100 score out of any analyzer response shape
+ * (match_score from providers/offline engine, atsScore/overallMatch legacy)
+ * @param {Object} analysis
+ * @returns {number}
+ */
+export const getAnalysisScore = (analysis = {}) => {
+  const score = Number(
+    analysis.match_score ?? analysis.atsScore ?? analysis.overallMatch ?? 0
+  );
+  return Number.isFinite(score) ? Math.max(0, Math.min(100, score)) : 0;
+};
+
+/**
+ * Store an ATS analysis. Failures are logged and swallowed so history never
+ * breaks the analysis response.
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.resumeId - Saved resume ID (optional)
+ * @param {string} params.source - Endpoint that produced the scan
+ * @param {string} params.jobDescription - Job description text
+ * @param {string} params.jobTitle - Optional job title
+ * @param {string} params.fileName - Uploaded file name (optional)
+ * @param {Object} params.analysis - Analyzer response
+ * @param {string} params.aiModel - Model used (AI engine only)
+ * @returns {Promise<Object|null>} Saved scan or null
+ */
+export const recordAtsScan = async ({
+  userId,
+  resumeId = null,
+  source,
+  jobDescription,
+  jobTitle,
+  fileName = null,
+  analysis,
+  aiModel = null,
+}) => {
+  try {
+    const latestRevision = resumeId
+      ? await ResumeRevision.findOne({resumeId})
+          .sort({revisionNumber: -1})
+          .select("revisionNumber")
+          .lean()
+      : null;
+
+    const isOffline = analysis.engine === "offline";
+
+    return await AtsScan.create({
+      userId,
+      resumeId,
+      resumeRevision: latestRevision?.revisionNumber ?? null,
+      source,
+      fileName,
+      jobDescriptionHash: hashJobDescription(jobDescription),
+      jobTitle: getJobTitle(jobTitle, jobDescription),
+      score: getAnalysisScore(analysis),
+      eligible:
+        typeof analysis.eligible === "boolean" ? analysis.eligible : null,
+      breakdown: analysis.breakdown || analysis.categoryScores || null,
+      missingKeywords:
+        analysis.missing_keywords || analysis.missingKeywords || [],
+      presentKeywords:
+        analysis.present_keywords || analysis.matchingKeywords || [],
+      engine: isOffline ? "offline" : "ai",
+      aiModel: isOffline ? null : aiModel,
+      fallback: Boolean(analysis.fallback),
+    });
+  } catch (error) {
+    console.error("❌ Failed to record ATS scan:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Score history of a resume grouped by job description. Each series has one
+ * point per resume revision (the latest scan of that revision) so the chart
+ * shows how edits moved the score for the same job.
+ * @param {string} userId - User ID
+ * @param {string} resumeId - Resume ID
+ * @param {string} jobDescriptionHash - Limit to one job description (optional)
+ * @returns {Promise<Array>} Series, most recently scanned first
+ */
+export const getScoreTrend = async (userId, resumeId, jobDescriptionHash) => {
+  const scans = await AtsScan.find({
+    userId: new mongoose.Types.ObjectId(String(userId)),
+    resumeId: new mongoose.Types.ObjectId(String(resumeId)),
+    ...(jobDescriptionHash && {jobDescriptionHash}),
+  })
+    .select(
+      "jobDescriptionHash jobTitle resumeRevision score engine aiModel createdAt"
+    )
+    .sort({createdAt: 1})
+    .lean();
+
+  const seriesByHash = new Map();
+
+  scans.forEach((scan) => {
+    if (!seriesByHash.has(scan.jobDescriptionHash)) {
+      seriesByHash.set(scan.jobDescriptionHash, {
+        jobDescriptionHash: scan.jobDescriptionHash,
+        jobTitle: scan.jobTitle,
+        points: [],
+      });
+    }
+
+    const series = seriesByHash.get(scan.jobDescriptionHash);
+    const point = {
+      scanId: scan._id,
+      resumeRevision: scan.resumeRevision,
+      score: scan.score,
+      engine: scan.engine,
+      aiModel: scan.aiModel,
+      scannedAt: scan.createdAt,
+    };
+
+    // Re-scans of the same revision replace the earlier point
+    const last = series.points[series.points.length - 1];
+    if (last && last.resumeRevision === scan.resumeRevision) {
+      series.points[series.points.length - 1] = point;
+    } else {
+      series.points.push(point);
+    }
+  });
+
+  return [...seriesByHash.values()]
+    .map((series) => {
+      const points = series.points.map((point, index) => ({
+        ...point,
+        change: index === 0 ? 0 : point.score - series.points[index - 1].score,
+      }));
+
+      return {
+        ...series,
+        points,
+        firstScore: points[0].score,
+        latestScore: points[points.length - 1].score,
+        totalChange: points[points.length - 1].score - points[0].score,
+        lastScannedAt: points[points.length - 1].scannedAt,
+      };
+    })
+    .sort((a, b) => b.lastScannedAt - a.lastScannedAt);
+};
+
+export default {
+  hashJobDescription,
+  getAnalysisScore,
+  recordAtsScan,
+  getScoreTrend,
+};
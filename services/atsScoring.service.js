@@ -0,0 +1,810 @@
+/**
+ * ATS Scoring Service
+ * Deterministic, offline resume scoring. Produces the same response shape as
+ * the AI job match analysis (match_score, missing/present keywords,
+ * strengths, improvements) plus a per-check breakdown, with no LLM call and
+ * no quota cost. Used for `mode=offline` on /api/ats/analyze-resume and as a
+ * fallback when every AI provider fails.
+ */
+
+export const ENGINE_VERSION = "1.0";
+
+// Weight of each check in the final score (sums to 100)
+export const SCORE_WEIGHTS = {
+  keywordCoverage: 40,
+  sectionCompleteness: 15,
+  quantifiedImpact: 15,
+  dateConsistency: 10,
+  bulletLength: 10,
+  parseability: 10,
+};
+
+const ELIGIBLE_SCORE = 60;
+const MAX_JOB_KEYWORDS = 20;
+const BULLET_WORDS = {min: 8, max: 30};
+const QUANTIFIED_TARGET = 0.5; // Share of bullets that should carry a number
+
+// Canonical term -> spellings found in resumes and job posts. Multi-word
+// spellings are collapsed to the canonical token before tokenizing.
+const SYNONYMS = {
+  javascript: ["javascript", "js", "es6", "ecmascript"],
+  typescript: ["typescript", "ts"],
+  nodejs: ["node.js", "nodejs", "node"],
+  react: ["react", "react.js", "reactjs"],
+  vue: ["vue", "vue.js", "vuejs"],
+  angular: ["angular", "angularjs", "angular.js"],
+  nextjs: ["next.js", "nextjs"],
+  express: ["express", "express.js", "expressjs"],
+  python: ["python", "py"],
+  golang: ["golang", "go lang"],
+  csharp: ["c#", "csharp"],
+  cplusplus: ["c++", "cpp"],
+  postgresql: ["postgresql", "postgres", "psql"],
+  mongodb: ["mongodb", "mongo"],
+  mysql: ["mysql"],
+  sql: ["sql"],
+  nosql: ["nosql"],
+  kubernetes: ["kubernetes", "k8s"],
+  docker: ["docker", "containerization"],
+  aws: ["aws", "amazon web services"],
+  gcp: ["gcp", "google cloud", "google cloud platform"],
+  azure: ["azure", "microsoft azure"],
+  cicd: [
+    "ci/cd",
+    "cicd",
+    "continuous integration",
+    "continuous delivery",
+    "continuous deployment",
+  ],
+  machinelearning: ["machine learning", "ml"],
+  deeplearning: ["deep learning", "dl"],
+  ai: ["artificial intelligence", "ai"],
+  nlp: ["natural language processing", "nlp"],
+  restapi: ["rest api", "rest apis", "restful"],
+  graphql: ["graphql"],
+  microservices: ["microservices", "micro-services", "microservice"],
+  devops: ["devops", "dev ops"],
+  agile: ["agile", "scrum", "kanban"],
+  unittesting: ["unit testing", "unit tests", "jest", "mocha", "pytest"],
+  html: ["html", "html5"],
+  css: ["css", "css3", "scss", "sass"],
+  git: ["git", "github", "gitlab"],
+  linux: ["linux", "unix"],
+  redis: ["redis"],
+  kafka: ["kafka", "apache kafka"],
+  terraform: ["terraform", "infrastructure as code", "iac"],
+  datastructures: ["data structures", "algorithms", "dsa"],
+  projectmanagement: ["project management", "pmp"],
+  communication: ["communication", "communicating", "communicate"],
+  leadership: ["leadership", "mentoring", "mentored", "led"],
+};
+
+// Display name for canonical terms in missing/present keyword lists
+const DISPLAY_NAMES = {
+  javascript: "JavaScript",
+  typescript: "TypeScript",
+  nodejs: "Node.js",
+  react: "React",
+  vue: "Vue.js",
+  angular: "Angular",
+  nextjs: "Next.js",
+  express: "Express",
+  python: "Python",
+  golang: "Go",
+  csharp: "C#",
+  cplusplus: "C++",
+  postgresql: "PostgreSQL",
+  mongodb: "MongoDB",
+  mysql: "MySQL",
+  sql: "SQL",
+  nosql: "NoSQL",
+  kubernetes: "Kubernetes",
+  docker: "Docker",
+  aws: "AWS",
+  gcp: "GCP",
+  azure: "Azure",
+  cicd: "CI/CD",
+  machinelearning: "Machine Learning",
+  deeplearning: "Deep Learning",
+  ai: "AI",
+  nlp: "NLP",
+  restapi: "REST API",
+  graphql: "GraphQL",
+  microservices: "Microservices",
+  devops: "DevOps",
+  agile: "Agile",
+  unittesting: "Unit Testing",
+  html: "HTML",
+  css: "CSS",
+  git: "Git",
+  linux: "Linux",
+  redis: "Redis",
+  kafka: "Kafka",
+  terraform: "Terraform",
+  datastructures: "Data Structures & Algorithms",
+  projectmanagement: "Project Management",
+  communication: "Communication",
+  leadership: "Leadership",
+};
+
+// Common English and job-posting filler that never counts as a keyword
+const STOPWORDS = new Set(
+  `a about above across after again against all also am an and any are as at be
+  because been before being below between both but by can could did do does doing
+  down during each etc few for from further had has have having he her here hers
+  him his how i if in into is it its itself just me more most my no nor not now of
+  off on once only or other our ours out over own per same she should so some such
+  than that the their them then there these they this those through to too under
+  until up upon us very via was we were what when where which while who whom why
+  will with within without would you your yours
+  ability able across apply applicant applicants candidate candidates company
+  degree description equal employer employment environment excellent experience
+  experienced familiar familiarity good great help ideal include including job
+  join knowledge looking make must new nice opportunity plus position preferred
+  proficiency proficient qualifications related required requirement requirements
+  responsibilities responsible role salary seeking skill skills strong team teams
+  understanding using work working world year years benefit benefits like well
+  ensure day days based highly want need needs`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+const SECTION_PATTERNS = {
+  summary: /^\s*(summary|profile|objective|about me|professional summary)\b/im,
+  experience:
+    /^\s*(experience|work experience|employment|professional experience|work history)\b/im,
+  education: /^\s*(education|academic|qualifications)\b/im,
+  skills: /^\s*(skills|technical skills|core competencies|technologies)\b/im,
+  projects: /^\s*(projects|personal projects|key projects)\b/im,
+};
+
+const REQUIRED_SECTIONS = ["contact", "experience", "education", "skills"];
+const OPTIONAL_SECTIONS = ["summary", "projects"];
+
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  sept: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+const MONTH_NAME =
+  "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const DATE_TOKEN = `(?:${MONTH_NAME}\\s+\\d{4}|\\d{1,2}[/-]\\d{4}|\\d{4})`;
+const DATE_RANGE_PATTERN = new RegExp(
+  `(${DATE_TOKEN})\\s*(?:-|–|—|to)\\s*(${DATE_TOKEN}|present|current|now)`,
+  "gi"
+);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+// Multi-word / punctuated spellings first so "google cloud platform" wins
+// over "google cloud"
+const PHRASE_REPLACEMENTS = Object.entries(SYNONYMS)
+  .flatMap(([canonical, spellings]) =>
+    spellings
+      .filter((spelling) => /[^a-z0-9]/.test(spelling))
+      .map((spelling) => ({canonical, spelling}))
+  )
+  .sort((a, b) => b.spelling.length - a.spelling.length)
+  .map(({canonical, spelling}) => ({
+    canonical,
+    pattern: new RegExp(
+      `(^|[^a-z0-9])${escapeRegex(spelling)}(?=$|[^a-z0-9+#])`,
+      "g"
+    ),
+  }));
+
+const TOKEN_TO_CANONICAL = Object.entries(SYNONYMS).reduce(
+  (map, [canonical, spellings]) => {
+    spellings
+      .filter((spelling) => !/[^a-z0-9]/.test(spelling))
+      .forEach((spelling) => map.set(spelling, canonical));
+    return map;
+  },
+  new Map()
+);
+
+/**
+ * Light suffix stripping so "deploying", "deployed" and "deployments" all
+ * match "deploy". Not a full Porter stemmer, but stable and predictable.
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+  if (word.length <= 4 || /[^a-z]/.test(word)) return word;
+
+  const rules = [
+    ["ational", "ate"],
+    ["ization", "ize"],
+    ["ements", ""],
+    ["ement", ""],
+    ["ments", ""],
+    ["ment", ""],
+    ["ings", ""],
+    ["ing", ""],
+    ["ies", "y"],
+    ["ied", "y"],
+    ["ers", ""],
+    ["er", ""],
+    ["ed", ""],
+  ];
+
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      let base = word.slice(0, -suffix.length) + replacement;
+      // "running" -> "runn" -> "run"
+      if (/(.)\1$/.test(base) && !/(ll|ss|zz)$/.test(base)) {
+        base = base.slice(0, -1);
+      }
+      return base.replace(/e$/, "");
+    }
+  }
+
+  // Plurals: "processes" -> "process", "services" -> "servic(e)"
+  if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !word.endsWith("ss")) {
+    return word.slice(0, -1).replace(/e$/, "");
+  }
+
+  return word.replace(/e$/, "");
+}
+
+/**
+ * Normalize text to canonical terms: lowercase, collapse synonym phrases and
+ * map single-word synonyms, then stem the rest
+ * @param {string} text
+ * @returns {Array<string>} Terms in order of appearance
+ */
+export function extractTerms(text = "") {
+  let normalized = ` ${String(text).toLowerCase()} `;
+  PHRASE_REPLACEMENTS.forEach(({canonical, pattern}) => {
+    normalized = normalized.replace(pattern, `$1 ${canonical} `);
+  });
+
+  const tokens = normalized.match(/[a-z0-9][a-z0-9+#]*/g) || [];
+
+  return tokens
+    .filter((token) => !/^\d+$/.test(token))
+    .map((token) => TOKEN_TO_CANONICAL.get(token) || token)
+    .filter((token) => !STOPWORDS.has(token) && token.length > 1)
+    .map((token) => (SYNONYMS[token] ? token : stem(token)));
+}
+
+/**
+ * Rank the most important keywords of a job description. Known technical
+ * terms are weighted above plain words; ties break alphabetically so the
+ * result is reproducible.
+ * @param {string} jobDescription
+ * @returns {Array<{term: string, label: string, weight: number}>}
+ */
+export function extractJobKeywords(jobDescription = "") {
+  const counts = new Map();
+  const labels = new Map();
+
+  // Remember the first original spelling of each stem for display
+  (String(jobDescription).match(/[A-Za-z][A-Za-z0-9+#.]*/g) || []).forEach(
+    (word) => {
+      const cleaned = word.replace(/\.$/, "");
+      const [term] = extractTerms(cleaned);
+      if (term && !labels.has(term)) labels.set(term, cleaned);
+    }
+  );
+
+  extractTerms(jobDescription).forEach((term) => {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .map(([term, count]) => ({
+      term,
+      label: DISPLAY_NAMES[term] || labels.get(term) || term,
+      weight: count * (SYNONYMS[term] ? 3 : 1),
+    }))
+    .filter((keyword) => keyword.weight > 1 || SYNONYMS[keyword.term])
+    .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term))
+    .slice(0, MAX_JOB_KEYWORDS);
+}
+
+/**
+ * Collect bullet points from structured resume data or, for uploaded files,
+ * from lines that look like list items
+ */
+const getBullets = (resumeText, resumeData) => {
+  if (resumeData) {
+    return ["experience", "projects"].flatMap((section) =>
+      (resumeData[section] || []).flatMap((item) => item.bullets || [])
+    );
+  }
+
+  return resumeText
+    .split(/\n/)
+    .map((line) => line.trim())
+    .filter((line) => /^[•\-*▪◦●‣·]\s+/.test(line))
+    .map((line) => line.replace(/^[•\-*▪◦●‣·]\s+/, ""));
+};
+
+const scoreKeywordCoverage = (resumeText, jobDescription) => {
+  const keywords = extractJobKeywords(jobDescription);
+  const resumeTerms = new Set(extractTerms(resumeText));
+
+  const present = keywords.filter((keyword) => resumeTerms.has(keyword.term));
+  const missing = keywords.filter((keyword) => !resumeTerms.has(keyword.term));
+  const totalWeight = keywords.reduce((sum, k) => sum + k.weight, 0);
+  const presentWeight = present.reduce((sum, k) => sum + k.weight, 0);
+
+  return {
+    score: totalWeight > 0 ? clamp((presentWeight / totalWeight) * 100) : 0,
+    details: {
+      matched: present.length,
+      total: keywords.length,
+    },
+    present: present.map((keyword) => keyword.label),
+    missing: missing.map((keyword) => keyword.label),
+  };
+};
+
+const scoreSectionCompleteness = (resumeText, resumeData) => {
+  const hasContact = resumeData
+    ? Boolean(resumeData.contact?.email || resumeData.contact?.phone)
+    : /[\w.+-]+@[\w-]+\.[\w.]+/.test(resumeText) ||
+      /\+?\d[\d\s().-]{8,}\d/.test(resumeText);
+
+  const found = {contact: hasContact};
+  Object.entries(SECTION_PATTERNS).forEach(([section, pattern]) => {
+    if (resumeData) {
+      const value = resumeData[section];
+      found[section] = Array.isArray(value)
+        ? value.length > 0
+        : Boolean(value && String(value).trim());
+    } else {
+      found[section] = pattern.test(resumeText);
+    }
+  });
+
+  const missingRequired = REQUIRED_SECTIONS.filter(
+    (section) => !found[section]
+  );
+  const missingOptional = OPTIONAL_SECTIONS.filter(
+    (section) => !found[section]
+  );
+
+  // Required sections carry 80 points, optional ones the remaining 20
+  const score =
+    ((REQUIRED_SECTIONS.length - missingRequired.length) /
+      REQUIRED_SECTIONS.length) *
+      80 +
+    ((OPTIONAL_SECTIONS.length - missingOptional.length) /
+      OPTIONAL_SECTIONS.length) *
+      20;
+
+  return {
+    score: clamp(score),
+    details: {
+      found: Object.keys(found).filter((section) => found[section]),
+      missingRequired,
+      missingOptional,
+    },
+  };
+};
+
+/**
+ * Parse "Jan 2020", "03/2020", "2020-03" (the editor's format) or "2020"
+ * into a comparable month index
+ * @returns {{value: number, format: string}|null}
+ */
+const parseDate = (raw) => {
+  const text = raw.trim().toLowerCase();
+  if (/^(present|current|now)$/.test(text)) {
+    const now = new Date();
+    return {value: now.getFullYear() * 12 + now.getMonth(), format: "present"};
+  }
+
+  const monthName = text.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (monthName) {
+    const month =
+      MONTHS[monthName[1].slice(0, 4)] || MONTHS[monthName[1].slice(0, 3)];
+    if (!month) return null;
+    return {value: Number(monthName[2]) * 12 + month - 1, format: "month-name"};
+  }
+
+  const numeric = text.match(/^(\d{1,2})[/-](\d{4})$/);
+  if (numeric) {
+    const month = Number(numeric[1]);
+    if (month < 1 || month > 12) return null;
+    return {value: Number(numeric[2]) * 12 + month - 1, format: "numeric"};
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{2})$/);
+  if (iso) {
+    const month = Number(iso[2]);
+    if (month < 1 || month > 12) return null;
+    return {value: Number(iso[1]) * 12 + month - 1, format: "iso"};
+  }
+
+  const year = text.match(/^(\d{4})$/);
+  if (year) {
+    return {value: Number(year[1]) * 12, format: "year"};
+  }
+
+  return null;
+};
+
+const getDateRanges = (resumeText, resumeData) => {
+  if (resumeData?.experience?.length) {
+    return resumeData.experience
+      .filter((exp) => exp.startDate)
+      .map((exp) => ({
+        start: parseDate(String(exp.startDate)),
+        end: parseDate(exp.current ? "present" : String(exp.endDate || "")),
+        label: `${exp.title || ""} at ${exp.company || ""}`.trim(),
+      }));
+  }
+
+  return [...resumeText.matchAll(DATE_RANGE_PATTERN)].map((match) => ({
+    start: parseDate(match[1]),
+    end: parseDate(match[2]),
+    label: match[0],
+  }));
+};
+
+const scoreDateConsistency = (resumeText, resumeData) => {
+  const ranges = getDateRanges(resumeText, resumeData);
+  const issues = [];
+
+  if (ranges.length === 0) {
+    return {
+      score: 50,
+      details: {ranges: 0, issues: ["No employment date ranges found"]},
+    };
+  }
+
+  const now = new Date();
+  const currentMonth = now.getFullYear() * 12 + now.getMonth();
+  let penalty = 0;
+
+  ranges.forEach(({start, end, label}) => {
+    if (!start || !end) {
+      issues.push(`Unreadable dates: ${label}`);
+      penalty += 15;
+      return;
+    }
+    if (end.value < start.value) {
+      issues.push(`End date before start date: ${label}`);
+      penalty += 25;
+    }
+    if (start.value > currentMonth) {
+      issues.push(`Start date in the future: ${label}`);
+      penalty += 20;
+    }
+  });
+
+  const formats = new Set(
+    ranges
+      .flatMap(({start, end}) => [start?.format, end?.format])
+      .filter((format) => format && format !== "present")
+  );
+  if (formats.size > 1) {
+    issues.push("Mixed date formats");
+    penalty += 10;
+  }
+
+  // Most recent role first is what recruiters and parsers expect
+  const starts = ranges.map(({start}) => start?.value).filter(Number.isFinite);
+  const reverseChronological = starts.every(
+    (value, index) => index === 0 || value <= starts[index - 1]
+  );
+  if (!reverseChronological) {
+    issues.push("Experience is not in reverse chronological order");
+    penalty += 10;
+  }
+
+  return {
+    score: clamp(100 - penalty),
+    details: {ranges: ranges.length, issues},
+  };
+};
+
+const scoreBulletLength = (bullets) => {
+  if (bullets.length === 0) {
+    return {score: 40, details: {bullets: 0, tooShort: 0, tooLong: 0}};
+  }
+
+  const wordCounts = bullets.map(
+    (bullet) => String(bullet).trim().split(/\s+/).filter(Boolean).length
+  );
+  const tooShort = wordCounts.filter(
+    (count) => count < BULLET_WORDS.min
+  ).length;
+  const tooLong = wordCounts.filter((count) => count > BULLET_WORDS.max).length;
+
+  return {
+    score: clamp(
+      ((bullets.length - tooShort - tooLong) / bullets.length) * 100
+    ),
+    details: {
+      bullets: bullets.length,
+      tooShort,
+      tooLong,
+      idealWords: BULLET_WORDS,
+    },
+  };
+};
+
+// Things a number in a bullet can count or measure
+const QUANTITY_UNITS = [
+  "users?",
+  "customers?",
+  "clients?",
+  "people",
+  "persons?",
+  "employees?",
+  "engineers?",
+  "developers?",
+  "members?",
+  "teams?",
+  "students?",
+  "partners?",
+  "stakeholders?",
+  "projects?",
+  "products?",
+  "features?",
+  "applications?",
+  "apps?",
+  "services?",
+  "microservices?",
+  "servers?",
+  "nodes?",
+  "countries",
+  "markets?",
+  "stores?",
+  "locations?",
+  "languages?",
+  "hours?",
+  "hrs?",
+  "days?",
+  "weeks?",
+  "months?",
+  "years?",
+  "minutes?",
+  "mins?",
+  "seconds?",
+  "secs?",
+  "ms",
+  "requests?",
+  "transactions?",
+  "orders?",
+  "sales",
+  "leads?",
+  "accounts?",
+  "tickets?",
+  "bugs?",
+  "incidents?",
+  "deployments?",
+  "releases?",
+  "downloads?",
+  "visitors?",
+  "queries",
+  "records?",
+  "rows?",
+  "files?",
+  "pages?",
+  "reports?",
+  "tests?",
+  "points?",
+  "[kmgtp]b",
+  "qps",
+  "rps",
+  "tps",
+  "per",
+].join("|");
+
+// A number standing on its own, not part of a name like S3, EC2 or HTML5
+const NUMBER = String.raw`(?<![\w.])\d+(?:[.,]\d+)*`;
+
+const QUANTITY_PATTERNS = [
+  // $2M, ₹50,000
+  /[$₹€£]\s?\d/,
+  // 40%, 3x, 10k, 5M, 100+
+  new RegExp(
+    String.raw`${NUMBER}\s?(?:%|percent\b|x\b|×|[kmb]\b|bn\b|\+)`,
+    "i"
+  ),
+  // 12 engineers, 200 ms, 8-person team
+  new RegExp(String.raw`${NUMBER}[\s-]?(?:${QUANTITY_UNITS})\b`, "i"),
+  // five services, a dozen teams
+  new RegExp(
+    String.raw`\b(?:two|three|four|five|six|seven|eight|nine|ten|dozen|hundred|thousand|million|billion)[\s-](?:${QUANTITY_UNITS})\b`,
+    "i"
+  ),
+  /\b(?:doubled?|tripled?|halved|hundreds|thousands|millions|billions)\b/i,
+];
+
+const isQuantified = (bullet) =>
+  QUANTITY_PATTERNS.some((pattern) => pattern.test(String(bullet)));
+
+const scoreQuantifiedImpact = (bullets) => {
+  if (bullets.length === 0) {
+    return {score: 0, details: {bullets: 0, quantified: 0}};
+  }
+
+  const quantified = bullets.filter(isQuantified).length;
+
+  return {
+    score: clamp((quantified / bullets.length / QUANTIFIED_TARGET) * 100),
+    details: {bullets: bullets.length, quantified},
+  };
+};
+
+const scoreParseability = (resumeText) => {
+  const issues = [];
+  let penalty = 0;
+  const text = String(resumeText);
+  const words = text.split(/\s+/).filter(Boolean);
+
+  if (text.trim().length < 300) {
+    issues.push("Very little text could be extracted");
+    penalty += 40;
+  }
+
+  // Replacement characters and private-use glyphs come from icon fonts and
+  // broken encodings that ATS parsers cannot read
+  const unreadable = (text.match(/[\uFFFD\uE000-\uF8FF]/g) || []).length;
+  if (unreadable > 0) {
+    issues.push(`${unreadable} unreadable character(s) (icons or symbols)`);
+    penalty += Math.min(30, unreadable * 2);
+  }
+
+  const longTokens = words.filter((word) => word.length > 40).length;
+  if (longTokens > 3) {
+    issues.push("Words run together (possible multi-column layout)");
+    penalty += 15;
+  }
+
+  const tableChars = (text.match(/[|│┃┆┊]/g) || []).length;
+  if (tableChars > 10) {
+    issues.push("Table or column separators detected");
+    penalty += 15;
+  }
+
+  if (!/[\w.+-]+@[\w-]+\.[\w.]+/.test(text)) {
+    issues.push("No email address found in the text");
+    penalty += 10;
+  }
+
+  return {
+    score: clamp(100 - penalty),
+    details: {characters: text.length, words: words.length, issues},
+  };
+};
+
+const STRENGTH_MESSAGES = {
+  keywordCoverage: "Covers most of the job description's key terms",
+  sectionCompleteness: "Has all the standard resume sections",
+  quantifiedImpact: "Bullets show measurable impact with numbers",
+  dateConsistency: "Employment dates are consistent and in order",
+  bulletLength: "Bullet points are a readable length",
+  parseability: "Text is cleanly readable by ATS parsers",
+};
+
+const buildImprovements = (breakdown, missingKeywords) => {
+  const improvements = [];
+
+  if (missingKeywords.length > 0 && breakdown.keywordCoverage.score < 80) {
+    improvements.push(
+      `Include missing keywords where accurate: ${missingKeywords
+        .slice(0, 5)
+        .join(", ")}`
+    );
+  }
+
+  const {missingRequired, missingOptional} =
+    breakdown.sectionCompleteness.details;
+  if (missingRequired.length > 0) {
+    improvements.push(
+      `Add the missing sections: ${missingRequired.join(", ")}`
+    );
+  } else if (missingOptional.length > 0) {
+    improvements.push(`Consider adding: ${missingOptional.join(", ")}`);
+  }
+
+  if (breakdown.quantifiedImpact.score < 70) {
+    improvements.push(
+      "Add metrics to your bullets (e.g. 'Reduced load time by 40%')"
+    );
+  }
+
+  const {tooShort, tooLong} = breakdown.bulletLength.details;
+  if (tooShort > 0) {
+    improvements.push(
+      `Expand ${tooShort} short bullet(s) to at least ${BULLET_WORDS.min} words`
+    );
+  }
+  if (tooLong > 0) {
+    improvements.push(
+      `Shorten ${tooLong} long bullet(s) to under ${BULLET_WORDS.max} words`
+    );
+  }
+
+  breakdown.dateConsistency.details.issues
+    .slice(0, 2)
+    .forEach((issue) => improvements.push(`Fix dates: ${issue}`));
+
+  breakdown.parseability.details.issues
+    .slice(0, 2)
+    .forEach((issue) => improvements.push(`Improve formatting: ${issue}`));
+
+  return improvements;
+};
+
+/**
+ * Score a resume against a job description without calling an LLM
+ * @param {string} resumeText - Plain resume text
+ * @param {string} jobDescription - Job description
+ * @param {Object} options
+ * @param {Object} options.resumeData - Structured resume (saved resumes);
+ *   improves section, date and bullet detection
+ * @returns {Object} Analysis in the AI analyzer's shape plus `breakdown`
+ */
+export function scoreResume(resumeText, jobDescription, {resumeData} = {}) {
+  const bullets = getBullets(resumeText, resumeData);
+  const keywords = scoreKeywordCoverage(resumeText, jobDescription);
+
+  const breakdown = {
+    keywordCoverage: {score: keywords.score, details: keywords.details},
+    sectionCompleteness: scoreSectionCompleteness(resumeText, resumeData),
+    quantifiedImpact: scoreQuantifiedImpact(bullets),
+    dateConsistency: scoreDateConsistency(resumeText, resumeData),
+    bulletLength: scoreBulletLength(bullets),
+    parseability: scoreParseability(resumeText),
+  };
+
+  Object.entries(breakdown).forEach(([check, result]) => {
+    result.weight = SCORE_WEIGHTS[check];
+  });
+
+  const matchScore = clamp(
+    Object.entries(breakdown).reduce(
+      (sum, [check, result]) =>
+        sum + (result.score * SCORE_WEIGHTS[check]) / 100,
+      0
+    )
+  );
+
+  const strengths = Object.entries(breakdown)
+    .filter(([, result]) => result.score >= 80)
+    .sort(([a], [b]) => SCORE_WEIGHTS[b] - SCORE_WEIGHTS[a])
+    .map(([check]) => STRENGTH_MESSAGES[check]);
+
+  return {
+    match_score: matchScore,
+    eligible: matchScore >= ELIGIBLE_SCORE,
+    missing_keywords: keywords.missing.slice(0, 10),
+    present_keywords: keywords.present,
+    strengths,
+    improvements: buildImprovements(breakdown, keywords.missing),
+    breakdown,
+    engine: "offline",
+    engineVersion: ENGINE_VERSION,
+  };
+}
+
+export default {
+  ENGINE_VERSION,
+  SCORE_WEIGHTS,
+  stem,
+  extractTerms,
+  extractJobKeywords,
+  scoreResume,
+};
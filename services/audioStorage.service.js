@@ -0,0 +1,271 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import {fileURLToPath} from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Audio Storage Service
+ * Pluggable object storage for recorded interview audio. Every backend
+ * implements the same interface:
+ *
+ *   put(key, buffer, {contentType})  store an object
+ *   get(key)                         -> {body, contentType} or null
+ *   remove(key)                      delete an object (missing is fine)
+ *
+ * AUDIO_STORAGE_DRIVER selects the backend:
+ *   local (default)  files under AUDIO_STORAGE_DIR (uploads/interview-audio)
+ *   s3               any S3-compatible service (AWS S3, MinIO, R2, ...):
+ *                    AUDIO_S3_BUCKET, AUDIO_S3_REGION, AUDIO_S3_ENDPOINT,
+ *                    AUDIO_S3_ACCESS_KEY_ID, AUDIO_S3_SECRET_ACCESS_KEY
+ */
+
+const DEFAULT_LOCAL_DIR = path.join(
+  __dirname,
+  "..",
+  "uploads",
+  "interview-audio"
+);
+
+// Keys are generated by the app; anything else is rejected before it
+// reaches the file system or a URL
+const KEY_PATTERN =
+  /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/;
+
+const assertValidKey = (key) => {
+  if (typeof key !== "string" || !KEY_PATTERN.test(key) || key.includes("..")) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Local disk backend. Content types are kept in a sidecar file.
+ * @param {string} rootDir - Directory that holds the objects
+ */
+export function createLocalStorage(rootDir = DEFAULT_LOCAL_DIR) {
+  const resolve = (key) => {
+    assertValidKey(key);
+    return path.join(rootDir, ...key.split("/"));
+  };
+
+  return {
+    name: "local",
+
+    async put(key, buffer, {contentType = "application/octet-stream"} = {}) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), {recursive: true});
+      await fs.writeFile(filePath, buffer);
+      await fs.writeFile(`${filePath}.type`, contentType);
+    },
+
+    async get(key) {
+      const filePath = resolve(key);
+      try {
+        const body = await fs.readFile(filePath);
+        const contentType = await fs
+          .readFile(`${filePath}.type`, "utf8")
+          .catch(() => "application/octet-stream");
+        return {body, contentType};
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      const filePath = resolve(key);
+      await fs.rm(filePath, {force: true});
+      await fs.rm(`${filePath}.type`, {force: true});
+    },
+  };
+}
+
+const sha256Hex = (data) =>
+  crypto.createHash("sha256").update(data).digest("hex");
+
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding as S3 expects it; "/" separates key segments
+const encodeKey = (key) =>
+  key
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(
+        /[!'()*]/g,
+        (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+      )
+    )
+    .join("/");
+
+/**
+ * S3-compatible backend using path-style requests signed with AWS
+ * Signature Version 4
+ * @param {Object} config
+ * @param {string} config.bucket - Bucket name
+ * @param {string} config.region - Signing region ("auto" for R2)
+ * @param {string} config.endpoint - Service URL; defaults to AWS S3 for the region
+ * @param {string} config.accessKeyId
+ * @param {string} config.secretAccessKey
+ * @param {string} config.prefix - Optional key prefix inside the bucket
+ */
+export function createS3Storage({
+  bucket,
+  region = "us-east-1",
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  prefix = "",
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error(
+      "S3 audio storage requires AUDIO_S3_BUCKET, AUDIO_S3_ACCESS_KEY_ID and AUDIO_S3_SECRET_ACCESS_KEY"
+    );
+  }
+
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  const request = async (method, key, {body, contentType} = {}) => {
+    assertValidKey(key);
+
+    const url = new URL(
+      `${baseUrl.pathname.replace(/\/$/, "")}/${bucket}/${encodeKey(
+        prefix + key
+      )}`,
+      baseUrl
+    );
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || "");
+
+    const headers = {
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+      ...(contentType && {"content-type": contentType}),
+    };
+    const signedHeaders = Object.keys(headers).sort();
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      "",
+      ...signedHeaders.map((name) => `${name}:${headers[name]}`),
+      "",
+      signedHeaders.join(";"),
+      payloadHash,
+    ].join("\n");
+
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      sha256Hex(canonicalRequest),
+    ].join("\n");
+
+    const signingKey = [region, "s3", "aws4_request"].reduce(
+      (key, part) => hmac(key, part),
+      hmac(`AWS4${secretAccessKey}`, date)
+    );
+    const signature = hmac(signingKey, stringToSign).toString("hex");
+
+    const {host, ...requestHeaders} = headers;
+    return fetch(url, {
+      method,
+      body,
+      headers: {
+        ...requestHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(
+          ";"
+        )}, Signature=${signature}`,
+      },
+    });
+  };
+
+  const fail = async (response, action) => {
+    const error = new Error(
+      `S3 ${action} failed with status ${response.status}: ${(
+        await response.text()
+      ).slice(0, 200)}`
+    );
+    error.status = response.status;
+    throw error;
+  };
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, {contentType = "application/octet-stream"} = {}) {
+      const response = await request("PUT", key, {body: buffer, contentType});
+      if (!response.ok) await fail(response, "upload");
+    },
+
+    async get(key) {
+      const response = await request("GET", key);
+      if (response.status === 404) return null;
+      if (!response.ok) await fail(response, "download");
+
+      return {
+        body: Buffer.from(await response.arrayBuffer()),
+        contentType:
+          response.headers.get("content-type") || "application/octet-stream",
+      };
+    },
+
+    async remove(key) {
+      const response = await request("DELETE", key);
+      if (!response.ok && response.status !== 404) {
+        await fail(response, "delete");
+      }
+    },
+  };
+}
+
+let storage = null;
+
+/**
+ * The configured audio storage backend
+ * @returns {Object} Backend implementing put/get/remove
+ */
+export function getAudioStorage() {
+  if (!storage) {
+    const driver = (process.env.AUDIO_STORAGE_DRIVER || "local").toLowerCase();
+
+    if (driver === "s3") {
+      storage = createS3Storage({
+        bucket: process.env.AUDIO_S3_BUCKET,
+        region: process.env.AUDIO_S3_REGION,
+        endpoint: process.env.AUDIO_S3_ENDPOINT,
+        accessKeyId: process.env.AUDIO_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AUDIO_S3_SECRET_ACCESS_KEY,
+        prefix: process.env.AUDIO_S3_PREFIX,
+      });
+    } else if (driver === "local") {
+      storage = createLocalStorage(
+        process.env.AUDIO_STORAGE_DIR || DEFAULT_LOCAL_DIR
+      );
+    } else {
+      throw new Error(`Unknown AUDIO_STORAGE_DRIVER: ${driver}`);
+    }
+  }
+
+  return storage;
+}
+
+/**
+ * Replace the storage backend (e.g. a custom implementation)
+ * @param {Object} backend - Object implementing put/get/remove
+ */
+export function setAudioStorage(backend) {
+  storage = backend;
+}
+
+export default {
+  createLocalStorage,
+  createS3Storage,
+  getAudioStorage,
+  setAudioStorage,
+};
@@ -0,0 +1,367 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import AuthSession from "../models/AuthSession.model.js";
+import User from "../models/User.model.js";
+
+/**
+ * Auth Session Service
+ * Short-lived access tokens plus rotating refresh tokens, one session per
+ * signed-in device. A refresh token works once; using an already-rotated one
+ * revokes its session, since only a stolen copy would still be around.
+ *
+ * OAuth sign-ins end in a browser redirect, so instead of tokens the redirect
+ * carries a one-time login code: the first refresh token of a session that
+ * lives for a minute and can only be exchanged, not refreshed.
+ */
+
+export const AUTH_SESSION_CONFIG = {
+  accessTokenExpiresIn: "15m",
+  accessTokenExpiresInSeconds: 15 * 60,
+  // Sessions expire after this many days without a refresh
+  refreshTokenDays: 30,
+  // Rotated refresh tokens remembered per session for reuse detection
+  rememberedTokens: 10,
+  // Time an OAuth login code can be exchanged for tokens
+  loginCodeSeconds: 60,
+};
+
+const INVALID_REFRESH_TOKEN = {
+  error: "Invalid or expired refresh token",
+  code: "INVALID_REFRESH_TOKEN",
+};
+
+const INVALID_LOGIN_CODE = {
+  error: "Invalid or expired login code. Please sign in again.",
+  code: "INVALID_LOGIN_CODE",
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {userId: user._id, email: user.email, sid: sessionId},
+    process.env.JWT_SECRET,
+    {expiresIn: AUTH_SESSION_CONFIG.accessTokenExpiresIn}
+  );
+
+// The session id prefix finds the session; the random part proves possession
+const createRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string" || refreshToken.length > 200) {
+    return null;
+  }
+  const [sessionId, secret] = refreshToken.split(".");
+  return secret && mongoose.isValidObjectId(sessionId) ? sessionId : null;
+};
+
+const getRefreshExpiry = () =>
+  new Date(
+    Date.now() + AUTH_SESSION_CONFIG.refreshTokenDays * 24 * 60 * 60 * 1000
+  );
+
+const getClientInfo = (req) => ({
+  userAgent: String(req?.headers?.["user-agent"] || "").slice(0, 300),
+  ipAddress: req?.ip,
+});
+
+const buildTokens = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken,
+  expiresIn: AUTH_SESSION_CONFIG.accessTokenExpiresInSeconds,
+  sessionId: session._id,
+});
+
+/**
+ * Sign a user in: create a session for this device and issue its tokens
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (user agent and IP are recorded)
+ * @param {Object} options
+ * @param {boolean} options.twoFactorVerified - The login passed 2FA
+ * @returns {Promise<Object>} {token, refreshToken, expiresIn, sessionId}
+ */
+export async function startAuthSession(
+  user,
+  req,
+  {twoFactorVerified = false} = {}
+) {
+  const session = new AuthSession({
+    userId: user._id,
+    twoFactorVerified,
+    expiresAt: getRefreshExpiry(),
+    ...getClientInfo(req),
+  });
+  const refreshToken = createRefreshToken(session._id);
+  session.tokenHash = AuthSession.hashToken(refreshToken);
+  await session.save();
+
+  return buildTokens(user, session, refreshToken);
+}
+
+/**
+ * Start a session for an OAuth sign-in whose tokens are handed out later,
+ * in exchange for the returned one-time login code
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (user agent and IP are recorded)
+ * @returns {Promise<string>} Login code for the redirect
+ */
+export async function startPendingAuthSession(user, req) {
+  const session = new AuthSession({
+    userId: user._id,
+    pendingExchange: true,
+    expiresAt: new Date(
+      Date.now() + AUTH_SESSION_CONFIG.loginCodeSeconds * 1000
+    ),
+    ...getClientInfo(req),
+  });
+  const loginCode = createRefreshToken(session._id);
+  session.tokenHash = AuthSession.hashToken(loginCode);
+  await session.save();
+
+  return loginCode;
+}
+
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * @param {string} refreshToken - Current refresh token of the session
+ * @param {Object} req - Express request
+ * @param {Object} options
+ * @param {boolean} options.loginCode - The token is an OAuth login code
+ * @returns {Promise<Object>} {user, tokens} or {error, code}
+ */
+export async function rotateRefreshToken(
+  refreshToken,
+  req,
+  {loginCode = false} = {}
+) {
+  const invalid = loginCode ? INVALID_LOGIN_CODE : INVALID_REFRESH_TOKEN;
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return invalid;
+
+  const tokenHash = AuthSession.hashToken(refreshToken);
+  const nextRefreshToken = createRefreshToken(sessionId);
+  const now = new Date();
+
+  // Matching on the current hash makes concurrent refreshes rotate only once
+  const session = await AuthSession.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash,
+      pendingExchange: loginCode ? true : {$ne: true},
+      revokedAt: null,
+      expiresAt: {$gt: now},
+    },
+    {
+      $set: {
+        tokenHash: AuthSession.hashToken(nextRefreshToken),
+        pendingExchange: false,
+        lastUsedAt: now,
+        expiresAt: getRefreshExpiry(),
+        ...getClientInfo(req),
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $slice: -AUTH_SESSION_CONFIG.rememberedTokens,
+        },
+      },
+    },
+    {new: true}
+  );
+
+  if (!session) {
+    const existing = await AuthSession.findById(sessionId);
+    if (
+      existing?.isActive() &&
+      existing.previousTokenHashes.includes(tokenHash)
+    ) {
+      await revokeSession(existing.userId, existing._id, "token_reuse");
+      console.warn(
+        `⚠️  Refresh token reuse detected, session revoked: ${existing._id}`
+      );
+      return {
+        error: "Refresh token was already used. Please log in again.",
+        code: "REFRESH_TOKEN_REUSED",
+      };
+    }
+    return invalid;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await revokeSession(session.userId, session._id);
+    return invalid;
+  }
+  if (user.status === "disabled") {
+    await revokeAllSessions(user._id, "account_disabled");
+    return {error: "Your account has been disabled.", code: "ACCOUNT_DISABLED"};
+  }
+
+  return {user, tokens: buildTokens(user, session, nextRefreshToken)};
+}
+
+/**
+ * Exchange an OAuth login code for the session's access and refresh token.
+ * Like a refresh token the code works once; using it again revokes the
+ * session.
+ * @param {string} loginCode - Code from the OAuth redirect
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} {user, tokens} or {error, code}
+ */
+export const exchangeLoginCode = (loginCode, req) =>
+  rotateRefreshToken(loginCode, req, {loginCode: true});
+
+/**
+ * Revoke one session of a user
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Session to revoke
+ * @param {string} reason - AuthSession.revokedReason
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export async function revokeSession(userId, sessionId, reason = "revoked") {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const result = await AuthSession.updateOne(
+    {_id: sessionId, userId, revokedAt: null},
+    {$set: {revokedAt: new Date(), revokedReason: reason}}
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user, e.g. after a password reset
+ * @param {string} userId - User whose sessions are revoked
+ * @param {string} reason - AuthSession.revokedReason
+ * @param {Object} options
+ * @param {string} options.exceptSessionId - Session to keep (the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeAllSessions(
+  userId,
+  reason = "revoked",
+  {exceptSessionId} = {}
+) {
+  const filter = {userId, revokedAt: null};
+  if (exceptSessionId) filter._id = {$ne: exceptSessionId};
+
+  const result = await AuthSession.updateMany(filter, {
+    $set: {revokedAt: new Date(), revokedReason: reason},
+  });
+  return result.modifiedCount;
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * @param {string} refreshToken - Current refresh token of the session
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+export async function revokeRefreshToken(refreshToken) {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return false;
+
+  const result = await AuthSession.updateOne(
+    {
+      _id: sessionId,
+      tokenHash: AuthSession.hashToken(refreshToken),
+      revokedAt: null,
+    },
+    {$set: {revokedAt: new Date(), revokedReason: "logout"}}
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Whether the session of an access token is still active
+ * @param {Object} payload - Verified access token payload ({userId, sid})
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive({userId, sid} = {}) {
+  if (!sid || !mongoose.isValidObjectId(sid)) return false;
+
+  const session = await AuthSession.exists({
+    _id: sid,
+    userId,
+    revokedAt: null,
+    expiresAt: {$gt: new Date()},
+  });
+  return Boolean(session);
+}
+
+/**
+ * Whether the session of an access token passed two-factor authentication
+ * @param {Object} payload - Verified access token payload ({userId, sid})
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionTwoFactorVerified({userId, sid} = {}) {
+  if (!sid || !mongoose.isValidObjectId(sid)) return false;
+
+  const session = await AuthSession.exists({
+    _id: sid,
+    userId,
+    twoFactorVerified: true,
+    revokedAt: null,
+  });
+  return Boolean(session);
+}
+
+/**
+ * Record that a session has proven a two-factor code, e.g. when 2FA is
+ * enabled from it
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Session ID
+ */
+export async function markSessionTwoFactorVerified(userId, sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return;
+
+  await AuthSession.updateOne(
+    {_id: sessionId, userId, revokedAt: null},
+    {$set: {twoFactorVerified: true}}
+  );
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} AuthSession documents
+ */
+export const listActiveSessions = (userId) =>
+  AuthSession.find({
+    userId,
+    pendingExchange: {$ne: true},
+    revokedAt: null,
+    expiresAt: {$gt: new Date()},
+  })
+    .select("-tokenHash -previousTokenHashes")
+    .sort({lastUsedAt: -1});
+
+/**
+ * Session as listed to its owner
+ * @param {Object} session - AuthSession document
+ * @param {string} currentSessionId - Session of the request
+ * @returns {Object}
+ */
+export const summarizeSession = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress || null,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: String(session._id) === String(currentSessionId),
+});
+
+export default {
+  AUTH_SESSION_CONFIG,
+  startAuthSession,
+  startPendingAuthSession,
+  rotateRefreshToken,
+  exchangeLoginCode,
+  revokeSession,
+  revokeAllSessions,
+  revokeRefreshToken,
+  isSessionActive,
+  isSessionTwoFactorVerified,
+  markSessionTwoFactorVerified,
+  listActiveSessions,
+  summarizeSession,
+};
@@ -0,0 +1,410 @@
+import {spawn} from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+/**
+ * Code Sandbox Service
+ * Runs candidate code for coding interview questions in a short-lived child
+ * process: private temp directory, no inherited environment (so no API keys),
+ * no network, a wall-clock timeout, CPU, memory and process limits, and
+ * capped output. Programs read the test input from stdin and print the
+ * answer to stdout.
+ *
+ * JavaScript runs under Node's permission model (reads limited to the temp
+ * directory) inside fresh user, network and PID namespaces. Python has no
+ * equivalent of the permission model, so it is only offered when bubblewrap
+ * is configured (CODE_SANDBOX_BWRAP_PATH) to jail it.
+ */
+
+const RUN_TIMEOUT_MS = Number(process.env.CODE_SANDBOX_TIMEOUT_MS) || 5000;
+const MEMORY_LIMIT_MB = Number(process.env.CODE_SANDBOX_MEMORY_MB) || 128;
+const MAX_PROCESSES = Number(process.env.CODE_SANDBOX_MAX_PROCESSES) || 64;
+// Room for Node itself and the young generation on top of the old-space
+// heap, so a growing heap hits V8's limit before the process limit
+const NODE_RUNTIME_OVERHEAD_MB = 96;
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const MAX_CONCURRENT_RUNS = Number(process.env.CODE_SANDBOX_CONCURRENCY) || 2;
+// Time given to the stdio pipes to drain once the program has exited
+const EXIT_DRAIN_MS = 200;
+
+const UNSHARE_PATH = process.env.CODE_SANDBOX_UNSHARE_PATH || "unshare";
+const PRLIMIT_PATH = process.env.CODE_SANDBOX_PRLIMIT_PATH || "prlimit";
+const BWRAP_PATH = process.env.CODE_SANDBOX_BWRAP_PATH;
+
+// Node 20 ships the permission model behind the experimental flag
+const NODE_PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has(
+  "--permission"
+)
+  ? "--permission"
+  : "--experimental-permission";
+
+const cpuSeconds = () => Math.ceil(RUN_TIMEOUT_MS / 1000);
+
+// The program is PID 1 of its own namespace, so everything it forks dies
+// with it; no network interfaces but loopback
+const NAMESPACE_ARGS = [
+  "--user",
+  "--map-root-user",
+  "--net",
+  "--pid",
+  "--fork",
+  "--kill-child",
+];
+
+const megabytes = (mb) => mb * 1024 * 1024;
+
+// Limits are set inside the namespace so the process cap counts only the
+// sandboxed processes. `memoryLimit` is the prlimit option capping the
+// memory of the whole process.
+const limitArgs = (memoryLimit) => [
+  `--cpu=${cpuSeconds()}`,
+  `--nproc=${MAX_PROCESSES}`,
+  memoryLimit,
+  "--",
+];
+
+export const SUPPORTED_LANGUAGES = {
+  javascript: {
+    name: "JavaScript (Node.js)",
+    fileName: "main.js",
+    isolation: "namespace",
+    // V8 reserves far more address space than it uses, so an address-space
+    // limit keeps Node from starting. The data limit caps what the process
+    // actually allocates, Buffers included; the heap stays inside it.
+    command: (dir, file) => ({
+      command: UNSHARE_PATH,
+      args: [
+        ...NAMESPACE_ARGS,
+        PRLIMIT_PATH,
+        ...limitArgs(
+          `--data=${megabytes(MEMORY_LIMIT_MB + NODE_RUNTIME_OVERHEAD_MB)}`
+        ),
+        process.execPath,
+        "--no-warnings",
+        NODE_PERMISSION_FLAG,
+        `--allow-fs-read=${dir}`,
+        `--max-old-space-size=${MEMORY_LIMIT_MB}`,
+        file,
+      ],
+    }),
+  },
+  ...(BWRAP_PATH && {
+    python: {
+      name: "Python 3",
+      fileName: "main.py",
+      isolation: "bwrap",
+      // Read-only system directories and the code; nothing else of the host
+      command: (dir) => ({
+        command: BWRAP_PATH,
+        args: [
+          "--unshare-all",
+          "--die-with-parent",
+          "--ro-bind",
+          "/usr",
+          "/usr",
+          "--ro-bind-try",
+          "/bin",
+          "/bin",
+          "--ro-bind-try",
+          "/lib",
+          "/lib",
+          "--ro-bind-try",
+          "/lib64",
+          "/lib64",
+          "--proc",
+          "/proc",
+          "--dev",
+          "/dev",
+          "--tmpfs",
+          "/tmp",
+          "--ro-bind",
+          dir,
+          "/sandbox",
+          "--chdir",
+          "/sandbox",
+          "--clearenv",
+          "--setenv",
+          "PATH",
+          "/usr/bin:/bin",
+          "--setenv",
+          "HOME",
+          "/sandbox",
+          "--setenv",
+          "LANG",
+          "C.UTF-8",
+          "--",
+          PRLIMIT_PATH,
+          ...limitArgs(`--as=${megabytes(MEMORY_LIMIT_MB)}`),
+          process.env.PYTHON_PATH || "python3",
+          "-I",
+          "/sandbox/main.py",
+        ],
+      }),
+    },
+  }),
+};
+
+// Refuse to run code at all when the host can't create the namespaces,
+// rather than silently running it with network access
+let namespaceCheck = null;
+
+const checkNamespaceSupport = () => {
+  namespaceCheck ??= new Promise((resolve) => {
+    const probe = spawn(UNSHARE_PATH, [...NAMESPACE_ARGS, "true"], {
+      stdio: "ignore",
+    });
+    probe.on("error", () => resolve(false));
+    probe.on("exit", (exitCode) => resolve(exitCode === 0));
+  });
+  return namespaceCheck;
+};
+
+// Simple FIFO semaphore so a burst of submissions can't fork-bomb the API
+let activeRuns = 0;
+const waiting = [];
+
+const acquireSlot = () =>
+  new Promise((resolve) => {
+    if (activeRuns < MAX_CONCURRENT_RUNS) {
+      activeRuns++;
+      resolve();
+    } else {
+      waiting.push(resolve);
+    }
+  });
+
+const releaseSlot = () => {
+  const next = waiting.shift();
+  if (next) next();
+  else activeRuns--;
+};
+
+// Runs in progress per owner (a user), counted until their processes are
+// gone rather than until the request that started them ends
+const runsByOwner = new Map();
+
+const trackOwnerRun = async (owner, run) => {
+  if (!owner) return run();
+
+  const key = String(owner);
+  runsByOwner.set(key, (runsByOwner.get(key) || 0) + 1);
+  try {
+    return await run();
+  } finally {
+    const remaining = runsByOwner.get(key) - 1;
+    if (remaining > 0) runsByOwner.set(key, remaining);
+    else runsByOwner.delete(key);
+  }
+};
+
+/**
+ * Whether code of an owner is running or queued
+ * @param {string} owner - Owner passed to runProgram / runTestCases
+ * @returns {boolean}
+ */
+export const hasActiveRun = (owner) => runsByOwner.has(String(owner));
+
+// The child leads its own process group; killing the group also reaches
+// anything it started that still holds the output pipes
+const killProcessGroup = (child) => {
+  try {
+    process.kill(-child.pid, "SIGKILL");
+  } catch {
+    // Already gone
+  }
+};
+
+const runProcess = (command, args, {cwd, stdin}) =>
+  new Promise((resolve) => {
+    const startTime = Date.now();
+    const child = spawn(command, args, {
+      cwd,
+      env: {PATH: process.env.PATH, HOME: cwd, LANG: "C.UTF-8"},
+      stdio: ["pipe", "pipe", "pipe"],
+      detached: true,
+    });
+
+    const output = {stdout: "", stderr: ""};
+    let outputBytes = 0;
+    let timedOut = false;
+    let outputTruncated = false;
+    let exitStatus = {exitCode: null, signal: null};
+    let drainTimer = null;
+    let finished = false;
+
+    const finish = (extra = {}) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      clearTimeout(drainTimer);
+      killProcessGroup(child);
+      child.stdout.destroy();
+      child.stderr.destroy();
+      resolve({
+        ...output,
+        ...exitStatus,
+        timedOut,
+        outputTruncated,
+        durationMs: Date.now() - startTime,
+        ...extra,
+      });
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killProcessGroup(child);
+    }, RUN_TIMEOUT_MS);
+
+    const collect = (stream) => (chunk) => {
+      outputBytes += chunk.length;
+      if (outputBytes > MAX_OUTPUT_BYTES) {
+        outputTruncated = true;
+        killProcessGroup(child);
+        return;
+      }
+      output[stream] += chunk.toString();
+    };
+    child.stdout.on("data", collect("stdout"));
+    child.stderr.on("data", collect("stderr"));
+
+    child.on("error", (error) => {
+      finish({spawnError: error.message});
+    });
+
+    // "close" waits for every process holding the pipes, so the run ends at
+    // "exit": leftovers are killed and the pipes get a moment to drain
+    child.on("exit", (exitCode, signal) => {
+      exitStatus = {exitCode, signal};
+      killProcessGroup(child);
+      drainTimer = setTimeout(finish, EXIT_DRAIN_MS);
+    });
+    child.on("close", () => finish());
+
+    // Programs that never read stdin close the pipe early
+    child.stdin.on("error", () => {});
+    child.stdin.end(stdin || "");
+  });
+
+/**
+ * Run a program once
+ * @param {Object} options
+ * @param {string} options.language - Key of SUPPORTED_LANGUAGES
+ * @param {string} options.code - Source code
+ * @param {string} options.stdin - Program input
+ * @param {string} options.owner - User the run is counted against (hasActiveRun)
+ * @returns {Promise<Object>} {stdout, stderr, exitCode, signal, timedOut, outputTruncated, durationMs}
+ */
+export function runProgram({language, code, stdin = "", owner}) {
+  return trackOwnerRun(owner, () => startProgram({language, code, stdin}));
+}
+
+async function startProgram({language, code, stdin}) {
+  const runtime = SUPPORTED_LANGUAGES[language];
+  if (!runtime) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  if (runtime.isolation === "namespace" && !(await checkNamespaceSupport())) {
+    throw new Error(
+      "Code execution is unavailable: the server cannot create sandbox namespaces"
+    );
+  }
+
+  await acquireSlot();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "interview-code-"));
+
+  try {
+    const file = path.join(dir, runtime.fileName);
+    await fs.writeFile(file, code);
+
+    const {command, args} = runtime.command(dir, file);
+    const result = await runProcess(command, args, {cwd: dir, stdin});
+
+    if (result.spawnError) {
+      throw new Error(`Failed to start ${runtime.name}: ${result.spawnError}`);
+    }
+    return result;
+  } finally {
+    releaseSlot();
+    await fs.rm(dir, {recursive: true, force: true}).catch(() => {});
+  }
+}
+
+// Trailing whitespace and trailing blank lines don't fail a test
+const normalizeOutput = (text = "") =>
+  text
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .trimEnd();
+
+const describeFailure = (run) => {
+  if (run.timedOut) return `Time limit exceeded (${RUN_TIMEOUT_MS / 1000}s)`;
+  if (run.outputTruncated) return "Output limit exceeded";
+  if (run.signal === "SIGXCPU") return "CPU time limit exceeded";
+  if (
+    /MemoryError|heap out of memory|allocation failed|bad_alloc/i.test(
+      run.stderr
+    )
+  ) {
+    return `Memory limit exceeded (${MEMORY_LIMIT_MB}MB)`;
+  }
+  if (run.exitCode !== 0) {
+    // Last lines of the traceback are the useful part
+    const stderr = run.stderr.trim().split("\n").slice(-5).join("\n");
+    return stderr || `Exited with code ${run.exitCode ?? run.signal}`;
+  }
+  return null;
+};
+
+/**
+ * Run code against test cases, one fresh process per case
+ * @param {Object} options
+ * @param {string} options.language - Key of SUPPORTED_LANGUAGES
+ * @param {string} options.code - Source code
+ * @param {Array} options.testCases - [{input, expectedOutput, isHidden}]
+ * @param {string} options.owner - User the run is counted against (hasActiveRun)
+ * @returns {Promise<Object>} {passed, total, results, ranAt}
+ */
+export function runTestCases({language, code, testCases = [], owner}) {
+  return trackOwnerRun(owner, () =>
+    runEachTestCase({language, code, testCases})
+  );
+}
+
+async function runEachTestCase({language, code, testCases}) {
+  const results = [];
+
+  for (const [index, testCase] of testCases.entries()) {
+    const run = await runProgram({language, code, stdin: testCase.input});
+    const error = describeFailure(run);
+    const actualOutput = normalizeOutput(run.stdout);
+
+    results.push({
+      index,
+      isHidden: Boolean(testCase.isHidden),
+      passed:
+        !error && actualOutput === normalizeOutput(testCase.expectedOutput),
+      actualOutput: actualOutput.slice(0, 2000),
+      error: error ? error.slice(0, 1000) : null,
+      timedOut: run.timedOut,
+      durationMs: run.durationMs,
+    });
+  }
+
+  return {
+    passed: results.filter((r) => r.passed).length,
+    total: results.length,
+    results,
+    ranAt: new Date(),
+  };
+}
+
+export default {
+  SUPPORTED_LANGUAGES,
+  hasActiveRun,
+  runProgram,
+  runTestCases,
+};
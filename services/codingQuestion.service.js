@@ -0,0 +1,283 @@
+import {
+  SUPPORTED_LANGUAGES,
+  runProgram,
+  runTestCases,
+} from "./codeSandbox.service.js";
+
+/**
+ * Coding Question Service
+ * Coding questions carry a problem statement (questionText), a language and
+ * test cases. Hidden test cases are never sent to the candidate; the final
+ * score blends the test pass rate with the AI's code-quality review.
+ */
+
+export const CODING_LANGUAGES = Object.keys(SUPPORTED_LANGUAGES);
+export const MAX_CODE_LENGTH = 20000;
+export const MAX_TEST_CASES = 20;
+
+// Share of the final score that comes from passing tests
+const TEST_SCORE_WEIGHT = 0.6;
+
+const toText = (value) =>
+  typeof value === "string" ? value : value == null ? "" : String(value);
+
+/**
+ * Coding details safe to show the candidate, or null for other questions
+ * @param {Object} question - Session question
+ * @returns {Object|null}
+ */
+export function getPublicCodingDetails(question) {
+  if (question?.questionType !== "coding") return null;
+
+  const testCases = question.coding?.testCases || [];
+
+  return {
+    language: question.coding?.language,
+    starterCode: question.coding?.starterCode || "",
+    sampleTests: testCases
+      .filter((testCase) => !testCase.isHidden)
+      .map(({input, expectedOutput}) => ({input, expectedOutput})),
+    hiddenTestCount: testCases.filter((testCase) => testCase.isHidden).length,
+    testResults: getPublicTestResults(question.coding?.testResults),
+  };
+}
+
+/**
+ * Test results without the output of hidden test cases
+ * @param {Object} testResults - Result of runTestCases
+ * @returns {Object|null}
+ */
+export function getPublicTestResults(testResults) {
+  if (!testResults?.total) return null;
+
+  return {
+    passed: testResults.passed,
+    total: testResults.total,
+    results: testResults.results.map((result) =>
+      result.isHidden
+        ? {
+            index: result.index,
+            isHidden: true,
+            passed: result.passed,
+            timedOut: result.timedOut,
+          }
+        : {
+            index: result.index,
+            isHidden: false,
+            passed: result.passed,
+            actualOutput: result.actualOutput,
+            error: result.error,
+            timedOut: result.timedOut,
+            durationMs: result.durationMs,
+          }
+    ),
+    ranAt: testResults.ranAt,
+  };
+}
+
+/**
+ * Check a code submission for a question
+ * @param {Object} question - Session question
+ * @param {string} code - Submitted code
+ * @returns {string|null} Error message or null
+ */
+export function validateCodeSubmission(question, code) {
+  if (question.questionType !== "coding") {
+    return "This question does not take a code answer";
+  }
+  if (typeof code !== "string" || !code.trim()) {
+    return "Code is required";
+  }
+  if (code.length > MAX_CODE_LENGTH) {
+    return `Code must not exceed ${MAX_CODE_LENGTH.toLocaleString()} characters`;
+  }
+  return null;
+}
+
+/**
+ * Run code against the question's sample (visible) tests only. With no
+ * sample tests the program runs once without input.
+ * @param {Object} question - Session question
+ * @param {string} code - Code to run
+ * @param {Object} options
+ * @param {string} options.userId - User running the code
+ * @returns {Promise<Object>} {testResults} or {output}
+ */
+export async function runSampleTests(question, code, {userId} = {}) {
+  const {language, testCases = []} = question.coding;
+  const sampleTests = testCases.filter((testCase) => !testCase.isHidden);
+
+  if (sampleTests.length === 0) {
+    const run = await runProgram({language, code, owner: userId});
+    return {
+      output: {
+        stdout: run.stdout,
+        stderr: run.stderr,
+        exitCode: run.exitCode,
+        timedOut: run.timedOut,
+        durationMs: run.durationMs,
+      },
+    };
+  }
+
+  return {
+    testResults: await runTestCases({
+      language,
+      code,
+      testCases: sampleTests,
+      owner: userId,
+    }),
+  };
+}
+
+/**
+ * Run a submission against every test case and store the results on the
+ * question
+ * @param {Object} question - Session question
+ * @param {string} code - Submitted code
+ * @param {Object} options
+ * @param {string} options.userId - User submitting the code
+ * @returns {Promise<Object|null>} Test results, or null without test cases
+ */
+export async function runSubmissionTests(question, code, {userId} = {}) {
+  const {language, testCases = []} = question.coding;
+  if (testCases.length === 0) return null;
+
+  const testResults = await runTestCases({
+    language,
+    code,
+    testCases,
+    owner: userId,
+  });
+  question.coding.testResults = testResults;
+  return testResults;
+}
+
+/**
+ * Build the coding section of an AI-generated question. When the AI supplies
+ * a reference solution it is run on every test case and its output becomes
+ * the expected output; cases it fails on are dropped.
+ * @param {Object} questionData - Parsed AI response
+ * @param {string} language - Session coding language
+ * @returns {Promise<Object>} {coding, referenceAnswer}
+ */
+export async function prepareGeneratedCodingQuestion(questionData, language) {
+  let testCases = (
+    Array.isArray(questionData.testCases) ? questionData.testCases : []
+  )
+    .slice(0, MAX_TEST_CASES)
+    .map((testCase) => ({
+      input: toText(testCase?.input),
+      expectedOutput: toText(testCase?.expectedOutput),
+      isHidden: Boolean(testCase?.isHidden),
+    }));
+
+  const referenceSolution = toText(questionData.referenceSolution);
+
+  if (referenceSolution && testCases.length > 0) {
+    try {
+      const {results} = await runTestCases({
+        language,
+        code: referenceSolution,
+        testCases,
+      });
+      // Stored output is capped, so very long outputs can't be compared
+      testCases = testCases
+        .map((testCase, index) =>
+          results[index].error || results[index].actualOutput.length >= 2000
+            ? null
+            : {...testCase, expectedOutput: results[index].actualOutput}
+        )
+        .filter(Boolean);
+    } catch (error) {
+      console.warn("⚠️ Reference solution check failed:", error.message);
+    }
+  }
+
+  return {
+    coding: {
+      language,
+      starterCode: toText(questionData.starterCode),
+      testCases,
+    },
+    referenceAnswer: referenceSolution,
+  };
+}
+
+/**
+ * Evaluator prompt section describing the automated test run
+ * @param {string} language - Code language
+ * @param {Object} testResults - Result of runTestCases
+ * @param {Array} testCases - Question test cases (inputs of hidden cases are not shown)
+ * @returns {string}
+ */
+export function buildCodeExecutionPrompt(
+  language,
+  testResults,
+  testCases = []
+) {
+  if (!testResults?.total) {
+    return `This is a ${language} coding question without automated tests. Judge correctness by reading the code.`;
+  }
+
+  const failures = testResults.results
+    .filter((result) => !result.passed)
+    .slice(0, 5)
+    .map((result) => {
+      const reason = result.error || "wrong answer";
+      if (result.isHidden) {
+        return `- Test ${result.index + 1} (hidden): ${reason}`;
+      }
+      const testCase = testCases[result.index] || {};
+      return `- Test ${result.index + 1}: ${reason}
+  input: ${toText(testCase.input).substring(0, 300)}
+  expected: ${toText(testCase.expectedOutput).substring(0, 300)}
+  actual: ${toText(result.actualOutput).substring(0, 300)}`;
+    })
+    .join("\n");
+
+  return `AUTOMATED TEST RESULTS (${language}): ${testResults.passed}/${
+    testResults.total
+  } test cases passed.
+${failures ? `Failed tests:\n${failures}\n` : ""}
+Score the code itself: approach and correctness, time/space complexity, readability and edge-case handling. Test results are combined with your score automatically. Do not reveal hidden test inputs in your feedback.`;
+}
+
+/**
+ * Combine the AI code-quality score with the test pass rate
+ * @param {Object} evaluation - Parsed AI evaluation
+ * @param {Object} testResults - Result of runTestCases
+ * @returns {Object} Evaluation with blended score
+ */
+export function applyCodeExecutionScores(evaluation, testResults) {
+  if (!testResults?.total) return evaluation;
+
+  const testPassRate = Math.round(
+    (testResults.passed / testResults.total) * 100
+  );
+  const codeQualityScore = Number(evaluation.score) || 0;
+
+  return {
+    ...evaluation,
+    score: Math.round(
+      testPassRate * TEST_SCORE_WEIGHT +
+        codeQualityScore * (1 - TEST_SCORE_WEIGHT)
+    ),
+    testPassRate,
+    codeQualityScore,
+  };
+}
+
+export default {
+  CODING_LANGUAGES,
+  MAX_CODE_LENGTH,
+  MAX_TEST_CASES,
+  getPublicCodingDetails,
+  getPublicTestResults,
+  validateCodeSubmission,
+  runSampleTests,
+  runSubmissionTests,
+  prepareGeneratedCodingQuestion,
+  buildCodeExecutionPrompt,
+  applyCodeExecutionScores,
+};
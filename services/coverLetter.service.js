@@ -0,0 +1,104 @@
+import CoverLetter from "../models/CoverLetter.model.js";
+
+/**
+ * Cover Letter Service
+ * Tone/length options and paragraph helpers shared by the cover letter
+ * controller and the AI prompts.
+ */
+
+export const COVER_LETTER_TONES = CoverLetter.schema.path("tone").enumValues;
+
+// Word ranges per CoverLetter.length
+export const COVER_LETTER_LENGTHS = {
+  short: {minWords: 150, maxWords: 200},
+  medium: {minWords: 250, maxWords: 300},
+  long: {minWords: 350, maxWords: 450},
+};
+
+/**
+ * Split letter text into paragraphs on blank lines
+ * @param {string} text - Cover letter text
+ * @returns {Array<string>} Paragraphs
+ */
+export function splitParagraphs(text = "") {
+  return String(text)
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Provider options for a tone/length pair
+ * @param {Object} options
+ * @param {string} options.tone - One of COVER_LETTER_TONES
+ * @param {string} options.length - One of the COVER_LETTER_LENGTHS keys
+ * @param {string} options.jobTitle - Optional role name
+ * @returns {Object} {tone, minWords, maxWords, jobTitle}
+ */
+export function getGenerationOptions({tone, length, jobTitle}) {
+  const range = COVER_LETTER_LENGTHS[length] || COVER_LETTER_LENGTHS.medium;
+
+  return {
+    tone: COVER_LETTER_TONES.includes(tone) ? tone : "professional",
+    ...range,
+    jobTitle: jobTitle || undefined,
+  };
+}
+
+/**
+ * Build prompts to rewrite one paragraph while keeping the rest of the
+ * letter unchanged
+ * @param {Object} coverLetter - CoverLetter document
+ * @param {number} index - Paragraph index
+ * @param {string} instructions - Optional user instructions
+ * @returns {{systemPrompt: string, userPrompt: string}}
+ */
+export function buildParagraphPrompts(coverLetter, index, instructions = "") {
+  const {paragraphs, tone, companyName, jobTitle, jobDescription} = coverLetter;
+
+  const letter = paragraphs
+    .map((paragraph, i) =>
+      i === index ? `[PARAGRAPH TO REWRITE]\n${paragraph}` : paragraph
+    )
+    .join("\n\n");
+
+  const systemPrompt =
+    "You are an expert cover letter writer. Rewrite only the requested paragraph. Never invent experience, metrics or achievements. Reply with the new paragraph text only.";
+
+  const userPrompt = `Rewrite the paragraph marked [PARAGRAPH TO REWRITE] in this cover letter${
+    jobTitle ? ` for the ${jobTitle} role` : ""
+  } at ${companyName || "the company"}.
+Keep a ${tone} tone, keep it roughly the same length and make sure it still flows with the paragraphs around it.
+${instructions ? `Additional instructions: ${instructions}\n` : ""}
+Job Description:
+${jobDescription}
+
+Cover Letter:
+${letter}`;
+
+  return {systemPrompt, userPrompt};
+}
+
+/**
+ * Clean a rewritten paragraph returned by the model
+ * @param {string} text - Model output
+ * @returns {string} Single paragraph
+ */
+export function cleanParagraph(text = "") {
+  return String(text)
+    .replace(/\[PARAGRAPH TO REWRITE\]/gi, "")
+    .trim()
+    .replace(/^["']|["']$/g, "")
+    .replace(/\s*\n\s*/g, " ")
+    .trim();
+}
+
+export default {
+  COVER_LETTER_TONES,
+  COVER_LETTER_LENGTHS,
+  splitParagraphs,
+  getGenerationOptions,
+  buildParagraphPrompts,
+  cleanParagraph,
+};
@@ -0,0 +1,415 @@
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  TabStopPosition,
+  TabStopType,
+  TextRun,
+} from "docx";
+
+/**
+ * DOCX Export Service
+ * Builds a Word document straight from a Resume document, without a browser.
+ * Templates only map to fonts, accent colors and heading styles; layouts stay
+ * single-column because that is what ATS portals parse reliably.
+ */
+
+// Per-template typography (sizes are in half-points)
+const TEMPLATE_STYLES = {
+  classic: {
+    font: "Times New Roman",
+    accent: "000000",
+    nameSize: 32,
+    uppercaseHeadings: true,
+    headingRule: true,
+    centerHeader: true,
+  },
+  modern: {
+    font: "Calibri",
+    accent: "2563EB",
+    nameSize: 36,
+    uppercaseHeadings: false,
+    headingRule: true,
+    centerHeader: false,
+  },
+  minimal: {
+    font: "Arial",
+    accent: "374151",
+    nameSize: 30,
+    uppercaseHeadings: true,
+    headingRule: false,
+    centerHeader: false,
+  },
+  professional: {
+    font: "Georgia",
+    accent: "1F3A5F",
+    nameSize: 32,
+    uppercaseHeadings: true,
+    headingRule: true,
+    centerHeader: true,
+  },
+  "professional-v2": {
+    font: "Calibri",
+    accent: "1E3A8A",
+    nameSize: 34,
+    uppercaseHeadings: true,
+    headingRule: true,
+    centerHeader: false,
+  },
+  executive: {
+    font: "Garamond",
+    accent: "111827",
+    nameSize: 36,
+    uppercaseHeadings: true,
+    headingRule: true,
+    centerHeader: true,
+  },
+  tech: {
+    font: "Segoe UI",
+    accent: "0F766E",
+    nameSize: 32,
+    uppercaseHeadings: false,
+    headingRule: true,
+    centerHeader: false,
+  },
+  creative: {
+    font: "Verdana",
+    accent: "9333EA",
+    nameSize: 36,
+    uppercaseHeadings: false,
+    headingRule: false,
+    centerHeader: false,
+  },
+  academic: {
+    font: "Cambria",
+    accent: "7F1D1D",
+    nameSize: 30,
+    uppercaseHeadings: true,
+    headingRule: true,
+    centerHeader: true,
+  },
+};
+
+// Named color themes used by the frontend; hex values are accepted as well
+const COLOR_THEMES = {
+  black: "000000",
+  gray: "4B5563",
+  blue: "2563EB",
+  navy: "1E3A8A",
+  teal: "0F766E",
+  green: "15803D",
+  red: "B91C1C",
+  maroon: "7F1D1D",
+  orange: "C2410C",
+  purple: "7E22CE",
+};
+
+const BODY_SIZE = 21; // 10.5pt
+const BULLET_REFERENCE = "resume-bullets";
+
+/**
+ * Resolve a colorTheme value ("blue", "#2563eb", "2563EB") to a hex color
+ * @param {string} colorTheme
+ * @returns {string|null} Six-digit hex without '#'
+ */
+export const resolveColorTheme = (colorTheme) => {
+  if (!colorTheme) return null;
+  const value = String(colorTheme).trim().toLowerCase();
+  if (COLOR_THEMES[value]) return COLOR_THEMES[value];
+  const hex = value.replace(/^#/, "");
+  return /^[0-9a-f]{6}$/.test(hex) ? hex.toUpperCase() : null;
+};
+
+const getStyle = (templateId, colorTheme) => {
+  const base = TEMPLATE_STYLES[templateId] || TEMPLATE_STYLES.classic;
+  return {...base, accent: resolveColorTheme(colorTheme) || base.accent};
+};
+
+const hasText = (value) => Boolean(value && String(value).trim());
+
+const dateRange = (startDate, endDate, current) =>
+  [startDate, current ? "Present" : endDate].filter(hasText).join(" - ");
+
+const sectionHeading = (title, style) =>
+  new Paragraph({
+    spacing: {before: 240, after: 80},
+    ...(style.headingRule && {
+      border: {
+        bottom: {
+          style: BorderStyle.SINGLE,
+          size: 6,
+          color: style.accent,
+          space: 2,
+        },
+      },
+    }),
+    children: [
+      new TextRun({
+        text: style.uppercaseHeadings ? title.toUpperCase() : title,
+        bold: true,
+        size: 24,
+        color: style.accent,
+      }),
+    ],
+  });
+
+// "Title, Company ........ Jan 2020 - Present" with the dates right-aligned
+const entryHeader = (left, right, style) =>
+  new Paragraph({
+    spacing: {before: 120},
+    tabStops: [{type: TabStopType.RIGHT, position: TabStopPosition.MAX}],
+    children: [
+      new TextRun({text: left, bold: true}),
+      ...(hasText(right)
+        ? [new TextRun({text: `\t${right}`, color: style.accent})]
+        : []),
+    ],
+  });
+
+const plainLine = (text, options = {}) =>
+  new Paragraph({children: [new TextRun({text, ...options})]});
+
+const bulletLines = (bullets = []) =>
+  bullets.filter(hasText).map(
+    (bullet) =>
+      new Paragraph({
+        numbering: {reference: BULLET_REFERENCE, level: 0},
+        children: [new TextRun(bullet)],
+      })
+  );
+
+const buildHeader = (resume, style) => {
+  const contact = resume.contact || {};
+  const contactLine = [
+    contact.email,
+    contact.phone,
+    contact.location,
+    contact.linkedin,
+    contact.github,
+    contact.portfolio,
+  ]
+    .filter(hasText)
+    .join("  |  ");
+  const alignment = style.centerHeader
+    ? AlignmentType.CENTER
+    : AlignmentType.LEFT;
+
+  return [
+    new Paragraph({
+      alignment,
+      children: [
+        new TextRun({
+          text: resume.name || "",
+          bold: true,
+          size: style.nameSize,
+          color: style.accent,
+        }),
+      ],
+    }),
+    ...(contactLine
+      ? [
+          new Paragraph({
+            alignment,
+            spacing: {after: 120},
+            children: [new TextRun({text: contactLine, size: 18})],
+          }),
+        ]
+      : []),
+  ];
+};
+
+const buildSummary = (resume, style) =>
+  hasText(resume.summary)
+    ? [sectionHeading("Summary", style), plainLine(resume.summary.trim())]
+    : [];
+
+const buildSkills = (resume, style) => {
+  const groups = (resume.skills || []).filter((group) => group.items?.length);
+  if (groups.length === 0) return [];
+
+  return [
+    sectionHeading("Skills", style),
+    ...groups.map(
+      (group) =>
+        new Paragraph({
+          children: [
+            ...(hasText(group.category)
+              ? [new TextRun({text: `${group.category}: `, bold: true})]
+              : []),
+            new TextRun(group.items.join(", ")),
+          ],
+        })
+    ),
+  ];
+};
+
+const buildExperience = (resume, style) => {
+  const entries = resume.experience || [];
+  if (entries.length === 0) return [];
+
+  return [
+    sectionHeading("Experience", style),
+    ...entries.flatMap((exp) => [
+      entryHeader(
+        [exp.title, exp.company].filter(hasText).join(", "),
+        dateRange(exp.startDate, exp.endDate, exp.current),
+        style
+      ),
+      ...(hasText(exp.location)
+        ? [plainLine(exp.location, {italics: true, size: 18})]
+        : []),
+      ...bulletLines(exp.bullets),
+    ]),
+  ];
+};
+
+const buildProjects = (resume, style) => {
+  const projects = resume.projects || [];
+  if (projects.length === 0) return [];
+
+  return [
+    sectionHeading("Projects", style),
+    ...projects.flatMap((project) => [
+      entryHeader(project.name || "", project.link, style),
+      ...(project.technologies?.length
+        ? [
+            plainLine(project.technologies.join(", "), {
+              italics: true,
+              size: 18,
+            }),
+          ]
+        : []),
+      ...(hasText(project.description) ? [plainLine(project.description)] : []),
+      ...bulletLines(project.bullets),
+    ]),
+  ];
+};
+
+const buildEducation = (resume, style) => {
+  const entries = resume.education || [];
+  if (entries.length === 0) return [];
+
+  return [
+    sectionHeading("Education", style),
+    ...entries.flatMap((edu) => {
+      const details = [edu.location, hasText(edu.gpa) ? `GPA: ${edu.gpa}` : ""]
+        .filter(hasText)
+        .join("  |  ");
+
+      return [
+        entryHeader(
+          [
+            [edu.degree, edu.field].filter(hasText).join(" in "),
+            edu.institution,
+          ]
+            .filter(hasText)
+            .join(", "),
+          dateRange(edu.startDate, edu.endDate),
+          style
+        ),
+        ...(details ? [plainLine(details, {italics: true, size: 18})] : []),
+        ...bulletLines(edu.bullets),
+      ];
+    }),
+  ];
+};
+
+const buildCertifications = (resume, style) => {
+  const certifications = resume.certifications || [];
+  if (certifications.length === 0) return [];
+
+  return [
+    sectionHeading("Certifications", style),
+    ...certifications.map((cert) =>
+      entryHeader(
+        [cert.name, cert.issuer].filter(hasText).join(", "),
+        cert.date,
+        style
+      )
+    ),
+  ];
+};
+
+const buildAchievements = (resume, style) =>
+  resume.achievements?.some(hasText)
+    ? [
+        sectionHeading("Achievements", style),
+        ...bulletLines(resume.achievements),
+      ]
+    : [];
+
+const buildCustomSections = (resume, style) =>
+  (resume.customSections || [])
+    .filter((section) => section.items?.some(hasText))
+    .flatMap((section) => [
+      sectionHeading(section.title || "Additional Information", style),
+      ...bulletLines(section.items),
+    ]);
+
+/**
+ * Render a resume as a .docx file
+ * @param {Object} resume - Resume document or plain object
+ * @param {Object} options
+ * @param {string} options.templateId - Overrides resume.templateId
+ * @param {string} options.colorTheme - Overrides resume.colorTheme
+ * @returns {Promise<Buffer>} DOCX file contents
+ */
+export const renderResumeDocx = async (resume, options = {}) => {
+  const data =
+    typeof resume?.toObject === "function" ? resume.toObject() : resume;
+  const style = getStyle(
+    options.templateId || data.templateId,
+    options.colorTheme || data.colorTheme
+  );
+
+  const document = new Document({
+    creator: "SmartNShine",
+    title: data.resumeTitle || data.name || "Resume",
+    styles: {
+      default: {
+        document: {run: {font: style.font, size: BODY_SIZE}},
+      },
+    },
+    numbering: {
+      config: [
+        {
+          reference: BULLET_REFERENCE,
+          levels: [
+            {
+              level: 0,
+              format: LevelFormat.BULLET,
+              text: "•",
+              alignment: AlignmentType.LEFT,
+              style: {paragraph: {indent: {left: 360, hanging: 260}}},
+            },
+          ],
+        },
+      ],
+    },
+    sections: [
+      {
+        properties: {
+          page: {margin: {top: 720, right: 720, bottom: 720, left: 720}},
+        },
+        children: [
+          ...buildHeader(data, style),
+          ...buildSummary(data, style),
+          ...buildSkills(data, style),
+          ...buildExperience(data, style),
+          ...buildProjects(data, style),
+          ...buildEducation(data, style),
+          ...buildCertifications(data, style),
+          ...buildAchievements(data, style),
+          ...buildCustomSections(data, style),
+        ],
+      },
+    ],
+  });
+
+  return Packer.toBuffer(document);
+};
+
+export default {renderResumeDocx, resolveColorTheme};
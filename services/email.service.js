@@ -25,6 +25,15 @@ const createTransporter = () => {
   });
 };
 
+// User-supplied text placed into email HTML
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 // Send password reset email
 export const sendPasswordResetEmail = async (email, resetToken, userName) => {
   try {
@@ -97,7 +106,7 @@ export const sendPasswordResetEmail = async (email, resetToken, userName) => {
               <h1>🔐 Password Reset Request</h1>
             </div>
             <div class="content">
-              <p>Hi <strong>${userName}</strong>,</p>
+              <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
               
               <p>We received a request to reset your password for your SmartNShine account. Click the button below to reset your password:</p>
               
@@ -197,7 +206,7 @@ export const sendPasswordChangeConfirmation = async (email, userName) => {
               <h1>✅ Password Changed Successfully</h1>
             </div>
             <div class="content">
-              <p>Hi <strong>${userName}</strong>,</p>
+              <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
               
               <p>This email confirms that your password was successfully changed.</p>
               
@@ -230,6 +239,109 @@ export const sendPasswordChangeConfirmation = async (email, userName) => {
   }
 };
 
+// Send email address verification link
+export const sendVerificationEmail = async (
+  email,
+  verificationToken,
+  userName
+) => {
+  try {
+    const transporter = createTransporter();
+
+    // Create verification URL (for frontend)
+    const verifyUrl = `${
+      process.env.CLIENT_URL || "http://localhost:5173"
+    }/verify-email?token=${verificationToken}`;
+
+    const mailOptions = {
+      from: `"SmartNShine Support" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: "Verify Your Email Address - SmartNShine",
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body {
+              font-family: Arial, sans-serif;
+              line-height: 1.6;
+              color: #333;
+            }
+            .container {
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .header {
+              background: linear-gradient(135deg, #9333ea 0%, #ec4899 100%);
+              color: white;
+              padding: 30px;
+              text-align: center;
+              border-radius: 10px 10px 0 0;
+            }
+            .content {
+              background: #f9fafb;
+              padding: 30px;
+              border-radius: 0 0 10px 10px;
+            }
+            .button {
+              display: inline-block;
+              padding: 12px 30px;
+              background: linear-gradient(135deg, #9333ea 0%, #ec4899 100%);
+              color: white;
+              text-decoration: none;
+              border-radius: 8px;
+              margin: 20px 0;
+              font-weight: bold;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              color: #666;
+              font-size: 12px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✉️ Verify Your Email</h1>
+            </div>
+            <div class="content">
+              <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
+
+              <p>Thanks for signing up for SmartNShine! Please confirm your email address by clicking the button below:</p>
+
+              <div style="text-align: center;">
+                <a href="${verifyUrl}" class="button">Verify Email</a>
+              </div>
+
+              <p>Or copy and paste this link into your browser:</p>
+              <p style="word-break: break-all; color: #9333ea;"><a href="${verifyUrl}">${verifyUrl}</a></p>
+
+              <p>This link will expire in <strong>24 hours</strong>. If you didn't create an account, you can ignore this email.</p>
+
+              <p>Best regards,<br><strong>SmartNShine Team</strong></p>
+            </div>
+            <div class="footer">
+              <p>This is an automated email. Please do not reply to this message.</p>
+              <p>&copy; ${new Date().getFullYear()} SmartNShine. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log("✅ Verification email sent to:", email);
+    return true;
+  } catch (error) {
+    console.error("❌ Error sending verification email:", error);
+    throw new Error("Failed to send verification email");
+  }
+};
+
 // Send payment confirmation email with receipt
 export const sendPaymentConfirmationEmail = async (
   email,
@@ -397,7 +509,7 @@ export const sendPaymentConfirmationEmail = async (
             </div>
             
             <div class="content">
-              <p>Hi <strong>${userName}</strong>,</p>
+              <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
               
               <p>Your payment has been successfully processed. Here are your transaction details:</p>
               
@@ -488,3 +600,104 @@ export const sendPaymentConfirmationEmail = async (
     return false;
   }
 };
+
+// Send job application follow-up reminder email
+export const sendApplicationReminderEmail = async (
+  email,
+  userName,
+  application,
+  reminder
+) => {
+  try {
+    const transporter = createTransporter();
+    const applicationUrl = `${
+      process.env.CLIENT_URL || "http://localhost:5173"
+    }/applications/${application._id}`;
+
+    const mailOptions = {
+      from: `"SmartNShine" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `Reminder: ${application.role} at ${application.company}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body {
+              font-family: Arial, sans-serif;
+              line-height: 1.6;
+              color: #333;
+            }
+            .container {
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .header {
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              padding: 30px;
+              text-align: center;
+              border-radius: 10px 10px 0 0;
+            }
+            .content {
+              background: #f9fafb;
+              padding: 30px;
+              border-radius: 0 0 10px 10px;
+            }
+            .button {
+              display: inline-block;
+              padding: 15px 30px;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white !important;
+              text-decoration: none;
+              border-radius: 8px;
+              margin: 20px 0;
+              font-weight: bold;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              color: #666;
+              font-size: 12px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>⏰ Application Reminder</h1>
+            </div>
+            <div class="content">
+              <p>Hi <strong>${escapeHtml(userName)}</strong>,</p>
+
+              <p>${escapeHtml(reminder.message)}</p>
+
+              <p><strong>Role:</strong> ${escapeHtml(application.role)}<br>
+              <strong>Company:</strong> ${escapeHtml(application.company)}<br>
+              <strong>Status:</strong> ${escapeHtml(application.status)}</p>
+
+              <center>
+                <a href="${applicationUrl}" class="button">View Application</a>
+              </center>
+
+              <p>Best regards,<br><strong>SmartNShine Team</strong></p>
+            </div>
+            <div class="footer">
+              <p>This is an automated email. Please do not reply to this message.</p>
+              <p>&copy; ${new Date().getFullYear()} SmartNShine. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log("✅ Application reminder sent to:", email);
+    return true;
+  } catch (error) {
+    console.error("❌ Error sending application reminder email:", error);
+    return false;
+  }
+};
@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * Email Verification Service
+ * Signed, expiring tokens for the link in the verification email. The token
+ * carries the address it was sent to, so it stops working if the email changes.
+ */
+
+export const EMAIL_VERIFICATION_CONFIG = {
+  expiresIn: "24h",
+  expiresInHours: 24,
+  // Minimum time between two verification emails to the same account
+  resendCooldownSeconds: 60,
+};
+
+const VERIFICATION_PURPOSE = "email-verification";
+
+// Own key so a verification link can never be used as an access token
+const getSigningKey = () =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET || "")
+    .update(VERIFICATION_PURPOSE)
+    .digest();
+
+/**
+ * Create the token for a user's verification link
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+export const createEmailVerificationToken = (user) =>
+  jwt.sign(
+    {userId: user._id, email: user.email, purpose: VERIFICATION_PURPOSE},
+    getSigningKey(),
+    {expiresIn: EMAIL_VERIFICATION_CONFIG.expiresIn}
+  );
+
+/**
+ * Check a verification token
+ * @param {string} token - Token from the verification link
+ * @returns {Object|null} {userId, email}, or null when invalid or expired
+ */
+export function verifyEmailVerificationToken(token) {
+  try {
+    const payload = jwt.verify(token, getSigningKey());
+    if (payload.purpose !== VERIFICATION_PURPOSE) return null;
+    return {userId: payload.userId, email: payload.email};
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the account still has to confirm its email. Accounts created before
+ * verification existed have no flag and count as verified.
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+export const isEmailUnverified = (user) => user?.emailVerified === false;
+
+export default {
+  EMAIL_VERIFICATION_CONFIG,
+  createEmailVerificationToken,
+  verifyEmailVerificationToken,
+  isEmailUnverified,
+};
@@ -1,5 +1,7 @@
 import InterviewSession from "../models/InterviewSession.model.js";
 import { STATES, transitionTo } from "./interview-state.service.js";
+import { sweepExpiredDeadlines } from "./interviewTiming.service.js";
+import { purgeExpiredAudio } from "./interviewAudio.service.js";
 
 /**
  * Sweeps the database for stale interview sessions and aborts them.
@@ -42,4 +44,28 @@ export const startCleanupJob = () => {
       console.error("❌ Error in interview session cleanup job:", error);
     }
   }, 10 * 60 * 1000);
+
+  // Enforce time limits of timed sessions every minute
+  setInterval(async () => {
+    try {
+      const count = await sweepExpiredDeadlines();
+      if (count > 0) {
+        console.log(`⏱️ Time limits enforced on ${count} timed interview sessions.`);
+      }
+    } catch (error) {
+      console.error("❌ Error in interview time limit sweep:", error);
+    }
+  }, 60 * 1000);
+
+  // Delete answer recordings past their tier's retention period every hour
+  setInterval(async () => {
+    try {
+      const count = await purgeExpiredAudio();
+      if (count > 0) {
+        console.log(`🧹 Purged ${count} expired interview answer recordings.`);
+      }
+    } catch (error) {
+      console.error("❌ Error in interview audio retention sweep:", error);
+    }
+  }, 60 * 60 * 1000);
 };
\ No newline at end of file
@@ -43,6 +43,11 @@ export const transitionTo = async (session, nextState, reason = "") => {
   if (nextState === STATES.IN_PROGRESS) {
     if (currentState === STATES.CREATED) {
       session.startedAt = now;
+      if (session.timing?.policy === "total") {
+        session.timing.deadlineAt = new Date(
+          now.getTime() + session.timing.totalTimeLimitSeconds * 1000
+        );
+      }
     } else if (currentState === STATES.PAUSED) {
       session.resumedAt = now;
       if (session.pausedAt) {
@@ -52,6 +57,8 @@ export const transitionTo = async (session, nextState, reason = "") => {
           endedAt: now,
           durationSeconds,
         });
+        // Time limits don't run while paused
+        session.extendDeadlines(now - session.pausedAt);
       }
       session.pausedAt = null;
     }
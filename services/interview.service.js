@@ -1,6 +1,30 @@
 import * as geminiService from "./gemini.service.js";
 import * as openaiService from "./openai.service.js";
 import AIUsage from "../models/AIUsage.model.js";
+import {
+  applyRubricScores,
+  buildRubricPrompt,
+  pickBankQuestion,
+} from "./questionBank.service.js";
+import {
+  DEFAULT_LEVEL_COMPLEXITY,
+  getConfigRoles,
+  getExperienceLevels as getRoleExperienceLevels,
+  getRoleProfile,
+  pickFocusTopic,
+} from "./interviewRole.service.js";
+import {
+  applyCodeExecutionScores,
+  buildCodeExecutionPrompt,
+  prepareGeneratedCodingQuestion,
+} from "./codingQuestion.service.js";
+import {
+  applyDesignScores,
+  buildDesignEvaluationPrompt,
+  calculateArchitectureScores,
+} from "./systemDesign.service.js";
+import {summarizeDelivery} from "./speechDelivery.service.js";
+import {STATES} from "./interview-state.service.js";
 
 /**
  * AI Interview Service
@@ -20,118 +44,37 @@ const INTERVIEW_CONFIG = {
   },
 };
 
-// Role-specific technical topics
-const ROLE_TOPICS = {
-  frontend: [
-    "JavaScript",
-    "React",
-    "Vue",
-    "Angular",
-    "CSS",
-    "HTML5",
-    "TypeScript",
-    "Web Performance",
-    "Accessibility",
-    "Testing",
-  ],
-  backend: [
-    "Node.js",
-    "Python",
-    "Java",
-    "Database Design",
-    "REST APIs",
-    "GraphQL",
-    "Microservices",
-    "Security",
-    "Caching",
-    "Message Queues",
-  ],
-  fullstack: [
-    "JavaScript",
-    "Node.js",
-    "React",
-    "Database",
-    "API Design",
-    "DevOps",
-    "System Design",
-    "Security",
-    "Testing",
-    "Performance",
-  ],
-  devops: [
-    "CI/CD",
-    "Docker",
-    "Kubernetes",
-    "Cloud Services",
-    "Infrastructure as Code",
-    "Monitoring",
-    "Security",
-    "Networking",
-    "Linux",
-    "Automation",
-  ],
-  "data-engineer": [
-    "SQL",
-    "ETL",
-    "Data Warehousing",
-    "Python",
-    "Spark",
-    "Airflow",
-    "Data Modeling",
-    "Big Data",
-    "Cloud Data Services",
-    "Data Quality",
-  ],
-  mobile: [
-    "React Native",
-    "Flutter",
-    "iOS",
-    "Android",
-    "Mobile UI/UX",
-    "App Performance",
-    "Push Notifications",
-    "Mobile Security",
-    "Offline Storage",
-    "Testing",
-  ],
-};
+const QUESTION_RESPONSE_FORMAT = `{
+  "question": "Your interview question here",
+  "questionType": "technical|behavioral|situational|resume-based",
+  "category": "The skill/topic being tested",
+  "difficulty": "easy|medium|hard",
+  "expectedKeywords": ["keyword1", "keyword2"],
+  "idealAnswerPoints": ["point1", "point2", "point3"]
+}`;
 
-// Experience level question complexity
-const EXPERIENCE_COMPLEXITY = {
-  fresher: {
-    depth: "basic concepts and fundamentals",
-    complexity: "straightforward",
-    expectation: "theoretical understanding with simple examples",
-  },
-  junior: {
-    depth: "practical implementation",
-    complexity: "moderate",
-    expectation: "hands-on experience with common scenarios",
-  },
-  mid: {
-    depth: "architecture and design decisions",
-    complexity: "intermediate",
-    expectation: "problem-solving with real-world trade-offs",
-  },
-  senior: {
-    depth: "system design and leadership",
-    complexity: "advanced",
-    expectation: "strategic thinking and mentorship experience",
-  },
-  lead: {
-    depth: "organizational impact and vision",
-    complexity: "expert",
-    expectation: "cross-team collaboration and technical strategy",
-  },
-};
+// Coding questions are stdin/stdout programs checked against test cases
+const CODING_RESPONSE_FORMAT = `{
+  "question": "Full problem statement, including the exact input and output format",
+  "questionType": "coding",
+  "category": "The skill/topic being tested",
+  "difficulty": "easy|medium|hard",
+  "starterCode": "Code that reads stdin and leaves the solution to the candidate",
+  "testCases": [{"input": "stdin text", "expectedOutput": "stdout text", "isHidden": false}],
+  "referenceSolution": "A complete, correct solution",
+  "expectedKeywords": ["keyword1", "keyword2"]
+}`;
 
 /**
  * Generate the system prompt for the AI interviewer
  */
 function buildInterviewerSystemPrompt(config) {
-  const {interviewType, role, experienceLevel, targetSkills} = config;
+  const {interviewType, role, experienceLevel, targetSkills, codingLanguage} =
+    config;
   const complexity =
-    EXPERIENCE_COMPLEXITY[experienceLevel] || EXPERIENCE_COMPLEXITY.mid;
+    config.complexity ||
+    DEFAULT_LEVEL_COMPLEXITY[experienceLevel] ||
+    DEFAULT_LEVEL_COMPLEXITY.mid;
 
   return `You are an experienced technical interviewer conducting a ${interviewType} interview for a ${role} position.
 
@@ -157,15 +100,21 @@ QUESTION GUIDELINES:
 5. Never provide hints or answers within the question
 6. Make questions specific and actionable
 
+${
+  interviewType === "coding"
+    ? `
+CODING QUESTIONS:
+- Pose a self-contained programming problem to solve in ${codingLanguage}
+- The program reads its input from stdin and prints the answer to stdout
+- Use only the standard library
+- Provide 2 visible example test cases and 4-6 hidden ones covering edge cases
+`
+    : ""
+}
 RESPONSE FORMAT:
 Always respond with valid JSON in this exact format:
-{
-  "question": "Your interview question here",
-  "questionType": "technical|behavioral|situational|resume-based",
-  "category": "The skill/topic being tested",
-  "difficulty": "easy|medium|hard",
-  "expectedKeywords": ["keyword1", "keyword2"],
-  "idealAnswerPoints": ["point1", "point2", "point3"]
+${
+  interviewType === "coding" ? CODING_RESPONSE_FORMAT : QUESTION_RESPONSE_FORMAT
 }`;
 }
 
@@ -175,7 +124,9 @@ Always respond with valid JSON in this exact format:
 function buildEvaluatorSystemPrompt(config) {
   const {role, experienceLevel, questionContext} = config;
   const complexity =
-    EXPERIENCE_COMPLEXITY[experienceLevel] || EXPERIENCE_COMPLEXITY.mid;
+    config.complexity ||
+    DEFAULT_LEVEL_COMPLEXITY[experienceLevel] ||
+    DEFAULT_LEVEL_COMPLEXITY.mid;
 
   return `You are an expert interview evaluator assessing candidate responses for a ${role} position (${experienceLevel} level).
 
@@ -243,6 +194,7 @@ REPORT REQUIREMENTS:
 4. Provide actionable recommendations
 5. Suggest specific areas for practice
 6. Give resume improvement suggestions based on demonstrated gaps
+7. For timed interviews, comment on pacing and any questions that ran out of time
 
 RESPONSE FORMAT:
 Respond with valid JSON in this exact format:
@@ -287,6 +239,7 @@ function buildQuestionPrompt(config) {
     currentDifficulty,
     questionNumber,
     targetSkills,
+    topics = [],
   } = config;
 
   let contextPrompt = "";
@@ -311,11 +264,10 @@ Focus on practical scenarios the candidate might face in this role.`;
       break;
 
     case "technical":
-      const topics =
-        ROLE_TOPICS[role.toLowerCase().replace(/\s+/g, "")] ||
-        ROLE_TOPICS.fullstack;
+      const focusTopic = pickFocusTopic(topics);
       contextPrompt = `
-TECHNICAL TOPICS TO COVER: ${topics.join(", ")}
+TECHNICAL TOPICS TO COVER: ${topics.map((t) => t.name).join(", ")}
+${focusTopic ? `FOCUS TOPIC FOR THIS QUESTION: ${focusTopic}` : ""}
 ${targetSkills?.length ? `PRIORITY SKILLS: ${targetSkills.join(", ")}` : ""}
 
 Ask a practical technical question that tests real-world problem-solving.
@@ -351,6 +303,27 @@ ${
 
 Alternate between technical and behavioral questions for a balanced assessment.`;
       break;
+
+    case "coding":
+      const codingTopic = pickFocusTopic(topics);
+      contextPrompt = `
+CODING INTERVIEW
+${codingTopic ? `THEME FOR THIS PROBLEM: ${codingTopic}` : ""}
+${targetSkills?.length ? `PRIORITY SKILLS: ${targetSkills.join(", ")}` : ""}
+
+Ask an algorithmic or practical programming problem that can be solved in about 15-20 minutes.
+State the input and output format precisely so the test cases are unambiguous.`;
+      break;
+
+    case "system-design":
+      contextPrompt = `
+SYSTEM DESIGN INTERVIEW
+${targetSkills?.length ? `PRIORITY SKILLS: ${targetSkills.join(", ")}` : ""}
+
+Ask the candidate to design a realistic system (e.g. a URL shortener, chat service or payment pipeline) suited to the experience level.
+State the expected scale (users, requests per second, data volume) so scaling decisions can be judged.
+The candidate answers with requirements, components, data flows, scaling decisions and trade-offs - do not ask for code.`;
+      break;
   }
 
   // Add previous context for adaptive questioning - include ALL previous questions to avoid repetition
@@ -430,19 +403,25 @@ export async function generateQuestion(config, user) {
   const startTime = Date.now();
 
   try {
-    const systemPrompt = buildInterviewerSystemPrompt(config);
-    const userPrompt = buildQuestionPrompt(config);
+    const {topics, complexity} = await getRoleProfile(
+      config.role,
+      config.experienceLevel
+    );
+    const systemPrompt = buildInterviewerSystemPrompt({...config, complexity});
+    const userPrompt = buildQuestionPrompt({...config, topics});
+    // Coding questions also carry test cases and a reference solution
+    const maxTokens = config.interviewType === "coding" ? 2500 : 800;
 
     let response;
     if (aiService === "gpt4o") {
       response = await openaiService.chatCompletion(systemPrompt, userPrompt, {
         temperature: 0.7,
-        maxTokens: 800,
+        maxTokens,
       });
     } else {
       response = await geminiService.chatCompletion(systemPrompt, userPrompt, {
         temperature: 0.7,
-        maxOutputTokens: 800,
+        maxOutputTokens: maxTokens,
       });
     }
 
@@ -489,6 +468,92 @@ export async function generateQuestion(config, user) {
   }
 }
 
+/**
+ * Get the next question for a session. Bank sessions draw from their
+ * question banks, mixed sessions alternate bank and AI questions, and the AI
+ * fills in whenever the banks run out.
+ * @param {Object} session - InterviewSession document
+ * @param {Object} config - Question generation configuration
+ * @param {Object} user - User object
+ * @returns {Promise<Object>} - Question fields for session.addQuestion
+ */
+export async function getNextQuestion(session, config, user) {
+  const useBank =
+    session.questionSource === "bank" ||
+    (session.questionSource === "mixed" && config.questionNumber % 2 === 1);
+
+  if (useBank) {
+    const bankQuestion = await pickBankQuestion(session, config);
+    if (bankQuestion) return bankQuestion;
+  }
+
+  const questionData = await generateQuestion(
+    {...config, codingLanguage: session.codingLanguage},
+    user
+  );
+  const question = {
+    questionText: questionData.question,
+    questionType: questionData.questionType,
+    category: questionData.category,
+    difficulty: questionData.difficulty,
+    expectedKeywords: Array.isArray(questionData.expectedKeywords)
+      ? questionData.expectedKeywords
+      : [],
+  };
+
+  if (session.interviewType === "coding") {
+    const {coding, referenceAnswer} = await prepareGeneratedCodingQuestion(
+      questionData,
+      session.codingLanguage
+    );
+    return {...question, questionType: "coding", coding, referenceAnswer};
+  }
+
+  if (session.interviewType === "system-design") {
+    return {...question, questionType: "system-design"};
+  }
+
+  return question;
+}
+
+/**
+ * Skip an unanswered question of an in-progress session. Shared by the HTTP
+ * flow and the live channel; the caller saves and moves on.
+ * @param {Object} session - InterviewSession document
+ * @param {number} questionNumber - Question to skip
+ * @returns {Object} {question} or {error, code}
+ */
+export function skipQuestion(session, questionNumber) {
+  if (session.status !== STATES.IN_PROGRESS) {
+    return {
+      error: `Cannot skip a question in a session with status: ${session.status}`,
+      code: "INVALID_SESSION_STATE",
+    };
+  }
+
+  const question = session.questions.find(
+    (q) => q.questionNumber === Number(questionNumber)
+  );
+  if (!question) {
+    return {error: "Question not found", code: "QUESTION_NOT_OPEN"};
+  }
+  if (question.timedOut) {
+    return {error: "Time limit reached", code: "QUESTION_TIMED_OUT"};
+  }
+  if (question.userAnswer || question.skipped) {
+    return {error: "Question already answered", code: "QUESTION_NOT_OPEN"};
+  }
+
+  question.skipped = true;
+  question.answeredAt = new Date();
+  question.evaluation = {
+    score: 0,
+    feedback: "Question was skipped",
+  };
+
+  return {question};
+}
+
 /**
  * Evaluate a candidate's answer
  * @param {Object} config - Evaluation configuration
@@ -504,14 +569,28 @@ export async function evaluateAnswer(config, user) {
     expectedKeywords,
     role,
     experienceLevel,
+    referenceAnswer,
+    rubric = [],
+    language,
+    codeExecution,
+    testCases,
   } = config;
   const aiService = selectAIService(user);
   const startTime = Date.now();
+  const isCoding = questionType === "coding";
 
   try {
+    const rubricPrompt = buildRubricPrompt(rubric, referenceAnswer);
+    const codePrompt = isCoding
+      ? buildCodeExecutionPrompt(language, codeExecution, testCases)
+      : "";
+    const designPrompt =
+      questionType === "system-design" ? buildDesignEvaluationPrompt() : "";
+    const {complexity} = await getRoleProfile(role, experienceLevel);
     const systemPrompt = buildEvaluatorSystemPrompt({
       role,
       experienceLevel,
+      complexity,
       questionContext: `Question Type: ${questionType}\nCategory: ${category}\nExpected Keywords: ${
         expectedKeywords?.join(", ") || "None specified"
       }`,
@@ -522,8 +601,10 @@ INTERVIEW QUESTION:
 ${question}
 
 CANDIDATE'S ANSWER:
-${answer}
-
+${isCoding ? `\`\`\`${language}\n${answer}\n\`\`\`` : answer}
+${rubricPrompt ? `\n${rubricPrompt}\n` : ""}${codePrompt ? `\n${codePrompt}\n` : ""}${
+      designPrompt ? `\n${designPrompt}\n` : ""
+    }
 Evaluate this response thoroughly and provide structured feedback.`;
 
     let response;
@@ -569,7 +650,15 @@ Evaluate this response thoroughly and provide structured feedback.`;
     );
 
     return {
-      ...evaluation,
+      ...applyCodeExecutionScores(
+        applyRubricScores(
+          questionType === "system-design"
+            ? applyDesignScores(evaluation)
+            : evaluation,
+          rubric
+        ),
+        codeExecution
+      ),
       aiModel: aiService,
       evaluatedAt: new Date(),
     };
@@ -606,10 +695,12 @@ export async function generateFollowUp(config, user) {
   const startTime = Date.now();
 
   try {
+    const {complexity} = await getRoleProfile(role, experienceLevel);
     const systemPrompt = buildInterviewerSystemPrompt({
       interviewType: "follow-up",
       role,
       experienceLevel,
+      complexity,
     });
 
     const userPrompt = `
@@ -677,6 +768,66 @@ Make it conversational, like a real interviewer probing for more details.`;
   }
 }
 
+/**
+ * Time-management metrics for the report. Limit usage is how much of the
+ * per-question (or whole-interview) allowance the candidate used.
+ * @param {Object} session - Interview session
+ * @returns {Object} Time-management metrics
+ */
+export function calculateTimeManagement(session) {
+  const {
+    policy = "none",
+    questionTimeLimitSeconds,
+    totalTimeLimitSeconds,
+  } = session.timing || {};
+
+  const resolved = session.questions.filter((q) => q.userAnswer || q.skipped);
+  const answered = resolved.filter((q) => q.userAnswer);
+  const answerTimes = answered.map((q) => q.timeSpentSeconds || 0);
+  const totalTimeSpentSeconds = resolved.reduce(
+    (sum, q) => sum + (q.timeSpentSeconds || 0),
+    0
+  );
+  const timedOut = resolved.filter((q) => q.timedOut);
+
+  let limitUsedPercent = null;
+  if (
+    policy === "per-question" &&
+    questionTimeLimitSeconds &&
+    resolved.length
+  ) {
+    const usage = resolved.map((q) =>
+      Math.min((q.timeSpentSeconds || 0) / questionTimeLimitSeconds, 1)
+    );
+    limitUsedPercent = Math.round(
+      (usage.reduce((a, b) => a + b, 0) / usage.length) * 100
+    );
+  } else if (policy === "total" && totalTimeLimitSeconds) {
+    limitUsedPercent = Math.min(
+      Math.round((session.totalDurationSeconds / totalTimeLimitSeconds) * 100),
+      100
+    );
+  }
+
+  return {
+    policy,
+    questionTimeLimitSeconds:
+      policy === "per-question" ? questionTimeLimitSeconds : null,
+    totalTimeLimitSeconds: policy === "total" ? totalTimeLimitSeconds : null,
+    totalTimeSpentSeconds,
+    averageTimePerQuestion: resolved.length
+      ? Math.round(totalTimeSpentSeconds / resolved.length)
+      : 0,
+    fastestAnswerSeconds: answerTimes.length ? Math.min(...answerTimes) : null,
+    slowestAnswerSeconds: answerTimes.length ? Math.max(...answerTimes) : null,
+    timedOutQuestions: timedOut.length,
+    autoSubmittedAnswers: timedOut.filter((q) => q.userAnswer).length,
+    unaskedQuestions: Math.max(session.totalQuestions - resolved.length, 0),
+    limitUsedPercent,
+    finishedWithinLimit: policy === "none" ? null : timedOut.length === 0,
+  };
+}
+
 /**
  * Generate the final interview report
  * @param {Object} session - Complete interview session with all Q&A
@@ -697,8 +848,30 @@ export async function generateReport(session, user) {
       score: q.evaluation?.score || 0,
       strengths: q.evaluation?.strengths || [],
       weaknesses: q.evaluation?.weaknesses || [],
+      timeSpentSeconds: q.timeSpentSeconds || 0,
+      timedOut: q.timedOut || false,
+      ...(q.questionType === "coding" && {
+        testsPassed: q.coding?.testResults?.total
+          ? `${q.coding.testResults.passed}/${q.coding.testResults.total}`
+          : "not run",
+      }),
+      ...(q.evaluation?.designScores?.length && {
+        designScores: q.evaluation.designScores,
+      }),
+      ...(q.evaluation?.delivery?.wordCount && {
+        delivery: {
+          wordsPerMinute: q.evaluation.delivery.wordsPerMinute,
+          fillerWords: q.evaluation.delivery.fillerWordCount,
+          hedgingPhrases: q.evaluation.delivery.hedgingCount,
+          longPauses: q.evaluation.delivery.longPauseCount,
+        },
+      }),
     }));
 
+    const timeManagement = calculateTimeManagement(session);
+    const architecture = calculateArchitectureScores(session);
+    const delivery = summarizeDelivery(session);
+
     const systemPrompt = buildReportGeneratorPrompt({
       role: session.role,
       experienceLevel: session.experienceLevel,
@@ -714,7 +887,21 @@ INTERVIEW DURATION: ${session.totalDurationSeconds} seconds
 QUESTIONS ANSWERED: ${session.questions.filter((q) => q.userAnswer).length}/${
       session.questions.length
     }
-
+TIME MANAGEMENT: ${JSON.stringify(timeManagement)}
+${
+  architecture
+    ? `SYSTEM DESIGN SCORES: ${JSON.stringify(architecture)}
+Include "systemDesign": { "score": ${architecture.score}, "feedback": "..." } in skillBreakdown, commenting on the weakest design dimensions.
+`
+    : ""
+}
+${
+  delivery
+    ? `SPEECH DELIVERY (spoken answers): ${JSON.stringify(delivery)}
+Comment on pace, filler words, hedging and pauses in communication feedback where they matter.
+`
+    : ""
+}
 Generate a comprehensive interview performance report with actionable feedback.`;
 
     let response;
@@ -755,8 +942,21 @@ Generate a comprehensive interview performance report with actionable feedback.`
       true
     );
 
+    // Architecture scores come from the per-question design scores
+    if (architecture) {
+      report.skillBreakdown = {
+        ...report.skillBreakdown,
+        systemDesign: {
+          ...architecture,
+          feedback: report.skillBreakdown?.systemDesign?.feedback || "",
+        },
+      };
+    }
+
     return {
       ...report,
+      timeManagement,
+      delivery,
       aiModel: aiService,
       generatedAt: new Date(),
     };
@@ -832,35 +1032,27 @@ export function getInterviewLimits() {
 }
 
 /**
- * Get available roles for interview
+ * Get enabled interview roles (admin-managed, see interviewRole.service)
  */
-export function getAvailableRoles() {
-  return Object.keys(ROLE_TOPICS).map((key) => ({
-    id: key,
-    name: key
-      .split("-")
-      .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
-      .join(" "),
-    topics: ROLE_TOPICS[key],
-  }));
+export async function getAvailableRoles() {
+  return getConfigRoles();
 }
 
 /**
  * Get experience levels
  */
 export function getExperienceLevels() {
-  return Object.keys(EXPERIENCE_COMPLEXITY).map((key) => ({
-    id: key,
-    name: key.charAt(0).toUpperCase() + key.slice(1),
-    ...EXPERIENCE_COMPLEXITY[key],
-  }));
+  return getRoleExperienceLevels();
 }
 
 export default {
   generateQuestion,
+  getNextQuestion,
+  skipQuestion,
   evaluateAnswer,
   generateFollowUp,
   generateReport,
+  calculateTimeManagement,
   getInterviewLimits,
   getAvailableRoles,
   getExperienceLevels,
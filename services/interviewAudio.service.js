@@ -0,0 +1,314 @@
+import crypto from "crypto";
+import path from "path";
+import InterviewSession from "../models/InterviewSession.model.js";
+import {getAudioStorage} from "./audioStorage.service.js";
+
+/**
+ * Interview Audio Service
+ * Keeps the recordings of voice and live answers for replay. Each recording
+ * is stored once per question and kept for as long as the user's
+ * subscription tier allows; the cleanup job purges it afterwards.
+ */
+
+// Days answer audio is kept, by subscription tier
+export const AUDIO_RETENTION_DAYS = {
+  free: 7,
+  "one-time": 30,
+  pro: 90,
+};
+
+const AUDIO_EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/wav": "wav",
+  "audio/wave": "wav",
+  "audio/x-wav": "wav",
+  "audio/mpeg": "mp3",
+  "audio/mp3": "mp3",
+  "audio/mp4": "m4a",
+  "audio/m4a": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/flac": "flac",
+};
+
+// Content type recordings are stored and served with, by extension. The
+// uploaded MIME type is client-supplied and never echoed back.
+const AUDIO_CONTENT_TYPES = {
+  webm: "audio/webm",
+  ogg: "audio/ogg",
+  wav: "audio/wav",
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  flac: "audio/flac",
+};
+
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * File extension for an audio MIME type ("audio/webm;codecs=opus" -> "webm")
+ * @param {string} mimeType - Audio MIME type
+ * @param {string} fallback - Extension for unknown types
+ * @returns {string}
+ */
+export const getAudioExtension = (mimeType, fallback = "webm") =>
+  AUDIO_EXTENSIONS[(mimeType || "").split(";")[0].trim().toLowerCase()] ||
+  fallback;
+
+/**
+ * Retention period for a user's recordings
+ * @param {Object} user - User document
+ * @returns {number} Days
+ */
+export const getAudioRetentionDays = (user) =>
+  user?.role === "admin"
+    ? AUDIO_RETENTION_DAYS.pro
+    : AUDIO_RETENTION_DAYS[user?.subscription?.tier] ||
+      AUDIO_RETENTION_DAYS.free;
+
+/**
+ * Replay URL of a question's recording
+ * @param {string} sessionId - Session ID
+ * @param {number} questionNumber - Question number
+ * @returns {string}
+ */
+export const buildAudioUrl = (sessionId, questionNumber) =>
+  `/api/interview/sessions/${sessionId}/replay/audio/${questionNumber}`;
+
+/**
+ * Store the recording of an answer and link it to its question. Storage
+ * failures are logged and never fail the answer itself.
+ * @param {Object} session - InterviewSession document (not saved here)
+ * @param {Object} question - Question subdocument
+ * @param {Buffer} buffer - Audio data
+ * @param {Object} options
+ * @param {string} options.mimeType - Audio MIME type
+ * @param {string} options.fileName - Uploaded file name, for unknown MIME types
+ * @param {Object} options.user - User document (for retention)
+ * @returns {Promise<boolean>} Whether the audio was stored
+ */
+export async function storeAnswerAudio(
+  session,
+  question,
+  buffer,
+  {mimeType = "audio/webm", fileName = "", user} = {}
+) {
+  if (!buffer?.length) return false;
+
+  const uploadedExtension = path.extname(fileName).slice(1).toLowerCase();
+  const extension = getAudioExtension(
+    mimeType,
+    AUDIO_CONTENT_TYPES[uploadedExtension] ? uploadedExtension : null
+  );
+  if (!extension) {
+    console.warn(
+      `⚠️ Not storing answer audio of unknown type for session ${session._id}`
+    );
+    return false;
+  }
+
+  const contentType = AUDIO_CONTENT_TYPES[extension];
+  const key = `${session.userId}/${session._id}/q${
+    question.questionNumber
+  }-${crypto.randomBytes(6).toString("hex")}.${extension}`;
+
+  let storage;
+  try {
+    storage = getAudioStorage();
+    await storage.put(key, buffer, {contentType});
+  } catch (error) {
+    console.error(
+      `❌ Failed to store answer audio for session ${session._id}:`,
+      error.message
+    );
+    return false;
+  }
+
+  const previousKey = question.audio?.storageKey;
+  const storedAt = new Date();
+
+  question.audio = {
+    storageKey: key,
+    backend: storage.name,
+    mimeType: contentType,
+    size: buffer.length,
+    storedAt,
+    expiresAt: new Date(
+      storedAt.getTime() + getAudioRetentionDays(user) * 24 * 60 * 60 * 1000
+    ),
+  };
+  question.audioUrl = buildAudioUrl(session._id, question.questionNumber);
+
+  if (previousKey) {
+    await storage
+      .remove(previousKey)
+      .catch((error) =>
+        console.warn(
+          "⚠️ Failed to remove replaced answer audio:",
+          error.message
+        )
+      );
+  }
+
+  return true;
+}
+
+/**
+ * Load a question's recording
+ * @param {Object} question - Question subdocument
+ * @returns {Promise<Object|null>} {body, contentType} or null when unavailable
+ */
+export async function getAnswerAudio(question) {
+  const audio = question?.audio;
+  if (!audio?.storageKey || audio.purgedAt || audio.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const object = await getAudioStorage().get(audio.storageKey);
+  // From the key, so recordings stored before types were checked are safe too
+  return (
+    object && {
+      ...object,
+      contentType:
+        AUDIO_CONTENT_TYPES[path.extname(audio.storageKey).slice(1)] ||
+        "application/octet-stream",
+    }
+  );
+}
+
+const summarizeAudio = (session, question) => {
+  const audio = question.audio;
+  if (!audio?.storedAt) return null;
+
+  if (audio.purgedAt || audio.expiresAt <= new Date()) {
+    return {available: false, expiredAt: audio.expiresAt};
+  }
+
+  return {
+    available: true,
+    url: buildAudioUrl(session._id, question.questionNumber),
+    mimeType: audio.mimeType,
+    size: audio.size,
+    expiresAt: audio.expiresAt,
+  };
+};
+
+/**
+ * Replay of a session: every resolved question in the order it was asked,
+ * with its recording, transcript, evaluation and timing
+ * @param {Object} session - InterviewSession document
+ * @returns {Object}
+ */
+export function buildReplayTimeline(session) {
+  const sessionStart = session.startedAt || session.createdAt;
+
+  const timeline = session.questions
+    .filter((q) => q.userAnswer || q.skipped || q.timedOut)
+    .sort((a, b) => a.questionNumber - b.questionNumber)
+    .map((q) => ({
+      questionNumber: q.questionNumber,
+      questionText: q.questionText,
+      questionType: q.questionType,
+      category: q.category,
+      difficulty: q.difficulty,
+      isFollowUp: q.isFollowUp,
+      askedAt: q.startedAt || null,
+      answeredAt: q.answeredAt || null,
+      // Seconds from the start of the interview, for a scrubber
+      offsetSeconds:
+        q.startedAt && sessionStart
+          ? Math.max(0, Math.round((q.startedAt - sessionStart) / 1000))
+          : null,
+      timeSpentSeconds: q.timeSpentSeconds,
+      answerMode: q.answerMode,
+      answer: q.userAnswer || null,
+      transcript: q.transcribedText || null,
+      skipped: q.skipped,
+      timedOut: q.timedOut,
+      audio: summarizeAudio(session, q),
+      evaluation: q.evaluation?.score !== undefined ? q.evaluation : null,
+    }));
+
+  return {
+    sessionId: session._id,
+    interviewType: session.interviewType,
+    role: session.role,
+    experienceLevel: session.experienceLevel,
+    mode: session.mode,
+    status: session.status,
+    startedAt: session.startedAt,
+    completedAt: session.completedAt,
+    totalDurationSeconds: session.totalDurationSeconds,
+    timeline,
+  };
+}
+
+/**
+ * Delete recordings whose retention period has ended
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of recordings purged
+ */
+export async function purgeExpiredAudio(now = new Date()) {
+  const storage = getAudioStorage();
+  const expired = {
+    "audio.expiresAt": {$lte: now},
+    "audio.purgedAt": null,
+    "audio.storageKey": {$exists: true},
+  };
+
+  const sessions = await InterviewSession.find({
+    questions: {$elemMatch: expired},
+  })
+    .select("questions.questionNumber questions.audio")
+    .limit(PURGE_BATCH_SIZE)
+    .lean();
+
+  let purged = 0;
+
+  for (const session of sessions) {
+    const set = {};
+    const unset = {};
+
+    for (const [index, question] of session.questions.entries()) {
+      const audio = question.audio;
+      if (!audio?.storageKey || audio.purgedAt || audio.expiresAt > now) {
+        continue;
+      }
+
+      try {
+        await storage.remove(audio.storageKey);
+      } catch (error) {
+        // Retried on the next run
+        console.error(
+          `❌ Failed to purge answer audio ${audio.storageKey}:`,
+          error.message
+        );
+        continue;
+      }
+
+      set[`questions.${index}.audio.purgedAt`] = now;
+      unset[`questions.${index}.audio.storageKey`] = "";
+      unset[`questions.${index}.audioUrl`] = "";
+      purged++;
+    }
+
+    if (Object.keys(set).length > 0) {
+      await InterviewSession.updateOne(
+        {_id: session._id},
+        {$set: set, $unset: unset}
+      );
+    }
+  }
+
+  return purged;
+}
+
+export default {
+  AUDIO_RETENTION_DAYS,
+  getAudioExtension,
+  getAudioRetentionDays,
+  buildAudioUrl,
+  storeAnswerAudio,
+  getAnswerAudio,
+  buildReplayTimeline,
+  purgeExpiredAudio,
+};
@@ -0,0 +1,298 @@
+import InterviewSession from "../models/InterviewSession.model.js";
+import InterviewResult from "../models/InterviewResult.model.js";
+
+/**
+ * Interview Progress Service
+ * Turns a user's completed interviews into score time series per skill and
+ * per topic, finds the weakest topics and suggests the next session.
+ */
+
+export const PROGRESS_LIMITS = {
+  sessions: {min: 1, max: 200, default: 50},
+  window: {min: 2, max: 10, default: 3},
+};
+
+// Moving-average change (points) that counts as a trend
+const TREND_THRESHOLD = 5;
+// Topics averaging below this are practice candidates
+const WEAK_TOPIC_SCORE = 70;
+const MAX_WEAK_TOPICS = 3;
+
+// Interview type that best practices each report skill
+const SKILL_INTERVIEW_TYPES = {
+  communication: "behavioral",
+  technicalKnowledge: "technical",
+  problemSolving: "technical",
+  situationalAwareness: "behavioral",
+  culturalFit: "behavioral",
+  systemDesign: "system-design",
+};
+
+const SKILL_NAMES = {
+  communication: "Communication",
+  technicalKnowledge: "Technical Knowledge",
+  problemSolving: "Problem Solving",
+  situationalAwareness: "Situational Awareness",
+  culturalFit: "Cultural Fit",
+  systemDesign: "System Design",
+};
+
+const average = (values) =>
+  values.length > 0
+    ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+    : null;
+
+/**
+ * Build a time series with a trailing moving average and its trend
+ * @param {Array} points - [{date, score, sessionId}] oldest first
+ * @param {number} window - Moving average window
+ * @returns {Object} {points, latest, average, movingAverage, change, trend}
+ */
+export function buildSeries(points, window) {
+  const series = points.map((point, index) => ({
+    ...point,
+    movingAverage: average(
+      points
+        .slice(Math.max(0, index - window + 1), index + 1)
+        .map((p) => p.score)
+    ),
+  }));
+
+  const first = series[0]?.movingAverage ?? null;
+  const last = series[series.length - 1]?.movingAverage ?? null;
+  const change = series.length > 1 ? last - first : 0;
+
+  return {
+    points: series,
+    latest: series[series.length - 1]?.score ?? null,
+    average: average(series.map((p) => p.score)),
+    movingAverage: last,
+    change,
+    trend:
+      series.length < 2
+        ? "insufficient-data"
+        : change >= TREND_THRESHOLD
+          ? "improving"
+          : change <= -TREND_THRESHOLD
+            ? "declining"
+            : "stable",
+  };
+}
+
+// Topic key that ignores case and spacing ("React", "react ")
+const topicKey = (name) => name.trim().toLowerCase();
+
+/**
+ * Average question score per topic (question category) in one session.
+ * Skipped and timed-out questions count as 0.
+ */
+const scoreTopics = (session) => {
+  const topics = new Map();
+
+  session.questions.forEach((q) => {
+    if (!q.category || (!q.userAnswer && !q.skipped)) return;
+
+    const key = topicKey(q.category);
+    const entry = topics.get(key) || {name: q.category.trim(), scores: []};
+    entry.scores.push(q.evaluation?.score || 0);
+    topics.set(key, entry);
+  });
+
+  return topics;
+};
+
+/**
+ * Topics to practice: lowest recent average first, declining topics before
+ * stable ones with the same score
+ */
+const findWeakestTopics = (topics) =>
+  topics
+    .filter((topic) => topic.movingAverage < WEAK_TOPIC_SCORE)
+    .sort(
+      (a, b) =>
+        a.movingAverage - b.movingAverage ||
+        (a.trend === "declining" ? -1 : 0) - (b.trend === "declining" ? -1 : 0)
+    )
+    .slice(0, MAX_WEAK_TOPICS);
+
+const findWeakestSkill = (skills) =>
+  Object.entries(skills)
+    .filter(([, series]) => series.movingAverage !== null)
+    .sort(([, a], [, b]) => a.movingAverage - b.movingAverage)[0] || null;
+
+const buildRecommendations = (weakestTopics, skills) => {
+  const recommendations = weakestTopics.map((topic) => ({
+    type: "topic",
+    topic: topic.topic,
+    score: topic.movingAverage,
+    reason: `Recent average of ${topic.movingAverage}/100 over ${
+      topic.sessions
+    } session${topic.sessions === 1 ? "" : "s"}${
+      topic.trend === "declining" ? ", and declining" : ""
+    }`,
+  }));
+
+  const weakestSkill = findWeakestSkill(skills);
+  if (weakestSkill && weakestSkill[1].movingAverage < WEAK_TOPIC_SCORE) {
+    const [skill, series] = weakestSkill;
+    recommendations.push({
+      type: "skill",
+      skill,
+      score: series.movingAverage,
+      reason: `${SKILL_NAMES[skill] || skill} is your lowest-scoring skill (${
+        series.movingAverage
+      }/100)`,
+      interviewType: SKILL_INTERVIEW_TYPES[skill] || "technical",
+    });
+  }
+
+  return recommendations;
+};
+
+/**
+ * Configuration for the next practice session, as accepted by
+ * POST /api/interview/sessions
+ */
+const buildSuggestedSession = (latestSession, weakestTopics, skills) => {
+  if (!latestSession) return null;
+
+  // Practice the weakest skill's interview type when no topic stands out
+  let interviewType = "technical";
+  if (weakestTopics.length === 0) {
+    const weakestSkill = findWeakestSkill(skills);
+    interviewType = SKILL_INTERVIEW_TYPES[weakestSkill?.[0]] || "technical";
+  }
+
+  // Keep coding and system design practice in the same format
+  if (["coding", "system-design"].includes(latestSession.interviewType)) {
+    interviewType = latestSession.interviewType;
+  }
+
+  return {
+    interviewType,
+    role: latestSession.role,
+    experienceLevel: latestSession.experienceLevel,
+    mode: latestSession.mode === "live" ? "text" : latestSession.mode,
+    targetSkills: weakestTopics.map((topic) => topic.topic),
+    totalQuestions: 5,
+    ...(interviewType === "coding" && {
+      codingLanguage: latestSession.codingLanguage,
+    }),
+  };
+};
+
+/**
+ * Progress analytics over a user's completed interviews
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} options.role - Only include sessions for this role
+ * @param {number} options.limit - Most recent sessions to include
+ * @param {number} options.window - Moving average window (sessions)
+ * @returns {Promise<Object>}
+ */
+export async function getInterviewProgress(
+  userId,
+  {
+    role,
+    limit = PROGRESS_LIMITS.sessions.default,
+    window = PROGRESS_LIMITS.window.default,
+  } = {}
+) {
+  const sessions = (
+    await InterviewSession.find({
+      userId,
+      status: "completed",
+      ...(role && {role}),
+    })
+      .sort({completedAt: -1})
+      .limit(limit)
+      .select(
+        "interviewType role experienceLevel mode codingLanguage completedAt createdAt questions.category questions.userAnswer questions.skipped questions.evaluation.score"
+      )
+      .lean()
+  ).reverse();
+
+  const results = await InterviewResult.find({
+    sessionId: {$in: sessions.map((s) => s._id)},
+  })
+    .select("sessionId overallScore skillBreakdown")
+    .lean();
+  const resultsBySession = new Map(
+    results.map((result) => [result.sessionId.toString(), result])
+  );
+
+  const overallPoints = [];
+  const skillPoints = {};
+  const topicPoints = new Map();
+
+  sessions.forEach((session) => {
+    const date = session.completedAt || session.createdAt;
+    const result = resultsBySession.get(session._id.toString());
+    const point = (score) => ({date, score, sessionId: session._id});
+
+    // Sessions whose report failed still have question scores
+    const overallScore =
+      result?.overallScore ??
+      average(
+        session.questions
+          .filter((q) => q.userAnswer || q.skipped)
+          .map((q) => q.evaluation?.score || 0)
+      );
+    if (overallScore !== null) {
+      overallPoints.push(point(overallScore));
+    }
+
+    Object.entries(result?.skillBreakdown || {}).forEach(([skill, value]) => {
+      if (!Number.isFinite(value?.score)) return;
+      (skillPoints[skill] = skillPoints[skill] || []).push(point(value.score));
+    });
+
+    scoreTopics(session).forEach(({name, scores}, key) => {
+      const entry = topicPoints.get(key) || {name, points: []};
+      entry.points.push(point(average(scores)));
+      topicPoints.set(key, entry);
+    });
+  });
+
+  const skills = Object.fromEntries(
+    Object.entries(skillPoints).map(([skill, points]) => [
+      skill,
+      {name: SKILL_NAMES[skill] || skill, ...buildSeries(points, window)},
+    ])
+  );
+
+  const topics = [...topicPoints.values()]
+    .map(({name, points}) => ({
+      topic: name,
+      sessions: points.length,
+      ...buildSeries(points, window),
+    }))
+    .sort((a, b) => b.sessions - a.sessions || a.topic.localeCompare(b.topic));
+
+  const weakestTopics = findWeakestTopics(topics);
+
+  return {
+    totalSessions: sessions.length,
+    window,
+    overall: buildSeries(overallPoints, window),
+    skills,
+    topics,
+    weakestTopics: weakestTopics.map(({topic, movingAverage, trend}) => ({
+      topic,
+      score: movingAverage,
+      trend,
+    })),
+    recommendations: buildRecommendations(weakestTopics, skills),
+    suggestedSession: buildSuggestedSession(
+      sessions[sessions.length - 1],
+      weakestTopics,
+      skills
+    ),
+  };
+}
+
+export default {
+  PROGRESS_LIMITS,
+  buildSeries,
+  getInterviewProgress,
+};
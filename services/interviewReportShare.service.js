@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import InterviewShareLink from "../models/InterviewShareLink.model.js";
+
+/**
+ * Interview Report Share Service
+ * Public, tokenized links to interview reports. Links expire, can be revoked
+ * at any time, and only expose the report - never the answers, the user or
+ * the session.
+ */
+
+export const SHARE_LINK_EXPIRY_DAYS = {min: 1, max: 90, default: 7};
+export const MAX_ACTIVE_SHARE_LINKS = 10;
+
+// Report fields visible through a share link
+const PUBLIC_REPORT_FIELDS = [
+  "overallScore",
+  "skillBreakdown",
+  "topicBreakdown",
+  "strengths",
+  "weaknesses",
+  "practiceAreas",
+  "resourceRecommendations",
+  "summary",
+  "detailedFeedback",
+  "metrics",
+  "timeManagement",
+  "hiringRecommendation",
+  "interviewType",
+  "role",
+  "experienceLevel",
+  "createdAt",
+];
+
+/**
+ * Public URL of a share link
+ * @param {string} token - Plain share token
+ * @returns {string}
+ */
+export const buildShareUrl = (token) =>
+  `${(process.env.CLIENT_URL || "http://localhost:5173").replace(
+    /\/$/,
+    ""
+  )}/interview-report/${token}`;
+
+/**
+ * Report as shown on the public page and in the PDF
+ * @param {Object} result - InterviewResult document
+ * @returns {Object}
+ */
+export function buildPublicReport(result) {
+  const data = result.toObject ? result.toObject() : result;
+  return Object.fromEntries(
+    PUBLIC_REPORT_FIELDS.filter((field) => data[field] !== undefined).map(
+      (field) => [field, data[field]]
+    )
+  );
+}
+
+/**
+ * Share link as listed to its owner
+ * @param {Object} link - InterviewShareLink document
+ * @returns {Object}
+ */
+export function summarizeShareLink(link) {
+  const now = new Date();
+  return {
+    id: link._id,
+    label: link.label,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    status: link.revokedAt
+      ? "revoked"
+      : link.expiresAt <= now
+        ? "expired"
+        : "active",
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt || null,
+    createdAt: link.createdAt,
+  };
+}
+
+/**
+ * Create a share link for a result
+ * @param {Object} result - InterviewResult document
+ * @param {Object} options
+ * @param {number} options.expiresInDays - Days until the link expires
+ * @param {string} options.label - Owner's note, e.g. who the link is for
+ * @returns {Promise<Object>} {link, token} or {error}
+ */
+export async function createShareLink(
+  result,
+  {expiresInDays = SHARE_LINK_EXPIRY_DAYS.default, label = ""} = {}
+) {
+  const activeCount = await InterviewShareLink.countDocuments({
+    resultId: result._id,
+    revokedAt: null,
+    expiresAt: {$gt: new Date()},
+  });
+  if (activeCount >= MAX_ACTIVE_SHARE_LINKS) {
+    return {
+      error: `A report can have at most ${MAX_ACTIVE_SHARE_LINKS} active share links. Revoke one first.`,
+    };
+  }
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const link = await InterviewShareLink.create({
+    userId: result.userId,
+    resultId: result._id,
+    sessionId: result.sessionId,
+    tokenHash: InterviewShareLink.hashToken(token),
+    label,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  return {link, token};
+}
+
+/**
+ * Find the active share link for a token
+ * @param {string} token - Plain share token
+ * @returns {Promise<Object|null>} InterviewShareLink document
+ */
+export async function findActiveShareLink(token) {
+  if (typeof token !== "string" || token.length > 100) return null;
+
+  const link = await InterviewShareLink.findOne({
+    tokenHash: InterviewShareLink.hashToken(token),
+  });
+
+  return link?.isActive() ? link : null;
+}
+
+/**
+ * Count a view of a shared report
+ * @param {Object} link - InterviewShareLink document
+ */
+export async function recordShareView(link) {
+  await InterviewShareLink.updateOne(
+    {_id: link._id},
+    {$inc: {viewCount: 1}, $set: {lastViewedAt: new Date()}}
+  );
+}
+
+export default {
+  SHARE_LINK_EXPIRY_DAYS,
+  MAX_ACTIVE_SHARE_LINKS,
+  buildShareUrl,
+  buildPublicReport,
+  summarizeShareLink,
+  createShareLink,
+  findActiveShareLink,
+  recordShareView,
+};
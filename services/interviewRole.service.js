@@ -0,0 +1,320 @@
+import InterviewRole, {
+  EXPERIENCE_LEVELS,
+} from "../models/InterviewRole.model.js";
+
+/**
+ * Interview Role Service
+ * Roles, topic weights and per-level complexity for AI interviews. They live
+ * in the database so admins can change them without a deploy; the built-in
+ * set below seeds an empty collection and backs roles that aren't configured.
+ */
+
+// Default question complexity per experience level
+export const DEFAULT_LEVEL_COMPLEXITY = {
+  fresher: {
+    depth: "basic concepts and fundamentals",
+    complexity: "straightforward",
+    expectation: "theoretical understanding with simple examples",
+  },
+  junior: {
+    depth: "practical implementation",
+    complexity: "moderate",
+    expectation: "hands-on experience with common scenarios",
+  },
+  mid: {
+    depth: "architecture and design decisions",
+    complexity: "intermediate",
+    expectation: "problem-solving with real-world trade-offs",
+  },
+  senior: {
+    depth: "system design and leadership",
+    complexity: "advanced",
+    expectation: "strategic thinking and mentorship experience",
+  },
+  lead: {
+    depth: "organizational impact and vision",
+    complexity: "expert",
+    expectation: "cross-team collaboration and technical strategy",
+  },
+};
+
+// Built-in roles, seeded into an empty collection
+const DEFAULT_ROLE_TOPICS = {
+  frontend: [
+    "JavaScript",
+    "React",
+    "Vue",
+    "Angular",
+    "CSS",
+    "HTML5",
+    "TypeScript",
+    "Web Performance",
+    "Accessibility",
+    "Testing",
+  ],
+  backend: [
+    "Node.js",
+    "Python",
+    "Java",
+    "Database Design",
+    "REST APIs",
+    "GraphQL",
+    "Microservices",
+    "Security",
+    "Caching",
+    "Message Queues",
+  ],
+  fullstack: [
+    "JavaScript",
+    "Node.js",
+    "React",
+    "Database",
+    "API Design",
+    "DevOps",
+    "System Design",
+    "Security",
+    "Testing",
+    "Performance",
+  ],
+  devops: [
+    "CI/CD",
+    "Docker",
+    "Kubernetes",
+    "Cloud Services",
+    "Infrastructure as Code",
+    "Monitoring",
+    "Security",
+    "Networking",
+    "Linux",
+    "Automation",
+  ],
+  "data-engineer": [
+    "SQL",
+    "ETL",
+    "Data Warehousing",
+    "Python",
+    "Spark",
+    "Airflow",
+    "Data Modeling",
+    "Big Data",
+    "Cloud Data Services",
+    "Data Quality",
+  ],
+  mobile: [
+    "React Native",
+    "Flutter",
+    "iOS",
+    "Android",
+    "Mobile UI/UX",
+    "App Performance",
+    "Push Notifications",
+    "Mobile Security",
+    "Offline Storage",
+    "Testing",
+  ],
+};
+
+// Roles that don't match a configured role get these topics
+const FALLBACK_ROLE_KEY = "fullstack";
+
+const formatName = (value) =>
+  value
+    .split("-")
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+
+/**
+ * Normalize a role key or display name for matching ("Data Engineer",
+ * "data-engineer" and "dataengineer" are the same role)
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeRoleKey = (value = "") =>
+  String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Default levels for a new role: every level enabled with default text
+ * @returns {Array}
+ */
+export const buildDefaultLevels = () =>
+  EXPERIENCE_LEVELS.map((level) => ({
+    level,
+    ...DEFAULT_LEVEL_COMPLEXITY[level],
+    isEnabled: true,
+  }));
+
+const buildDefaultRoles = () =>
+  Object.entries(DEFAULT_ROLE_TOPICS).map(([key, topics], index) => ({
+    key,
+    name: formatName(key),
+    topics: topics.map((name) => ({name, weight: 1})),
+    levels: buildDefaultLevels(),
+    sortOrder: index,
+  }));
+
+/**
+ * Seed the built-in roles the first time the collection is read
+ */
+export async function ensureDefaultRoles() {
+  if ((await InterviewRole.estimatedDocumentCount()) > 0) return;
+
+  try {
+    await InterviewRole.insertMany(buildDefaultRoles(), {ordered: false});
+    console.log("✅ Seeded default interview roles");
+  } catch (error) {
+    // Another request seeded them first
+    if (error.code !== 11000) throw error;
+  }
+}
+
+/**
+ * List interview roles
+ * @param {Object} options
+ * @param {boolean} options.includeDisabled - Include disabled roles (admin)
+ * @returns {Promise<Array>} Roles sorted for display
+ */
+export async function getInterviewRoles({includeDisabled = false} = {}) {
+  await ensureDefaultRoles();
+  return InterviewRole.find(includeDisabled ? {} : {isEnabled: true})
+    .sort({sortOrder: 1, name: 1})
+    .lean();
+}
+
+/**
+ * Find the configured role matching a session role (key or name)
+ * @param {string} role - Role as stored on the session
+ * @returns {Promise<Object|null>}
+ */
+export async function findRole(role) {
+  const normalized = normalizeRoleKey(role);
+  if (!normalized) return null;
+
+  const roles = await getInterviewRoles({includeDisabled: true});
+  return (
+    roles.find(
+      (item) =>
+        normalizeRoleKey(item.key) === normalized ||
+        normalizeRoleKey(item.name) === normalized
+    ) || null
+  );
+}
+
+/**
+ * Check that a role/level can be used for a new session. Roles that aren't
+ * configured are allowed (free-text roles use the fallback topics).
+ * @param {string} role
+ * @param {string} experienceLevel
+ * @returns {Promise<string|null>} Error message or null
+ */
+export async function checkRoleAvailability(role, experienceLevel) {
+  const config = await findRole(role);
+  if (!config) return null;
+
+  if (!config.isEnabled) {
+    return `The ${config.name} interview is currently unavailable`;
+  }
+
+  const level = config.levels.find((item) => item.level === experienceLevel);
+  if (level && !level.isEnabled) {
+    return `The ${experienceLevel} level is not available for ${config.name} interviews`;
+  }
+
+  return null;
+}
+
+/**
+ * Topics and complexity text used to prompt for a role/level
+ * @param {string} role - Session role
+ * @param {string} experienceLevel - Session experience level
+ * @returns {Promise<Object>} {topics: [{name, weight}], complexity}
+ */
+export async function getRoleProfile(role, experienceLevel) {
+  const config =
+    (await findRole(role)) || (await findRole(FALLBACK_ROLE_KEY)) || null;
+
+  const topics = config?.topics?.length
+    ? config.topics
+    : DEFAULT_ROLE_TOPICS[FALLBACK_ROLE_KEY].map((name) => ({
+        name,
+        weight: 1,
+      }));
+
+  const defaults =
+    DEFAULT_LEVEL_COMPLEXITY[experienceLevel] || DEFAULT_LEVEL_COMPLEXITY.mid;
+  const level = config?.levels?.find((item) => item.level === experienceLevel);
+
+  return {
+    topics,
+    complexity: {
+      depth: level?.depth || defaults.depth,
+      complexity: level?.complexity || defaults.complexity,
+      expectation: level?.expectation || defaults.expectation,
+    },
+  };
+}
+
+/**
+ * Weighted random pick of the topic a technical question should focus on
+ * @param {Array} topics - [{name, weight}]
+ * @returns {string|null}
+ */
+export function pickFocusTopic(topics = []) {
+  const totalWeight = topics.reduce((sum, t) => sum + (t.weight || 1), 0);
+  if (totalWeight === 0) return null;
+
+  let threshold = Math.random() * totalWeight;
+  for (const topic of topics) {
+    threshold -= topic.weight || 1;
+    if (threshold < 0) return topic.name;
+  }
+  return topics[topics.length - 1].name;
+}
+
+/**
+ * Roles as served by GET /api/interview/config
+ * @returns {Promise<Array>}
+ */
+export async function getConfigRoles() {
+  const roles = await getInterviewRoles();
+
+  return roles.map((role) => ({
+    id: role.key,
+    name: role.name,
+    description: role.description,
+    topics: role.topics.map((topic) => topic.name),
+    topicWeights: role.topics,
+    // Levels without an entry are enabled, as in checkRoleAvailability
+    experienceLevels: EXPERIENCE_LEVELS.filter((key) => {
+      const level = role.levels.find((item) => item.level === key);
+      return !level || level.isEnabled;
+    }),
+  }));
+}
+
+/**
+ * Experience levels with their default complexity text
+ * @returns {Array}
+ */
+export function getExperienceLevels() {
+  return EXPERIENCE_LEVELS.map((key) => ({
+    id: key,
+    name: key.charAt(0).toUpperCase() + key.slice(1),
+    ...DEFAULT_LEVEL_COMPLEXITY[key],
+  }));
+}
+
+export default {
+  DEFAULT_LEVEL_COMPLEXITY,
+  normalizeRoleKey,
+  buildDefaultLevels,
+  ensureDefaultRoles,
+  getInterviewRoles,
+  findRole,
+  checkRoleAvailability,
+  getRoleProfile,
+  pickFocusTopic,
+  getConfigRoles,
+  getExperienceLevels,
+};
@@ -0,0 +1,962 @@
+import http from "http";
+import jwt from "jsonwebtoken";
+import {WebSocketServer} from "ws";
+import User from "../models/User.model.js";
+import InterviewSession from "../models/InterviewSession.model.js";
+import * as interviewService from "./interview.service.js";
+import * as interviewStateManager from "./interview-state.service.js";
+import * as chatterboxService from "./chatterbox.service.js";
+import {transcribeAudio} from "./transcription.service.js";
+import {getAudioExtension, storeAnswerAudio} from "./interviewAudio.service.js";
+import {analyzeDelivery} from "./speechDelivery.service.js";
+import {isSessionActive} from "./authSession.service.js";
+import {
+  DEADLINE_GRACE_MS,
+  getTimingStatus,
+  isPastDeadline,
+  resolveTimeouts,
+} from "./interviewTiming.service.js";
+
+/**
+ * Live Interview Socket Service
+ * One WebSocket channel per live interview session:
+ *   ws(s)://<host>/api/interview/sessions/:sessionId/live?token=<jwt>
+ *
+ * Client -> server (JSON text frames unless noted):
+ *   {type: "start"}                                  start or rejoin the interview
+ *   {type: "audio.start", questionNumber, mimeType}  begin recording an answer
+ *   <binary frame>                                   audio data for the recording
+ *   {type: "audio.end", questionNumber}              finish the answer
+ *   {type: "skip", questionNumber}
+ *   {type: "pause"} | {type: "resume"} | {type: "complete"}
+ *
+ * Server -> client:
+ *   session.ready, session.state, question.start, question.chunk,
+ *   question.end, question.audio, question.audio.end,
+ *   question.audio.unavailable, transcript.partial, transcript.final,
+ *   evaluation, question.timeout, session.completed, error
+ *
+ * Every status change goes through the interview state machine, so HTTP
+ * endpoints and the socket can be mixed on the same session. Timed sessions
+ * get a timer per question; when it fires, whatever was recorded so far is
+ * transcribed and handled like a draft answer (see interviewTiming.service).
+ */
+
+const LIVE_PATH = /^\/api\/interview\/sessions\/([a-f\d]{24})\/live\/?$/i;
+const MAX_FRAME_BYTES = 256 * 1024;
+const MAX_ANSWER_AUDIO_BYTES = 10 * 1024 * 1024; // Same cap as voice-answer uploads
+const MIN_PARTIAL_AUDIO_BYTES = 16 * 1024;
+const PARTIAL_TRANSCRIPT_INTERVAL_MS = 3000;
+const PARTIAL_TRANSCRIPT_TIMEOUT_MS = 15000;
+const QUESTION_CHUNK_WORDS = 6;
+const TTS_CHUNK_BYTES = 32 * 1024;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MIN_ANSWER_LENGTH = 10;
+// Fire deadline timers just after the grace period so the server agrees
+const DEADLINE_TIMER_SLACK_MS = 1000;
+
+// sessionId -> channel; a session has at most one live connection
+const activeChannels = new Map();
+
+class LiveChannelError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const send = (channel, payload) => {
+  if (channel.ws.readyState === channel.ws.OPEN) {
+    channel.ws.send(JSON.stringify(payload));
+  }
+};
+
+const sendError = (channel, error) => {
+  send(channel, {
+    type: "error",
+    error: error.message || "Live interview error",
+    code: error.code || "LIVE_INTERVIEW_ERROR",
+  });
+};
+
+const rejectUpgrade = (socket, status, error) => {
+  const body = JSON.stringify({success: false, error});
+  socket.write(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+      "Connection: close\r\n" +
+      "Content-Type: application/json\r\n" +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`
+  );
+  socket.destroy();
+};
+
+/**
+ * Browsers cannot set headers on a WebSocket handshake, so the JWT is read
+ * from the `token` query parameter, with the Authorization header as an
+ * alternative for other clients.
+ */
+const authenticateUpgrade = async (req, searchParams) => {
+  const authHeader = req.headers["authorization"];
+  const token =
+    searchParams.get("token") || (authHeader && authHeader.split(" ")[1]);
+
+  if (!token) {
+    const error = new Error("Access token required");
+    error.status = 401;
+    throw error;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    const error = new Error(
+      err.name === "TokenExpiredError" ? "Token has expired" : "Invalid token"
+    );
+    error.status = 401;
+    throw error;
+  }
+
+  if (!(await isSessionActive(decoded))) {
+    const error = new Error("Session has expired or was revoked");
+    error.status = 401;
+    throw error;
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    const error = new Error("User not found");
+    error.status = 401;
+    throw error;
+  }
+
+  return user;
+};
+
+// Sessions can also change over HTTP, so every command works on a fresh copy
+const loadSession = async (channel) => {
+  const session = await InterviewSession.findById(channel.sessionId);
+  if (!session) {
+    throw new LiveChannelError("Session not found", "SESSION_NOT_FOUND");
+  }
+  return session;
+};
+
+const getProgress = (session) => {
+  const answeredCount = session.questions.filter(
+    (q) => q.userAnswer || q.skipped
+  ).length;
+  return {
+    current: answeredCount,
+    total: session.totalQuestions,
+    percentage: Math.round((answeredCount / session.totalQuestions) * 100),
+  };
+};
+
+const getOpenQuestion = (session) => {
+  const last = session.questions[session.questions.length - 1];
+  return last && !last.userAnswer && !last.skipped ? last : null;
+};
+
+const requireInProgress = (session) => {
+  if (session.status !== interviewStateManager.STATES.IN_PROGRESS) {
+    throw new LiveChannelError(
+      `Cannot continue a session with status: ${session.status}`,
+      "INVALID_SESSION_STATE"
+    );
+  }
+};
+
+const requireOpenQuestion = (session, questionNumber) => {
+  const question = getOpenQuestion(session);
+  if (!question || question.questionNumber !== Number(questionNumber)) {
+    throw new LiveChannelError(
+      "Question not found or already answered",
+      "QUESTION_NOT_OPEN"
+    );
+  }
+  return question;
+};
+
+const sendState = (channel, session) => {
+  send(channel, {
+    type: "session.state",
+    status: session.status,
+    progress: getProgress(session),
+  });
+};
+
+/**
+ * Synthesize the question with Chatterbox and send it in base64 chunks.
+ * When TTS is down the client is told to fall back to browser speech.
+ */
+const streamQuestionAudio = async (channel, question) => {
+  if (channel.ttsAvailable === undefined) {
+    channel.ttsAvailable = await chatterboxService.isAvailable();
+  }
+
+  if (!channel.ttsAvailable) {
+    send(channel, {
+      type: "question.audio.unavailable",
+      questionNumber: question.questionNumber,
+      fallback: "browser",
+    });
+    return;
+  }
+
+  try {
+    const audioBuffer = await chatterboxService.textToSpeech(
+      question.questionText
+    );
+    const chunks = Math.ceil(audioBuffer.length / TTS_CHUNK_BYTES);
+
+    for (let seq = 0; seq < chunks; seq++) {
+      send(channel, {
+        type: "question.audio",
+        questionNumber: question.questionNumber,
+        seq,
+        mimeType: "audio/wav",
+        data: audioBuffer
+          .subarray(seq * TTS_CHUNK_BYTES, (seq + 1) * TTS_CHUNK_BYTES)
+          .toString("base64"),
+      });
+    }
+
+    send(channel, {
+      type: "question.audio.end",
+      questionNumber: question.questionNumber,
+      chunks,
+      bytes: audioBuffer.length,
+    });
+  } catch (error) {
+    console.warn("⚠️ Live interview TTS failed:", error.message);
+    channel.ttsAvailable = false;
+    send(channel, {
+      type: "question.audio.unavailable",
+      questionNumber: question.questionNumber,
+      fallback: "browser",
+    });
+  }
+};
+
+const streamQuestion = async (channel, session, question) => {
+  send(channel, {
+    type: "question.start",
+    question: {
+      number: question.questionNumber,
+      type: question.questionType,
+      category: question.category,
+      isFollowUp: question.isFollowUp,
+      deadlineAt: question.deadlineAt,
+    },
+    progress: getProgress(session),
+    timing: getTimingStatus(session),
+  });
+
+  const words = question.questionText.split(/\s+/).filter(Boolean);
+  for (let i = 0; i < words.length; i += QUESTION_CHUNK_WORDS) {
+    const isLast = i + QUESTION_CHUNK_WORDS >= words.length;
+    send(channel, {
+      type: "question.chunk",
+      questionNumber: question.questionNumber,
+      text:
+        words.slice(i, i + QUESTION_CHUNK_WORDS).join(" ") +
+        (isLast ? "" : " "),
+    });
+  }
+
+  send(channel, {
+    type: "question.end",
+    questionNumber: question.questionNumber,
+    text: question.questionText,
+  });
+
+  scheduleDeadline(channel, question);
+  await streamQuestionAudio(channel, question);
+};
+
+/**
+ * Generate and stream the next question, or finish the interview when every
+ * question has been answered or skipped.
+ */
+const advance = async (channel, session) => {
+  await interviewStateManager.checkAutoComplete(session);
+
+  if (session.status === interviewStateManager.STATES.COMPLETED) {
+    send(channel, {
+      type: "session.completed",
+      progress: getProgress(session),
+      totalDurationSeconds: session.totalDurationSeconds,
+      message: "Interview completed! Generating your report...",
+    });
+    return;
+  }
+
+  // Adaptive difficulty, same thresholds as the HTTP flow
+  const recentScores = session.questions
+    .slice(-3)
+    .map((q) => q.evaluation?.score || 50);
+  const avgRecentScore = recentScores.length
+    ? recentScores.reduce((a, b) => a + b, 0) / recentScores.length
+    : 50;
+  let currentDifficulty = "medium";
+  if (avgRecentScore >= 80) currentDifficulty = "hard";
+  else if (avgRecentScore <= 40) currentDifficulty = "easy";
+
+  const questionData = await interviewService.getNextQuestion(
+    session,
+    {
+      interviewType: session.interviewType,
+      role: session.role,
+      experienceLevel: session.experienceLevel,
+      resumeText: session.resumeText,
+      jobDescription: session.jobDescription,
+      targetSkills: session.targetSkills,
+      previousQuestions: session.questions.map((q) => q.questionText),
+      previousAnswers: session.questions.map(
+        (q) => q.userAnswer || (q.skipped ? "(skipped)" : "")
+      ),
+      currentDifficulty: session.questions.length
+        ? currentDifficulty
+        : "medium",
+      questionNumber: session.questions.length + 1,
+    },
+    channel.user
+  );
+
+  const question = session.addQuestion(questionData);
+  await session.save();
+
+  await streamQuestion(channel, session, question);
+};
+
+const handleStart = async (channel) => {
+  const session = await loadSession(channel);
+  const {STATES} = interviewStateManager;
+
+  if (session.status === STATES.CREATED) {
+    await interviewStateManager.transitionTo(
+      session,
+      STATES.IN_PROGRESS,
+      "Live interview started"
+    );
+  } else if (session.status === STATES.PAUSED) {
+    await interviewStateManager.transitionTo(
+      session,
+      STATES.IN_PROGRESS,
+      "Live interview rejoined"
+    );
+  }
+  requireInProgress(session);
+
+  // The session may have been timed over HTTP before this connection
+  await resolveTimeouts(session, channel.user, {generateNext: false});
+  if (session.status === STATES.COMPLETED) {
+    await advance(channel, session);
+    return;
+  }
+  sendState(channel, session);
+
+  // Rejoining mid-question repeats the open question instead of a new one
+  const openQuestion = getOpenQuestion(session);
+  if (openQuestion) {
+    await streamQuestion(channel, session, openQuestion);
+  } else {
+    await advance(channel, session);
+  }
+};
+
+const stopPartialTranscripts = (channel) => {
+  if (channel.recording?.partialTimer) {
+    clearInterval(channel.recording.partialTimer);
+  }
+};
+
+const getAudioFileName = (recording) =>
+  `live-answer-${recording.questionNumber}.${getAudioExtension(
+    recording.mimeType
+  )}`;
+
+/**
+ * Containers from MediaRecorder are only decodable from the first chunk, so
+ * partial transcripts re-send everything recorded so far rather than deltas.
+ */
+const sendPartialTranscript = async (channel, recording) => {
+  if (
+    recording.partialInFlight ||
+    recording.bytes < MIN_PARTIAL_AUDIO_BYTES ||
+    recording.bytes === recording.lastPartialBytes
+  ) {
+    return;
+  }
+
+  recording.partialInFlight = true;
+  recording.lastPartialBytes = recording.bytes;
+
+  try {
+    const {text} = await transcribeAudio(Buffer.concat(recording.chunks), {
+      fileName: getAudioFileName(recording),
+      mimeType: recording.mimeType,
+      timeout: PARTIAL_TRANSCRIPT_TIMEOUT_MS,
+    });
+
+    // Drop results that arrive after the answer was finalized
+    if (channel.recording === recording && text) {
+      send(channel, {
+        type: "transcript.partial",
+        questionNumber: recording.questionNumber,
+        text,
+      });
+    }
+  } catch (error) {
+    console.warn("⚠️ Live partial transcription failed:", error.message);
+  } finally {
+    recording.partialInFlight = false;
+  }
+};
+
+// Audio frames must be buffered in arrival order, so this runs outside the queue
+const handleAudioStart = (channel, message) => {
+  stopPartialTranscripts(channel);
+
+  const recording = {
+    questionNumber: Number(message.questionNumber),
+    mimeType:
+      typeof message.mimeType === "string" ? message.mimeType : "audio/webm",
+    chunks: [],
+    bytes: 0,
+    lastPartialBytes: 0,
+    partialInFlight: false,
+  };
+  recording.partialTimer = setInterval(
+    () => sendPartialTranscript(channel, recording),
+    PARTIAL_TRANSCRIPT_INTERVAL_MS
+  );
+
+  channel.recording = recording;
+};
+
+const handleAudioFrame = (channel, data) => {
+  const recording = channel.recording;
+  if (!recording) {
+    sendError(
+      channel,
+      new LiveChannelError(
+        "Send audio.start before audio frames",
+        "NO_ACTIVE_RECORDING"
+      )
+    );
+    return;
+  }
+
+  if (recording.bytes + data.length > MAX_ANSWER_AUDIO_BYTES) {
+    stopPartialTranscripts(channel);
+    channel.recording = null;
+    sendError(
+      channel,
+      new LiveChannelError(
+        "Answer recording is too long. Please keep answers under 10MB of audio.",
+        "AUDIO_TOO_LARGE"
+      )
+    );
+    return;
+  }
+
+  recording.chunks.push(data);
+  recording.bytes += data.length;
+};
+
+const handleAudioEnd = async (channel, message) => {
+  const recording = channel.recording;
+  if (
+    !recording ||
+    recording.questionNumber !== Number(message.questionNumber)
+  ) {
+    throw new LiveChannelError(
+      "No recording for this question",
+      "NO_ACTIVE_RECORDING"
+    );
+  }
+
+  stopPartialTranscripts(channel);
+  channel.recording = null;
+
+  const session = await loadSession(channel);
+  requireInProgress(session);
+  const question = requireOpenQuestion(session, recording.questionNumber);
+
+  if (isPastDeadline(question)) {
+    await timeOutQuestion(channel, session, question, recording);
+    return;
+  }
+
+  if (recording.bytes === 0) {
+    throw new LiveChannelError(
+      "Audio is empty. Please record again.",
+      "EMPTY_AUDIO"
+    );
+  }
+
+  const transcription = await transcribeAudio(Buffer.concat(recording.chunks), {
+    fileName: getAudioFileName(recording),
+    mimeType: recording.mimeType,
+  });
+  const transcribedText = transcription.text.trim();
+
+  if (transcribedText.length < MIN_ANSWER_LENGTH) {
+    throw new LiveChannelError(
+      "Could not understand the audio. Please speak clearly and try again.",
+      "TRANSCRIPTION_TOO_SHORT"
+    );
+  }
+
+  send(channel, {
+    type: "transcript.final",
+    questionNumber: question.questionNumber,
+    text: transcribedText,
+    duration: transcription.duration,
+    wordCount: transcription.wordCount,
+  });
+
+  session.submitAnswer(question.questionNumber, transcribedText, "live");
+  question.transcribedText = transcribedText;
+  await storeAnswerAudio(session, question, Buffer.concat(recording.chunks), {
+    mimeType: recording.mimeType,
+    user: channel.user,
+  });
+  await session.save();
+
+  const evaluation = await interviewService.evaluateAnswer(
+    {
+      question: question.questionText,
+      answer: transcribedText,
+      questionType: question.questionType,
+      category: question.category,
+      expectedKeywords: question.expectedKeywords,
+      role: session.role,
+      experienceLevel: session.experienceLevel,
+      referenceAnswer: question.referenceAnswer,
+      rubric: question.rubric,
+    },
+    channel.user
+  );
+
+  const delivery = analyzeDelivery({
+    text: transcribedText,
+    durationSeconds: transcription.duration,
+    segments: transcription.segments,
+    timeSpentSeconds: question.timeSpentSeconds,
+  });
+
+  session.addEvaluation(question.questionNumber, {
+    score: evaluation.score,
+    relevance: evaluation.relevance,
+    technicalAccuracy: evaluation.technicalAccuracy,
+    clarity: evaluation.clarity,
+    confidence: evaluation.confidence,
+    roleFit: evaluation.roleFit,
+    strengths: evaluation.strengths,
+    weaknesses: evaluation.weaknesses,
+    missingKeywords: evaluation.missingKeywords,
+    suggestedAnswer: evaluation.suggestedAnswer,
+    improvementTips: evaluation.improvementTips,
+    feedback: evaluation.feedback,
+    rubricScores: evaluation.rubricScores,
+    delivery,
+  });
+  await session.save();
+
+  send(channel, {
+    type: "evaluation",
+    questionNumber: question.questionNumber,
+    evaluation: {
+      score: evaluation.score,
+      feedback: evaluation.feedback,
+      strengths: evaluation.strengths,
+      weaknesses: evaluation.weaknesses,
+      improvementTips: evaluation.improvementTips,
+      rubricScores: evaluation.rubricScores,
+      delivery,
+    },
+    progress: getProgress(session),
+  });
+
+  await advance(channel, session);
+};
+
+const handleSkip = async (channel, message) => {
+  const session = await loadSession(channel);
+
+  const skip = interviewService.skipQuestion(session, message.questionNumber);
+  if (skip.error) {
+    throw new LiveChannelError(skip.error, skip.code);
+  }
+
+  if (channel.recording?.questionNumber === skip.question.questionNumber) {
+    stopPartialTranscripts(channel);
+    channel.recording = null;
+  }
+  await session.save();
+
+  sendState(channel, session);
+  await advance(channel, session);
+};
+
+const handleTransition = async (channel, nextState, reason) => {
+  const session = await loadSession(channel);
+
+  try {
+    await interviewStateManager.transitionTo(session, nextState, reason);
+  } catch (error) {
+    throw new LiveChannelError(error.message, "INVALID_SESSION_STATE");
+  }
+
+  if (nextState !== interviewStateManager.STATES.IN_PROGRESS) {
+    stopPartialTranscripts(channel);
+    channel.recording = null;
+    clearDeadline(channel);
+  } else {
+    // Resuming pushed the deadline back by the time spent paused
+    const openQuestion = getOpenQuestion(session);
+    if (openQuestion) scheduleDeadline(channel, openQuestion);
+  }
+
+  if (nextState === interviewStateManager.STATES.COMPLETED) {
+    send(channel, {
+      type: "session.completed",
+      progress: getProgress(session),
+      totalDurationSeconds: session.totalDurationSeconds,
+      message: "Interview completed! Generating your report...",
+    });
+    return;
+  }
+
+  sendState(channel, session);
+};
+
+/**
+ * Time ran out on the open question. The recording so far is transcribed
+ * into the draft answer, then the session's timeout action applies.
+ */
+const timeOutQuestion = async (channel, session, question, recording) => {
+  if (recording?.bytes > 0) {
+    try {
+      const {text} = await transcribeAudio(Buffer.concat(recording.chunks), {
+        fileName: getAudioFileName(recording),
+        mimeType: recording.mimeType,
+      });
+      if (text?.trim()) {
+        question.draftAnswer = text.trim();
+        question.answerMode = "live";
+        question.transcribedText = text.trim();
+        await storeAnswerAudio(
+          session,
+          question,
+          Buffer.concat(recording.chunks),
+          {mimeType: recording.mimeType, user: channel.user}
+        );
+      }
+    } catch (error) {
+      console.warn("⚠️ Live timeout transcription failed:", error.message);
+    }
+  }
+
+  const {timedOut} = await resolveTimeouts(session, channel.user, {
+    generateNext: false,
+  });
+  if (!timedOut.includes(question.questionNumber)) return;
+
+  send(channel, {
+    type: "question.timeout",
+    questionNumber: question.questionNumber,
+    action: question.skipped ? "skipped" : "submitted",
+    answer: question.userAnswer || null,
+    evaluation: {
+      score: question.evaluation?.score || 0,
+      feedback: question.evaluation?.feedback,
+      strengths: question.evaluation?.strengths,
+      weaknesses: question.evaluation?.weaknesses,
+      improvementTips: question.evaluation?.improvementTips,
+      rubricScores: question.evaluation?.rubricScores,
+    },
+    progress: getProgress(session),
+  });
+
+  await advance(channel, session);
+};
+
+const handleDeadline = async (channel, questionNumber) => {
+  const session = await loadSession(channel);
+  if (session.status !== interviewStateManager.STATES.IN_PROGRESS) return;
+
+  // Answered or skipped before the timer fired
+  const question = getOpenQuestion(session);
+  if (!question || question.questionNumber !== questionNumber) return;
+
+  // A resume over HTTP may have moved the deadline
+  if (!isPastDeadline(question)) {
+    scheduleDeadline(channel, question);
+    return;
+  }
+
+  let recording = null;
+  if (channel.recording?.questionNumber === questionNumber) {
+    recording = channel.recording;
+    stopPartialTranscripts(channel);
+    channel.recording = null;
+  }
+
+  await timeOutQuestion(channel, session, question, recording);
+};
+
+const clearDeadline = (channel) => {
+  if (channel.deadlineTimer) {
+    clearTimeout(channel.deadlineTimer);
+    channel.deadlineTimer = null;
+  }
+};
+
+const scheduleDeadline = (channel, question) => {
+  clearDeadline(channel);
+  if (!question.deadlineAt) return;
+
+  const firesAt =
+    question.deadlineAt.getTime() + DEADLINE_GRACE_MS + DEADLINE_TIMER_SLACK_MS;
+  const delay = Math.max(firesAt - Date.now(), 0);
+
+  channel.deadlineTimer = setTimeout(() => {
+    channel.deadlineTimer = null;
+    enqueue(channel, "timeout", () =>
+      handleDeadline(channel, question.questionNumber)
+    );
+  }, delay);
+};
+
+const COMMANDS = {
+  start: handleStart,
+  "audio.end": handleAudioEnd,
+  skip: handleSkip,
+  pause: (channel) =>
+    handleTransition(
+      channel,
+      interviewStateManager.STATES.PAUSED,
+      "Live interview paused"
+    ),
+  resume: (channel) =>
+    handleTransition(
+      channel,
+      interviewStateManager.STATES.IN_PROGRESS,
+      "Live interview resumed"
+    ),
+  complete: (channel) =>
+    handleTransition(
+      channel,
+      interviewStateManager.STATES.COMPLETED,
+      "Live interview ended by user"
+    ),
+};
+
+const handleMessage = (channel, data, isBinary) => {
+  if (isBinary) {
+    handleAudioFrame(channel, data);
+    return;
+  }
+
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch {
+    sendError(
+      channel,
+      new LiveChannelError("Messages must be valid JSON", "INVALID_MESSAGE")
+    );
+    return;
+  }
+
+  if (message?.type === "audio.start") {
+    handleAudioStart(channel, message);
+    return;
+  }
+
+  const command = COMMANDS[message?.type];
+  if (!command) {
+    sendError(
+      channel,
+      new LiveChannelError(
+        `Unknown message type: ${message?.type}`,
+        "INVALID_MESSAGE"
+      )
+    );
+    return;
+  }
+
+  enqueue(channel, message.type, () => command(channel, message));
+};
+
+// AI calls take seconds; commands run one at a time in arrival order
+const enqueue = (channel, type, run) => {
+  channel.queue = channel.queue.then(run).catch((error) => {
+    if (error instanceof LiveChannelError) {
+      sendError(channel, error);
+      return;
+    }
+
+    console.error("❌ Live interview error:", error);
+    // Errors with a status come from the voice service and are user-facing
+    sendError(
+      channel,
+      error.status
+        ? new LiveChannelError(error.message, "TRANSCRIPTION_FAILED")
+        : new LiveChannelError(
+            `Failed to process ${type} request`,
+            "LIVE_INTERVIEW_ERROR"
+          )
+    );
+  });
+};
+
+/**
+ * A dropped connection pauses the interview so time away is not counted
+ */
+const handleClose = async (channel) => {
+  stopPartialTranscripts(channel);
+  channel.recording = null;
+  clearDeadline(channel);
+
+  if (activeChannels.get(channel.sessionId) === channel) {
+    activeChannels.delete(channel.sessionId);
+  }
+  if (channel.replaced) return;
+
+  try {
+    await channel.queue;
+    const session = await loadSession(channel);
+    if (session.status === interviewStateManager.STATES.IN_PROGRESS) {
+      await interviewStateManager.transitionTo(
+        session,
+        interviewStateManager.STATES.PAUSED,
+        "Live connection closed"
+      );
+    }
+  } catch (error) {
+    console.error("❌ Live interview close error:", error.message);
+  }
+
+  console.log(`🔌 Live interview disconnected: ${channel.sessionId}`);
+};
+
+const openChannel = (ws, session, user) => {
+  const sessionId = session._id.toString();
+
+  const previous = activeChannels.get(sessionId);
+  if (previous) {
+    previous.replaced = true;
+    previous.ws.close(4000, "Replaced by a new connection");
+  }
+
+  const channel = {
+    ws,
+    sessionId,
+    user,
+    recording: null,
+    ttsAvailable: undefined,
+    deadlineTimer: null,
+    replaced: false,
+    queue: Promise.resolve(),
+  };
+  activeChannels.set(sessionId, channel);
+
+  ws.isAlive = true;
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
+  ws.on("message", (data, isBinary) => handleMessage(channel, data, isBinary));
+  ws.on("close", () => handleClose(channel));
+  ws.on("error", (error) => {
+    console.error("❌ Live interview socket error:", error.message);
+  });
+
+  console.log(`🔌 Live interview connected: ${sessionId} (user ${user._id})`);
+
+  send(channel, {
+    type: "session.ready",
+    sessionId,
+    status: session.status,
+    totalQuestions: session.totalQuestions,
+    progress: getProgress(session),
+  });
+};
+
+/**
+ * Attach the live interview WebSocket endpoint to the HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {WebSocketServer}
+ */
+export function attachInterviewSocket(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_FRAME_BYTES,
+  });
+
+  server.on("upgrade", async (req, socket, head) => {
+    const {pathname, searchParams} = new URL(req.url, "http://localhost");
+    const match = pathname.match(LIVE_PATH);
+    if (!match) {
+      rejectUpgrade(socket, 404, "Not found");
+      return;
+    }
+
+    try {
+      const user = await authenticateUpgrade(req, searchParams);
+      const session = await InterviewSession.findOne({
+        _id: match[1],
+        userId: user._id,
+      });
+
+      if (!session) {
+        rejectUpgrade(socket, 404, "Session not found");
+        return;
+      }
+      if (session.mode !== "live") {
+        rejectUpgrade(socket, 400, "Session is not in live mode");
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) =>
+        openChannel(ws, session, user)
+      );
+    } catch (error) {
+      if (!error.status) {
+        console.error("❌ Live interview upgrade error:", error);
+      }
+      rejectUpgrade(
+        socket,
+        error.status || 500,
+        error.status ? error.message : "Failed to open live interview"
+      );
+    }
+  });
+
+  // Terminate connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on("close", () => clearInterval(heartbeat));
+  server.on("close", () => wss.close());
+
+  console.log(
+    "🔌 Live interview WebSocket ready on /api/interview/sessions/:sessionId/live"
+  );
+
+  return wss;
+}
+
+export default {attachInterviewSocket};
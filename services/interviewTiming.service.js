@@ -0,0 +1,346 @@
+import InterviewSession from "../models/InterviewSession.model.js";
+import * as interviewService from "./interview.service.js";
+import {
+  STATES,
+  transitionTo,
+  checkAutoComplete,
+} from "./interview-state.service.js";
+import {runSubmissionTests} from "./codingQuestion.service.js";
+
+/**
+ * Interview Timing Service
+ * Timed interviews give each question (or the whole interview) a deadline.
+ * Deadlines are enforced on the server: whenever a timed session is touched,
+ * expired questions are auto-submitted from their saved draft or skipped,
+ * and a session past its total limit is completed. The cleanup job sweeps
+ * sessions nobody comes back to.
+ */
+
+export const TIMING_POLICIES = ["none", "per-question", "total"];
+export const TIMEOUT_ACTIONS = ["skip", "submit"];
+
+export const TIMING_LIMITS = {
+  questionTimeLimitSeconds: {min: 30, max: 1800, default: 180},
+  totalTimeLimitSeconds: {min: 300, max: 10800, default: 1800},
+};
+
+// Answers sent just before the deadline are still accepted
+export const DEADLINE_GRACE_MS = 5000;
+
+// The sweep leaves recent deadlines to the request or live connection
+const SWEEP_DELAY_MS = 60 * 1000;
+
+/**
+ * Validate and normalize a timing policy from the create-session request
+ * @param {Object} input - {policy, questionTimeLimitSeconds, totalTimeLimitSeconds, onTimeout}
+ * @returns {Object} {timing} or {error}
+ */
+export function buildTimingPolicy(input = {}) {
+  const {policy = "none", onTimeout = "submit"} = input || {};
+
+  if (!TIMING_POLICIES.includes(policy)) {
+    return {
+      error: `Invalid timing policy. Must be one of: ${TIMING_POLICIES.join(
+        ", "
+      )}`,
+    };
+  }
+  if (policy === "none") {
+    return {timing: {policy}};
+  }
+
+  if (!TIMEOUT_ACTIONS.includes(onTimeout)) {
+    return {
+      error: `Invalid timeout action. Must be one of: ${TIMEOUT_ACTIONS.join(
+        ", "
+      )}`,
+    };
+  }
+
+  const field =
+    policy === "per-question"
+      ? "questionTimeLimitSeconds"
+      : "totalTimeLimitSeconds";
+  const {min, max} = TIMING_LIMITS[field];
+  const seconds = Number(input[field] ?? TIMING_LIMITS[field].default);
+
+  if (!Number.isInteger(seconds) || seconds < min || seconds > max) {
+    return {error: `${field} must be between ${min} and ${max} seconds`};
+  }
+
+  return {timing: {policy, onTimeout, [field]: seconds}};
+}
+
+/**
+ * Whether a question's deadline has passed (including the grace period)
+ * @param {Object} question - Session question
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isPastDeadline(question, now = new Date()) {
+  return Boolean(
+    question?.deadlineAt && now - question.deadlineAt > DEADLINE_GRACE_MS
+  );
+}
+
+const getOpenQuestion = (session) =>
+  session.questions.find((q) => !q.userAnswer && !q.skipped) || null;
+
+const secondsUntil = (date, now) =>
+  date ? Math.max(0, Math.ceil((date - now) / 1000)) : null;
+
+/**
+ * Remaining time for API responses, or null for untimed sessions
+ * @param {Object} session - Interview session
+ * @returns {Object|null}
+ */
+export function getTimingStatus(session) {
+  const timing = session.timing;
+  if (!timing || timing.policy === "none") return null;
+
+  const now = new Date();
+  const openQuestion = getOpenQuestion(session);
+
+  return {
+    policy: timing.policy,
+    onTimeout: timing.onTimeout,
+    questionTimeLimitSeconds: timing.questionTimeLimitSeconds,
+    totalTimeLimitSeconds: timing.totalTimeLimitSeconds,
+    deadlineAt: timing.deadlineAt || null,
+    remainingSeconds: secondsUntil(timing.deadlineAt, now),
+    questionNumber: openQuestion?.questionNumber || null,
+    questionDeadlineAt: openQuestion?.deadlineAt || null,
+    questionRemainingSeconds: secondsUntil(openQuestion?.deadlineAt, now),
+    // Clocks are stopped while paused
+    isRunning: session.status === STATES.IN_PROGRESS,
+  };
+}
+
+/**
+ * Resolve a question whose time ran out: submit the draft answer when the
+ * policy allows it, otherwise skip it. Time spent is capped at the deadline.
+ */
+const timeOutQuestion = async (session, question, user) => {
+  const draft = question.draftAnswer?.trim() || "";
+
+  if (session.timing.onTimeout === "submit" && draft) {
+    const isCoding = question.questionType === "coding";
+    session.submitAnswer(
+      question.questionNumber,
+      draft,
+      isCoding ? "code" : question.answerMode
+    );
+
+    try {
+      // Code drafts are graded on the tests like a normal submission
+      const codeExecution = isCoding
+        ? await runSubmissionTests(question, draft)
+        : null;
+
+      const evaluation = await interviewService.evaluateAnswer(
+        {
+          question: question.questionText,
+          answer: draft,
+          questionType: question.questionType,
+          category: question.category,
+          expectedKeywords: question.expectedKeywords,
+          role: session.role,
+          experienceLevel: session.experienceLevel,
+          referenceAnswer: question.referenceAnswer,
+          rubric: question.rubric,
+          language: question.coding?.language,
+          codeExecution,
+          testCases: question.coding?.testCases,
+        },
+        user
+      );
+
+      session.addEvaluation(question.questionNumber, {
+        score: evaluation.score,
+        relevance: evaluation.relevance,
+        technicalAccuracy: evaluation.technicalAccuracy,
+        clarity: evaluation.clarity,
+        confidence: evaluation.confidence,
+        roleFit: evaluation.roleFit,
+        strengths: evaluation.strengths,
+        weaknesses: evaluation.weaknesses,
+        missingKeywords: evaluation.missingKeywords,
+        suggestedAnswer: evaluation.suggestedAnswer,
+        improvementTips: evaluation.improvementTips,
+        feedback: evaluation.feedback,
+        rubricScores: evaluation.rubricScores,
+        testPassRate: evaluation.testPassRate,
+        codeQualityScore: evaluation.codeQualityScore,
+        designScores: evaluation.designScores,
+      });
+    } catch (error) {
+      // Keep the answer; the report still covers it
+      console.error("❌ Timed-out answer evaluation error:", error.message);
+      question.evaluation = {
+        score: 0,
+        feedback: "Time limit reached. Your answer was saved but not scored.",
+      };
+    }
+  } else {
+    question.skipped = true;
+    question.evaluation = {
+      score: 0,
+      feedback: "Time limit reached - question skipped",
+    };
+  }
+
+  question.timedOut = true;
+  question.answeredAt = question.deadlineAt;
+  if (question.startedAt) {
+    question.timeSpentSeconds = Math.max(
+      0,
+      Math.round((question.deadlineAt - question.startedAt) / 1000)
+    );
+  }
+};
+
+const askNextQuestion = async (session, user) => {
+  const questionData = await interviewService.getNextQuestion(
+    session,
+    {
+      interviewType: session.interviewType,
+      role: session.role,
+      experienceLevel: session.experienceLevel,
+      resumeText: session.resumeText,
+      jobDescription: session.jobDescription,
+      targetSkills: session.targetSkills,
+      previousQuestions: session.questions.map((q) => q.questionText),
+      previousAnswers: session.questions.map(
+        (q) => q.userAnswer || "(skipped)"
+      ),
+      currentDifficulty: "medium",
+      questionNumber: session.questions.length + 1,
+    },
+    user
+  );
+
+  return session.addQuestion(questionData);
+};
+
+/**
+ * Enforce the session's time limits. Expired questions are resolved with the
+ * timeout action, a session past its total limit is completed, and the next
+ * question is asked when the interview continues.
+ * @param {Object} session - InterviewSession document
+ * @param {Object} user - User object (for AI calls)
+ * @param {Object} options
+ * @param {boolean} options.generateNext - Ask the next question (false for the sweep)
+ * @returns {Promise<Object>} {timedOut: [questionNumber], nextQuestion, isComplete}
+ */
+export async function resolveTimeouts(
+  session,
+  user,
+  {generateNext = true} = {}
+) {
+  const result = {timedOut: [], nextQuestion: null, isComplete: false};
+
+  // Paused sessions keep their remaining time
+  if (
+    !session.timing ||
+    session.timing.policy === "none" ||
+    session.status !== STATES.IN_PROGRESS
+  ) {
+    return result;
+  }
+
+  const now = new Date();
+  const expired = session.questions.filter(
+    (q) => !q.userAnswer && !q.skipped && isPastDeadline(q, now)
+  );
+
+  for (const question of expired) {
+    await timeOutQuestion(session, question, user);
+    result.timedOut.push(question.questionNumber);
+  }
+
+  if (
+    session.timing.policy === "total" &&
+    isPastDeadline({deadlineAt: session.timing.deadlineAt}, now)
+  ) {
+    await transitionTo(
+      session,
+      STATES.COMPLETED,
+      "Interview time limit reached"
+    );
+  } else if (expired.length > 0) {
+    await checkAutoComplete(session, "Auto-completed after time limit");
+  }
+
+  // The last question timed out (now or in the sweep) and wasn't replaced
+  const lastQuestion = session.questions[session.questions.length - 1];
+  if (
+    generateNext &&
+    session.status === STATES.IN_PROGRESS &&
+    lastQuestion?.timedOut
+  ) {
+    result.nextQuestion = await askNextQuestion(session, user);
+  }
+
+  if (expired.length > 0 || result.nextQuestion) {
+    await session.save();
+  }
+
+  if (expired.length > 0) {
+    console.log(
+      `⏱️ Interview ${session._id}: time limit reached for question(s) ${result.timedOut.join(
+        ", "
+      )}`
+    );
+  }
+
+  result.isComplete = session.status === STATES.COMPLETED;
+  return result;
+}
+
+/**
+ * Resolve expired deadlines of timed sessions nobody is interacting with.
+ * The next question is asked when the candidate comes back.
+ * @returns {Promise<number>} Number of sessions updated
+ */
+export async function sweepExpiredDeadlines() {
+  const cutoff = new Date(Date.now() - SWEEP_DELAY_MS);
+
+  const sessions = await InterviewSession.find({
+    status: STATES.IN_PROGRESS,
+    "timing.policy": {$in: ["per-question", "total"]},
+    $or: [
+      {
+        questions: {
+          $elemMatch: {
+            deadlineAt: {$lte: cutoff},
+            userAnswer: "",
+            skipped: false,
+          },
+        },
+      },
+      {"timing.deadlineAt": {$lte: cutoff}},
+    ],
+  });
+
+  for (const session of sessions) {
+    // Evaluations only need the id for usage logging
+    await resolveTimeouts(
+      session,
+      {_id: session.userId},
+      {generateNext: false}
+    );
+  }
+
+  return sessions.length;
+}
+
+export default {
+  TIMING_POLICIES,
+  TIMEOUT_ACTIONS,
+  TIMING_LIMITS,
+  buildTimingPolicy,
+  isPastDeadline,
+  getTimingStatus,
+  resolveTimeouts,
+  sweepExpiredDeadlines,
+};
@@ -0,0 +1,237 @@
+import mongoose from "mongoose";
+import JobApplication from "../models/JobApplication.model.js";
+import User from "../models/User.model.js";
+import {sendApplicationReminderEmail} from "./email.service.js";
+
+/**
+ * Job Application Service
+ * Status pipeline, funnel statistics and follow-up reminder delivery for
+ * the job application tracker.
+ */
+
+// Pipeline stages in order
+export const STATUSES = {
+  SAVED: "saved",
+  APPLIED: "applied",
+  INTERVIEWING: "interviewing",
+  OFFER: "offer",
+  REJECTED: "rejected",
+};
+
+// Transition matrix: allowed moves from a status
+const VALID_TRANSITIONS = {
+  [STATUSES.SAVED]: [STATUSES.APPLIED, STATUSES.REJECTED],
+  [STATUSES.APPLIED]: [
+    STATUSES.INTERVIEWING,
+    STATUSES.OFFER,
+    STATUSES.REJECTED,
+  ],
+  [STATUSES.INTERVIEWING]: [STATUSES.OFFER, STATUSES.REJECTED],
+  [STATUSES.OFFER]: [],
+  [STATUSES.REJECTED]: [],
+};
+
+// Stages counted in the funnel, in order
+const FUNNEL_STAGES = [
+  STATUSES.SAVED,
+  STATUSES.APPLIED,
+  STATUSES.INTERVIEWING,
+  STATUSES.OFFER,
+];
+
+export const canTransition = (currentStatus, nextStatus) => {
+  const allowed = VALID_TRANSITIONS[currentStatus] || [];
+  return allowed.includes(nextStatus);
+};
+
+export const getAllowedTransitions = (currentStatus) =>
+  VALID_TRANSITIONS[currentStatus] || [];
+
+/**
+ * Move an application to a new status and record it in statusHistory.
+ * Does not save the document.
+ * @param {Object} application - JobApplication document
+ * @param {string} nextStatus - Target status
+ * @param {string} note - Optional note for the history entry
+ */
+export const transitionTo = (application, nextStatus, note = "") => {
+  const currentStatus = application.status;
+
+  if (!canTransition(currentStatus, nextStatus)) {
+    const error = new Error(
+      `Invalid status change: Cannot move from '${currentStatus}' to '${nextStatus}'`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (nextStatus === STATUSES.APPLIED && !application.appliedAt) {
+    application.appliedAt = new Date();
+  }
+
+  application.status = nextStatus;
+  application.statusHistory.push({
+    from: currentStatus,
+    to: nextStatus,
+    note,
+    changedAt: new Date(),
+  });
+
+  return application;
+};
+
+/**
+ * Every status an application has been in (current status and history)
+ */
+const getReachedStatuses = (application) =>
+  new Set([
+    STATUSES.SAVED,
+    application.status,
+    ...(application.statusHistory || []).map((entry) => entry.to),
+  ]);
+
+const toRate = (numerator, denominator) =>
+  denominator > 0 ? Math.round((numerator / denominator) * 1000) / 10 : 0;
+
+const average = (values) =>
+  values.length > 0
+    ? Math.round(
+        (values.reduce((sum, value) => sum + value, 0) / values.length) * 10
+      ) / 10
+    : null;
+
+/**
+ * Per-user funnel statistics
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>}
+ */
+export const getFunnelStats = async (userId) => {
+  const applications = await JobApplication.find({
+    userId: new mongoose.Types.ObjectId(String(userId)),
+  })
+    .select("status statusHistory.to atsScore.score appliedAt")
+    .lean();
+
+  const byStatus = Object.fromEntries(
+    Object.values(STATUSES).map((status) => [status, 0])
+  );
+  const reached = Object.fromEntries(FUNNEL_STAGES.map((stage) => [stage, 0]));
+  const atsScores = {applied: [], interviewing: [], offer: []};
+
+  applications.forEach((application) => {
+    byStatus[application.status] += 1;
+
+    const statuses = getReachedStatuses(application);
+    FUNNEL_STAGES.forEach((stage) => {
+      if (statuses.has(stage)) reached[stage] += 1;
+    });
+
+    const score = application.atsScore?.score;
+    if (typeof score === "number") {
+      Object.keys(atsScores).forEach((stage) => {
+        if (statuses.has(stage)) atsScores[stage].push(score);
+      });
+    }
+  });
+
+  // Submitted applications that got any answer (interview, offer or rejection)
+  const responded = applications.filter((application) => {
+    const statuses = getReachedStatuses(application);
+    return (
+      statuses.has(STATUSES.APPLIED) &&
+      (statuses.has(STATUSES.INTERVIEWING) ||
+        statuses.has(STATUSES.OFFER) ||
+        application.status === STATUSES.REJECTED)
+    );
+  }).length;
+
+  return {
+    total: applications.length,
+    byStatus,
+    funnel: FUNNEL_STAGES.map((stage) => ({stage, count: reached[stage]})),
+    conversion: {
+      savedToApplied: toRate(reached.applied, reached.saved),
+      appliedToInterview: toRate(reached.interviewing, reached.applied),
+      interviewToOffer: toRate(reached.offer, reached.interviewing),
+      appliedToOffer: toRate(reached.offer, reached.applied),
+    },
+    responseRate: toRate(responded, reached.applied),
+    averageAtsScore: {
+      applied: average(atsScores.applied),
+      interviewing: average(atsScores.interviewing),
+      offer: average(atsScores.offer),
+    },
+  };
+};
+
+/**
+ * Email every due, undelivered follow-up reminder
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const processDueReminders = async () => {
+  const now = new Date();
+  const applications = await JobApplication.find({
+    reminders: {
+      $elemMatch: {dueAt: {$lte: now}, done: false, notifiedAt: null},
+    },
+  });
+
+  let sent = 0;
+
+  for (const application of applications) {
+    const user = await User.findById(application.userId).select("name email");
+    if (!user) continue;
+
+    const dueReminders = application.reminders.filter(
+      (reminder) =>
+        reminder.dueAt <= now && !reminder.done && !reminder.notifiedAt
+    );
+
+    for (const reminder of dueReminders) {
+      const delivered = await sendApplicationReminderEmail(
+        user.email,
+        user.name,
+        application,
+        reminder
+      );
+
+      // Mark as notified even if email is not configured so the job does not
+      // retry forever; reminders stay visible in GET /api/applications/reminders
+      reminder.notifiedAt = now;
+      if (delivered) sent += 1;
+    }
+
+    await application.save();
+  }
+
+  return sent;
+};
+
+/**
+ * Send due follow-up reminders every 15 minutes
+ */
+export const startReminderJob = () => {
+  setInterval(
+    async () => {
+      try {
+        const sent = await processDueReminders();
+        if (sent > 0) {
+          console.log(`⏰ Sent ${sent} job application reminder(s)`);
+        }
+      } catch (error) {
+        console.error("❌ Error in job application reminder job:", error);
+      }
+    },
+    15 * 60 * 1000
+  );
+};
+
+export default {
+  STATUSES,
+  canTransition,
+  getAllowedTransitions,
+  transitionTo,
+  getFunnelStats,
+  processDueReminders,
+  startReminderJob,
+};
@@ -0,0 +1,283 @@
+import OpenAI from "openai";
+
+/**
+ * Local AI Service
+ * Implements the AI provider contract against any OpenAI-compatible
+ * chat completions endpoint (Ollama, vLLM, LM Studio, llama.cpp server).
+ *
+ * Configure with:
+ *   LOCAL_AI_BASE_URL - e.g. http://localhost:11434/v1
+ *   LOCAL_AI_MODEL    - e.g. llama3.1:8b
+ *   LOCAL_AI_API_KEY  - optional, most local servers ignore it
+ */
+
+const BASE_URL = process.env.LOCAL_AI_BASE_URL?.trim() || null;
+const MODEL = process.env.LOCAL_AI_MODEL?.trim() || "llama3.1";
+const TIMEOUT_MS = Number(process.env.LOCAL_AI_TIMEOUT_MS) || 60000;
+
+const client = BASE_URL
+  ? new OpenAI({
+      baseURL: BASE_URL,
+      apiKey: process.env.LOCAL_AI_API_KEY || "local",
+      timeout: TIMEOUT_MS,
+      maxRetries: 1,
+    })
+  : null;
+
+export const isConfigured = () => Boolean(client);
+
+function ensureConfigured() {
+  if (!client) {
+    throw new Error(
+      "Local AI endpoint is not configured (LOCAL_AI_BASE_URL missing)"
+    );
+  }
+}
+
+/**
+ * Extract token usage from an OpenAI-compatible response
+ * @param {Object} completion - Chat completion response
+ * @returns {Object} Token usage information
+ */
+function extractTokenUsage(completion) {
+  const usage = completion?.usage || {};
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    candidatesTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0,
+  };
+}
+
+/**
+ * Strip markdown code fences that local models often add around JSON
+ * @param {string} text - Raw model output
+ * @returns {string} Clean text
+ */
+function stripCodeFences(text = "") {
+  return text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "")
+    .trim();
+}
+
+async function complete(systemPrompt, userPrompt, options = {}) {
+  ensureConfigured();
+
+  const {temperature = 0.4, maxTokens = 2048, json = false} = options;
+
+  const completion = await client.chat.completions.create({
+    model: MODEL,
+    messages: [
+      {role: "system", content: systemPrompt},
+      {role: "user", content: userPrompt},
+    ],
+    temperature,
+    max_tokens: maxTokens,
+    ...(json && {response_format: {type: "json_object"}}),
+  });
+
+  return {
+    text: completion.choices?.[0]?.message?.content || "",
+    tokenUsage: extractTokenUsage(completion),
+    // Self-hosted models have no per-token price
+    cost: {amount: 0, amountINR: 0, currency: "USD"},
+  };
+}
+
+async function completeJSON(systemPrompt, userPrompt, options = {}) {
+  const result = await complete(systemPrompt, userPrompt, {
+    ...options,
+    json: true,
+  });
+
+  try {
+    return {...result, data: JSON.parse(stripCodeFences(result.text))};
+  } catch (error) {
+    throw new Error(`Local AI returned invalid JSON: ${error.message}`);
+  }
+}
+
+const RESUME_JSON_SHAPE = `{
+  "name": "", "contact": {"email": "", "phone": "", "linkedin": "", "github": "", "portfolio": "", "location": ""},
+  "summary": "",
+  "skills": [{"category": "", "items": [""]}],
+  "experience": [{"company": "", "title": "", "location": "", "startDate": "", "endDate": "", "current": false, "bullets": [""]}],
+  "education": [{"institution": "", "degree": "", "field": "", "location": "", "startDate": "", "endDate": "", "gpa": "", "bullets": [""]}],
+  "projects": [{"name": "", "description": "", "technologies": [""], "link": "", "bullets": [""]}],
+  "certifications": [{"name": "", "issuer": "", "date": "", "credentialId": "", "link": ""}]
+}`;
+
+/**
+ * Parse raw resume text into structured JSON
+ * @param {string} resumeText - Raw extracted text from resume
+ * @returns {Promise<Object>} - {data, tokenUsage, cost}
+ */
+export async function parseResumeWithAI(resumeText) {
+  const {data, tokenUsage, cost} = await completeJSON(
+    "You are an expert resume parser. Respond with JSON only.",
+    `Extract the resume below into exactly this JSON shape. Use "Month YYYY" dates and empty strings/arrays for missing data.\n\n${RESUME_JSON_SHAPE}\n\nResume Text:\n${resumeText}`,
+    {temperature: 0.1, maxTokens: 4096}
+  );
+
+  return {data, tokenUsage, cost};
+}
+
+/**
+ * Enhance a resume section to be more ATS-friendly
+ * @returns {Promise<Object>} - {data, tokenUsage, cost}
+ */
+export async function enhanceContentWithAI(
+  content,
+  sectionType,
+  resumeData = {},
+  customPrompt = ""
+) {
+  const isList = Array.isArray(content);
+  const {data, tokenUsage, cost} = await completeJSON(
+    "You are an expert resume writer specializing in ATS optimization. Never invent experience, metrics or achievements. Respond with JSON only.",
+    `Rewrite this ${sectionType} content with strong action verbs, no personal pronouns and concise wording (bullets max 15 words, summary max 50 words).
+${customPrompt ? `Additional instructions: ${customPrompt}\n` : ""}
+Candidate: ${resumeData?.name || "Unknown"}
+Content:
+${isList ? JSON.stringify(content) : content}
+
+Return {"enhanced": ${isList ? '["bullet", ...]' : '"text"'}}`
+  );
+
+  return {data: data.enhanced ?? data, tokenUsage, cost};
+}
+
+/**
+ * Generate a professional summary
+ * @param {Object} resumeData - Structured resume data
+ * @returns {Promise<Object>} - {data, tokenUsage, cost}
+ */
+export async function generateSummaryWithAI(resumeData) {
+  const {text, tokenUsage, cost} = await complete(
+    "You are an expert resume writer. Reply with the summary text only.",
+    `Write a 2-3 sentence professional summary (max 50 words, no personal pronouns) for this resume:\n${JSON.stringify(
+      {
+        experience: resumeData?.experience,
+        skills: resumeData?.skills,
+        education: resumeData?.education,
+      }
+    )}`,
+    {temperature: 0.6, maxTokens: 300}
+  );
+
+  return {data: text.trim(), tokenUsage, cost};
+}
+
+/**
+ * Group free-text skills into categories
+ * @param {string} skillsText - Skills text
+ * @returns {Promise<Object>} - {data, tokenUsage, cost}
+ */
+export async function categorizeSkillsWithAI(skillsText) {
+  const {data, tokenUsage, cost} = await completeJSON(
+    "You organize resume skills into categories. Respond with JSON only.",
+    `Group these skills into sensible categories (e.g. Languages, Frameworks, Tools, Soft Skills). Keep original spelling.\n\nSkills:\n${skillsText}\n\nReturn {"skills": [{"category": "", "items": [""]}]}`,
+    {temperature: 0.2, maxTokens: 1024}
+  );
+
+  return {data: data.skills || [], tokenUsage, cost};
+}
+
+/**
+ * Analyze how well a resume matches a job description
+ * @returns {Promise<Object>} - {data, tokenUsage, cost}
+ */
+export async function analyzeResumeJobMatch(resumeText, jobDescription) {
+  const {data, tokenUsage, cost} = await completeJSON(
+    "You are an ATS analyzer and career coach. Be realistic. Respond with JSON only.",
+    `Score how well the resume matches the job (keywords 40%, skills 30%, experience 20%, education 10%).
+
+JOB DESCRIPTION:
+${jobDescription}
+
+RESUME:
+${resumeText}
+
+Return {"match_score": 0-100, "eligible": boolean (score >= 60), "missing_keywords": [], "present_keywords": [], "strengths": [], "improvements": []}`,
+    {temperature: 0.2, maxTokens: 1500}
+  );
+
+  if (
+    typeof data.match_score !== "number" ||
+    !Array.isArray(data.missing_keywords) ||
+    !Array.isArray(data.strengths) ||
+    !Array.isArray(data.improvements)
+  ) {
+    throw new Error("Invalid response format from AI");
+  }
+
+  return {
+    data: {...data, eligible: data.eligible ?? data.match_score >= 60},
+    tokenUsage,
+    cost,
+  };
+}
+
+/**
+ * Generate a cover letter
+ * @param {Object} options - {tone, minWords, maxWords, jobTitle}
+ * @returns {Promise<Object>} - {data, tokenUsage, cost}
+ */
+export async function generateCoverLetter(
+  resumeData,
+  jobDescription,
+  companyName = "the company",
+  options = {}
+) {
+  const {
+    tone = "professional",
+    minWords = 250,
+    maxWords = 300,
+    jobTitle,
+  } = options;
+
+  const {text, tokenUsage, cost} = await complete(
+    "You are an expert cover letter writer. Reply with the letter text only.",
+    `Write a ${minWords}-${maxWords} word cover letter in a ${tone} tone for ${
+      resumeData?.name || "the candidate"
+    } applying ${
+      jobTitle ? `for the ${jobTitle} role ` : ""
+    }at ${companyName}. Separate paragraphs with a blank line.\n\nResume:\n${JSON.stringify(
+      {
+        experience: resumeData?.experience,
+        skills: resumeData?.skills,
+      }
+    )}\n\nJob Description:\n${jobDescription}`,
+    {temperature: 0.8, maxTokens: 1536}
+  );
+
+  return {data: text.trim(), tokenUsage, cost};
+}
+
+/**
+ * Generic chat completion for custom prompts
+ * @param {string} systemPrompt - System instructions
+ * @param {string} userPrompt - User message
+ * @param {Object} options - Generation options
+ * @returns {Promise<Object>} - {text, tokenUsage, cost}
+ */
+export async function chatCompletion(systemPrompt, userPrompt, options = {}) {
+  const {temperature = 0.7, maxTokens, maxOutputTokens} = options;
+
+  return complete(systemPrompt, userPrompt, {
+    temperature,
+    maxTokens: maxTokens || maxOutputTokens || 1000,
+  });
+}
+
+export default {
+  isConfigured,
+  parseResumeWithAI,
+  enhanceContentWithAI,
+  generateSummaryWithAI,
+  categorizeSkillsWithAI,
+  analyzeResumeJobMatch,
+  generateCoverLetter,
+  chatCompletion,
+};
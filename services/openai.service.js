@@ -780,15 +780,26 @@ Return ONLY valid JSON with no additional text, explanations, or markdown format
  * @param {Object} resumeData - Structured resume data
  * @param {string} jobDescription - Job description text
  * @param {string} companyName - Company name
+ * @param {Object} options - {tone, minWords, maxWords, jobTitle}
  * @returns {Promise<Object>} - Generated cover letter with usage stats
  */
 export async function generateCoverLetter(
   resumeData,
   jobDescription,
-  companyName = "the company"
+  companyName = "the company",
+  options = {}
 ) {
   try {
-    const prompt = `Generate a professional cover letter for this candidate applying to ${companyName}.
+    const {
+      tone = "professional",
+      minWords = 250,
+      maxWords = 300,
+      jobTitle,
+    } = options;
+
+    const prompt = `Generate a cover letter for this candidate applying ${
+      jobTitle ? `for the ${jobTitle} role ` : ""
+    }at ${companyName}.
 
 Resume Summary:
 Name: ${resumeData.name || "Candidate"}
@@ -801,13 +812,14 @@ Skills: ${
 Job Description:
 ${jobDescription}
 
-Create a compelling, personalized cover letter (250-300 words) that:
+Create a compelling, personalized cover letter (${minWords}-${maxWords} words) that:
 1. Highlights relevant experience and skills
 2. Shows enthusiasm for the role
 3. Demonstrates understanding of the company/role
-4. Uses a professional but warm tone
+4. Uses a ${tone} tone
 5. Includes a strong opening and closing
 
+Separate paragraphs with a blank line.
 Return ONLY the cover letter text.`;
 
     console.log("🤖 Generating cover letter with GPT-4o...");
@@ -23,7 +23,9 @@ const normalizeClientBaseUrl = (baseUrl) => {
   return trimmedUrl;
 };
 
-export const renderResumePdf = async (token, baseUrl) => {
+// Opens a client render page and prints it; the page loads its data from a
+// short-lived PDF export session and marks itself ready with #pdf-render-ready
+const renderPagePdf = async (renderPath, baseUrl) => {
   let browser;
   const wsEndpoint = process.env.BROWSER_WS_ENDPOINT || 
     (process.env.BROWSERLESS_TOKEN ? `wss://chrome.browserless.io?token=${process.env.BROWSERLESS_TOKEN}` : null);
@@ -77,7 +79,7 @@ export const renderResumePdf = async (token, baseUrl) => {
     const page = await browser.newPage();
     await page.setViewport({width: 794, height: 1123, deviceScaleFactor: 1});
 
-    const renderUrl = `${normalizeClientBaseUrl(baseUrl)}/pdf-render/${token}`;
+    const renderUrl = `${normalizeClientBaseUrl(baseUrl)}${renderPath}`;
     const pageLogs = [];
     const failedRequests = [];
 
@@ -150,3 +152,9 @@ export const renderResumePdf = async (token, baseUrl) => {
     await browser.close();
   }
 };
+
+export const renderResumePdf = (token, baseUrl) =>
+  renderPagePdf(`/pdf-render/${token}`, baseUrl);
+
+export const renderInterviewReportPdf = (token, baseUrl) =>
+  renderPagePdf(`/pdf-render/interview-report/${token}`, baseUrl);
@@ -12,13 +12,14 @@ const cleanupExpiredSessions = () => {
   }
 };
 
-export const createPdfExportSession = ({resumeData, template}) => {
+// Payload is whatever the render page needs: {resumeData, template} for
+// resumes, {report} for interview reports
+export const createPdfExportSession = (payload) => {
   cleanupExpiredSessions();
 
   const token = crypto.randomBytes(32).toString("hex");
   sessions.set(token, {
-    resumeData,
-    template,
+    ...payload,
     createdAt: Date.now(),
     expiresAt: Date.now() + SESSION_TTL_MS,
   });
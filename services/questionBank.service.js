@@ -0,0 +1,264 @@
+import mongoose from "mongoose";
+import QuestionBank from "../models/QuestionBank.model.js";
+import {normalizeRoleKey} from "./interviewRole.service.js";
+import {CODING_LANGUAGES} from "./codingQuestion.service.js";
+
+/**
+ * Question Bank Service
+ * Draws interview questions from user/admin authored banks and grades
+ * answers against the rubric stored with a question.
+ */
+
+// Interview types whose questions should come from matching bank types
+const INTERVIEW_TYPE_QUESTION_TYPES = {
+  technical: ["technical"],
+  behavioral: ["behavioral", "situational"],
+  "resume-based": ["resume-based"],
+  coding: ["coding"],
+  "system-design": ["system-design"],
+};
+
+// Code and design documents can't be answered out loud
+const SPOKEN_MODES = ["voice", "live"];
+const TYPED_QUESTION_TYPES = ["coding", "system-design"];
+
+// The evaluator may return anything in place of a criterion name
+const normalizeCriterion = (criterion) =>
+  String(criterion ?? "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Load the banks a user picked for a session, checking access
+ * @param {string} userId - User ID
+ * @param {Array<string>} bankIds - Requested bank IDs
+ * @returns {Promise<Object>} {banks, error}
+ */
+export async function resolveSessionBanks(userId, bankIds = []) {
+  const uniqueIds = [...new Set(bankIds.map(String))];
+  if (!uniqueIds.every((id) => mongoose.isValidObjectId(id))) {
+    return {banks: [], error: "Invalid question bank ID"};
+  }
+
+  const banks = await QuestionBank.find({
+    _id: {$in: uniqueIds},
+    ...QuestionBank.accessibleBy(userId),
+  })
+    .select("name questions._id")
+    .lean();
+
+  if (banks.length !== uniqueIds.length) {
+    return {banks, error: "One or more question banks were not found"};
+  }
+  if (!banks.some((bank) => bank.questions.length > 0)) {
+    return {banks, error: "The selected question banks have no questions"};
+  }
+
+  return {banks, error: null};
+}
+
+/**
+ * Rank a bank question for the session: role first, then difficulty, then
+ * question type. Nothing is excluded so a chosen bank is never skipped.
+ */
+const rankQuestion = (question, {role, difficulty, interviewType}) => {
+  let rank = 0;
+
+  if (!question.role) rank += 2;
+  else if (normalizeRoleKey(question.role) === role) rank += 4;
+
+  if (question.difficulty === difficulty) rank += 2;
+
+  const preferredTypes = INTERVIEW_TYPE_QUESTION_TYPES[interviewType];
+  if (!preferredTypes || preferredTypes.includes(question.questionType)) {
+    rank += 1;
+  }
+
+  return rank;
+};
+
+/**
+ * Pick an unused question from the session's banks
+ * @param {Object} session - InterviewSession document
+ * @param {Object} config - Question config (currentDifficulty, interviewType)
+ * @returns {Promise<Object|null>} Question data for session.addQuestion, or
+ * null when the banks are exhausted
+ */
+export async function pickBankQuestion(session, config = {}) {
+  if (!session.questionBankIds?.length) return null;
+
+  const banks = await QuestionBank.find({
+    _id: {$in: session.questionBankIds},
+    ...QuestionBank.accessibleBy(session.userId),
+  }).lean();
+
+  const used = new Set(
+    session.questions.map((q) => q.bankQuestionId?.toString()).filter(Boolean)
+  );
+
+  const criteria = {
+    role: normalizeRoleKey(session.role),
+    difficulty: config.currentDifficulty || "medium",
+    interviewType: session.interviewType,
+  };
+
+  const allowTyped = !SPOKEN_MODES.includes(session.mode);
+
+  let best = [];
+  let bestRank = -1;
+  banks.forEach((bank) => {
+    bank.questions.forEach((question) => {
+      if (used.has(question._id.toString())) return;
+      if (TYPED_QUESTION_TYPES.includes(question.questionType) && !allowTyped) {
+        return;
+      }
+      // Python only runs when the sandbox has a jail configured
+      if (
+        question.questionType === "coding" &&
+        !CODING_LANGUAGES.includes(question.language || "javascript")
+      ) {
+        return;
+      }
+
+      const rank = rankQuestion(question, criteria);
+      if (rank > bestRank) {
+        best = [];
+        bestRank = rank;
+      }
+      if (rank === bestRank) best.push({bank, question});
+    });
+  });
+
+  if (best.length === 0) return null;
+
+  const {bank, question} = best[Math.floor(Math.random() * best.length)];
+
+  return {
+    questionText: question.questionText,
+    questionType: question.questionType,
+    category: question.topic || bank.name,
+    difficulty: question.difficulty,
+    expectedKeywords: question.expectedKeywords || [],
+    bankId: bank._id,
+    bankQuestionId: question._id,
+    referenceAnswer: question.referenceAnswer || "",
+    rubric: question.rubric || [],
+    ...(question.questionType === "coding" && {
+      coding: {
+        language: question.language || "javascript",
+        starterCode: question.starterCode || "",
+        testCases: question.testCases || [],
+      },
+    }),
+  };
+}
+
+/**
+ * Extra evaluator instructions for questions with a rubric or reference answer
+ * @param {Array} rubric - [{criterion, description, weight}]
+ * @param {string} referenceAnswer
+ * @returns {string} Prompt section (empty when there is nothing to grade against)
+ */
+export function buildRubricPrompt(rubric = [], referenceAnswer = "") {
+  const sections = [];
+
+  if (rubric.length > 0) {
+    const criteria = rubric
+      .map(
+        (item, index) =>
+          `${index + 1}. ${item.criterion} (weight ${item.weight || 1})${
+            item.description ? `: ${item.description}` : ""
+          }`
+      )
+      .join("\n");
+
+    sections.push(`GRADING RUBRIC (grade strictly against these criteria; weights are relative):
+${criteria}
+
+In addition to the usual fields, include "rubricScores" in your JSON with one entry per criterion, using the exact criterion names:
+"rubricScores": [{"criterion": "criterion name", "score": 0-100, "comment": "one sentence"}]`);
+  }
+
+  if (referenceAnswer) {
+    sections.push(`REFERENCE ANSWER (what a strong answer covers; the candidate does not need to match its wording):
+${referenceAnswer.substring(0, 3000)}`);
+  }
+
+  return sections.join("\n\n");
+}
+
+/**
+ * Keep only rubric scores for known criteria and derive the overall score
+ * from their weights
+ * @param {Object} evaluation - Parsed evaluator response
+ * @param {Array} rubric - [{criterion, description, weight}]
+ * @returns {Object} Evaluation with rubricScores (and score when graded)
+ */
+export function applyRubricScores(evaluation, rubric = []) {
+  if (rubric.length === 0) return evaluation;
+
+  const proposed = Array.isArray(evaluation.rubricScores)
+    ? evaluation.rubricScores
+    : [];
+
+  const rubricScores = rubric
+    .map((item) => {
+      const match = proposed.find(
+        (entry) =>
+          normalizeCriterion(entry?.criterion) ===
+          normalizeCriterion(item.criterion)
+      );
+      const score = Number(match?.score);
+      return Number.isFinite(score)
+        ? {
+            criterion: item.criterion,
+            score: Math.max(0, Math.min(100, Math.round(score))),
+            comment: typeof match.comment === "string" ? match.comment : "",
+            weight: item.weight || 1,
+          }
+        : null;
+    })
+    .filter(Boolean);
+
+  if (rubricScores.length === 0) {
+    return {...evaluation, rubricScores: []};
+  }
+
+  const totalWeight = rubricScores.reduce((sum, item) => sum + item.weight, 0);
+  const weightedScore = Math.round(
+    rubricScores.reduce((sum, item) => sum + item.score * item.weight, 0) /
+      totalWeight
+  );
+
+  return {
+    ...evaluation,
+    score: weightedScore,
+    rubricScores: rubricScores.map(({criterion, score, comment}) => ({
+      criterion,
+      score,
+      comment,
+    })),
+  };
+}
+
+/**
+ * Remove the reference answer and rubric from a session question the
+ * candidate hasn't answered or skipped yet
+ * @param {Object} question - Plain session question (mutated)
+ * @returns {Object} The same question
+ */
+export function hideUnresolvedAnswerKeys(question) {
+  if (!question.userAnswer && !question.skipped) {
+    delete question.referenceAnswer;
+    delete question.rubric;
+  }
+  return question;
+}
+
+export default {
+  resolveSessionBanks,
+  pickBankQuestion,
+  buildRubricPrompt,
+  applyRubricScores,
+  hideUnresolvedAnswerKeys,
+};
@@ -0,0 +1,231 @@
+import ResumeRevision from "../models/ResumeRevision.model.js";
+
+/**
+ * Resume fields captured in every revision snapshot.
+ * Ownership, subscription linkage and timestamps are intentionally excluded.
+ */
+export const TRACKED_FIELDS = [
+  "resumeTitle",
+  "description",
+  "name",
+  "contact",
+  "summary",
+  "skills",
+  "experience",
+  "education",
+  "projects",
+  "certifications",
+  "achievements",
+  "customSections",
+  "templateId",
+  "colorTheme",
+];
+
+// Strip Mongo subdocument ids so snapshots compare by content only
+const normalizeValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+
+  if (value && typeof value === "object") {
+    if (value instanceof Date) return value.toISOString();
+
+    return Object.keys(value).reduce((normalized, key) => {
+      if (key === "_id" || key === "__v") return normalized;
+      normalized[key] = normalizeValue(value[key]);
+      return normalized;
+    }, {});
+  }
+
+  return value === undefined ? null : value;
+};
+
+const isEqual = (a, b) =>
+  JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+/**
+ * Build a plain snapshot of the tracked fields of a resume
+ * @param {Object} resume - Resume document or plain object
+ * @returns {Object} Snapshot
+ */
+export const buildSnapshot = (resume) => {
+  const source =
+    typeof resume?.toObject === "function" ? resume.toObject() : resume || {};
+
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = normalizeValue(source[field]);
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Top-level tracked fields that differ between two snapshots
+ */
+export const getChangedFields = (before, after) =>
+  TRACKED_FIELDS.filter((field) => !isEqual(before?.[field], after?.[field]));
+
+/**
+ * Field-level diff between two snapshots.
+ * Objects are compared per key and arrays per index, so a single edited
+ * bullet shows up as e.g. "experience[2]" rather than the whole section.
+ * @returns {Array<{path: string, type: string, before: *, after: *}>}
+ */
+export const diffSnapshots = (before = {}, after = {}) => {
+  const changes = [];
+
+  getChangedFields(before, after).forEach((field) => {
+    const oldValue = normalizeValue(before[field]);
+    const newValue = normalizeValue(after[field]);
+
+    if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+      const oldItems = Array.isArray(oldValue) ? oldValue : [];
+      const newItems = Array.isArray(newValue) ? newValue : [];
+      const length = Math.max(oldItems.length, newItems.length);
+
+      for (let index = 0; index < length; index++) {
+        const path = `${field}[${index}]`;
+        if (index >= oldItems.length) {
+          changes.push({
+            path,
+            type: "added",
+            before: null,
+            after: newItems[index],
+          });
+        } else if (index >= newItems.length) {
+          changes.push({
+            path,
+            type: "removed",
+            before: oldItems[index],
+            after: null,
+          });
+        } else if (!isEqual(oldItems[index], newItems[index])) {
+          changes.push({
+            path,
+            type: "modified",
+            before: oldItems[index],
+            after: newItems[index],
+          });
+        }
+      }
+      return;
+    }
+
+    if (
+      oldValue &&
+      newValue &&
+      typeof oldValue === "object" &&
+      typeof newValue === "object"
+    ) {
+      const keys = new Set([
+        ...Object.keys(oldValue),
+        ...Object.keys(newValue),
+      ]);
+      keys.forEach((key) => {
+        if (!isEqual(oldValue[key], newValue[key])) {
+          changes.push({
+            path: `${field}.${key}`,
+            type: "modified",
+            before: oldValue[key] ?? null,
+            after: newValue[key] ?? null,
+          });
+        }
+      });
+      return;
+    }
+
+    changes.push({
+      path: field,
+      type:
+        oldValue == null ? "added" : newValue == null ? "removed" : "modified",
+      before: oldValue,
+      after: newValue,
+    });
+  });
+
+  return changes;
+};
+
+// Concurrent saves can pick the same revision number; the unique index
+// rejects all but one and the others recompute against the winner
+const MAX_WRITE_ATTEMPTS = 5;
+
+const appendRevision = async (
+  resume,
+  {
+    userId,
+    source = "manual",
+    aiFeature = null,
+    restoredFromRevision = null,
+    note = "",
+    previousSnapshot = null,
+    force = false,
+  } = {}
+) => {
+  let latest = await ResumeRevision.findOne({resumeId: resume._id})
+    .sort({revisionNumber: -1})
+    .lean();
+
+  // Resumes saved before history existed get their prior state as revision 1
+  if (!latest && previousSnapshot) {
+    latest = (
+      await ResumeRevision.create({
+        resumeId: resume._id,
+        userId: resume.userId,
+        revisionNumber: 1,
+        snapshot: previousSnapshot,
+        changedFields: [],
+        source: "baseline",
+      })
+    ).toObject();
+  }
+
+  const snapshot = buildSnapshot(resume);
+  const changedFields = latest
+    ? getChangedFields(latest.snapshot, snapshot)
+    : TRACKED_FIELDS.filter((field) => snapshot[field] != null);
+
+  if (latest && changedFields.length === 0 && !force) {
+    return null;
+  }
+
+  return ResumeRevision.create({
+    resumeId: resume._id,
+    userId: userId || resume.userId,
+    revisionNumber: (latest?.revisionNumber || 0) + 1,
+    snapshot,
+    changedFields,
+    source,
+    // Resumes created by AI (tailored variants) keep the feature too
+    aiFeature: ["ai", "create"].includes(source) ? aiFeature : null,
+    restoredFromRevision,
+    note,
+  });
+};
+
+/**
+ * Append a revision for the current state of a resume.
+ * Skips writing when nothing changed since the latest revision (unless forced).
+ * @param {Object} resume - Saved resume document
+ * @param {Object} options
+ * @param {string} options.userId - User who made the change
+ * @param {string} options.source - create | baseline | manual | ai | restore
+ * @param {Object} [options.previousSnapshot] - State before the change, used to seed history
+ * @returns {Promise<Object|null>} Created revision or null when nothing changed
+ */
+export const recordRevision = async (resume, options = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await appendRevision(resume, options);
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_WRITE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+export default {
+  TRACKED_FIELDS,
+  buildSnapshot,
+  getChangedFields,
+  diffSnapshots,
+  recordRevision,
+};
@@ -0,0 +1,239 @@
+import {buildSnapshot} from "./resumeRevision.service.js";
+
+/**
+ * Resume Tailoring Service
+ * Prompts and post-processing for job-specific resume variants. The AI only
+ * proposes changes; everything it returns is checked against the base
+ * resume so a variant never gains skills or bullets the user did not write.
+ */
+
+const BULLET_SECTIONS = ["experience", "projects"];
+const MAX_JOB_DESCRIPTION_EXCERPT = 2000;
+
+const normalize = (value) => String(value || "").toLowerCase();
+
+/**
+ * Build the chat prompts for a tailoring run
+ * @param {Object} resume - Base resume (plain object)
+ * @param {Object} job
+ * @param {string} job.jobDescription - Target job description
+ * @param {string} job.jobTitle - Optional role name
+ * @param {string} job.companyName - Optional company name
+ * @param {Array<string>} job.missingKeywords - Keywords absent from the resume
+ * @returns {Object} {systemPrompt, userPrompt}
+ */
+export function buildTailorPrompts(
+  resume,
+  {jobDescription, jobTitle, companyName, missingKeywords = []}
+) {
+  const bulletLines = [];
+  BULLET_SECTIONS.forEach((section) => {
+    (resume[section] || []).forEach((item, itemIndex) => {
+      const heading =
+        section === "experience"
+          ? `${item.title || ""} at ${item.company || ""}`
+          : item.name || "";
+      (item.bullets || []).forEach((bullet, bulletIndex) => {
+        bulletLines.push(
+          `[${section}:${itemIndex}:${bulletIndex}] (${heading.trim()}) ${bullet}`
+        );
+      });
+    });
+  });
+
+  const skillLines = (resume.skills || []).map(
+    (group) => `- ${group.category}: ${(group.items || []).join(", ")}`
+  );
+
+  const systemPrompt = `You are an expert resume writer tailoring a resume to a specific job.
+Rules:
+- Be truthful. Only work a missing keyword into a bullet when the bullet already describes that work; never invent tools, employers, metrics or responsibilities.
+- Keep each rewritten bullet a single sentence of similar length, starting with an action verb.
+- Only reorder skills; do not add or remove any.
+- Return ONLY valid JSON, no markdown.`;
+
+  const userPrompt = `TARGET ROLE: ${jobTitle || "Not specified"}${
+    companyName ? ` at ${companyName}` : ""
+  }
+
+JOB DESCRIPTION:
+${jobDescription}
+
+MISSING KEYWORDS: ${missingKeywords.length ? missingKeywords.join(", ") : "None"}
+
+CURRENT SUMMARY:
+${resume.summary || "(none)"}
+
+SKILLS:
+${skillLines.join("\n") || "(none)"}
+
+BULLETS (id in brackets):
+${bulletLines.join("\n") || "(none)"}
+
+Return JSON in this exact shape:
+{
+  "summary": "2-3 sentence summary aimed at the target role",
+  "skills": [{"category": "existing category", "items": ["existing skills, most relevant first"]}],
+  "bullets": [
+    {"id": "experience:0:1", "text": "rewritten bullet", "keywordsAdded": ["keyword"], "reason": "why this helps for the role"}
+  ]
+}
+Order skill categories and the skills inside them by relevance to the job.
+Only include bullets you actually changed.`;
+
+  return {systemPrompt, userPrompt};
+}
+
+/**
+ * Parse the AI response into a tailoring plan
+ * @param {string} text - Raw AI response
+ * @returns {Object} {summary, skills, bullets}
+ */
+export function parseTailorResponse(text) {
+  const cleaned = String(text || "")
+    .replace(/```json\s*/gi, "")
+    .replace(/```\s*/g, "")
+    .trim();
+
+  let plan = {};
+  try {
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    plan = JSON.parse(match ? match[0] : cleaned);
+  } catch {
+    throw new Error("AI returned an invalid tailoring response");
+  }
+
+  return {
+    summary: typeof plan.summary === "string" ? plan.summary.trim() : "",
+    skills: Array.isArray(plan.skills) ? plan.skills : [],
+    bullets: Array.isArray(plan.bullets) ? plan.bullets : [],
+  };
+}
+
+/**
+ * Reorder skill groups and items following the AI ordering. Unknown
+ * categories/skills are dropped and anything the AI left out is appended in
+ * its original order.
+ */
+const reorderSkills = (skills = [], proposed = []) => {
+  const groups = skills.map((group) => ({
+    category: group.category,
+    items: [...(group.items || [])],
+  }));
+  const remaining = [...groups];
+  const ordered = [];
+
+  proposed.forEach((proposal) => {
+    const index = remaining.findIndex(
+      (group) => normalize(group.category) === normalize(proposal?.category)
+    );
+    if (index === -1) return;
+
+    const [group] = remaining.splice(index, 1);
+    const items = [];
+    (Array.isArray(proposal.items) ? proposal.items : []).forEach((item) => {
+      const original = group.items.find(
+        (existing) =>
+          normalize(existing) === normalize(item) && !items.includes(existing)
+      );
+      if (original) items.push(original);
+    });
+    group.items.forEach((item) => {
+      if (!items.includes(item)) items.push(item);
+    });
+
+    ordered.push({category: group.category, items});
+  });
+
+  return [...ordered, ...remaining];
+};
+
+/**
+ * Apply a validated tailoring plan to a copy of the base resume
+ * @param {Object} baseResume - Base resume (plain object)
+ * @param {Object} plan - Output of parseTailorResponse
+ * @param {Array<string>} missingKeywords - Keywords absent from the base resume
+ * @returns {Object} {resumeData, changes, summaryChanged, skillsReordered}
+ */
+export function applyTailoring(baseResume, plan, missingKeywords = []) {
+  // Snapshots are deep copies without subdocument ids
+  const snapshot = buildSnapshot(baseResume);
+  const resumeData = Object.fromEntries(
+    Object.entries(snapshot).filter(([, value]) => value !== null)
+  );
+
+  const changes = [];
+  const seen = new Set();
+
+  plan.bullets.forEach((proposal) => {
+    const [section, itemIndex, bulletIndex] = String(proposal?.id || "").split(
+      ":"
+    );
+    const item = BULLET_SECTIONS.includes(section)
+      ? resumeData[section]?.[Number(itemIndex)]
+      : null;
+    const before = item?.bullets?.[Number(bulletIndex)];
+    const after = typeof proposal.text === "string" ? proposal.text.trim() : "";
+
+    if (before === undefined || !after || after === before) return;
+    if (seen.has(proposal.id)) return;
+    seen.add(proposal.id);
+
+    // Only report keywords that really are new and now appear in the bullet
+    const keywordsAdded = missingKeywords.filter(
+      (keyword) =>
+        normalize(after).includes(normalize(keyword)) &&
+        !normalize(before).includes(normalize(keyword))
+    );
+
+    item.bullets[Number(bulletIndex)] = after;
+    changes.push({
+      section,
+      itemIndex: Number(itemIndex),
+      bulletIndex: Number(bulletIndex),
+      before,
+      after,
+      keywordsAdded,
+      reason:
+        typeof proposal.reason === "string" && proposal.reason.trim()
+          ? proposal.reason.trim()
+          : "Reworded to match the job description",
+    });
+  });
+
+  const summaryChanged =
+    Boolean(plan.summary) && plan.summary !== (baseResume.summary || "");
+  if (summaryChanged) {
+    resumeData.summary = plan.summary;
+  }
+
+  const skills = reorderSkills(baseResume.skills, plan.skills);
+  const skillsReordered =
+    JSON.stringify(skills) !==
+    JSON.stringify(
+      (baseResume.skills || []).map((group) => ({
+        category: group.category,
+        items: [...(group.items || [])],
+      }))
+    );
+  resumeData.skills = skills;
+
+  return {resumeData, changes, summaryChanged, skillsReordered};
+}
+
+/**
+ * Trim the job description stored on the variant
+ * @param {string} jobDescription
+ * @returns {string}
+ */
+export const getJobDescriptionExcerpt = (jobDescription = "") =>
+  jobDescription.length > MAX_JOB_DESCRIPTION_EXCERPT
+    ? `${jobDescription.slice(0, MAX_JOB_DESCRIPTION_EXCERPT)}…`
+    : jobDescription;
+
+export default {
+  buildTailorPrompts,
+  parseTailorResponse,
+  applyTailoring,
+  getJobDescriptionExcerpt,
+};
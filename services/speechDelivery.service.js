@@ -0,0 +1,282 @@
+/**
+ * Speech Delivery Service
+ * Delivery metrics for spoken (voice and live) answers, computed from the
+ * transcript and audio timing: pace, filler words, hedging, long pauses and
+ * how much of the question's time was spent speaking. Word matching is a
+ * heuristic; the metrics are coaching hints, not part of the content score.
+ */
+
+// Words per minute considered a conversational interview pace
+export const PACE_RANGE = {min: 110, max: 170};
+// Silence between transcript segments that counts as a long pause
+export const LONG_PAUSE_SECONDS = 2;
+
+const BRIEF_ANSWER_WORDS = 50;
+const LONG_ANSWER_WORDS = 300;
+const TOP_FILLER_WORDS = 3;
+
+const FILLER_WORDS = [
+  "um",
+  "umm",
+  "uh",
+  "uhm",
+  "er",
+  "erm",
+  "ah",
+  "hmm",
+  "like",
+  "basically",
+  "literally",
+  "actually",
+  "you know",
+  "i mean",
+];
+
+const HEDGING_PHRASES = [
+  "i think",
+  "i guess",
+  "i believe",
+  "i suppose",
+  "i'm not sure",
+  "not really sure",
+  "maybe",
+  "probably",
+  "perhaps",
+  "possibly",
+  "might be",
+  "sort of",
+  "kind of",
+];
+
+// "like" is a verb or comparison after these words ("I'd like", "looks like")
+const LIKE_NOT_FILLER_AFTER = new Set([
+  "i",
+  "you",
+  "we",
+  "they",
+  "would",
+  "i'd",
+  "we'd",
+  "you'd",
+  "they'd",
+  "don't",
+  "didn't",
+  "really",
+  "look",
+  "looks",
+  "looked",
+  "seem",
+  "seems",
+  "feel",
+  "feels",
+  "felt",
+  "sound",
+  "sounds",
+  "something",
+  "anything",
+  "nothing",
+  "things",
+  "just",
+]);
+
+const tokenize = (text) =>
+  (text || "")
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .match(/[a-z0-9']+/g) || [];
+
+const round = (value, digits = 0) =>
+  Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Occurrences of each phrase, most frequent first. Counted per token so
+// back-to-back repeats ("um um") all count.
+const countPhrases = (tokens, phrases) =>
+  phrases
+    .map((phrase) => {
+      if (phrase === "like") {
+        return {
+          phrase,
+          count: tokens.filter(
+            (token, i) =>
+              token === "like" && !LIKE_NOT_FILLER_AFTER.has(tokens[i - 1])
+          ).length,
+        };
+      }
+      const words = phrase.split(" ");
+      return {
+        phrase,
+        count: tokens.filter((token, i) =>
+          words.every((word, offset) => tokens[i + offset] === word)
+        ).length,
+      };
+    })
+    .filter(({count}) => count > 0)
+    .sort((a, b) => b.count - a.count || a.phrase.localeCompare(b.phrase));
+
+const sumCounts = (entries) => entries.reduce((sum, e) => sum + e.count, 0);
+
+// Gaps between consecutive transcript segments ({start, end} in seconds)
+const findLongPauses = (segments) => {
+  const pauses = [];
+  for (let i = 1; i < segments.length; i++) {
+    const gap = segments[i].start - segments[i - 1].end;
+    if (gap >= LONG_PAUSE_SECONDS) pauses.push(gap);
+  }
+  return pauses;
+};
+
+const ratePace = (wordsPerMinute) => {
+  if (wordsPerMinute === null) return null;
+  if (wordsPerMinute < PACE_RANGE.min) return "slow";
+  if (wordsPerMinute > PACE_RANGE.max) return "fast";
+  return "conversational";
+};
+
+/**
+ * Delivery metrics of one spoken answer
+ * @param {Object} params
+ * @param {string} params.text - Transcript
+ * @param {number} params.durationSeconds - Length of the recording
+ * @param {Array} params.segments - Transcript segments [{start, end}], if known
+ * @param {number} params.timeSpentSeconds - Time from question to answer
+ * @returns {Object} Delivery metrics (see evaluation.delivery)
+ */
+export function analyzeDelivery({
+  text,
+  durationSeconds,
+  segments = [],
+  timeSpentSeconds,
+}) {
+  const tokens = tokenize(text);
+  const wordCount = tokens.length;
+  const timedSegments = (segments || []).filter(
+    (s) => Number.isFinite(s?.start) && Number.isFinite(s?.end)
+  );
+
+  // Whisper reports the audio duration; fall back to the last segment
+  const duration =
+    durationSeconds > 0
+      ? durationSeconds
+      : timedSegments[timedSegments.length - 1]?.end || null;
+
+  const wordsPerMinute =
+    duration && wordCount ? Math.round(wordCount / (duration / 60)) : null;
+
+  const fillerWords = countPhrases(tokens, FILLER_WORDS).map(
+    ({phrase, count}) => ({word: phrase, count})
+  );
+  const hedgingPhrases = countPhrases(tokens, HEDGING_PHRASES);
+  const fillerWordCount = sumCounts(fillerWords);
+  const hedgingCount = sumCounts(hedgingPhrases);
+
+  const pauses =
+    timedSegments.length > 1 ? findLongPauses(timedSegments) : null;
+
+  const fillerWordsPer100Words = wordCount
+    ? round((fillerWordCount / wordCount) * 100, 1)
+    : 0;
+  const hedgingPer100Words = wordCount ? (hedgingCount / wordCount) * 100 : 0;
+  const pace = ratePace(wordsPerMinute);
+  const lengthRating =
+    wordCount < BRIEF_ANSWER_WORDS
+      ? "brief"
+      : wordCount > LONG_ANSWER_WORDS
+        ? "long"
+        : "appropriate";
+
+  const penalties =
+    Math.min(fillerWordsPer100Words * 5, 30) +
+    Math.min(hedgingPer100Words * 4, 20) +
+    (pace && pace !== "conversational" ? 10 : 0) +
+    Math.min((pauses?.length || 0) * 5, 20) +
+    (lengthRating === "brief" ? 10 : 0);
+
+  return {
+    wordCount,
+    durationSeconds: duration ? round(duration, 1) : null,
+    wordsPerMinute,
+    pace,
+    fillerWordCount,
+    fillerWordsPer100Words,
+    fillerWords,
+    hedgingCount,
+    hedgingPhrases,
+    longPauseCount: pauses ? pauses.length : null,
+    longestPauseSeconds: pauses?.length ? round(Math.max(...pauses), 1) : null,
+    // Share of the question's time spent speaking
+    speakingRatio:
+      duration && timeSpentSeconds > 0
+        ? Math.min(round(duration / timeSpentSeconds, 2), 1)
+        : null,
+    lengthRating,
+    score: Math.max(0, Math.round(100 - penalties)),
+  };
+}
+
+const averageOf = (values) => {
+  const known = values.filter((v) => Number.isFinite(v));
+  return known.length
+    ? known.reduce((sum, v) => sum + v, 0) / known.length
+    : null;
+};
+
+/**
+ * Delivery summary of a session for the report
+ * @param {Object} session - Interview session
+ * @returns {Object|null} Null when no answer was spoken
+ */
+export function summarizeDelivery(session) {
+  const analyzed = session.questions
+    .map((q) => q.evaluation?.delivery)
+    .filter((d) => d?.wordCount > 0);
+  if (analyzed.length === 0) return null;
+
+  const totalWords = analyzed.reduce((sum, d) => sum + d.wordCount, 0);
+  const fillerTotals = new Map();
+  analyzed.forEach((d) =>
+    (d.fillerWords || []).forEach(({word, count}) =>
+      fillerTotals.set(word, (fillerTotals.get(word) || 0) + count)
+    )
+  );
+
+  const wordsPerMinute = averageOf(analyzed.map((d) => d.wordsPerMinute));
+  const averageWordsPerMinute =
+    wordsPerMinute === null ? null : Math.round(wordsPerMinute);
+  const averageSpeakingRatio = averageOf(analyzed.map((d) => d.speakingRatio));
+  const pauseCounts = analyzed
+    .map((d) => d.longPauseCount)
+    .filter((c) => Number.isFinite(c));
+  const longestPauses = analyzed
+    .map((d) => d.longestPauseSeconds)
+    .filter((s) => Number.isFinite(s));
+  const fillerWords = [...fillerTotals.values()].reduce((a, b) => a + b, 0);
+
+  return {
+    analyzedAnswers: analyzed.length,
+    averageWordsPerMinute,
+    pace: ratePace(averageWordsPerMinute),
+    fillerWords,
+    fillerWordsPer100Words: round((fillerWords / totalWords) * 100, 1),
+    topFillerWords: [...fillerTotals]
+      .map(([word, count]) => ({word, count}))
+      .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+      .slice(0, TOP_FILLER_WORDS),
+    hedgingPhrases: analyzed.reduce((sum, d) => sum + (d.hedgingCount || 0), 0),
+    longPauses: pauseCounts.length
+      ? pauseCounts.reduce((sum, c) => sum + c, 0)
+      : null,
+    longestPauseSeconds: longestPauses.length
+      ? Math.max(...longestPauses)
+      : null,
+    averageSpeakingRatio:
+      averageSpeakingRatio === null ? null : round(averageSpeakingRatio, 2),
+    averageScore: Math.round(averageOf(analyzed.map((d) => d.score))),
+  };
+}
+
+export default {
+  PACE_RANGE,
+  LONG_PAUSE_SECONDS,
+  analyzeDelivery,
+  summarizeDelivery,
+};
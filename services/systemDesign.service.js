@@ -0,0 +1,294 @@
+/**
+ * System Design Service
+ * System design questions are answered with a structured document instead of
+ * free text: requirements, components, data flows between components,
+ * scaling decisions and trade-offs. The evaluator scores each dimension and
+ * the report turns those scores into the architecture skill breakdown.
+ */
+
+export const DESIGN_DIMENSIONS = [
+  {
+    key: "requirements",
+    name: "Requirements",
+    description:
+      "Functional and non-functional requirements are complete, specific and drive the design",
+  },
+  {
+    key: "components",
+    name: "Component Design",
+    description:
+      "Components have clear responsibilities and sensible technology choices",
+  },
+  {
+    key: "dataFlow",
+    name: "Data Flow",
+    description:
+      "Requests and data move between components correctly, with the right protocols and storage",
+  },
+  {
+    key: "scalability",
+    name: "Scalability",
+    description:
+      "Caching, partitioning, replication and load handling fit the stated scale",
+  },
+  {
+    key: "tradeOffs",
+    name: "Trade-offs",
+    description:
+      "Alternatives are weighed honestly, with consistency, cost and complexity considered",
+  },
+];
+
+const DESIGN_LIMITS = {
+  requirements: 30,
+  components: 30,
+  dataFlows: 60,
+  scalingDecisions: 30,
+  tradeOffs: 30,
+  textLength: 1000,
+};
+
+const cleanText = (value) =>
+  typeof value === "string"
+    ? value.trim().substring(0, DESIGN_LIMITS.textLength)
+    : "";
+
+const cleanList = (value, limit) =>
+  (Array.isArray(value) ? value : [])
+    .map(cleanText)
+    .filter(Boolean)
+    .slice(0, limit);
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Validate and normalize a structured design answer
+ * @param {Object} input - {requirements: {functional, nonFunctional}, components, dataFlows, scalingDecisions, tradeOffs}
+ * @returns {Object} {design} or {error}
+ */
+export function normalizeDesignAnswer(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return {error: "Design answer must be an object"};
+  }
+
+  const listFields = {
+    components: input.components,
+    dataFlows: input.dataFlows,
+    scalingDecisions: input.scalingDecisions,
+    tradeOffs: input.tradeOffs,
+  };
+  for (const [field, value] of Object.entries(listFields)) {
+    if (value !== undefined && !Array.isArray(value)) {
+      return {error: `${field} must be an array`};
+    }
+    if (value?.length > DESIGN_LIMITS[field]) {
+      return {
+        error: `${field} must have at most ${DESIGN_LIMITS[field]} items`,
+      };
+    }
+  }
+
+  const design = {
+    requirements: {
+      functional: cleanList(
+        input.requirements?.functional,
+        DESIGN_LIMITS.requirements
+      ),
+      nonFunctional: cleanList(
+        input.requirements?.nonFunctional,
+        DESIGN_LIMITS.requirements
+      ),
+    },
+    components: (input.components || [])
+      .map((component) => ({
+        name: cleanText(component?.name),
+        responsibility: cleanText(component?.responsibility),
+        technology: cleanText(component?.technology),
+      }))
+      .filter((component) => component.name),
+    dataFlows: (input.dataFlows || []).map((flow) => ({
+      from: cleanText(flow?.from),
+      to: cleanText(flow?.to),
+      description: cleanText(flow?.description),
+    })),
+    scalingDecisions: cleanList(
+      input.scalingDecisions,
+      DESIGN_LIMITS.scalingDecisions
+    ),
+    tradeOffs: (input.tradeOffs || [])
+      .map((tradeOff) => ({
+        decision: cleanText(tradeOff?.decision),
+        rationale: cleanText(tradeOff?.rationale),
+      }))
+      .filter((tradeOff) => tradeOff.decision),
+  };
+
+  if (design.components.length === 0) {
+    return {error: "Add at least one component to the design"};
+  }
+
+  const names = design.components.map((component) => component.name);
+  const duplicate = names.find(
+    (name, index) => names.findIndex((other) => sameName(other, name)) !== index
+  );
+  if (duplicate) {
+    return {error: `Component "${duplicate}" is listed more than once`};
+  }
+
+  // Edges must connect components of this design; names take the
+  // component's spelling
+  for (const flow of design.dataFlows) {
+    for (const end of ["from", "to"]) {
+      if (!flow[end]) {
+        return {error: "Every data flow needs a from and a to component"};
+      }
+      const match = names.find((name) => sameName(name, flow[end]));
+      if (!match) {
+        return {error: `Data flow references unknown component "${flow[end]}"`};
+      }
+      flow[end] = match;
+    }
+  }
+
+  return {design};
+}
+
+/**
+ * Render a design as text for the stored answer, the evaluator and reports
+ * @param {Object} design - Normalized design
+ * @returns {string}
+ */
+export function formatDesignAnswer(design) {
+  const bullets = (items) =>
+    items.length > 0 ? items.map((item) => `- ${item}`).join("\n") : "- (none)";
+
+  return `FUNCTIONAL REQUIREMENTS:
+${bullets(design.requirements.functional)}
+
+NON-FUNCTIONAL REQUIREMENTS:
+${bullets(design.requirements.nonFunctional)}
+
+COMPONENTS:
+${bullets(
+  design.components.map(
+    (c) =>
+      `${c.name}${c.technology ? ` (${c.technology})` : ""}${
+        c.responsibility ? `: ${c.responsibility}` : ""
+      }`
+  )
+)}
+
+DATA FLOW:
+${bullets(
+  design.dataFlows.map(
+    (f) => `${f.from} -> ${f.to}${f.description ? `: ${f.description}` : ""}`
+  )
+)}
+
+SCALING DECISIONS:
+${bullets(design.scalingDecisions)}
+
+TRADE-OFFS:
+${bullets(
+  design.tradeOffs.map(
+    (t) => `${t.decision}${t.rationale ? ` - ${t.rationale}` : ""}`
+  )
+)}`;
+}
+
+/**
+ * Evaluator prompt section asking for per-dimension design scores
+ * @returns {string}
+ */
+export function buildDesignEvaluationPrompt() {
+  const dimensions = DESIGN_DIMENSIONS.map(
+    (d, index) => `${index + 1}. ${d.key} - ${d.description}`
+  ).join("\n");
+
+  return `SYSTEM DESIGN SCORING:
+Score each design dimension separately (0-100):
+${dimensions}
+
+In addition to the usual fields, include "designScores" in your JSON with one entry per dimension, using the exact keys above:
+"designScores": [{"dimension": "requirements", "score": 0-100, "comment": "one sentence"}]`;
+}
+
+/**
+ * Keep valid design scores and base the overall score on their average
+ * @param {Object} evaluation - Parsed AI evaluation
+ * @returns {Object} Evaluation with designScores
+ */
+export function applyDesignScores(evaluation) {
+  const proposed = Array.isArray(evaluation.designScores)
+    ? evaluation.designScores
+    : [];
+
+  const designScores = DESIGN_DIMENSIONS.map(({key}) => {
+    const match = proposed.find((entry) => entry?.dimension === key);
+    const score = Number(match?.score);
+    return Number.isFinite(score)
+      ? {
+          dimension: key,
+          score: Math.max(0, Math.min(100, Math.round(score))),
+          comment: typeof match.comment === "string" ? match.comment : "",
+        }
+      : null;
+  }).filter(Boolean);
+
+  if (designScores.length === 0) {
+    return {...evaluation, designScores: []};
+  }
+
+  return {
+    ...evaluation,
+    score: Math.round(
+      designScores.reduce((sum, item) => sum + item.score, 0) /
+        designScores.length
+    ),
+    designScores,
+  };
+}
+
+/**
+ * Average design scores over a session's system design questions
+ * @param {Object} session - InterviewSession document
+ * @returns {Object|null} {score, questionsAsked, dimensions} or null without scored design answers
+ */
+export function calculateArchitectureScores(session) {
+  const scored = session.questions.filter(
+    (q) =>
+      q.questionType === "system-design" && q.evaluation?.designScores?.length
+  );
+  if (scored.length === 0) return null;
+
+  const dimensions = {};
+  DESIGN_DIMENSIONS.forEach(({key}) => {
+    const scores = scored
+      .map(
+        (q) => q.evaluation.designScores.find((s) => s.dimension === key)?.score
+      )
+      .filter((score) => Number.isFinite(score));
+    if (scores.length > 0) {
+      dimensions[key] = Math.round(
+        scores.reduce((sum, score) => sum + score, 0) / scores.length
+      );
+    }
+  });
+
+  const values = Object.values(dimensions);
+
+  return {
+    score: Math.round(values.reduce((sum, v) => sum + v, 0) / values.length),
+    questionsAsked: scored.length,
+    dimensions,
+  };
+}
+
+export default {
+  DESIGN_DIMENSIONS,
+  normalizeDesignAnswer,
+  formatDesignAnswer,
+  buildDesignEvaluationPrompt,
+  applyDesignScores,
+  calculateArchitectureScores,
+};
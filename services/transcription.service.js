@@ -0,0 +1,75 @@
+import axios from "axios";
+import FormData from "form-data";
+
+/**
+ * Transcription Service
+ * Thin client for the Whisper endpoint of the ML/voice service, shared by
+ * voice answers (whole file) and live interviews (growing audio buffer).
+ */
+
+const getMlServiceUrl = () =>
+  process.env.ML_SERVICE_URL || "http://localhost:5001";
+
+/**
+ * Transcribe an audio buffer
+ * @param {Buffer} audioBuffer - Audio file contents
+ * @param {Object} options
+ * @param {string} options.fileName - File name sent to the service (extension matters)
+ * @param {string} options.mimeType - Audio MIME type
+ * @param {number} options.timeout - Request timeout in ms
+ * @returns {Promise<Object>} {text, duration, wordCount, segments}
+ * @throws {Error} With `status` set when the service answered with an error
+ */
+export async function transcribeAudio(audioBuffer, options = {}) {
+  const {
+    fileName = "answer.webm",
+    mimeType = "audio/webm",
+    timeout = 60000,
+  } = options;
+
+  const formData = new FormData();
+  formData.append("audio", audioBuffer, {
+    filename: fileName,
+    contentType: mimeType,
+  });
+
+  let result;
+  try {
+    const response = await axios.post(
+      `${getMlServiceUrl()}/transcribe`,
+      formData,
+      {
+        headers: {...formData.getHeaders()},
+        timeout,
+      }
+    );
+    result = response.data;
+  } catch (axiosError) {
+    if (axiosError.response) {
+      const error = new Error(
+        axiosError.response.data?.error || "Failed to transcribe audio"
+      );
+      error.status = axiosError.response.status;
+      throw error;
+    }
+    throw axiosError;
+  }
+
+  if (!result?.success) {
+    const error = new Error(result?.error || "Failed to transcribe audio");
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    text: result.data?.text || "",
+    duration: result.data?.duration,
+    wordCount: result.data?.wordCount,
+    // Whisper segment timings ({start, end} seconds), when the service sends them
+    segments: Array.isArray(result.data?.segments)
+      ? result.data.segments.map(({start, end}) => ({start, end}))
+      : [],
+  };
+}
+
+export default {transcribeAudio};
@@ -0,0 +1,340 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * Two-Factor Authentication Service
+ * TOTP (RFC 6238, compatible with Google Authenticator, 1Password, Authy...)
+ * and one-time recovery codes. Secrets are encrypted at rest and recovery
+ * codes are only stored hashed.
+ */
+
+export const TWO_FACTOR_CONFIG = {
+  digits: 6,
+  periodSeconds: 30,
+  // Accept codes from one period before/after to tolerate clock drift
+  window: 1,
+  secretBytes: 20,
+  recoveryCodeCount: 10,
+  // Unconfirmed setups expire after this long
+  setupExpiresMinutes: 15,
+  challengeExpiresIn: "5m",
+};
+
+// Secret fields are select: false on the User model
+export const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const CHALLENGE_PURPOSE = "two-factor-login";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bits = text
+    .toUpperCase()
+    .replace(/[\s=-]/g, "")
+    .split("")
+    .map((char) => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) throw new Error("Invalid base32 secret");
+      return value.toString(2).padStart(5, "0");
+    })
+    .join("");
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Separate keys so a leaked value of one purpose is useless for the other
+const deriveKey = (purpose) =>
+  crypto
+    .createHmac(
+      "sha256",
+      process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || ""
+    )
+    .update(purpose)
+    .digest();
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext (base64url)
+ */
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    deriveKey("totp-secret"),
+    iv
+  );
+  const ciphertext = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} Base32 secret
+ */
+export function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey("totp-secret"),
+    iv
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret
+ */
+export const generateSecret = () =>
+  base32Encode(crypto.randomBytes(TWO_FACTOR_CONFIG.secretBytes));
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Usually the user's email
+ * @param {string} params.issuer - App name shown in the authenticator
+ * @returns {string}
+ */
+export function buildOtpauthUri({secret, accountName, issuer}) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TWO_FACTOR_CONFIG.digits),
+    period: String(TWO_FACTOR_CONFIG.periodSeconds),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+const getTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / TWO_FACTOR_CONFIG.periodSeconds);
+
+/**
+ * TOTP code of a secret for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (defaults to now)
+ * @returns {string}
+ */
+export function generateTotp(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TWO_FACTOR_CONFIG.digits).padStart(
+    TWO_FACTOR_CONFIG.digits,
+    "0"
+  );
+}
+
+/**
+ * Check a TOTP code. Codes at or before lastUsedStep are rejected so a code
+ * can't be replayed.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {number} options.lastUsedStep - Step of the last accepted code
+ * @param {number} options.time - Reference time (ms)
+ * @returns {number|null} Matched time step, or null
+ */
+export function verifyTotp(secret, code, {lastUsedStep, time} = {}) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TWO_FACTOR_CONFIG.digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+  for (
+    let step = current - TWO_FACTOR_CONFIG.window;
+    step <= current + TWO_FACTOR_CONFIG.window;
+    step++
+  ) {
+    if (Number.isFinite(lastUsedStep) && step <= lastUsedStep) continue;
+
+    const expected = generateTotp(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      String(code)
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "")
+    )
+    .digest("hex");
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} {codes (shown once), hashed (for storage)}
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from(
+    {length: TWO_FACTOR_CONFIG.recoveryCodeCount},
+    () => {
+      const value = crypto.randomBytes(5).toString("hex");
+      return `${value.slice(0, 5)}-${value.slice(5)}`;
+    }
+  );
+
+  return {
+    codes,
+    hashed: codes.map((code) => ({hash: hashRecoveryCode(code), usedAt: null})),
+  };
+}
+
+export const countRemainingRecoveryCodes = (user) =>
+  (user.twoFactor?.recoveryCodes || []).filter((c) => !c.usedAt).length;
+
+/**
+ * Whether 2FA can be set up by this user
+ * @param {Object} user - User document
+ * @param {Object} settings - Settings document
+ */
+export const isTwoFactorAvailable = (user, settings) =>
+  Boolean(
+    settings?.security?.enableTwoFactor ||
+    (user.role === "admin" && settings?.security?.requireTwoFactorForAdmins)
+  );
+
+/**
+ * Whether 2FA must be set up before the user gets full access
+ * (admin routes for admins)
+ */
+export const isTwoFactorRequired = (user, settings) =>
+  Boolean(
+    user.role === "admin" && settings?.security?.requireTwoFactorForAdmins
+  );
+
+/**
+ * Whether logging in needs a second step. Enrolled users always get it;
+ * the settings only decide who may enroll.
+ */
+export const isTwoFactorEnforced = (user) => Boolean(user.twoFactor?.enabled);
+
+/**
+ * Verify a TOTP or recovery code of an enrolled user and record its use.
+ * The user must be loaded with TWO_FACTOR_SECRET_FIELDS; the caller saves.
+ * @param {Object} user - User document
+ * @param {Object} input
+ * @param {string} input.code - TOTP code
+ * @param {string} input.recoveryCode - Recovery code
+ * @returns {string|null} "totp", "recovery-code", or null when invalid
+ */
+export function verifySecondFactor(user, {code, recoveryCode} = {}) {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor?.enabled || !twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(twoFactor.secret), code, {
+      lastUsedStep: twoFactor.lastUsedStep,
+    });
+    if (step === null) return null;
+
+    twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const entry = (twoFactor.recoveryCodes || []).find(
+      (c) => c.hash === hash && !c.usedAt
+    );
+    if (!entry) return null;
+
+    entry.usedAt = new Date();
+    return "recovery-code";
+  }
+
+  return null;
+}
+
+/**
+ * Short-lived token proving the password step of a login. Signed with its
+ * own key so it can never be used as an access token.
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+export const createLoginChallenge = (user) =>
+  jwt.sign(
+    {userId: user._id, purpose: CHALLENGE_PURPOSE},
+    deriveKey("login-challenge"),
+    {expiresIn: TWO_FACTOR_CONFIG.challengeExpiresIn}
+  );
+
+/**
+ * User ID of a valid login challenge
+ * @param {string} token - Challenge token
+ * @returns {string|null}
+ */
+export function verifyLoginChallenge(token) {
+  try {
+    const payload = jwt.verify(token, deriveKey("login-challenge"));
+    return payload.purpose === CHALLENGE_PURPOSE ? payload.userId : null;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  TWO_FACTOR_CONFIG,
+  TWO_FACTOR_SECRET_FIELDS,
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  buildOtpauthUri,
+  generateTotp,
+  verifyTotp,
+  generateRecoveryCodes,
+  countRemainingRecoveryCodes,
+  isTwoFactorAvailable,
+  isTwoFactorRequired,
+  isTwoFactorEnforced,
+  verifySecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+};
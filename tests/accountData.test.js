@@ -0,0 +1,199 @@
+import {test, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {useMemoryStore} from "./helpers/memoryStore.js";
+import User from "../models/User.model.js";
+import Resume from "../models/Resume.model.js";
+import InterviewSession from "../models/InterviewSession.model.js";
+import InterviewShareLink from "../models/InterviewShareLink.model.js";
+import QuestionBank from "../models/QuestionBank.model.js";
+import Contact from "../models/Contact.js";
+import AuthSession from "../models/AuthSession.model.js";
+import {setAudioStorage} from "../services/audioStorage.service.js";
+import {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  buildDataExport,
+  cancelAccountDeletion,
+  deleteUserAccount,
+  processScheduledDeletions,
+  scheduleAccountDeletion,
+} from "../services/accountData.service.js";
+
+// Every collection the service touches lives in memory
+const stores = new Map(
+  mongoose.modelNames().map((name) => {
+    const model = mongoose.model(name);
+    return [model, useMemoryStore(model)];
+  })
+);
+const storeOf = (model) => stores.get(model);
+
+const removedAudio = [];
+setAudioStorage({
+  put: async () => {},
+  get: async () => null,
+  remove: async (key) => {
+    removedAudio.push(key);
+  },
+});
+
+const createUser = (email) =>
+  User.create({email, password: "secret123", name: "Candidate"});
+
+// Inserted as stored documents; the tests don't need full schemas
+const insert = (model, doc) => {
+  const stored = {_id: new mongoose.Types.ObjectId(), ...doc};
+  storeOf(model).push(stored);
+  return stored;
+};
+
+const codingQuestion = (overrides) => ({
+  question: "Sum two numbers",
+  questionType: "coding",
+  referenceAnswer: "print(a + b)",
+  rubric: [{criterion: "Correctness", weight: 1}],
+  coding: {
+    language: "javascript",
+    testCases: [
+      {input: "1 2", expectedOutput: "3", isHidden: false},
+      {input: "5 5", expectedOutput: "10", isHidden: true},
+    ],
+  },
+  ...overrides,
+});
+
+let user;
+let otherUser;
+
+beforeEach(async () => {
+  stores.forEach((docs) => (docs.length = 0));
+  removedAudio.length = 0;
+  user = await createUser("candidate@example.com");
+  otherUser = await createUser("other@example.com");
+});
+
+test("exports the user's data without secrets or answer keys", async () => {
+  insert(Resume, {userId: user._id, resumeTitle: "Mine"});
+  insert(Resume, {userId: otherUser._id, resumeTitle: "Theirs"});
+  insert(Contact, {email: user.email, message: "Hello"});
+  insert(QuestionBank, {ownerId: user._id, name: "My bank"});
+  insert(InterviewSession, {
+    userId: user._id,
+    questions: [
+      codingQuestion({userAnswer: "console.log(3)"}),
+      codingQuestion(),
+      {
+        question: "Tell me about a conflict",
+        questionType: "behavioral",
+        referenceAnswer: "STAR story",
+        rubric: [{criterion: "Structure", weight: 1}],
+      },
+    ],
+  });
+
+  const bundle = await buildDataExport(user._id);
+
+  assert.equal(bundle.profile.email, user.email);
+  assert.equal(bundle.profile.password, undefined);
+  assert.deepEqual(
+    bundle.resumes.map((resume) => resume.resumeTitle),
+    ["Mine"]
+  );
+  assert.equal(bundle.contactMessages.length, 1);
+  assert.equal(bundle.questionBanks.length, 1);
+  assert.equal(bundle.adminNotifications, undefined);
+
+  const [answered, unanswered, behavioral] =
+    bundle.interviewSessions[0].questions;
+  assert.equal(answered.referenceAnswer, "print(a + b)");
+  assert.equal(unanswered.referenceAnswer, undefined);
+  assert.equal(unanswered.rubric, undefined);
+  assert.equal(behavioral.referenceAnswer, undefined);
+  assert.equal(behavioral.rubric, undefined);
+  for (const question of [answered, unanswered]) {
+    assert.equal(question.coding.testCases, undefined);
+    assert.equal(question.coding.hiddenTestCount, 1);
+    assert.deepEqual(question.coding.sampleTests, [
+      {input: "1 2", expectedOutput: "3"},
+    ]);
+  }
+});
+
+test("export leaves out the hashes that would work as credentials", async () => {
+  insert(InterviewShareLink, {userId: user._id, tokenHash: "share-hash"});
+  insert(AuthSession, {
+    userId: user._id,
+    tokenHash: "refresh-hash",
+    previousTokenHashes: ["old-hash"],
+  });
+
+  const bundle = await buildDataExport(user._id);
+
+  assert.equal(bundle.interviewShareLinks.length, 1);
+  assert.equal(bundle.sessions.length, 1);
+  const exported = JSON.stringify(bundle);
+  for (const secret of ["share-hash", "refresh-hash", "old-hash"]) {
+    assert.ok(!exported.includes(secret), `${secret} was exported`);
+  }
+});
+
+test("schedules deletion after the grace period and can cancel it", async () => {
+  const before = Date.now();
+  const scheduled = await scheduleAccountDeletion(user);
+  assert.equal(scheduled.user, user);
+
+  const graceMs = ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+  assert.ok(user.deletion.scheduledFor.getTime() >= before + graceMs);
+
+  const again = await scheduleAccountDeletion(user);
+  assert.equal(again.code, "DELETION_ALREADY_SCHEDULED");
+
+  await cancelAccountDeletion(user);
+  assert.equal(user.deletion?.scheduledFor, undefined);
+  assert.equal(
+    (await cancelAccountDeletion(user)).code,
+    "DELETION_NOT_SCHEDULED"
+  );
+});
+
+test("deleting an account removes its data, recordings and sessions only", async () => {
+  insert(Resume, {userId: user._id});
+  insert(Resume, {userId: otherUser._id});
+  insert(AuthSession, {userId: user._id, tokenHash: "a"});
+  insert(Contact, {email: user.email});
+  insert(InterviewSession, {
+    userId: user._id,
+    questions: [{question: "Q", audio: {storageKey: "audio/one.webm"}}, {}],
+  });
+
+  const deleted = await deleteUserAccount(user);
+
+  assert.equal(deleted.resumes, 1);
+  assert.equal(deleted.sessions, 1);
+  assert.equal(deleted.contactMessages, 1);
+  assert.deepEqual(removedAudio, ["audio/one.webm"]);
+  assert.equal(await User.findById(user._id), null);
+  assert.ok(await User.findById(otherUser._id));
+  assert.equal(storeOf(Resume).length, 1);
+  assert.equal(storeOf(AuthSession).length, 0);
+  assert.equal(storeOf(InterviewSession).length, 0);
+});
+
+test("the deletion job only removes accounts past their grace period", async () => {
+  await scheduleAccountDeletion(user);
+  await scheduleAccountDeletion(otherUser);
+  insert(Resume, {userId: user._id});
+
+  assert.equal(await processScheduledDeletions(new Date()), 0);
+
+  const dueFor = new Date(
+    Date.now() + (ACCOUNT_DELETION_GRACE_DAYS + 1) * 24 * 60 * 60 * 1000
+  );
+  otherUser.deletion = undefined;
+  await otherUser.save();
+
+  assert.equal(await processScheduledDeletions(dueFor), 1);
+  assert.equal(await User.findById(user._id), null);
+  assert.ok(await User.findById(otherUser._id));
+  assert.equal(storeOf(Resume).length, 0);
+});
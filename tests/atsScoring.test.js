@@ -0,0 +1,39 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {scoreResume} from "../services/atsScoring.service.js";
+
+const countQuantified = (bullets) =>
+  scoreResume("", "", {resumeData: {experience: [{bullets}]}}).breakdown
+    .quantifiedImpact.details.quantified;
+
+test("counts bullets with real quantities", () => {
+  const bullets = [
+    "Cut page load time by 40% across the storefront",
+    "Grew annual revenue to $2M by launching a subscription plan",
+    "Made the reporting pipeline 3x faster with incremental builds",
+    "Served 10k requests per second after moving to a queue",
+    "Led 12 engineers through a platform migration",
+    "Reduced p95 latency to 200 ms on the checkout API",
+    "Mentored an 8-person team on code review practices",
+    "Onboarded 1,200 customers during the first quarter",
+    "Split the monolith into five services owned by separate teams",
+    "Doubled test coverage on the billing service",
+    "Raised ₹50,000 in seed funding for the student club",
+  ];
+
+  assert.equal(countQuantified(bullets), bullets.length);
+});
+
+test("ignores digits inside names and versions", () => {
+  const bullets = [
+    "Deployed services to k8s with Helm charts and GitOps",
+    "Moved static assets to S3 and CloudFront for the marketing site",
+    "Ran batch jobs on EC2 spot instances with autoscaling groups",
+    "Rebuilt the landing page in HTML5 and modern CSS",
+    "Upgraded the API from Node 18 to Node 20 with zero downtime",
+    "Joined the platform team in 2019 as a backend developer",
+    "Built one of the first internal tools for the support team",
+  ];
+
+  assert.equal(countQuantified(bullets), 0);
+});
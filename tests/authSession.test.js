@@ -0,0 +1,154 @@
+import {test, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import {useMemoryStore} from "./helpers/memoryStore.js";
+import AuthSession from "../models/AuthSession.model.js";
+import User from "../models/User.model.js";
+import {
+  AUTH_SESSION_CONFIG,
+  exchangeLoginCode,
+  isSessionActive,
+  listActiveSessions,
+  revokeRefreshToken,
+  rotateRefreshToken,
+  startAuthSession,
+  startPendingAuthSession,
+} from "../services/authSession.service.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+const sessions = useMemoryStore(AuthSession);
+const users = useMemoryStore(User);
+const req = {headers: {"user-agent": "node-test"}, ip: "127.0.0.1"};
+
+let user;
+
+beforeEach(async () => {
+  sessions.length = 0;
+  users.length = 0;
+  user = await User.create({
+    email: "candidate@example.com",
+    password: "secret123",
+    name: "Candidate",
+  });
+});
+
+test("issues an access token bound to a new session", async () => {
+  const tokens = await startAuthSession(user, req);
+  const payload = jwt.verify(tokens.token, process.env.JWT_SECRET);
+
+  assert.equal(payload.sid, String(tokens.sessionId));
+  assert.equal(await isSessionActive(payload), true);
+  assert.equal(sessions.length, 1);
+  assert.notEqual(sessions[0].tokenHash, tokens.refreshToken);
+});
+
+test("rotates the refresh token on every refresh", async () => {
+  const first = await startAuthSession(user, req);
+  const second = await rotateRefreshToken(first.refreshToken, req);
+
+  assert.ok(second.tokens);
+  assert.notEqual(second.tokens.refreshToken, first.refreshToken);
+
+  const third = await rotateRefreshToken(second.tokens.refreshToken, req);
+  assert.ok(third.tokens);
+});
+
+test("revokes the session when a rotated refresh token is reused", async () => {
+  const first = await startAuthSession(user, req);
+  const second = await rotateRefreshToken(first.refreshToken, req);
+
+  const reused = await rotateRefreshToken(first.refreshToken, req);
+  assert.equal(reused.code, "REFRESH_TOKEN_REUSED");
+  assert.equal(sessions[0].revokedReason, "token_reuse");
+
+  // The legitimate holder is signed out too
+  const next = await rotateRefreshToken(second.tokens.refreshToken, req);
+  assert.equal(next.code, "INVALID_REFRESH_TOKEN");
+  assert.equal(
+    await isSessionActive({userId: user._id, sid: first.sessionId}),
+    false
+  );
+});
+
+test("rejects malformed and unknown refresh tokens", async () => {
+  await startAuthSession(user, req);
+
+  for (const token of [undefined, "", "not-a-token", "x".repeat(300)]) {
+    const result = await rotateRefreshToken(token, req);
+    assert.equal(result.code, "INVALID_REFRESH_TOKEN");
+  }
+  const forged = `${sessions[0]._id}.forged-secret`;
+  assert.equal(
+    (await rotateRefreshToken(forged, req)).code,
+    "INVALID_REFRESH_TOKEN"
+  );
+});
+
+test("revokes every session of a disabled account on refresh", async () => {
+  const tokens = await startAuthSession(user, req);
+  await startAuthSession(user, req);
+  await User.updateOne({_id: user._id}, {$set: {status: "disabled"}});
+
+  const result = await rotateRefreshToken(tokens.refreshToken, req);
+  assert.equal(result.code, "ACCOUNT_DISABLED");
+  assert.ok(sessions.every((session) => session.revokedAt));
+});
+
+test("logout revokes only the session of the refresh token", async () => {
+  const tokens = await startAuthSession(user, req);
+  const other = await startAuthSession(user, req);
+
+  assert.equal(await revokeRefreshToken(tokens.refreshToken), true);
+  assert.equal(await revokeRefreshToken(tokens.refreshToken), false);
+  assert.equal(
+    await isSessionActive({userId: user._id, sid: other.sessionId}),
+    true
+  );
+});
+
+test("exchanges an OAuth login code for tokens exactly once", async () => {
+  const code = await startPendingAuthSession(user, req);
+
+  // Not listed as a device, and not usable as a refresh token
+  assert.equal((await listActiveSessions(user._id)).length, 0);
+  assert.equal(
+    (await rotateRefreshToken(code, req)).code,
+    "INVALID_REFRESH_TOKEN"
+  );
+
+  const exchanged = await exchangeLoginCode(code, req);
+  assert.ok(exchanged.tokens);
+  assert.equal((await listActiveSessions(user._id)).length, 1);
+  assert.ok(
+    sessions[0].expiresAt >
+      new Date(Date.now() + AUTH_SESSION_CONFIG.loginCodeSeconds * 1000)
+  );
+
+  // A replayed code ends the session it started
+  const replayed = await exchangeLoginCode(code, req);
+  assert.equal(replayed.code, "REFRESH_TOKEN_REUSED");
+  assert.equal(
+    (await rotateRefreshToken(exchanged.tokens.refreshToken, req)).code,
+    "INVALID_REFRESH_TOKEN"
+  );
+});
+
+test("refuses an expired OAuth login code", async () => {
+  const code = await startPendingAuthSession(user, req);
+  sessions[0].expiresAt = new Date(Date.now() - 1000);
+
+  assert.equal((await exchangeLoginCode(code, req)).code, "INVALID_LOGIN_CODE");
+});
+
+test("refuses a regular refresh token as a login code", async () => {
+  const tokens = await startAuthSession(user, req);
+
+  assert.equal(
+    (await exchangeLoginCode(tokens.refreshToken, req)).code,
+    "INVALID_LOGIN_CODE"
+  );
+  assert.ok(
+    await rotateRefreshToken(tokens.refreshToken, req).then((r) => r.tokens)
+  );
+});
@@ -0,0 +1,107 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {EventEmitter} from "events";
+import {hasActiveRun, runTestCases} from "../services/codeSandbox.service.js";
+import {limitConcurrentCodeRuns} from "../middleware/interview.middleware.js";
+
+const runJs = (code, input = "") =>
+  runTestCases({
+    language: "javascript",
+    code,
+    testCases: [{input, expectedOutput: "ok"}],
+  }).then(({results}) => results[0]);
+
+test("runs a program against its test input", async () => {
+  const result = await runJs(
+    `const input = require("fs").readFileSync(0, "utf8");
+     console.log(input.trim() === "ping" ? "ok" : "wrong");`,
+    "ping"
+  );
+  assert.equal(result.passed, true);
+  assert.equal(result.error, null);
+});
+
+test("kills a program that allocates Buffers past the memory limit", async () => {
+  const result = await runJs(
+    `const chunks = [];
+     for (let i = 0; i < 8; i++) chunks.push(Buffer.alloc(64 * 1024 * 1024, 1));
+     console.log("ok");`
+  );
+  assert.equal(result.passed, false);
+  assert.match(result.error, /Memory limit exceeded/);
+});
+
+test("kills a program that grows the heap past the memory limit", async () => {
+  const result = await runJs(
+    `const items = [];
+     for (;;) items.push({value: "x" + items.length});`
+  );
+  assert.equal(result.passed, false);
+  assert.match(result.error, /Memory limit exceeded/);
+});
+
+test("stops a program at the time limit", async () => {
+  const result = await runJs("for (;;) {}");
+  assert.equal(result.passed, false);
+  // The wall-clock and CPU limits are equal; either may fire first
+  assert.match(result.error, /time limit exceeded/i);
+});
+
+test("gives the program no network access", async () => {
+  const result = await runJs(
+    `require("https")
+       .get("https://example.com", () => console.log("reached"))
+       .on("error", () => console.log("ok"));`
+  );
+  assert.equal(result.passed, true);
+});
+
+test("gives the program no environment and no files outside its directory", async () => {
+  const result = await runJs(
+    `const fs = require("fs");
+     let readable = true;
+     try { fs.readFileSync("/etc/hostname"); } catch { readable = false; }
+     console.log(!readable && !process.env.JWT_SECRET ? "ok" : "leaked");`
+  );
+  assert.equal(result.passed, true);
+});
+
+test("keeps a user's code run slot until the sandbox run settles", async () => {
+  const userId = "user-1";
+  const request = () => {
+    const res = new EventEmitter();
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (body) => {
+      res.body = body;
+      return res;
+    };
+    let allowed = false;
+    limitConcurrentCodeRuns({user: {userId}}, res, () => {
+      allowed = true;
+    });
+    return {res, allowed};
+  };
+
+  const first = request();
+  assert.equal(first.allowed, true);
+  const run = runTestCases({
+    language: "javascript",
+    code: "setTimeout(() => console.log('ok'), 500);",
+    testCases: [{input: "", expectedOutput: "ok"}],
+    owner: userId,
+  });
+  assert.equal(hasActiveRun(userId), true);
+
+  // The client gives up; the program is still running
+  first.res.emit("close");
+  const second = request();
+  assert.equal(second.allowed, false);
+  assert.equal(second.res.body.code, "CODE_RUN_IN_PROGRESS");
+
+  assert.equal((await run).passed, 1);
+  assert.equal(hasActiveRun(userId), false);
+  assert.equal(request().allowed, true);
+});
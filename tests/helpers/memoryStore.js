@@ -0,0 +1,253 @@
+import mongoose from "mongoose";
+
+/**
+ * In-memory stand-in for a Mongoose model's collection, so services can be
+ * tested without a database. Supports the query shapes the services use:
+ * equality (dotted paths, arrays match any element), null, $gt, $lte, $ne,
+ * $in and $exists filters, $set, $unset, $inc and $push updates, and string
+ * projections ("-secret", "name email"; "+field" is ignored).
+ */
+
+mongoose.set("bufferCommands", false);
+
+// structuredClone would turn ObjectIds into plain objects
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => {
+    if (Array.isArray(value)) return value.map((item) => item?.[key]);
+    return value?.[key];
+  }, doc);
+
+const same = (a, b) =>
+  a instanceof Date || b instanceof Date
+    ? new Date(a).getTime() === new Date(b).getTime()
+    : String(a) === String(b);
+
+const equals = (value, expected) => {
+  if (expected === null) return value === null || value === undefined;
+  if (Array.isArray(value)) {
+    return value.flat().some((item) => equals(item, expected));
+  }
+  return value !== undefined && same(value, expected);
+};
+
+const isOperator = (condition) =>
+  condition &&
+  typeof condition === "object" &&
+  !(condition instanceof Date) &&
+  !mongoose.isValidObjectId(condition) &&
+  Object.keys(condition).every((key) => key.startsWith("$"));
+
+const matchCondition = (value, condition) => {
+  if (!isOperator(condition)) return equals(value, condition);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case "$gt":
+        return value !== undefined && value !== null && value > expected;
+      case "$lte":
+        return value !== undefined && value !== null && value <= expected;
+      case "$ne":
+        return !equals(value, expected);
+      case "$in":
+        return expected.some((item) => equals(value, item));
+      case "$exists": {
+        const present = Array.isArray(value)
+          ? value.flat().some((item) => item !== undefined)
+          : value !== undefined;
+        return present === Boolean(expected);
+      }
+      default:
+        throw new Error(`memoryStore: unsupported operator ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) =>
+    matchCondition(getPath(doc, path), condition)
+  );
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] ??= {}), doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+};
+
+const applyUpdate = (doc, update) => {
+  const {$set = {}, $unset = {}, $inc = {}, $push = {}, ...plain} = update;
+  for (const [path, value] of Object.entries({...plain, ...$set})) {
+    setPath(doc, path, value);
+  }
+  for (const path of Object.keys($unset)) setPath(doc, path, undefined);
+  for (const [path, amount] of Object.entries($inc)) {
+    setPath(doc, path, (getPath(doc, path) || 0) + amount);
+  }
+  for (const [path, value] of Object.entries($push)) {
+    const items = value?.$each ?? [value];
+    let list = [...(getPath(doc, path) || []), ...items];
+    if (value?.$slice !== undefined) list = list.slice(value.$slice);
+    setPath(doc, path, list);
+  }
+};
+
+// Only the given path of a value, through arrays like a projection
+const pick = (value, [key, ...rest]) => {
+  if (key === undefined) return clone(value);
+  if (Array.isArray(value))
+    return value.map((item) => pick(item, [key, ...rest]));
+  if (!value || typeof value !== "object") return undefined;
+  // Subdocuments without the path stay as empty objects, as in MongoDB
+  if (value[key] === undefined) return {};
+  return {[key]: pick(value[key], rest)};
+};
+
+const merge = (target, source) => {
+  if (Array.isArray(target) && Array.isArray(source)) {
+    return source.map((item, index) => merge(target[index], item));
+  }
+  if (!target || typeof target !== "object" || target instanceof Date) {
+    return source;
+  }
+  if (!source || typeof source !== "object") return target;
+  for (const [key, value] of Object.entries(source)) {
+    target[key] = merge(target[key], value);
+  }
+  return target;
+};
+
+const project = (doc, fields = "") => {
+  const paths = fields.split(/\s+/).filter((f) => f && !f.startsWith("+"));
+  if (paths.length === 0) return doc;
+
+  if (paths.every((path) => path.startsWith("-"))) {
+    const result = clone(doc);
+    paths.forEach((path) => setPath(result, path.slice(1), undefined));
+    return result;
+  }
+
+  return paths.reduce(
+    (result, path) => merge(result, pick(doc, path.split("."))),
+    {_id: doc._id}
+  );
+};
+
+// Chainable result like a Mongoose Query; awaiting it runs the query
+const query = (run, hydrate) => {
+  let lean = false;
+  let limit = Infinity;
+  let fields = "";
+  const chain = {
+    select: (projection) => {
+      fields = projection;
+      return chain;
+    },
+    sort: () => chain,
+    populate: () => chain,
+    limit: (count) => {
+      limit = count;
+      return chain;
+    },
+    lean: () => {
+      lean = true;
+      return chain;
+    },
+    exec: async () => {
+      const result = run();
+      const shape = (doc) => {
+        const projected = project(doc, fields);
+        return lean ? clone(projected) : hydrate(projected);
+      };
+      if (Array.isArray(result)) return result.slice(0, limit).map(shape);
+      return result ? shape(result) : null;
+    },
+    then: (resolve, reject) => chain.exec().then(resolve, reject),
+  };
+  return chain;
+};
+
+/**
+ * Replace a model's persistence with an in-memory array
+ * @param {Object} Model - Mongoose model
+ * @returns {Array} Stored documents (plain objects)
+ */
+export function useMemoryStore(Model) {
+  const docs = [];
+  const hydrate = (doc) => Model.hydrate(clone(doc));
+  const findDoc = (filter) => docs.find((doc) => matches(doc, filter));
+
+  Model.find = (filter) =>
+    query(() => docs.filter((doc) => matches(doc, filter)), hydrate);
+  Model.findOne = (filter) => query(() => findDoc(filter), hydrate);
+  Model.findById = (id) => query(() => findDoc({_id: id}), hydrate);
+  Model.exists = async (filter) => {
+    const doc = findDoc(filter);
+    return doc ? {_id: doc._id} : null;
+  };
+  Model.countDocuments = async (filter) =>
+    docs.filter((doc) => matches(doc, filter)).length;
+
+  Model.findOneAndUpdate = (filter, update, options = {}) =>
+    query(() => {
+      const doc = findDoc(filter);
+      if (!doc) return null;
+      const before = clone(doc);
+      applyUpdate(doc, update);
+      return options.new ? doc : before;
+    }, hydrate);
+
+  Model.updateOne = async (filter, update) => {
+    const doc = findDoc(filter);
+    if (doc) applyUpdate(doc, update);
+    return {matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0};
+  };
+  Model.updateMany = async (filter, update) => {
+    const matched = docs.filter((doc) => matches(doc, filter));
+    matched.forEach((doc) => applyUpdate(doc, update));
+    return {matchedCount: matched.length, modifiedCount: matched.length};
+  };
+
+  const remove = (filter, limit) => {
+    let deletedCount = 0;
+    for (let i = docs.length - 1; i >= 0 && deletedCount < limit; i--) {
+      if (matches(docs[i], filter)) {
+        docs.splice(i, 1);
+        deletedCount++;
+      }
+    }
+    return {deletedCount};
+  };
+  Model.deleteOne = async (filter) => remove(filter, 1);
+  Model.deleteMany = async (filter) => remove(filter, Infinity);
+
+  Model.create = async (data) => {
+    const doc = new Model(data);
+    await doc.save();
+    return doc;
+  };
+
+  Model.prototype.save = async function () {
+    await this.validate();
+    const plain = this.toObject({depopulate: true});
+    const index = docs.findIndex((doc) => same(doc._id, plain._id));
+    if (index === -1) docs.push(plain);
+    else docs[index] = plain;
+    this.isNew = false;
+    return this;
+  };
+
+  return docs;
+}
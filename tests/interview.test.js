@@ -0,0 +1,51 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import InterviewSession from "../models/InterviewSession.model.js";
+import {skipQuestion} from "../services/interview.service.js";
+
+const buildSession = (status = "in-progress") =>
+  new InterviewSession({
+    status,
+    questions: [
+      {questionNumber: 1, questionText: "First", userAnswer: "Answer"},
+      {
+        questionNumber: 2,
+        questionText: "Second",
+        timedOut: true,
+        skipped: true,
+      },
+      {questionNumber: 3, questionText: "Third"},
+    ],
+  });
+
+test("skips an open question with a zero score", () => {
+  const session = buildSession();
+  const {question, error} = skipQuestion(session, 3);
+
+  assert.equal(error, undefined);
+  assert.equal(question.questionNumber, 3);
+  assert.equal(question.skipped, true);
+  assert.ok(question.answeredAt instanceof Date);
+  assert.equal(question.evaluation.score, 0);
+});
+
+test("accepts the question number as a string", () => {
+  assert.ok(skipQuestion(buildSession(), "3").question);
+});
+
+test("refuses questions that are answered, timed out or missing", () => {
+  const session = buildSession();
+
+  assert.equal(skipQuestion(session, 1).code, "QUESTION_NOT_OPEN");
+  assert.equal(skipQuestion(session, 2).code, "QUESTION_TIMED_OUT");
+  assert.equal(skipQuestion(session, 9).code, "QUESTION_NOT_OPEN");
+  assert.ok(skipQuestion(session, 3).question);
+  assert.equal(skipQuestion(session, 3).code, "QUESTION_NOT_OPEN");
+});
+
+test("refuses to skip in a session that isn't in progress", () => {
+  const session = buildSession("paused");
+
+  assert.equal(skipQuestion(session, 3).code, "INVALID_SESSION_STATE");
+  assert.ok(!session.questions[2].skipped);
+});
@@ -0,0 +1,85 @@
+import {test, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {useMemoryStore} from "./helpers/memoryStore.js";
+import InterviewShareLink from "../models/InterviewShareLink.model.js";
+import {
+  MAX_ACTIVE_SHARE_LINKS,
+  buildPublicReport,
+  createShareLink,
+  findActiveShareLink,
+  recordShareView,
+  summarizeShareLink,
+} from "../services/interviewReportShare.service.js";
+
+const links = useMemoryStore(InterviewShareLink);
+
+const result = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  sessionId: new mongoose.Types.ObjectId(),
+};
+
+beforeEach(() => {
+  links.length = 0;
+});
+
+test("stores only a hash of the share token", async () => {
+  const {link, token} = await createShareLink(result, {label: "Recruiter"});
+
+  assert.ok(token.length >= 32);
+  assert.notEqual(link.tokenHash, token);
+  assert.ok(!JSON.stringify(links).includes(token));
+
+  const found = await findActiveShareLink(token);
+  assert.equal(String(found._id), String(link._id));
+});
+
+test("rejects unknown, revoked and expired tokens", async () => {
+  const {link, token} = await createShareLink(result);
+
+  assert.equal(await findActiveShareLink("not-the-token"), null);
+  assert.equal(await findActiveShareLink(undefined), null);
+  assert.equal(await findActiveShareLink("x".repeat(500)), null);
+
+  links[0].expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await findActiveShareLink(token), null);
+  assert.equal(summarizeShareLink(link).status, "active");
+  assert.equal(summarizeShareLink({...links[0]}).status, "expired");
+
+  links[0].expiresAt = new Date(Date.now() + 60 * 1000);
+  links[0].revokedAt = new Date();
+  assert.equal(await findActiveShareLink(token), null);
+  assert.equal(summarizeShareLink({...links[0]}).status, "revoked");
+});
+
+test("limits the active links per report", async () => {
+  for (let i = 0; i < MAX_ACTIVE_SHARE_LINKS; i++) {
+    assert.ok((await createShareLink(result)).token);
+  }
+  assert.match((await createShareLink(result)).error, /at most/);
+
+  links[0].revokedAt = new Date();
+  assert.ok((await createShareLink(result)).token);
+});
+
+test("counts views", async () => {
+  const {link} = await createShareLink(result);
+  await recordShareView(link);
+  await recordShareView(link);
+
+  assert.equal(links[0].viewCount, 2);
+  assert.ok(links[0].lastViewedAt instanceof Date);
+});
+
+test("the public report leaves out answers and identities", () => {
+  const report = buildPublicReport({
+    overallScore: 82,
+    summary: "Solid",
+    userId: result.userId,
+    sessionId: result.sessionId,
+    questionResults: [{userAnswer: "private"}],
+  });
+
+  assert.deepEqual(report, {overallScore: 82, summary: "Solid"});
+});
@@ -0,0 +1,101 @@
+import {test, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {useMemoryStore} from "./helpers/memoryStore.js";
+import JobApplication from "../models/JobApplication.model.js";
+import AtsScan from "../models/AtsScan.model.js";
+import {
+  createApplication,
+  updateApplicationStatus,
+} from "../controllers/jobApplication.controller.js";
+
+const applications = useMemoryStore(JobApplication);
+const scans = useMemoryStore(AtsScan);
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await handler({user: {userId}, params: {}, ...req}, res);
+  return res;
+};
+
+const addScan = (owner, score) => {
+  const scan = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: owner,
+    source: "match-score",
+    score,
+    createdAt: new Date("2026-01-15"),
+  };
+  scans.push(scan);
+  return scan;
+};
+
+beforeEach(() => {
+  applications.length = 0;
+  scans.length = 0;
+});
+
+test("takes the ATS score from the user's scan, not the request", async () => {
+  const scan = addScan(userId, 64);
+
+  const res = await call(createApplication, {
+    body: {
+      company: "Acme",
+      role: "Engineer",
+      atsScanId: String(scan._id),
+      atsScore: {score: 100, source: "manual"},
+    },
+  });
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(applications[0].atsScore.score, 64);
+  assert.equal(applications[0].atsScore.source, "match-score");
+  assert.equal(String(applications[0].atsScore.scanId), String(scan._id));
+});
+
+test("ignores a client-supplied score without a scan", async () => {
+  const res = await call(createApplication, {
+    body: {company: "Acme", role: "Engineer", atsScore: {score: 100}},
+  });
+
+  assert.equal(res.statusCode, 201);
+  assert.equal(applications[0].atsScore?.score, undefined);
+});
+
+test("refuses another user's scan", async () => {
+  const scan = addScan(otherUserId, 99);
+
+  const res = await call(createApplication, {
+    body: {company: "Acme", role: "Engineer", atsScanId: String(scan._id)},
+  });
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(applications.length, 0);
+});
+
+test("captures the scan score when marking an application applied", async () => {
+  const scan = addScan(userId, 71);
+  await call(createApplication, {body: {company: "Acme", role: "Engineer"}});
+
+  const res = await call(updateApplicationStatus, {
+    params: {id: String(applications[0]._id)},
+    body: {status: "applied", atsScanId: String(scan._id)},
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(applications[0].status, "applied");
+  assert.equal(applications[0].atsScore.score, 71);
+});
@@ -0,0 +1,67 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyRubricScores,
+  hideUnresolvedAnswerKeys,
+} from "../services/questionBank.service.js";
+
+const rubric = [
+  {criterion: "Correctness", weight: 3},
+  {criterion: "Clarity", weight: 1},
+];
+
+test("matches rubric scores by criterion name, ignoring case", () => {
+  const evaluation = applyRubricScores(
+    {
+      score: 10,
+      rubricScores: [
+        {criterion: " correctness ", score: 80, comment: "Good"},
+        {criterion: "CLARITY", score: 40},
+      ],
+    },
+    rubric
+  );
+
+  assert.equal(evaluation.score, 70);
+  assert.deepEqual(evaluation.rubricScores, [
+    {criterion: "Correctness", score: 80, comment: "Good"},
+    {criterion: "Clarity", score: 40, comment: ""},
+  ]);
+});
+
+test("ignores rubric entries without a usable criterion name", () => {
+  const evaluation = applyRubricScores(
+    {
+      score: 10,
+      rubricScores: [
+        null,
+        {criterion: null, score: 0},
+        {criterion: 42, score: 0},
+        {score: 0},
+        {criterion: "Clarity", score: 60},
+      ],
+    },
+    rubric
+  );
+
+  assert.equal(evaluation.score, 60);
+  assert.deepEqual(evaluation.rubricScores, [
+    {criterion: "Clarity", score: 60, comment: ""},
+  ]);
+});
+
+test("hides answer keys until the question is answered or skipped", () => {
+  const keys = {referenceAnswer: "Use a hash map", rubric};
+
+  assert.deepEqual(hideUnresolvedAnswerKeys({question: "Q", ...keys}), {
+    question: "Q",
+  });
+  assert.deepEqual(
+    hideUnresolvedAnswerKeys({question: "Q", skipped: true, ...keys}),
+    {question: "Q", skipped: true, ...keys}
+  );
+  assert.deepEqual(
+    hideUnresolvedAnswerKeys({question: "Q", userAnswer: "A", ...keys}),
+    {question: "Q", userAnswer: "A", ...keys}
+  );
+});
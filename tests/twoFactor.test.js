@@ -0,0 +1,175 @@
+import {test, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {useMemoryStore} from "./helpers/memoryStore.js";
+import User from "../models/User.model.js";
+import Settings from "../models/Settings.model.js";
+import AuthSession from "../models/AuthSession.model.js";
+import {isAdmin} from "../middleware/admin.middleware.js";
+import {startAuthSession} from "../services/authSession.service.js";
+import {
+  createLoginChallenge,
+  decryptSecret,
+  encryptSecret,
+  generateRecoveryCodes,
+  generateSecret,
+  generateTotp,
+  isTwoFactorAvailable,
+  isTwoFactorEnforced,
+  verifyLoginChallenge,
+  verifySecondFactor,
+  verifyTotp,
+} from "../services/twoFactor.service.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+const users = useMemoryStore(User);
+const sessions = useMemoryStore(AuthSession);
+
+let settings;
+Settings.getSettings = async () => settings;
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+const enrolledUser = (overrides = {}) => {
+  const secret = generateSecret();
+  const {hashed} = generateRecoveryCodes();
+  return {
+    secret,
+    user: new User({
+      email: "admin@example.com",
+      password: "secret123",
+      name: "Admin",
+      twoFactor: {
+        enabled: true,
+        secret: encryptSecret(secret),
+        recoveryCodes: hashed,
+      },
+      ...overrides,
+    }),
+  };
+};
+
+const runMiddleware = async (middleware, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return {res, nextCalled};
+};
+
+beforeEach(() => {
+  users.length = 0;
+  sessions.length = 0;
+  settings = {security: {enableTwoFactor: true}};
+});
+
+test("generates RFC 6238 codes", () => {
+  assert.equal(generateTotp(RFC_SECRET, 1), "287082");
+  assert.equal(generateTotp(RFC_SECRET, 37037036), "081804");
+});
+
+test("accepts codes within the drift window and rejects replays", () => {
+  const time = 59 * 1000;
+  assert.equal(verifyTotp(RFC_SECRET, "287082", {time}), 1);
+  assert.equal(verifyTotp(RFC_SECRET, "287 082", {time}), 1);
+  assert.equal(verifyTotp(RFC_SECRET, "287082", {time, lastUsedStep: 1}), null);
+  assert.equal(verifyTotp(RFC_SECRET, "287082", {time: 10 * 60 * 1000}), null);
+  assert.equal(verifyTotp(RFC_SECRET, "28708", {time}), null);
+});
+
+test("stores secrets encrypted", () => {
+  const secret = generateSecret();
+  const stored = encryptSecret(secret);
+
+  assert.ok(!stored.includes(secret));
+  assert.equal(decryptSecret(stored), secret);
+});
+
+test("recovery codes work once", () => {
+  const {user} = enrolledUser();
+  const {codes, hashed} = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashed;
+
+  assert.equal(
+    verifySecondFactor(user, {recoveryCode: codes[0].toUpperCase()}),
+    "recovery-code"
+  );
+  assert.equal(verifySecondFactor(user, {recoveryCode: codes[0]}), null);
+});
+
+test("login challenges can't be forged with the access token key", async () => {
+  const {user} = enrolledUser();
+  const challenge = createLoginChallenge(user);
+
+  assert.equal(verifyLoginChallenge(challenge), String(user._id));
+  const {token} = await startAuthSession(user, {});
+  assert.equal(verifyLoginChallenge(token), null);
+});
+
+test("enrolled users keep 2FA when enrollment is switched off", () => {
+  const {user} = enrolledUser({role: "user"});
+  settings = {security: {enableTwoFactor: false}};
+
+  assert.equal(isTwoFactorAvailable(user, settings), false);
+  assert.equal(isTwoFactorEnforced(user), true);
+  assert.equal(
+    isTwoFactorEnforced(new User({twoFactor: {enabled: false}})),
+    false
+  );
+});
+
+test("admin routes need a session that passed 2FA", async () => {
+  const {user} = enrolledUser({role: "admin"});
+  await user.save();
+
+  const passwordOnly = await startAuthSession(user, {});
+  const withCode = await startAuthSession(user, {}, {twoFactorVerified: true});
+
+  const denied = await runMiddleware(isAdmin, {
+    user: {userId: String(user._id), sid: String(passwordOnly.sessionId)},
+  });
+  assert.equal(denied.nextCalled, false);
+  assert.equal(denied.res.statusCode, 403);
+  assert.equal(denied.res.body.code, "TWO_FACTOR_SESSION_REQUIRED");
+
+  const allowed = await runMiddleware(isAdmin, {
+    user: {userId: String(user._id), sid: String(withCode.sessionId)},
+  });
+  assert.equal(allowed.nextCalled, true);
+});
+
+test("admins must enroll when the settings require 2FA", async () => {
+  const admin = new User({
+    email: "new-admin@example.com",
+    password: "secret123",
+    name: "Admin",
+    role: "admin",
+  });
+  await admin.save();
+  const {sessionId} = await startAuthSession(admin, {});
+
+  settings = {security: {requireTwoFactorForAdmins: true}};
+  const required = await runMiddleware(isAdmin, {
+    user: {userId: String(admin._id), sid: String(sessionId)},
+  });
+  assert.equal(required.res.body.code, "TWO_FACTOR_REQUIRED");
+
+  settings = {security: {}};
+  const allowed = await runMiddleware(isAdmin, {
+    user: {userId: String(admin._id), sid: String(sessionId)},
+  });
+  assert.equal(allowed.nextCalled, true);
+});
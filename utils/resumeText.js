@@ -0,0 +1,85 @@
+/**
+ * Convert a resume data object to readable plain text
+ * @param {Object} resumeData - Resume document or plain object
+ * @returns {string} Resume text
+ */
+export function convertResumeDataToText(resumeData) {
+  let text = "";
+
+  // Contact info
+  if (resumeData.contact) {
+    text += `${resumeData.contact.name || ""}\n`;
+    text += `${resumeData.contact.email || ""}\n`;
+    text += `${resumeData.contact.phone || ""}\n`;
+    text += `${resumeData.contact.location || ""}\n\n`;
+  }
+
+  // Summary
+  if (resumeData.summary) {
+    text += `SUMMARY\n${resumeData.summary}\n\n`;
+  }
+
+  // Skills
+  if (resumeData.skills && resumeData.skills.length > 0) {
+    text += "SKILLS\n";
+    resumeData.skills.forEach((skillGroup) => {
+      text += `${skillGroup.category}: ${skillGroup.items.join(", ")}\n`;
+    });
+    text += "\n";
+  }
+
+  // Experience
+  if (resumeData.experience && resumeData.experience.length > 0) {
+    text += "EXPERIENCE\n";
+    resumeData.experience.forEach((exp) => {
+      text += `${exp.title} at ${exp.company}\n`;
+      text += `${exp.startDate} - ${exp.current ? "Present" : exp.endDate}\n`;
+      if (exp.bullets && exp.bullets.length > 0) {
+        exp.bullets.forEach((bullet) => {
+          text += `• ${bullet}\n`;
+        });
+      }
+      text += "\n";
+    });
+  }
+
+  // Projects
+  if (resumeData.projects && resumeData.projects.length > 0) {
+    text += "PROJECTS\n";
+    resumeData.projects.forEach((project) => {
+      text += `${project.name}\n`;
+      if (project.description) {
+        text += `${project.description}\n`;
+      }
+      if (project.technologies && project.technologies.length > 0) {
+        text += `Technologies: ${project.technologies.join(", ")}\n`;
+      }
+      if (project.bullets && project.bullets.length > 0) {
+        project.bullets.forEach((bullet) => {
+          text += `• ${bullet}\n`;
+        });
+      }
+      text += "\n";
+    });
+  }
+
+  // Education
+  if (resumeData.education && resumeData.education.length > 0) {
+    text += "EDUCATION\n";
+    resumeData.education.forEach((edu) => {
+      text += `${edu.degree} in ${edu.field}\n`;
+      text += `${edu.institution}\n`;
+      text += `${edu.startDate} - ${edu.endDate}\n\n`;
+    });
+  }
+
+  // Certifications
+  if (resumeData.certifications && resumeData.certifications.length > 0) {
+    text += "CERTIFICATIONS\n";
+    resumeData.certifications.forEach((cert) => {
+      text += `${cert.name} - ${cert.issuer} (${cert.date})\n`;
+    });
+  }
+
+  return text;
+}